@@ -0,0 +1,211 @@
+/**
+ * Dungeon connectivity - post-generation check that a level can be played through.
+ * Flood-fills what the player can walk, digs repair passages to cut-off pockets and
+ * keeps stats on the dungeon (dungeon.connectivity; debugTerrain.connectivity() in the console).
+ * Load after dungeon.js.
+ *
+ * What counts as passable: floor and stairs, and doors the player can open. Locked doors
+ * block (there are no keys) and so do secret doors until found. Water, traps and
+ * vegetation never block: water is only ever wading depth.
+ */
+(function() {
+    if (typeof Dungeon === 'undefined') {
+        console.error('Dungeon class not found for connectivity checks.');
+        return;
+    }
+    const D = Dungeon;
+
+    const MAX_REPAIRS = 40;
+    const NEIGHBORS_8 = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+    const NEIGHBORS_4 = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+    /**
+     * Can the player get through this tile (doors count: they can be opened)
+     */
+    D.prototype.isPassable = function(x, y) {
+        if (!this.isInBounds(x, y)) return false;
+        const tile = this.tiles[y][x];
+        if (tile.type === 'door') return tile.doorState !== 'locked' && tile.doorType !== 'secret';
+        return tile.type === 'floor' || tile.type === 'stairs_up' || tile.type === 'stairs_down';
+    };
+
+    /**
+     * Label passable tiles by 8-connected region (the player moves diagonally)
+     * @returns {{regionOf: Int32Array, sizes: number[]}} regionOf[y * width + x] is a region id or -1
+     */
+    D.prototype.findPassableRegions = function() {
+        const regionOf = new Int32Array(this.width * this.height).fill(-1);
+        const sizes = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (regionOf[y * this.width + x] !== -1 || !this.isPassable(x, y)) continue;
+                const id = sizes.length;
+                let size = 0;
+                const stack = [y * this.width + x];
+                regionOf[y * this.width + x] = id;
+                while (stack.length > 0) {
+                    const index = stack.pop();
+                    size++;
+                    const cx = index % this.width;
+                    const cy = Math.floor(index / this.width);
+                    for (const [dx, dy] of NEIGHBORS_8) {
+                        const nx = cx + dx;
+                        const ny = cy + dy;
+                        const next = ny * this.width + nx;
+                        if (this.isPassable(nx, ny) && regionOf[next] === -1) {
+                            regionOf[next] = id;
+                            stack.push(next);
+                        }
+                    }
+                }
+                sizes.push(size);
+            }
+        }
+        return { regionOf, sizes };
+    };
+
+    /**
+     * Region the player starts in: the up stairs, else the largest
+     */
+    function mainRegion(dungeon, regionOf, sizes) {
+        const up = dungeon.findTileOfType('stairs_up');
+        if (up) return regionOf[up.y * dungeon.width + up.x];
+        return sizes.indexOf(Math.max(...sizes));
+    }
+
+    /**
+     * Reachability and layout stats
+     * @returns {Object} { passableTiles, reachableTiles, reachableShare, regions, isolatedRegions,
+     *                     stairsConnected, solvable, deadEnds, lockedDoors, secretDoors }
+     */
+    D.prototype.analyzeConnectivity = function() {
+        const { regionOf, sizes } = this.findPassableRegions();
+        const main = sizes.length > 0 ? mainRegion(this, regionOf, sizes) : -1;
+        const up = this.findTileOfType('stairs_up');
+        const down = this.findTileOfType('stairs_down');
+        const passableTiles = sizes.reduce((sum, size) => sum + size, 0);
+        const reachableTiles = main >= 0 ? sizes[main] : 0;
+        // No down stairs is fine (single-room maps; the final depth removes them later)
+        const stairsConnected = !!up && (!down || regionOf[down.y * this.width + down.x] === main);
+
+        let deadEnds = 0;
+        let lockedDoors = 0;
+        let secretDoors = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const tile = this.tiles[y][x];
+                if (tile.type === 'door') {
+                    if (tile.doorState === 'locked') lockedDoors++;
+                    if (tile.doorType === 'secret') secretDoors++;
+                } else if (tile.type === 'floor' && this.isDeadEndTile(x, y)) {
+                    deadEnds++;
+                }
+            }
+        }
+
+        return {
+            passableTiles,
+            reachableTiles,
+            reachableShare: passableTiles > 0 ? reachableTiles / passableTiles : 0,
+            regions: sizes.length,
+            isolatedRegions: Math.max(0, sizes.length - 1),
+            stairsConnected,
+            solvable: stairsConnected,
+            deadEnds,
+            lockedDoors,
+            secretDoors
+        };
+    };
+
+    /**
+     * A floor tile with exactly one way on (cardinal neighbours)
+     */
+    D.prototype.isDeadEndTile = function(x, y) {
+        let exits = 0;
+        for (const [dx, dy] of NEIGHBORS_4) {
+            if (this.isPassable(x + dx, y + dy)) exits++;
+        }
+        return exits === 1;
+    };
+
+    /**
+     * Join every cut-off region to the player's region with a dug passage
+     * @returns {number} Passages dug, or -1 if a region could not be reached
+     */
+    D.prototype.repairConnectivity = function() {
+        let repairs = 0;
+        while (repairs < MAX_REPAIRS) {
+            const { regionOf, sizes } = this.findPassableRegions();
+            if (sizes.length <= 1) return repairs;
+            const main = mainRegion(this, regionOf, sizes);
+            const cutOff = sizes.findIndex((size, id) => id !== main);
+            if (!this.digRepairPassage(regionOf, cutOff, main)) return -1;
+            repairs++;
+        }
+        return repairs;
+    };
+
+    /**
+     * Shortest orthogonal route from one region to another through rock (breadth-first);
+     * walls on it become floor, locked and secret doors on it become ordinary closed doors
+     * @returns {boolean} False if no route exists
+     */
+    D.prototype.digRepairPassage = function(regionOf, from, to) {
+        const parent = new Int32Array(this.width * this.height).fill(-2);
+        const queue = [];
+        for (let index = 0; index < regionOf.length; index++) {
+            if (regionOf[index] === from) {
+                parent[index] = -1;
+                queue.push(index);
+            }
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            const x = index % this.width;
+            const y = Math.floor(index / this.width);
+            for (const [dx, dy] of NEIGHBORS_4) {
+                const nx = x + dx;
+                const ny = y + dy;
+                // Keep the map border solid
+                if (nx < 1 || ny < 1 || nx >= this.width - 1 || ny >= this.height - 1) continue;
+                const next = ny * this.width + nx;
+                if (parent[next] !== -2) continue;
+                parent[next] = index;
+                if (regionOf[next] === to) {
+                    this.openRepairPath(parent, index);
+                    return true;
+                }
+                queue.push(next);
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Open every blocking tile from `index` back to the start of the search
+     */
+    D.prototype.openRepairPath = function(parent, index) {
+        for (let at = index; at !== -1; at = parent[at]) {
+            const x = at % this.width;
+            const y = Math.floor(at / this.width);
+            const tile = this.tiles[y][x];
+            if (tile.type === 'door') {
+                if (tile.doorState === 'locked') tile.doorState = 'closed';
+                tile.doorType = 'normal';
+            } else if (!this.isPassable(x, y)) {
+                this.setTile(x, y, 'floor');
+            }
+        }
+    };
+
+    /**
+     * Repair the freshly generated level and record its stats on dungeon.connectivity
+     * @returns {boolean} True if the down stairs can be reached from the up stairs
+     */
+    D.prototype.ensureConnectivity = function() {
+        const repairs = this.repairConnectivity();
+        this.connectivity = { ...this.analyzeConnectivity(), repairs };
+        return this.connectivity.solvable && repairs >= 0;
+    };
+})();
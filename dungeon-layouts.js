@@ -0,0 +1,450 @@
+/**
+ * Dungeon layouts - level generators other than the classic rooms-and-corridors one
+ * (cellular-automata caverns, a flooded lake level, crypt catacombs) and the placing of
+ * prefab vaults (prefabs.js) into normal maps.
+ * Load after dungeon.js and prefabs.js. Each layout leaves Dungeon.rooms the way the classic one does:
+ * rectangles with a biome, the start room first, so stairs, spawns, water and vegetation keep working.
+ */
+(function() {
+    if (typeof Dungeon === 'undefined') {
+        console.error('Dungeon class not found for dungeon layouts.');
+        return;
+    }
+    const D = Dungeon;
+
+    // Caverns: initial wall share, smoothing passes, and the least of the map the main cave must cover
+    const CAVE_WALL_CHANCE = 0.45;
+    const CAVE_SMOOTHING_PASSES = 5;
+    const CAVE_MIN_OPEN_SHARE = 0.2;
+    const CAVE_ATTEMPTS = 3;
+
+    // Catacombs: a grid of cells joined by straight passages; some cells hold a burial chamber
+    const CATACOMB_CELL_WIDTH = 12;
+    const CATACOMB_CELL_HEIGHT = 9;
+    const CATACOMB_CHAMBER_CHANCE = 0.18;
+    const CATACOMB_LOOP_CHANCE = 0.12;
+
+    const MAX_VAULTS = 2;
+
+    /**
+     * Start room first; the others by distance from it, so the furthest gets the down stairs
+     */
+    function orderRoomsFromStart(rooms) {
+        const start = rooms[0];
+        const centerOf = room => ({ x: room.x + room.width / 2, y: room.y + room.height / 2 });
+        const origin = centerOf(start);
+        const distance = room => {
+            const c = centerOf(room);
+            return Math.abs(c.x - origin.x) + Math.abs(c.y - origin.y);
+        };
+        const rest = rooms.slice(1).sort((a, b) => distance(a) - distance(b));
+        rooms.length = 0;
+        rooms.push(start, ...rest);
+    }
+
+    // ===== CAVERNS =====
+
+    /**
+     * Cellular-automata caverns: random rock, smoothed, keeping the largest open region.
+     * Rectangular chambers carved into it serve as the rooms.
+     * @returns {boolean} False if no usable cave came out (the caller falls back to classic)
+     */
+    D.prototype.generateCaveLayout = function() {
+        for (let attempt = 0; attempt < CAVE_ATTEMPTS; attempt++) {
+            this.resetLayout();
+            let open = this.randomCaveGrid();
+            for (let pass = 0; pass < CAVE_SMOOTHING_PASSES; pass++) {
+                open = this.smoothCaveGrid(open);
+            }
+            const region = this.largestOpenRegion(open);
+            if (region.length < this.width * this.height * CAVE_MIN_OPEN_SHARE) continue;
+
+            region.forEach(pos => this.setTile(pos.x, pos.y, 'floor'));
+            this.addCaveChambers(region);
+            if (this.rooms.length >= 2) {
+                orderRoomsFromStart(this.rooms);
+                return true;
+            }
+        }
+        this.resetLayout();
+        return false;
+    };
+
+    /**
+     * Open (true) / rock (false) per tile, indexed y * width + x; the map border is always rock
+     */
+    D.prototype.randomCaveGrid = function() {
+        const open = new Array(this.width * this.height).fill(false);
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                open[y * this.width + x] = this.rng.random() >= CAVE_WALL_CHANCE;
+            }
+        }
+        return open;
+    };
+
+    /**
+     * One automaton pass: 5+ rock neighbours turn a tile to rock, 3 or fewer open it up
+     */
+    D.prototype.smoothCaveGrid = function(open) {
+        const next = open.slice();
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                let rock = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if ((dx || dy) && !open[(y + dy) * this.width + (x + dx)]) rock++;
+                    }
+                }
+                if (rock >= 5) next[y * this.width + x] = false;
+                else if (rock <= 3) next[y * this.width + x] = true;
+            }
+        }
+        return next;
+    };
+
+    /**
+     * Tiles of the largest 4-connected open region
+     * @returns {Array<{x: number, y: number}>}
+     */
+    D.prototype.largestOpenRegion = function(open) {
+        const seen = new Array(open.length).fill(false);
+        let largest = [];
+        for (let start = 0; start < open.length; start++) {
+            if (!open[start] || seen[start]) continue;
+            const region = [];
+            const stack = [start];
+            seen[start] = true;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % this.width;
+                const y = Math.floor(index / this.width);
+                region.push({ x, y });
+                for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    const next = (y + dy) * this.width + (x + dx);
+                    if (open[next] && !seen[next]) {
+                        seen[next] = true;
+                        stack.push(next);
+                    }
+                }
+            }
+            if (region.length > largest.length) largest = region;
+        }
+        return largest;
+    };
+
+    /**
+     * Carve chambers centred on cave floor (so each joins the cave); room count as in generateRooms
+     */
+    D.prototype.addCaveChambers = function(region) {
+        const { linearScale } = this.getMapScale();
+        const target = Math.max(8, Math.floor((8 + this.rng.int(5)) * Math.min(linearScale, 3)));
+        const maxAttempts = target * 25;
+
+        for (let attempt = 0; attempt < maxAttempts && this.rooms.length < target; attempt++) {
+            const center = this.rng.pick(region);
+            const width = this.rng.range(4, 8);
+            const height = this.rng.range(3, 6);
+            const x = center.x - Math.floor(width / 2);
+            const y = center.y - Math.floor(height / 2);
+            if (!this.canPlaceRoom(x, y, width, height)) continue;
+
+            const isStart = this.rooms.length === 0;
+            const room = {
+                x,
+                y,
+                width,
+                height,
+                type: isStart ? 'start' : 'normal',
+                biome: isStart ? 'start' : this.pickCaveBiome()
+            };
+            this.rooms.push(room);
+            this.carveRoom(room);
+        }
+    };
+
+    /**
+     * Mostly bare cave; some chambers are wet or overgrown
+     */
+    D.prototype.pickCaveBiome = function() {
+        const roll = this.rng.random();
+        if (roll < 0.65) return 'cave';
+        if (roll < 0.8) return 'damp';
+        if (roll < 0.9) return 'flooded';
+        return 'grove';
+    };
+
+    // ===== LAKE =====
+
+    /**
+     * Rooms and corridors around a large flooded cavern in the middle of the map
+     */
+    D.prototype.generateLakeLayout = function() {
+        const lake = this.carveLake();
+        // Listed first so generateRooms keeps clear of it, then moved behind the start room
+        this.rooms.push(lake);
+        this.generateRooms();
+        this.rooms.splice(1, 0, this.rooms.shift());
+
+        this.connectRooms();
+        this.addMazePassages();
+        this.addSecretRooms();
+        this.addDoors();
+        this.addDeadEnds();
+    };
+
+    /**
+     * Carve an irregular oval cavern and flood it, deepest in the middle
+     * @returns {object} Its room: the bounding box, type 'cavern', biome 'flooded'
+     */
+    D.prototype.carveLake = function() {
+        const radiusX = Math.floor(this.width * 0.18);
+        const radiusY = Math.floor(this.height * 0.2);
+        const centerX = Math.floor(this.width / 2) + Math.floor(this.rng.range(-radiusX, radiusX) / 4);
+        const centerY = Math.floor(this.height / 2) + Math.floor(this.rng.range(-radiusY, radiusY) / 4);
+
+        for (let y = centerY - radiusY; y <= centerY + radiusY; y++) {
+            for (let x = centerX - radiusX; x <= centerX + radiusX; x++) {
+                const dx = (x - centerX) / radiusX;
+                const dy = (y - centerY) / radiusY;
+                const distance = dx * dx + dy * dy;
+                // Ragged shoreline: the outer fifth of the oval is only partly open
+                if (distance > 1 || (distance > 0.8 && this.rng.chance(0.5))) continue;
+                this.setTile(x, y, 'floor');
+                if (typeof Liquids !== 'undefined' && Liquids.addLiquid) {
+                    Liquids.addLiquid(this, x, y, 'water', 4 + Math.round(10 * (1 - distance)));
+                }
+            }
+        }
+
+        return {
+            x: centerX - radiusX,
+            y: centerY - radiusY,
+            width: radiusX * 2 + 1,
+            height: radiusY * 2 + 1,
+            type: 'cavern',
+            biome: 'flooded'
+        };
+    };
+
+    // ===== CATACOMBS =====
+
+    /**
+     * Crypt catacombs: a maze of straight passages over a cell grid (spanning tree plus a few
+     * loops), with small burial chambers in some of the cells and dead ends in the rest
+     */
+    D.prototype.generateCatacombLayout = function() {
+        const cols = Math.floor((this.width - 4) / CATACOMB_CELL_WIDTH);
+        const rows = Math.floor((this.height - 4) / CATACOMB_CELL_HEIGHT);
+        const offsetX = Math.floor((this.width - cols * CATACOMB_CELL_WIDTH) / 2);
+        const offsetY = Math.floor((this.height - rows * CATACOMB_CELL_HEIGHT) / 2);
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                cells.push({
+                    col,
+                    row,
+                    x: offsetX + col * CATACOMB_CELL_WIDTH + Math.floor(CATACOMB_CELL_WIDTH / 2),
+                    y: offsetY + row * CATACOMB_CELL_HEIGHT + Math.floor(CATACOMB_CELL_HEIGHT / 2)
+                });
+            }
+        }
+        const cellAt = (col, row) => (col >= 0 && col < cols && row >= 0 && row < rows) ? cells[row * cols + col] : null;
+
+        // Spanning tree by randomized depth-first search, so every cell is reachable
+        const links = [];
+        const visited = new Set();
+        const first = this.rng.pick(cells);
+        const stack = [first];
+        visited.add(first);
+        while (stack.length > 0) {
+            const cell = stack[stack.length - 1];
+            const next = [cellAt(cell.col + 1, cell.row), cellAt(cell.col - 1, cell.row),
+                          cellAt(cell.col, cell.row + 1), cellAt(cell.col, cell.row - 1)]
+                .filter(neighbor => neighbor && !visited.has(neighbor));
+            if (next.length === 0) {
+                stack.pop();
+                continue;
+            }
+            const neighbor = this.rng.pick(next);
+            visited.add(neighbor);
+            links.push([cell, neighbor]);
+            stack.push(neighbor);
+        }
+        // A few loops so the maze is not a pure tree
+        for (const cell of cells) {
+            for (const neighbor of [cellAt(cell.col + 1, cell.row), cellAt(cell.col, cell.row + 1)]) {
+                if (!neighbor || !this.rng.chance(CATACOMB_LOOP_CHANCE)) continue;
+                if (!links.some(([a, b]) => (a === cell && b === neighbor) || (a === neighbor && b === cell))) {
+                    links.push([cell, neighbor]);
+                }
+            }
+        }
+
+        // Chambers first, so passages cut their entrances
+        for (const cell of cells) {
+            if (!this.rng.chance(CATACOMB_CHAMBER_CHANCE)) continue;
+            const width = this.rng.range(3, 6);
+            const height = this.rng.range(3, 5);
+            const room = {
+                x: cell.x - Math.floor(width / 2),
+                y: cell.y - Math.floor(height / 2),
+                width,
+                height,
+                type: 'normal',
+                biome: this.pickCatacombBiome()
+            };
+            this.rooms.push(room);
+            this.carveRoom(room);
+        }
+        for (const [a, b] of links) {
+            if (a.row === b.row) this.createHorizontalCorridor(a.x, b.x, a.y);
+            else this.createVerticalCorridor(a.y, b.y, a.x);
+        }
+
+        if (this.rooms.length === 0) {
+            const room = { x: first.x - 1, y: first.y - 1, width: 3, height: 3, type: 'normal', biome: 'crypt' };
+            this.rooms.push(room);
+            this.carveRoom(room);
+        }
+        const startIndex = this.rng.int(this.rooms.length);
+        const start = this.rooms.splice(startIndex, 1)[0];
+        start.type = 'start';
+        start.biome = 'start';
+        this.rooms.unshift(start);
+        orderRoomsFromStart(this.rooms);
+
+        this.addSecretRooms();
+        this.addDoors();
+    };
+
+    /**
+     * Mostly crypt; the odd chamber has caved in or taken on water
+     */
+    D.prototype.pickCatacombBiome = function() {
+        const roll = this.rng.random();
+        if (roll < 0.75) return 'crypt';
+        if (roll < 0.87) return 'cave';
+        if (roll < 0.95) return 'damp';
+        return 'normal';
+    };
+
+    // ===== VAULTS =====
+
+    /**
+     * Place up to MAX_VAULTS prefab vaults (prefabs.js): one with `chance`, a second with chance^2
+     */
+    D.prototype.stampVaults = function(chance) {
+        if (typeof Prefabs === 'undefined') return;
+        for (let i = 0; i < MAX_VAULTS && this.rng.chance(chance); i++) {
+            const prefab = Prefabs.pick(this.depth, this.rng);
+            if (prefab) this.placePrefab(prefab);
+        }
+    };
+
+    /**
+     * Stamp a prefab into solid rock and dig a passage from each entrance to the nearest floor.
+     * Runs before addStairs, which never picks a vault, so stairs stay out of prefabs.
+     * @returns {object|null} The vault's room, or null if no reachable spot was found
+     */
+    D.prototype.placePrefab = function(prefab) {
+        const maxAttempts = 100;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const left = 2 + this.rng.int(this.width - prefab.width - 4);
+            const top = 2 + this.rng.int(this.height - prefab.height - 4);
+            if (!this.isSolidArea(left - 1, top - 1, prefab.width + 2, prefab.height + 2)) continue;
+
+            const room = Prefabs.stamp(this, prefab, left, top);
+            const connected = prefab.entrances.filter(entrance => this.connectVaultEntrance({
+                x: left + entrance.x,
+                y: top + entrance.y,
+                dx: entrance.dx,
+                dy: entrance.dy
+            }, room)).length;
+            if (connected > 0) {
+                this.rooms.push(room);
+                return room;
+            }
+            // Nowhere to connect to
+            Prefabs.erase(this, prefab, left, top);
+        }
+        return null;
+    };
+
+    /**
+     * True if every tile of the rectangle is wall
+     */
+    D.prototype.isSolidArea = function(x, y, width, height) {
+        if (x < 0 || y < 0 || x + width > this.width || y + height > this.height) return false;
+        for (let ty = y; ty < y + height; ty++) {
+            for (let tx = x; tx < x + width; tx++) {
+                if (this.tiles[ty][tx].type !== 'wall') return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Dig from the tile outside an entrance to the nearest open tile: a breadth-first search
+     * through rock only, kept out of every vault (this one included), that stops at the first
+     * floor or door it reaches
+     * @param {{x: number, y: number, dx: number, dy: number}} entrance - Door and the way it faces out
+     * @param {object} vault - The vault's room (not in this.rooms until it is connected)
+     */
+    D.prototype.connectVaultEntrance = function(entrance, vault) {
+        const vaults = this.rooms.filter(room => room.type === 'vault').concat(vault);
+        const inVault = (x, y) => vaults.some(room =>
+            x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height);
+        const startX = entrance.x + entrance.dx;
+        const startY = entrance.y + entrance.dy;
+        if (!this.isInBounds(startX, startY) || inVault(startX, startY)) return false;
+
+        const key = (x, y) => y * this.width + x;
+        const cameFrom = new Map([[key(startX, startY), null]]);
+        const queue = [{ x: startX, y: startY }];
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            if (this.tiles[y][x].type !== 'wall') {
+                // Open ground: turn the rock between it and the entrance into a passage
+                for (let step = cameFrom.get(key(x, y)); step; step = cameFrom.get(key(step.x, step.y))) {
+                    this.setTile(step.x, step.y, 'floor');
+                }
+                return true;
+            }
+            for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 1 || ny < 1 || nx >= this.width - 1 || ny >= this.height - 1) continue;
+                if (cameFrom.has(key(nx, ny)) || inVault(nx, ny)) continue;
+                cameFrom.set(key(nx, ny), { x, y });
+                queue.push({ x: nx, y: ny });
+            }
+        }
+        return false;
+    };
+
+    // ===== REGISTRY =====
+
+    D.registerLayout('cave', {
+        weight: depth => (depth < 3 ? 0 : (depth <= 9 ? 6 : 3)),
+        arrivalMessage: 'The worked stone gives way to natural caverns.',
+        generate: dungeon => {
+            if (dungeon.generateCaveLayout()) return;
+            dungeon.layout = 'classic';
+            dungeon.generateClassicLayout();
+        }
+    });
+
+    D.registerLayout('lake', {
+        weight: depth => (depth < 2 ? 0 : 2),
+        vaultChance: 0.3,
+        arrivalMessage: 'You hear water lapping somewhere in the dark.',
+        generate: dungeon => dungeon.generateLakeLayout()
+    });
+
+    D.registerLayout('crypt', {
+        weight: depth => (depth < 5 ? 0 : (depth <= 12 ? 3 : 5)),
+        arrivalMessage: 'The air is cold and still. These passages are lined with the dead.',
+        generate: dungeon => dungeon.generateCatacombLayout()
+    });
+})();
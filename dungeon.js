@@ -3,9 +3,34 @@
  * Uses BSP (Binary Space Partitioning) algorithm
  */
 class Dungeon {
-    constructor(width = 160, height = 100) {
+    // Level layout generators by name (see registerLayout)
+    static LAYOUTS = {};
+
+    static MAX_GENERATION_ATTEMPTS = 3;
+
+    // Base trap difficulty by type (higher = harder to detect/disarm)
+    static TRAP_DIFFICULTY = {
+        dart: 30,
+        snare: 40,
+        gas_poison: 45,
+        gas_confuse: 45,
+        pit: 35,
+        alarm: 25,
+        sleep: 50
+    };
+
+    /**
+     * @param {object} [rng] - Map generation stream (see rng.js); Game passes a per-level stream
+     * @param {object} [options] - { depth, layout }: depth weighs the layout pick, layout forces one
+     */
+    constructor(width = 160, height = 100, rng = null, options = {}) {
         this.width = width;
         this.height = height;
+        this.rng = rng || RNG.get('map');
+        this.depth = options.depth || 1;
+        this.forcedLayout = options.layout || null; // Layout every generation attempt must use
+        this.layout = null; // Name of the generator that built the level
+        this.prefabSpawns = []; // Monsters and items placed by prefabs, spawned by Game once the spawners exist
         this.tiles = [];
         this.rooms = [];
         this.corridors = [];
@@ -159,7 +184,7 @@ class Dungeon {
     /**
      * Simulate drying/diffusion for blood and liquids; decay scent
      */
-    stepLiquids() {
+    stepLiquids(rng = RNG.get('environment')) {
         const width = this.width, height = this.height;
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
@@ -168,7 +193,7 @@ class Dungeon {
             }
         }
         if (typeof Liquids !== 'undefined') {
-            Liquids.step(this);
+            Liquids.step(this, rng);
         } else {
             const bloodDelta = Array.from({ length: height }, () => Array(width).fill(0));
             for (let y = 0; y < height; y++) {
@@ -176,8 +201,8 @@ class Dungeon {
                     const t = this.tiles[y][x];
                     if (t.type !== 'floor') continue;
                     if (t.blood && t.blood > 0) {
-                        if (Math.random() < 0.2) t.blood = Math.max(0, t.blood - 1);
-                        if (t.blood >= 3 && Math.random() < 0.2) {
+                        if (rng.random() < 0.2) t.blood = Math.max(0, t.blood - 1);
+                        if (t.blood >= 3 && rng.random() < 0.2) {
                             const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
                             const candidates = [];
                             for (const [dx, dy] of dirs) {
@@ -193,18 +218,18 @@ class Dungeon {
                                 bloodDelta[y][x] -= 1;
                             }
                         }
-                        if (t.blood > 0 && Math.random() < 0.1) t.bloodStain = Math.min(10, (t.bloodStain || 0) + 1);
+                        if (t.blood > 0 && rng.random() < 0.1) t.bloodStain = Math.min(10, (t.bloodStain || 0) + 1);
                     }
                     if (t.liquids) {
                         for (const key of Object.keys(t.liquids)) {
                             if (t.liquids[key] <= 0) { delete t.liquids[key]; continue; }
-                            if (Math.random() < 0.2) {
+                            if (rng.random() < 0.2) {
                                 t.liquids[key] = Math.max(0, t.liquids[key] - 1);
                                 if (t.liquids[key] === 0) { delete t.liquids[key]; continue; }
                             }
-                            if (t.liquids[key] >= 3 && Math.random() < 0.15) {
+                            if (t.liquids[key] >= 3 && rng.random() < 0.15) {
                                 const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-                                const [dx, dy] = dirs[Math.floor(Math.random() * dirs.length)];
+                                const [dx, dy] = dirs[Math.floor(rng.random() * dirs.length)];
                                 const nx = x + dx, ny = y + dy;
                                 if (this.isInBounds(nx, ny) && this.tiles[ny][nx].type === 'floor') {
                                     if (!this.tiles[ny][nx].liquids) this.tiles[ny][nx].liquids = {};
@@ -232,9 +257,9 @@ class Dungeon {
     /**
      * Simulate diffusion/decay for tile gases (delegates to Gases when available)
      */
-    stepGases() {
+    stepGases(rng = RNG.get('environment')) {
         if (typeof Gases !== 'undefined') {
-            Gases.step(this);
+            Gases.step(this, rng);
         } else {
             // Minimal fallback: decay gases slowly
             const width = this.width, height = this.height;
@@ -244,7 +269,7 @@ class Dungeon {
                     if (!t || t.type !== 'floor' || !t.gases) continue;
                     for (const key of Object.keys(t.gases)) {
                         if (t.gases[key] <= 0) { delete t.gases[key]; continue; }
-                        if (Math.random() < 0.15) {
+                        if (rng.random() < 0.15) {
                             t.gases[key] = Math.max(0, t.gases[key] - 1);
                             if (t.gases[key] === 0) delete t.gases[key];
                         }
@@ -279,9 +304,92 @@ class Dungeon {
     }
 
     /**
-     * Generate the dungeon - Classic maze-like style
+     * Register a level layout generator
+     * @param {string} name
+     * @param {object} layout - { weight(depth) -> relative chance (0: never), generate(dungeon),
+     *                            vaultChance (0-1, stamp vault templates), arrivalMessage }
+     *                          generate must leave rooms as the classic layout does: rectangles
+     *                          with a biome, the 'start' room first, stairs_down going in the last 'normal' one
+     */
+    static registerLayout(name, layout) {
+        Dungeon.LAYOUTS[name] = layout;
+    }
+
+    /**
+     * Generate the dungeon, then check it can be played through (dungeon-connectivity.js):
+     * cut-off pockets get repair passages, and an unsolvable level is generated again
      */
     generate() {
+        for (let attempt = 1; attempt <= Dungeon.MAX_GENERATION_ATTEMPTS; attempt++) {
+            if (attempt > 1) this.resetLayout();
+            this.generateLevel();
+            if (typeof this.ensureConnectivity !== 'function' || this.ensureConnectivity()) return;
+        }
+        console.warn(`Dungeon: no solvable level after ${Dungeon.MAX_GENERATION_ATTEMPTS} attempts (layout ${this.layout})`);
+    }
+
+    /**
+     * Back to solid rock with no rooms (before a layout or the whole level is generated again)
+     */
+    resetLayout() {
+        this.initTiles();
+        this.rooms = [];
+        this.corridors = [];
+        this.prefabSpawns = [];
+    }
+
+    /**
+     * One generation pass: the layout builds rooms and passages, then the shared
+     * passes add stairs, traps, vegetation and water
+     */
+    generateLevel() {
+        this.layout = this.pickLayout();
+        const layout = Dungeon.LAYOUTS[this.layout];
+        layout.generate(this);
+
+        // Hand-authored vaults (dungeon-layouts.js)
+        if (layout.vaultChance && typeof this.stampVaults === 'function') {
+            this.stampVaults(layout.vaultChance);
+        }
+
+        // Add stairs
+        this.addStairs();
+
+        // Decide which rooms are lit (lighting.js)
+        this.assignRoomLighting();
+
+        // Add traps after terrain features
+        this.addTraps();
+
+        // Place vegetation (moss, lichen, fungus) on some floor tiles
+        this.placeVegetation();
+
+        // Place water (groundwater / seepage) so it can spread and feed vegetation
+        this.placeWater();
+    }
+
+    /**
+     * The forced layout if registered, else a weighted pick among the layouts allowed at this depth
+     * (rolled again on every generation attempt, so an unsolvable layout is not retried as is)
+     */
+    pickLayout() {
+        if (this.forcedLayout && Dungeon.LAYOUTS[this.forcedLayout]) return this.forcedLayout;
+        const weighted = Object.keys(Dungeon.LAYOUTS)
+            .map(name => ({ name, weight: Math.max(0, Dungeon.LAYOUTS[name].weight(this.depth)) }))
+            .filter(entry => entry.weight > 0);
+        const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = this.rng.random() * total;
+        for (const entry of weighted) {
+            roll -= entry.weight;
+            if (roll < 0) return entry.name;
+        }
+        return 'classic';
+    }
+
+    /**
+     * Classic maze-like layout: rectangular rooms, corridors, winding passages and secret rooms
+     */
+    generateClassicLayout() {
         // Generate main rooms
         this.generateRooms();
         // Connect rooms with complex corridor system
@@ -294,19 +402,6 @@ class Dungeon {
         this.addDoors();
         // Add dead ends for exploration feel
         this.addDeadEnds();
-        
-        // Add stairs
-        this.addStairs();
-        
-
-        // Add traps after terrain features
-        this.addTraps();
-
-        // Place vegetation (moss, lichen, fungus) on some floor tiles
-        this.placeVegetation();
-
-        // Place water (groundwater / seepage) so it can spread and feed vegetation
-        this.placeWater();
     }
 
     /**
@@ -324,19 +419,19 @@ class Dungeon {
                 if (room && room.type === 'start') continue;
 
                 let chance = 0.06;
-                let amount = 2 + Math.floor(Math.random() * 5);
+                let amount = 2 + Math.floor(this.rng.random() * 5);
                 if (biome === 'flooded') {
                     chance = 0.28;
-                    amount = 4 + Math.floor(Math.random() * 8);
+                    amount = 4 + Math.floor(this.rng.random() * 8);
                 } else if (biome === 'damp') {
                     chance = 0.16;
-                    amount = 2 + Math.floor(Math.random() * 6);
+                    amount = 2 + Math.floor(this.rng.random() * 6);
                 } else if (biome === 'grove') {
                     chance = 0.12;
                 } else if (biome === 'crypt') {
                     chance = 0.04;
                 } else if (biome === 'barracks') chance = 0.02;
-                if (Math.random() > chance) continue;
+                if (this.rng.random() > chance) continue;
                 Liquids.addLiquid(this, x, y, 'water', amount);
             }
         }
@@ -378,9 +473,9 @@ class Dungeon {
                     placeChance = 0.26;
                     typeWeights = [4, 4, 4];
                 }
-                if (Math.random() > placeChance) continue;
+                if (this.rng.random() > placeChance) continue;
                 const total = typeWeights[0] + typeWeights[1] + typeWeights[2];
-                let r = Math.random() * total;
+                let r = this.rng.random() * total;
                 if (r < typeWeights[0]) tile.vegetation = 'moss';
                 else if (r < typeWeights[0] + typeWeights[1]) tile.vegetation = 'lichen';
                 else tile.vegetation = 'fungus';
@@ -392,7 +487,7 @@ class Dungeon {
      * Vegetation growth: spread under conditions (damp for moss/lichen, organic for fungus)
      * Call periodically from game loop (e.g. every 25 turns).
      */
-    stepVegetation() {
+    stepVegetation(rng = RNG.get('environment')) {
         const dirs = [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]];
         const candidates = [];
         for (let y = 0; y < this.height; y++) {
@@ -425,7 +520,7 @@ class Dungeon {
                     if (organic) spreadChance = 0.22;
                     if (adjacentVeg >= 1) spreadChance = Math.min(0.28, spreadChance + 0.08);
                 }
-                if (Math.random() >= spreadChance) continue;
+                if (rng.random() >= spreadChance) continue;
                 const empty = [];
                 for (const [dx, dy] of dirs) {
                     const nx = x + dx, ny = y + dy;
@@ -433,7 +528,7 @@ class Dungeon {
                     if (nt.type === 'floor' && !nt.vegetation) empty.push({ x: nx, y: ny });
                 }
                 if (empty.length === 0) continue;
-                const pick = empty[Math.floor(Math.random() * empty.length)];
+                const pick = empty[Math.floor(rng.random() * empty.length)];
                 this.tiles[pick.y][pick.x].vegetation = veg;
             }
         }
@@ -445,7 +540,7 @@ class Dungeon {
      */
     generateRooms() {
         const { linearScale, roomScale } = this.getMapScale();
-        const numRooms = Math.max(8, Math.floor((8 + Math.floor(Math.random() * 5)) * Math.min(linearScale, 3)));
+        const numRooms = Math.max(8, Math.floor((8 + Math.floor(this.rng.random() * 5)) * Math.min(linearScale, 3)));
         const maxAttempts = Math.min(400, 100 + numRooms * 15);
 
         for (let i = 0; i < numRooms; i++) {
@@ -454,21 +549,21 @@ class Dungeon {
 
             while (attempts < maxAttempts && !roomPlaced) {
                 let roomWidth, roomHeight;
-                if (Math.random() < 0.3) {
-                    roomWidth = Math.max(3, Math.floor((3 + Math.floor(Math.random() * 3)) * roomScale));
-                    roomHeight = Math.max(3, Math.floor((3 + Math.floor(Math.random() * 3)) * roomScale));
-                } else if (Math.random() < 0.6) {
-                    roomWidth = Math.max(4, Math.floor((5 + Math.floor(Math.random() * 4)) * roomScale));
-                    roomHeight = Math.max(4, Math.floor((4 + Math.floor(Math.random() * 4)) * roomScale));
+                if (this.rng.random() < 0.3) {
+                    roomWidth = Math.max(3, Math.floor((3 + Math.floor(this.rng.random() * 3)) * roomScale));
+                    roomHeight = Math.max(3, Math.floor((3 + Math.floor(this.rng.random() * 3)) * roomScale));
+                } else if (this.rng.random() < 0.6) {
+                    roomWidth = Math.max(4, Math.floor((5 + Math.floor(this.rng.random() * 4)) * roomScale));
+                    roomHeight = Math.max(4, Math.floor((4 + Math.floor(this.rng.random() * 4)) * roomScale));
                 } else {
-                    roomWidth = Math.max(5, Math.floor((7 + Math.floor(Math.random() * 6)) * roomScale));
-                    roomHeight = Math.max(4, Math.floor((5 + Math.floor(Math.random() * 5)) * roomScale));
+                    roomWidth = Math.max(5, Math.floor((7 + Math.floor(this.rng.random() * 6)) * roomScale));
+                    roomHeight = Math.max(4, Math.floor((5 + Math.floor(this.rng.random() * 5)) * roomScale));
                 }
 
                 const marginX = Math.floor(this.width * 0.08);
                 const marginY = Math.floor(this.height * 0.08);
-                const roomX = marginX + Math.floor(Math.random() * (this.width - roomWidth - marginX * 2));
-                const roomY = marginY + Math.floor(Math.random() * (this.height - roomHeight - marginY * 2));
+                const roomX = marginX + Math.floor(this.rng.random() * (this.width - roomWidth - marginX * 2));
+                const roomY = marginY + Math.floor(this.rng.random() * (this.height - roomHeight - marginY * 2));
                 
                 // Check if room overlaps with existing rooms
                 if (this.canPlaceRoom(roomX, roomY, roomWidth, roomHeight)) {
@@ -516,7 +611,7 @@ class Dungeon {
      * Pick a random room biome for environmental diversity.
      */
     pickRoomBiome() {
-        const roll = Math.random();
+        const roll = this.rng.random();
         if (roll < 0.18) return 'damp';
         if (roll < 0.32) return 'flooded';
         if (roll < 0.45) return 'grove';
@@ -557,10 +652,10 @@ class Dungeon {
         for (let i = 0; i < this.rooms.length - 1; i++) {
             this.createCorridor(this.rooms[i], this.rooms[i + 1]);
         }
-        const extraConnections = Math.min(this.rooms.length * 2, Math.floor((2 + Math.random() * 4) * linearScale));
+        const extraConnections = Math.min(this.rooms.length * 2, Math.floor((2 + this.rng.random() * 4) * linearScale));
         for (let i = 0; i < extraConnections && this.rooms.length > 2; i++) {
-            const room1 = this.rooms[Math.floor(Math.random() * this.rooms.length)];
-            const room2 = this.rooms[Math.floor(Math.random() * this.rooms.length)];
+            const room1 = this.rooms[Math.floor(this.rng.random() * this.rooms.length)];
+            const room2 = this.rooms[Math.floor(this.rng.random() * this.rooms.length)];
             if (room1 !== room2) {
                 this.createCorridor(room1, room2);
             }
@@ -578,7 +673,7 @@ class Dungeon {
         const y2 = room2.y + Math.floor(room2.height / 2);
         
         // Create simple L-shaped corridor - classic Rogue style
-        if (Math.random() > 0.5) {
+        if (this.rng.random() > 0.5) {
             // Horizontal first, then vertical
             this.createHorizontalCorridor(x1, x2, y1);
             this.createVerticalCorridor(y1, y2, x2);
@@ -630,7 +725,7 @@ class Dungeon {
      */
     addMazePassages() {
         const { linearScale } = this.getMapScale();
-        const numPassages = Math.min(25, Math.max(3, Math.floor((3 + Math.random() * 4) * linearScale)));
+        const numPassages = Math.min(25, Math.max(3, Math.floor((3 + this.rng.random() * 4) * linearScale)));
         for (let i = 0; i < numPassages; i++) {
             this.createWindingPassage();
         }
@@ -642,12 +737,12 @@ class Dungeon {
     createWindingPassage() {
         if (this.rooms.length === 0) return;
         const { roomScale } = this.getMapScale();
-        const room = this.rooms[Math.floor(Math.random() * this.rooms.length)];
-        const startX = room.x + Math.floor(Math.random() * room.width);
-        const startY = room.y + Math.floor(Math.random() * room.height);
+        const room = this.rooms[Math.floor(this.rng.random() * this.rooms.length)];
+        const startX = room.x + Math.floor(this.rng.random() * room.width);
+        const startY = room.y + Math.floor(this.rng.random() * room.height);
         let x = startX;
         let y = startY;
-        const baseLength = 15 + Math.floor(Math.random() * 10);
+        const baseLength = 15 + Math.floor(this.rng.random() * 10);
         const maxLength = Math.max(baseLength, Math.floor(baseLength * roomScale));
         
         for (let step = 0; step < maxLength; step++) {
@@ -661,7 +756,7 @@ class Dungeon {
             
             // Shuffle directions for randomness
             for (let i = directions.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = Math.floor(this.rng.random() * (i + 1));
                 [directions[i], directions[j]] = [directions[j], directions[i]];
             }
             
@@ -676,7 +771,7 @@ class Dungeon {
                     
                     // 70% chance to carve into walls, 30% chance to stop at floors
                     if (this.getTile(newX, newY).type === 'wall' || 
-                        (this.getTile(newX, newY).type === 'floor' && Math.random() < 0.3)) {
+                        (this.getTile(newX, newY).type === 'floor' && this.rng.random() < 0.3)) {
                         
                         if (this.getTile(newX, newY).type === 'wall') {
                             this.setTile(newX, newY, 'floor');
@@ -698,7 +793,7 @@ class Dungeon {
      */
     addSecretRooms() {
         const { linearScale } = this.getMapScale();
-        const numSecretRooms = Math.min(8, Math.max(1, Math.floor((1 + Math.random() * 3) * linearScale)));
+        const numSecretRooms = Math.min(8, Math.max(1, Math.floor((1 + this.rng.random() * 3) * linearScale)));
         for (let i = 0; i < numSecretRooms; i++) {
             this.createSecretRoom();
         }
@@ -712,10 +807,10 @@ class Dungeon {
         const maxAttempts = Math.min(200, Math.floor(80 * linearScale));
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const roomWidth = Math.max(3, Math.floor((3 + Math.floor(Math.random() * 3)) * roomScale));
-            const roomHeight = Math.max(3, Math.floor((3 + Math.floor(Math.random() * 3)) * roomScale));
-            const roomX = 2 + Math.floor(Math.random() * (this.width - roomWidth - 4));
-            const roomY = 2 + Math.floor(Math.random() * (this.height - roomHeight - 4));
+            const roomWidth = Math.max(3, Math.floor((3 + Math.floor(this.rng.random() * 3)) * roomScale));
+            const roomHeight = Math.max(3, Math.floor((3 + Math.floor(this.rng.random() * 3)) * roomScale));
+            const roomX = 2 + Math.floor(this.rng.random() * (this.width - roomWidth - 4));
+            const roomY = 2 + Math.floor(this.rng.random() * (this.height - roomHeight - 4));
             
             // Check if area is all walls (truly secret)
             let allWalls = true;
@@ -756,13 +851,15 @@ class Dungeon {
         const centerX = secretRoom.x + Math.floor(secretRoom.width / 2);
         const centerY = secretRoom.y + Math.floor(secretRoom.height / 2);
         
-        // Find nearest floor tile
+        // Find nearest floor tile outside the room itself
         let nearestFloor = null;
         let nearestDistance = Infinity;
         
         for (let y = 1; y < this.height - 1; y++) {
             for (let x = 1; x < this.width - 1; x++) {
-                if (this.getTile(x, y).type === 'floor') {
+                const inSecretRoom = x >= secretRoom.x && x < secretRoom.x + secretRoom.width &&
+                                     y >= secretRoom.y && y < secretRoom.y + secretRoom.height;
+                if (!inSecretRoom && this.getTile(x, y).type === 'floor') {
                     const distance = Math.abs(x - centerX) + Math.abs(y - centerY);
                     if (distance < nearestDistance) {
                         nearestDistance = distance;
@@ -803,6 +900,7 @@ class Dungeon {
     addDoors() {
         for (const room of this.rooms) {
             if (room.type === 'secret') continue; // Secret rooms don't have doors
+            if (room.type === 'cavern') continue; // Irregular open areas have no walls to hang doors in
             
             // Find corridor connections to this room
             this.addDoorsToRoom(room);
@@ -830,7 +928,7 @@ class Dungeon {
         // Place doors at valid connection points
         for (const pos of filteredCandidates) {
             // Classic roguelike: 60-80% chance to place door at valid connection
-            if (Math.random() < 0.7) {
+            if (this.rng.random() < 0.7) {
                 this.setTile(pos.x, pos.y, 'door');
             }
         }
@@ -1084,7 +1182,7 @@ class Dungeon {
      */
     addDeadEnds() {
         const { linearScale } = this.getMapScale();
-        const numDeadEnds = Math.min(16, Math.max(2, Math.floor((2 + Math.random() * 4) * linearScale)));
+        const numDeadEnds = Math.min(16, Math.max(2, Math.floor((2 + this.rng.random() * 4) * linearScale)));
         for (let i = 0; i < numDeadEnds; i++) {
             this.createDeadEnd();
         }
@@ -1099,15 +1197,15 @@ class Dungeon {
         let attempts = 0;
         const maxAttempts = Math.min(150, Math.floor(50 * linearScale));
         do {
-            startX = 1 + Math.floor(Math.random() * (this.width - 2));
-            startY = 1 + Math.floor(Math.random() * (this.height - 2));
+            startX = 1 + Math.floor(this.rng.random() * (this.width - 2));
+            startY = 1 + Math.floor(this.rng.random() * (this.height - 2));
             attempts++;
         } while (attempts < maxAttempts &&
                  (this.getTile(startX, startY).type !== 'floor' || this.isInRoom(startX, startY)));
         if (attempts >= maxAttempts) return;
-        const baseLength = 3 + Math.floor(Math.random() * 5);
+        const baseLength = 3 + Math.floor(this.rng.random() * 5);
         const length = Math.max(baseLength, Math.floor(baseLength * roomScale));
-        const direction = Math.floor(Math.random() * 4);
+        const direction = Math.floor(this.rng.random() * 4);
         const directions = [
             { dx: 0, dy: -1 }, // North
             { dx: 1, dy: 0 },  // East
@@ -1153,20 +1251,37 @@ class Dungeon {
         
         // Place stairs up in the starting room
         const upRoom = this.rooms.find(room => room.type === 'start') || this.rooms[0];
-        const upStairsX = upRoom.x + 1 + Math.floor(Math.random() * (upRoom.width - 2));
-        const upStairsY = upRoom.y + 1 + Math.floor(Math.random() * (upRoom.height - 2));
+        const upStairsX = upRoom.x + 1 + Math.floor(this.rng.random() * (upRoom.width - 2));
+        const upStairsY = upRoom.y + 1 + Math.floor(this.rng.random() * (upRoom.height - 2));
         this.setTile(upStairsX, upStairsY, 'stairs_up');
         
-        // Place stairs down in the furthest room
+        // Place stairs down in the furthest room (vaults, caverns and secret rooms are not candidates)
         if (this.rooms.length > 1) {
-            const normalRooms = this.rooms.filter(room => room.type !== 'secret');
-            const downRoom = normalRooms[normalRooms.length - 1];
-            const downStairsX = downRoom.x + 1 + Math.floor(Math.random() * (downRoom.width - 2));
-            const downStairsY = downRoom.y + 1 + Math.floor(Math.random() * (downRoom.height - 2));
+            const normalRooms = this.rooms.filter(room => room.type === 'normal');
+            const downRoom = normalRooms[normalRooms.length - 1] || this.rooms[this.rooms.length - 1];
+            const downStairsX = downRoom.x + 1 + Math.floor(this.rng.random() * (downRoom.width - 2));
+            const downStairsY = downRoom.y + 1 + Math.floor(this.rng.random() * (downRoom.height - 2));
             this.setTile(downStairsX, downStairsY, 'stairs_down');
         }
     }
 
+    /**
+     * Mark rooms lit (room.lit) or dark. The start room is always lit; the deeper the level,
+     * the fewer lit rooms, and natural caves are darker still. Secret rooms are never lit.
+     */
+    assignRoomLighting() {
+        const litChance = Math.max(0.1, 0.8 - this.depth * 0.05);
+        for (const room of this.rooms) {
+            if (room.type === 'start') {
+                room.lit = true;
+            } else if (room.type === 'secret') {
+                room.lit = false;
+            } else {
+                room.lit = this.rng.chance(room.biome === 'cave' ? litChance / 2 : litChance);
+            }
+        }
+    }
+
     /**
      * Place traps across the dungeon (NetHack/Angband-inspired)
      * Traps are stored on floor tiles as tile.trap = { type, hidden, revealed, disarmed, difficulty }
@@ -1182,8 +1297,8 @@ class Dungeon {
 
         while (placed < targetCount && attempts < maxAttempts) {
             attempts++;
-            const x = 1 + Math.floor(Math.random() * (this.width - 2));
-            const y = 1 + Math.floor(Math.random() * (this.height - 2));
+            const x = 1 + Math.floor(this.rng.random() * (this.width - 2));
+            const y = 1 + Math.floor(this.rng.random() * (this.height - 2));
             const tile = this.getTile(x, y);
 
             // Only place on floor, avoid stairs and doors
@@ -1194,7 +1309,7 @@ class Dungeon {
             // Bias: Corridors, junctions, room entrances slightly more likely
             const corridorBias = this.isCorridor(x, y) ? 1.3 : 1.0;
             const junctionBias = this.isJunction(x, y) ? 1.3 : 1.0;
-            if (Math.random() > 0.25 * corridorBias * junctionBias) continue;
+            if (this.rng.random() > 0.25 * corridorBias * junctionBias) continue;
 
             const trap = this.createRandomTrap();
             tile.trap = trap;
@@ -1236,27 +1351,31 @@ class Dungeon {
         return count >= 3;
     }
 
+    /**
+     * Create a hidden trap of the given type
+     */
+    createTrap(type) {
+        return { type, hidden: true, revealed: false, disarmed: false, difficulty: Dungeon.TRAP_DIFFICULTY[type] || 30 };
+    }
+
     /**
      * Create a random trap definition
      */
     createRandomTrap() {
-        const trapRoll = Math.random();
+        const trapRoll = this.rng.random();
         // Basic set inspired by classic roguelikes
-        // Each has a base difficulty (higher = harder to detect/disarm)
         if (trapRoll < 0.30) {
-            return { type: 'dart', hidden: true, revealed: false, disarmed: false, difficulty: 30 };
+            return this.createTrap('dart');
         } else if (trapRoll < 0.55) {
-            return { type: 'snare', hidden: true, revealed: false, disarmed: false, difficulty: 40 };
+            return this.createTrap('snare');
         } else if (trapRoll < 0.75) {
             // Gas trap variants
-            const gasType = Math.random() < 0.6 ? 'gas_poison' : 'gas_confuse';
-            return { type: gasType, hidden: true, revealed: false, disarmed: false, difficulty: 45 };
+            return this.createTrap(this.rng.random() < 0.6 ? 'gas_poison' : 'gas_confuse');
         } else if (trapRoll < 0.90) {
-            return { type: 'pit', hidden: true, revealed: false, disarmed: false, difficulty: 35 };
+            return this.createTrap('pit');
         } else {
             // Rare soporific cloud trap
-            const sleepType = Math.random() < 0.5 ? 'alarm' : 'sleep';
-            return { type: sleepType, hidden: true, revealed: false, disarmed: false, difficulty: sleepType === 'sleep' ? 50 : 25 };
+            return this.createTrap(this.rng.random() < 0.5 ? 'alarm' : 'sleep');
         }
     }
     
@@ -1266,10 +1385,10 @@ class Dungeon {
     getRandomWalkablePosition() {
         if (this.rooms.length === 0) return { x: 1, y: 1 };
         
-        const room = this.rooms[Math.floor(Math.random() * this.rooms.length)];
+        const room = this.rooms[Math.floor(this.rng.random() * this.rooms.length)];
         return {
-            x: room.x + Math.floor(Math.random() * room.width),
-            y: room.y + Math.floor(Math.random() * room.height)
+            x: room.x + Math.floor(this.rng.random() * room.width),
+            y: room.y + Math.floor(this.rng.random() * room.height)
         };
     }
     
@@ -1288,8 +1407,8 @@ class Dungeon {
             const room = this.rooms[0];
             // Find a floor tile that's not stairs
             for (let attempts = 0; attempts < 20; attempts++) {
-                const x = room.x + 1 + Math.floor(Math.random() * (room.width - 2));
-                const y = room.y + 1 + Math.floor(Math.random() * (room.height - 2));
+                const x = room.x + 1 + Math.floor(this.rng.random() * (room.width - 2));
+                const y = room.y + 1 + Math.floor(this.rng.random() * (room.height - 2));
                 
                 if (this.getTile(x, y).type === 'floor') {
                     return { x, y };
@@ -1326,4 +1445,14 @@ class Dungeon {
     isInBounds(x, y) {
         return x >= 0 && x < this.width && y >= 0 && y < this.height;
     }
-} 
\ No newline at end of file
+}
+
+Dungeon.registerLayout('classic', {
+    weight: () => 10,
+    vaultChance: 0.4,
+    generate: dungeon => dungeon.generateClassicLayout()
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Dungeon };
+}
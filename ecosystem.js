@@ -397,3 +397,7 @@ const Ecosystem = (function() {
         RIVALS
     };
 })();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Ecosystem };
+}
@@ -6,149 +6,86 @@ class FOV {
     constructor(dungeon) {
         this.dungeon = dungeon;
         this.visibleTiles = new Set();
+        this.dimTiles = new Set(); // Visible, but not brightly lit (drawn dimmer)
         this.exploredTiles = new Set();
         this.viewRange = 5; // Player's sight range in rooms
     }
-    
-    /**
-     * Calculate visible area from player position - corridor-aware
-     */
-    calculateVisibility(playerX, playerY) {
-        this.visibleTiles.clear();
-        
-        // Add player position as visible
-        this.addVisibleTile(playerX, playerY);
-        
-        // Check if player is in a corridor
-        const inCorridor = this.isInCorridor(playerX, playerY);
-        
-        if (inCorridor) {
-            // Limited corridor visibility - only along the corridor direction
-            this.calculateCorridorVisibility(playerX, playerY);
-        } else {
-            // Normal room visibility
-            this.calculateRoomVisibility(playerX, playerY);
-        }
-        
-        // Add all visible tiles to explored tiles
-        for (const tileKey of this.visibleTiles) {
-            this.exploredTiles.add(tileKey);
-        }
-    }
-    
-    /**
-     * Check if player is in a corridor (narrow passage)
-     */
-    isInCorridor(x, y) {
-        // Check if surrounded by walls on at least 2 opposite sides
-        const north = this.dungeon.getTile(x, y - 1).type === 'wall';
-        const south = this.dungeon.getTile(x, y + 1).type === 'wall';
-        const east = this.dungeon.getTile(x + 1, y).type === 'wall';
-        const west = this.dungeon.getTile(x - 1, y).type === 'wall';
-        
-        // Horizontal corridor (walls north and south)
-        if (north && south && (!east || !west)) {
-            return 'horizontal';
-        }
-        
-        // Vertical corridor (walls east and west)  
-        if (east && west && (!north || !south)) {
-            return 'vertical';
-        }
-        
-        return false;
-    }
-    
+
     /**
-     * Calculate visibility in corridors - limited to corridor direction
+     * Symmetric recursive shadowcasting (Albert Ford's variant): if A sees B, B sees A.
+     * Walls and closed doors block; the blocking tiles themselves are revealed.
+     * Also used by Lighting to spread light from its sources.
+     * @param {Dungeon} dungeon
+     * @param {function(number, number)} reveal - Called for the origin and every tile in sight within radius
      */
-    calculateCorridorVisibility(playerX, playerY) {
-        const corridorType = this.isInCorridor(playerX, playerY);
-        // Corridor sight range also respects current viewRange (light,状態異常など)
-        const range = Math.max(1, Math.min(this.viewRange, 6)); // clamp for safety
-        
-        if (corridorType === 'horizontal') {
-            // See along east-west direction only
-            this.castRayInDirection(playerX, playerY, 1, 0, range);   // East
-            this.castRayInDirection(playerX, playerY, -1, 0, range);  // West
-        } else if (corridorType === 'vertical') {
-            // See along north-south direction only
-            this.castRayInDirection(playerX, playerY, 0, 1, range);   // South
-            this.castRayInDirection(playerX, playerY, 0, -1, range);  // North
-        }
-        
-        // Also see immediately adjacent cells
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                if (dx === 0 && dy === 0) continue;
-                const x = playerX + dx;
-                const y = playerY + dy;
-                if (this.dungeon.isInBounds(x, y)) {
-                    this.addVisibleTile(x, y);
+    static shadowcast(dungeon, originX, originY, radius, reveal) {
+        const blocksSight = (x, y) => {
+            if (!dungeon.isInBounds(x, y)) return true;
+            const tile = dungeon.getTile(x, y);
+            return tile.type === 'wall' || (tile.type === 'door' && tile.doorState !== 'open');
+        };
+        const inRadius = (depth, col) => depth * depth + col * col <= radius * radius + radius;
+
+        reveal(originX, originY);
+        // Quadrants north, east, south, west: (depth, col) -> map coordinates
+        const transforms = [
+            (depth, col) => [originX + col, originY - depth],
+            (depth, col) => [originX + depth, originY + col],
+            (depth, col) => [originX + col, originY + depth],
+            (depth, col) => [originX - depth, originY + col]
+        ];
+
+        for (const transform of transforms) {
+            const scan = (depth, startSlope, endSlope) => {
+                if (depth > radius) return;
+                let previousBlocked = null;
+                const minCol = Math.floor(depth * startSlope + 0.5);
+                const maxCol = Math.ceil(depth * endSlope - 0.5);
+                for (let col = minCol; col <= maxCol; col++) {
+                    const [x, y] = transform(depth, col);
+                    const blocked = blocksSight(x, y);
+                    const symmetric = col >= depth * startSlope && col <= depth * endSlope;
+                    if ((blocked || symmetric) && inRadius(depth, col) && dungeon.isInBounds(x, y)) {
+                        reveal(x, y);
+                    }
+                    if (previousBlocked === true && !blocked) {
+                        startSlope = (2 * col - 1) / (2 * depth);
+                    }
+                    if (previousBlocked === false && blocked) {
+                        scan(depth + 1, startSlope, (2 * col - 1) / (2 * depth));
+                    }
+                    previousBlocked = blocked;
                 }
-            }
+                if (previousBlocked === false) scan(depth + 1, startSlope, endSlope);
+            };
+            scan(1, -1, 1);
         }
     }
     
     /**
-     * Calculate normal room visibility
+     * Calculate visible area from player position
+     * @param {Lighting} [lighting] - Light levels; without it every tile in range counts as lit
+     * @param {number} [darkSight=1] - Distance at which unlit tiles can still be made out
      */
-    calculateRoomVisibility(playerX, playerY) {
-        const rayCount = 64;
-        
-        for (let i = 0; i < rayCount; i++) {
-            const angle = (i / rayCount) * 2 * Math.PI;
-            this.castRay(playerX, playerY, angle);
-        }
-    }
-    
-    /**
-     * Cast ray in specific direction
-     */
-    castRayInDirection(startX, startY, dx, dy, maxRange) {
-        for (let distance = 1; distance <= maxRange; distance++) {
-            const x = startX + dx * distance;
-            const y = startY + dy * distance;
-            
-            if (!this.dungeon.isInBounds(x, y)) {
-                break;
+    calculateVisibility(playerX, playerY, lighting = null, darkSight = 1) {
+        this.visibleTiles.clear();
+        this.dimTiles.clear();
+
+        FOV.shadowcast(this.dungeon, playerX, playerY, this.viewRange, (x, y) => {
+            if (!lighting) {
+                this.addVisibleTile(x, y);
+                return;
             }
-            
+            const light = lighting.getLevel(x, y);
+            const near = Math.max(Math.abs(x - playerX), Math.abs(y - playerY)) <= darkSight;
+            if (light === Lighting.DARK && !near) return; // In sight, but too dark to see
             this.addVisibleTile(x, y);
-            
-            const tile = this.dungeon.getTile(x, y);
-            if (tile.type === 'wall' || 
-                (tile.type === 'door' && tile.doorState !== 'open')) {
-                break;
-            }
-        }
-    }
-    
-    /**
-     * Cast a ray from player position at given angle
-     */
-    castRay(startX, startY, angle) {
-        const dx = Math.cos(angle);
-        const dy = Math.sin(angle);
+            if (light < Lighting.LIT) this.dimTiles.add(`${x},${y}`);
+        });
         
-        for (let distance = 1; distance <= this.viewRange; distance++) {
-            const x = Math.round(startX + dx * distance);
-            const y = Math.round(startY + dy * distance);
-            
-            // Check bounds
-            if (!this.dungeon.isInBounds(x, y)) {
-                break;
-            }
-            
-            // Add tile to visible set
-            this.addVisibleTile(x, y);
-            
-            // Stop ray if we hit a wall or closed door
-            const tile = this.dungeon.getTile(x, y);
-            if (tile.type === 'wall' || 
-                (tile.type === 'door' && tile.doorState !== 'open')) {
-                break;
-            }
+        // Add all visible tiles to explored tiles
+        for (const tileKey of this.visibleTiles) {
+            this.exploredTiles.add(tileKey);
         }
     }
     
@@ -180,9 +117,11 @@ class FOV {
      * Get visibility status for a tile
      */
     getTileVisibility(x, y) {
+        const visible = this.isVisible(x, y);
         return {
-            visible: this.isVisible(x, y),
-            explored: this.isExplored(x, y)
+            visible,
+            explored: this.isExplored(x, y),
+            dim: visible && this.dimTiles.has(`${x},${y}`)
         };
     }
     
@@ -205,9 +144,33 @@ class FOV {
      */
     reset() {
         this.visibleTiles.clear();
+        this.dimTiles.clear();
         this.exploredTiles.clear();
     }
     
+    /**
+     * Bresenham-style line from (fromX, fromY) through (toX, toY): one tile per step along the
+     * longer axis, the other axis rounded. Continues past the target when steps is larger than
+     * the distance (a projectile flying on). Used for line of sight and projectile paths.
+     * @param {number} [steps] - Tiles to return (default: up to the target)
+     * @returns {Array<{x: number, y: number}>} Tiles in order, not including the start
+     */
+    static getLine(fromX, fromY, toX, toY, steps = null) {
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const line = [];
+        if (distance === 0) return line;
+        const count = steps === null ? distance : steps;
+        for (let i = 1; i <= count; i++) {
+            line.push({
+                x: Math.round(fromX + dx / distance * i),
+                y: Math.round(fromY + dy / distance * i)
+            });
+        }
+        return line;
+    }
+    
     /**
      * Check if there's a clear line of sight between two points
      */
@@ -226,15 +189,8 @@ class FOV {
             return true;
         }
         
-        // Use Bresenham-like algorithm to check line of sight
-        const steps = distance;
-        const stepX = dx / steps;
-        const stepY = dy / steps;
-        
-        for (let i = 1; i <= steps; i++) {
-            const checkX = Math.round(fromX + stepX * i);
-            const checkY = Math.round(fromY + stepY * i);
-            
+        // Walk the same line projectiles fly along (FOV.getLine)
+        for (const { x: checkX, y: checkY } of FOV.getLine(fromX, fromY, toX, toY, distance)) {
             // Check bounds
             if (!this.dungeon.isInBounds(checkX, checkY)) {
                 return false;
@@ -328,5 +284,10 @@ class FOV {
         
         // Clear visible tiles (will be recalculated)
         this.visibleTiles.clear();
+        this.dimTiles.clear();
     }
-} 
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FOV };
+}
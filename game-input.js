@@ -10,6 +10,9 @@
 
     const GameRef = Game;
 
+    // Defeat causes that award experience (traps, DoT and monster fights do not)
+    const PLAYER_KILL_CAUSES = ['player', 'melee', 'thrown', 'door', 'spell'];
+
     /**
      * Set up event listeners
      */
@@ -53,10 +56,39 @@
         return null;
     };
 
-    GameRef.prototype.beginThrowDirectionSelection = function(selection) {
-        // selection can be a letter (inventory) or { equipSlot: 'weapon'|'shield' }
-        this.awaitingThrowDirection = typeof selection === 'string' ? { letter: selection } : selection;
-        if (this.renderer) this.renderer.addLogMessage('Throw in which direction?');
+    /**
+     * Aim a throw with the targeting cursor (see game-ranged.js); t or Enter throws
+     * @param {string|Object} selection - Inventory letter, or { equipSlot: 'weapon'|'shield' }
+     */
+    GameRef.prototype.beginThrowTargeting = function(selection) {
+        if (!this.player) return;
+        selection = typeof selection === 'string' ? { letter: selection } : selection;
+        const item = selection.equipSlot ? this.player.equipment[selection.equipSlot] : this.player.getInventoryItem(selection.letter);
+        if (!item) {
+            if (this.renderer) this.renderer.addLogMessage(selection.equipSlot ? 'Nothing equipped there.' : 'No such item.', 'normal');
+            return;
+        }
+        this.startAiming('throw', this.getThrowRange(item), { selection });
+        if (this.renderer) {
+            this.renderer.addLogMessage(`Throw ${ItemIdentification.getKnownName(item)}: hjklyubn to aim (Shift: faster), Tab for the next monster, t or Enter to throw, Escape to cancel.`);
+        }
+        this.describeTile(this.targeting.x, this.targeting.y);
+    };
+
+    /**
+     * How far the player can throw one of this item: farther when strong and nimble, less when heavy
+     */
+    GameRef.prototype.getThrowRange = function(item) {
+        const strMod = this.player.getClassicModifier(this.player.strength);
+        const dexMod = this.player.getClassicModifier(this.player.dexterity);
+        const baseRange = 4 + Math.max(0, strMod) + Math.max(0, dexMod);
+        const singleWeight = (() => {
+            if (typeof item.getEffectiveWeight === 'function') return item.getEffectiveWeight();
+            if (typeof item.weight === 'number') return item.weight;
+            return 1;
+        })();
+        const weightPenalty = Math.max(0, Math.floor(singleWeight)); // throwing one unit
+        return Math.max(2, baseRange - weightPenalty);
     };
 
     GameRef.prototype.beginIgniteDirectionSelection = function() {
@@ -111,10 +143,17 @@
         this.postPlayerAction();
     };
 
-    GameRef.prototype.finishThrowWithDirection = function(dx, dy) {
-        const state = this.awaitingThrowDirection;
-        this.awaitingThrowDirection = null;
+    /**
+     * Throw the aimed item at the cursor tile
+     * @param {Object} aim - Targeting state from beginThrowTargeting: { x, y, range, selection }
+     */
+    GameRef.prototype.throwAt = function(aim) {
+        const state = aim.selection;
         if (!state || !this.player) return;
+        if (aim.x === this.player.x && aim.y === this.player.y) {
+            if (this.renderer) this.renderer.addLogMessage('You cannot throw at yourself.', 'normal');
+            return;
+        }
         let projectile = null;
         if (state.equipSlot) {
             // Throw equipped weapon/shield directly
@@ -124,6 +163,7 @@
                 if (this.renderer) this.renderer.addLogMessage('Nothing equipped there.', 'normal');
                 return;
             }
+            if (!this.player.canRemoveEquipment(slot)) return;
             // Unequip to projectile, slot becomes empty
             this.player.equipment[slot] = null;
             projectile = equipped;
@@ -145,44 +185,28 @@
             projectile = removed;
         }
         
-        // Compute max range based on strength/dexterity and item weight
-        const strMod = this.player.getClassicModifier(this.player.strength);
-        const dexMod = this.player.getClassicModifier(this.player.dexterity);
-        const baseRange = 4 + Math.max(0, strMod) + Math.max(0, dexMod);
-        const singleWeight = (() => {
-            if (typeof projectile.getEffectiveWeight === 'function') return projectile.getEffectiveWeight();
-            if (typeof projectile.weight === 'number') return projectile.weight;
-            return 1;
-        })();
-        const weight = singleWeight; // throwing one unit
-        const weightPenalty = Math.max(0, Math.floor(weight));
-        const maxRange = Math.max(2, baseRange - weightPenalty);
-        
-        this.resolveThrow(projectile, dx, dy, maxRange);
+        this.resolveThrow(projectile, this.getProjectilePath(this.player.x, this.player.y, aim.x, aim.y, aim.range));
     };
 
-    GameRef.prototype.resolveThrow = function(projectile, dx, dy, maxRange) {
+    /**
+     * Fly a thrown item along its path (getProjectilePath); potions shatter and corpses burst
+     * where they stop
+     */
+    GameRef.prototype.resolveThrow = function(projectile, path) {
         const startX = this.player.x;
         const startY = this.player.y;
-        let x = startX;
-        let y = startY;
         let lastFreeX = startX;
         let lastFreeY = startY;
         
-        for (let step = 1; step <= maxRange; step++) {
-            x += Math.sign(dx);
-            y += Math.sign(dy);
-            
-            if (!this.dungeon.isInBounds(x, y)) break;
-            const tile = this.dungeon.getTile(x, y);
+        for (const { x, y } of path) {
             // Check collision with walls/closed doors
-            if (tile.type === 'wall' || (tile.type === 'door' && tile.doorState !== 'open')) {
+            if (this.isProjectileBlocked(x, y)) {
                 // Hard collision for non-potion thrown items
                 if (projectile.type !== 'potion') {
                     if ((projectile.type === 'weapon' || projectile.weaponDamage) && typeof projectile.takeDurabilityDamage === 'function') {
                         const broke = projectile.takeDurabilityDamage(1, 'thrown_wall');
                         if (broke && this.renderer) {
-                            this.renderer.addBattleLogMessage(`Your ${projectile.name} breaks on the wall!`, 'warning');
+                            this.renderer.addBattleLogMessage(`Your ${ItemIdentification.getKnownName(projectile)} breaks on the wall!`, 'warning');
                         }
                     }
                 }
@@ -202,7 +226,7 @@
                     if (outcome.hit) {
                         // Non-potion items drop at the impact tile after a resolved hit
                         if (projectile.type === 'corpse') {
-                            if (this.renderer) this.renderer.addBattleLogMessage('The corpse is destroyed on impact.', 'warning');
+                            this.handleCorpseImpact(projectile, x, y, 'The corpse is destroyed on impact.');
                         } else {
                             this.dropProjectileAt(projectile, x, y);
                         }
@@ -210,7 +234,7 @@
                         if ((projectile.type === 'weapon' || projectile.weaponDamage) && typeof projectile.takeDurabilityDamage === 'function') {
                             const broke = projectile.takeDurabilityDamage(1, 'thrown_hit');
                             if (broke && this.renderer) {
-                                this.renderer.addBattleLogMessage(`Your ${projectile.name} breaks on impact!`, 'warning');
+                                this.renderer.addBattleLogMessage(`Your ${ItemIdentification.getKnownName(projectile)} breaks on impact!`, 'warning');
                             }
                         }
                         this.postPlayerAction();
@@ -233,14 +257,14 @@
         if (projectile.type === 'potion') {
             this.handlePotionShatter(projectile, lastFreeX, lastFreeY, null);
         } else if (projectile.type === 'corpse') {
-            if (this.renderer) this.renderer.addLogMessage('The corpse splatters and is destroyed.', 'warning');
+            this.handleCorpseImpact(projectile, lastFreeX, lastFreeY, 'The corpse splatters and is destroyed.');
         } else {
             this.dropProjectileAt(projectile, lastFreeX, lastFreeY);
             // Durability wear on thrown item landing
             if ((projectile.type === 'weapon' || projectile.weaponDamage) && typeof projectile.takeDurabilityDamage === 'function') {
                 const broke = projectile.takeDurabilityDamage(1, 'thrown_impact');
                 if (broke && this.renderer) {
-                    this.renderer.addBattleLogMessage(`Your ${projectile.name} breaks when it lands!`, 'warning');
+                    this.renderer.addBattleLogMessage(`Your ${ItemIdentification.getKnownName(projectile)} breaks when it lands!`, 'warning');
                 }
             }
             if (this.renderer) this.renderer.addLogMessage('You throw and it lands on the ground.');
@@ -248,21 +272,33 @@
         this.postPlayerAction();
     };
 
+    /**
+     * To-hit penalty for a shot at this distance: -1 per 2 tiles beyond point-blank range
+     * (1 tile thrown, half the launcher's range when fired)
+     */
+    GameRef.prototype.getRangePenalty = function(distance, launcher = null) {
+        const pointBlank = launcher ? Math.max(1, Math.floor(launcher.range / 2)) : 1;
+        return -Math.floor(Math.max(0, distance - pointBlank) / 2);
+    };
+
     // Perform to-hit, detailed logging, damage + status resolution for thrown attacks
-    GameRef.prototype.attemptThrownAttack = function(projectile, monster, distance) {
-        // Build thrown to-hit (align baseline with melee toHit, swap STR with DEX)
+    // (and for ammunition fired from a launcher, which adds its launchDamage and full AP)
+    GameRef.prototype.attemptThrownAttack = function(projectile, monster, distance, launcher = null) {
+        // Build thrown to-hit (align baseline with melee toHit, swap STR with DEX);
+        // the wielded launcher's bonus and skill are already part of toHit
         const base = this.player.toHit || 0;
         const dexMod = this.player.getClassicModifier(this.player.dexterity);
         const strMod = this.player.getClassicModifier(this.player.strength);
         const weight = (typeof projectile.getEffectiveWeight === 'function') ? projectile.getEffectiveWeight() : (projectile.weight || 1);
         const weightPenalty = -Math.floor(weight / 2);
-        const rangePenalty = -Math.floor(Math.max(0, distance - 1) / 2); // -1 per 2 tiles beyond 1
+        const rangePenalty = this.getRangePenalty(distance, launcher);
         const weaponBonus = (projectile.toHitBonus && (projectile.type === 'weapon' || projectile.weaponType)) ? projectile.toHitBonus : 0;
-        const thrownMods = (dexMod - strMod) + weightPenalty + rangePenalty + weaponBonus;
+        const unseenPenalty = this.getUnseenAttackPenalty(monster);
+        const thrownMods = (dexMod - strMod) + weightPenalty + rangePenalty + weaponBonus + unseenPenalty;
         const toHitThrown = base + thrownMods;
         
         // THAC0-style roll
-        const naturalRoll = Math.floor(Math.random() * 20) + 1;
+        const naturalRoll = Math.floor(this.rng.combat.random() * 20) + 1;
         const requiredRoll = monster.armorClass - toHitThrown;
         
         // Log attempt with breakdown (also when target is not visible)
@@ -271,8 +307,10 @@
             const baseText = base >= 0 ? `+${base}` : `${base}`;
             const modsText = thrownMods >= 0 ? `+${thrownMods}` : `${thrownMods}`;
             const details = `range${distance}, w${Math.floor(weight)}`;
-            const targetName = (this.fov && this.fov.isVisible(monster.x, monster.y)) ? monster.name : 'something';
-            this.renderer.addBattleLogMessage(`You throw ${projectile.name} at ${targetName}... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${monster.armorClass}, hit${toHitText} (base${baseText}, mods${modsText}), ${details})`);
+            const targetName = this.canSeeMonster(monster) ? monster.name
+                : (this.isMonsterHidden(monster) ? 'something unseen' : 'something');
+            const verb = launcher ? 'fire' : 'throw';
+            this.renderer.addBattleLogMessage(`You ${verb} ${ItemIdentification.getKnownName(projectile)} at ${targetName}... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${monster.armorClass}, hit${toHitText} (base${baseText}, mods${modsText}), ${details})`);
         }
         
         if (naturalRoll < requiredRoll && naturalRoll !== 20) {
@@ -283,9 +321,13 @@
         // Compute damage
         const isWeapon = projectile.type === 'weapon' || projectile.weaponDamage;
         let damage = 0;
-        if (isWeapon) {
+        if (launcher) {
+            // The launcher, not the arm, drives the shot: no strength bonus
+            const roll = Math.floor(this.rng.combat.random() * (projectile.weaponDamage || 4)) + 1;
+            damage = Math.max(1, roll + (projectile.damage || 0) + (launcher.launchDamage || 0) + (launcher.enchantment || 0));
+        } else if (isWeapon) {
             const die = projectile.weaponDamage || 4;
-            const roll = Math.floor(Math.random() * die) + 1;
+            const roll = Math.floor(this.rng.combat.random() * die) + 1;
             damage = Math.max(1, this.player.getClassicModifier(this.player.strength) + roll);
         } else if (projectile.type === 'food') {
             damage = 0;
@@ -304,9 +346,15 @@
             this.renderer.addBattleLogMessage(`Hit! ${damage} damage!`);
         }
         
-        // Penetration: half of weapon AP when thrown; otherwise 0
-        const ap = (isWeapon && typeof projectile.penetration === 'number') ? Math.max(0, Math.floor(projectile.penetration / 2)) : 0;
+        // Penetration: ammunition keeps its full AP, a thrown weapon half; otherwise 0
+        let ap = 0;
+        if (launcher) {
+            ap = projectile.penetration || 0;
+        } else if (isWeapon && typeof projectile.penetration === 'number') {
+            ap = Math.max(0, Math.floor(projectile.penetration / 2));
+        }
         const dealt = monster.takeDamage(damage, ap);
+        if (typeof monster.noticePlayer === 'function') monster.noticePlayer(this.player.x, this.player.y);
         
         if (!monster.isAlive) {
             this.handleMonsterDefeated(monster, 'thrown');
@@ -322,12 +370,12 @@
                 for (const effectType of possibleEffects) {
                     const effect = calculateStatusEffectChance(weaponType, effectType, damage, maxDamage);
                     if (effect && effect.chance > 0) {
-                        const roll = Math.random();
+                        const roll = this.rng.combat.random();
                         if (roll < effect.chance) {
                             const duration = effect.baseDuration || 3;
                             const severity = effect.baseSeverity || 1;
                             monster.statusEffects.addEffect(effectType, duration, severity, 'thrown');
-                            if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
+                            if (this.renderer && this.canSeeMonster(monster)) {
                                 this.renderer.addBattleLogMessage(`The ${monster.name} is ${effectType}!`, 'warning');
                             }
                         }
@@ -341,6 +389,15 @@
         return { hit: true, killed: false, damage: dealt };
     };
 
+    /**
+     * A thrown corpse bursts where it stops: blood, and a puff of miasma if it was rotting
+     */
+    GameRef.prototype.handleCorpseImpact = function(corpse, x, y, message) {
+        this.dungeon.addBlood(x, y, Math.min(5, Math.max(1, Math.floor((corpse.weight || 3) / 3))));
+        if (corpse.miasmaEmitting) this.dungeon.addGas(x, y, 'miasma', 3);
+        if (this.renderer && this.isTileVisible(x, y)) this.renderer.addBattleLogMessage(message, 'warning');
+    };
+
     // Shatter potion at impact and apply splash effects (radius 1)
     GameRef.prototype.handlePotionShatter = function(projectile, impactX, impactY, primaryTarget = null) {
         if (this.renderer && this.isTileVisible(impactX, impactY)) this.renderer.addLogMessage('The bottle shatters!');
@@ -377,14 +434,14 @@
             if (entity === this.player) {
                 const healed = this.player.heal(amount);
                 if (healed > 0 && this.renderer) {
-                    this.renderer.addBattleLogMessage(`You are splashed by ${projectile.name}. (+${healed} HP)`, 'heal');
+                    this.renderer.addBattleLogMessage(`You are splashed by ${ItemIdentification.getKnownName(projectile)}. (+${healed} HP)`, 'heal');
                 }
             } else {
                 // Monster heal
                 if (typeof entity.heal === 'function') {
                     const healed = entity.heal(amount);
                     if (healed > 0 && this.renderer && this.isTileVisible(entity.x, entity.y)) {
-                        this.renderer.addBattleLogMessage(`${entity.name} is splashed by ${projectile.name}. (+${healed} HP)`, 'heal');
+                        this.renderer.addBattleLogMessage(`${entity.name} is splashed by ${ItemIdentification.getKnownName(projectile)}. (+${healed} HP)`, 'heal');
                     }
                 }
             }
@@ -425,17 +482,24 @@
         // Unified defeat handler for player-caused monster deaths (e.g., thrown items)
         GameRef.prototype.handleMonsterDefeated = function(monster, cause = 'player') {
         if (!monster || monster.isAlive) return;
-        // EXP は廃止しているが、多重処理防止フラグはそのまま利用
+        // 多重処理防止（同じ死体に EXP を二重に付与しない）
         if (monster._xpGranted) return;
         monster._xpGranted = true;
         
         // Victory log unified with melee style
         if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
-            const monsterName = monster.name || 'the monster';
-            this.renderer.addBattleLogMessage(`You defeat the ${monsterName}!`, 'victory');
+            const monsterName = this.isMonsterHidden(monster) ? 'something unseen' : `the ${monster.name || 'monster'}`;
+            this.renderer.addBattleLogMessage(`You defeat ${monsterName}!`, 'victory');
         }
         
-        // 経験値システムは廃止したので EXP は付与しない
+        // Experience only for kills the player caused directly (melee, thrown, door slam, spell)
+        if (this.player && PLAYER_KILL_CAUSES.includes(cause) && typeof this.player.gainExp === 'function') {
+            this.recordKill();
+            const expValue = Math.max(0, monster.expValue || 0);
+            if (expValue > 0) {
+                this.player.gainExp(expValue);
+            }
+        }
 
         // Drop inventory and equipment from intelligent monsters
         if (this.dropMonsterItems && typeof this.dropMonsterItems === 'function') {
@@ -445,7 +509,7 @@
         // Chance to leave a corpse based on death cause and monster type
         if (this.itemManager && typeof this.itemManager.addCorpse === 'function') {
             const corpseChance = this.calculateCorpseChance(monster, cause);
-            if (Math.random() < corpseChance) {
+            if (this.rng.combat.random() < corpseChance) {
                 this.itemManager.addCorpse(monster);
                 if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
                     this.renderer.addBattleLogMessage('A corpse remains.', 'normal');
@@ -458,7 +522,7 @@
                         'The corpse is completely mangled.',
                         'Only scattered remains are left.'
                     ];
-                    this.renderer.addBattleLogMessage(destroyMessages[Math.floor(Math.random() * destroyMessages.length)], 'normal');
+                    this.renderer.addBattleLogMessage(destroyMessages[Math.floor(this.rng.combat.random() * destroyMessages.length)], 'normal');
                 }
             }
         }
@@ -469,7 +533,7 @@
             const amount = Math.max(1, Math.min(10, Math.floor((monster.maxHp || 6) / 4)));
             this.dungeon.addBlood(monster.x, monster.y, amount);
             // Occasionally spatter to nearby tiles randomly
-            if (Math.random() < 0.4) {
+            if (this.rng.combat.random() < 0.4) {
                 for (let dx = -1; dx <= 1; dx++) {
                     for (let dy = -1; dy <= 1; dy++) {
                         if (dx === 0 && dy === 0) continue;
@@ -478,17 +542,17 @@
                         if (!this.dungeon.isInBounds(nx, ny)) continue;
                         const t = this.dungeon.getTile(nx, ny);
                         if (t.type !== 'floor') continue;
-                        if (Math.random() < 0.5) {
+                        if (this.rng.combat.random() < 0.5) {
                             this.dungeon.addBlood(nx, ny, Math.max(1, Math.floor(amount / 3)));
                             // Chance to splash into eyes of anyone standing there
                             const hitPlayer = (this.player.x === nx && this.player.y === ny);
                             const targetMonster = this.monsterSpawner.getMonsterAt(nx, ny);
-                            if (Math.random() < 0.25) {
+                            if (this.rng.combat.random() < 0.25) {
                                 if (hitPlayer) {
-                                    if (this.player.statusEffects) this.player.statusEffects.addEffect('blood_eyes', 2 + Math.floor(Math.random()*2), 1 + Math.floor(Math.random()*2), 'blood spatter');
+                                    if (this.player.statusEffects) this.player.statusEffects.addEffect('blood_eyes', 2 + Math.floor(this.rng.combat.random()*2), 1 + Math.floor(this.rng.combat.random()*2), 'blood spatter');
                                     if (this.renderer && this.isTileVisible(nx, ny)) this.renderer.addLogMessage('Blood splashes into your eyes, obscuring your vision!', 'warning');
                                 } else if (targetMonster && targetMonster.statusEffects) {
-                                    targetMonster.statusEffects.addEffect('blood_eyes', 2 + Math.floor(Math.random()*2), 1 + Math.floor(Math.random()*2), 'blood spatter');
+                                    targetMonster.statusEffects.addEffect('blood_eyes', 2 + Math.floor(this.rng.combat.random()*2), 1 + Math.floor(this.rng.combat.random()*2), 'blood spatter');
                                     if (this.renderer && this.isTileVisible(nx, ny)) this.renderer.addLogMessage(`Blood splashes into the ${targetMonster.name}'s eyes!`);
                                 }
                             }
@@ -564,14 +628,21 @@
     };
     
     GameRef.prototype.dropProjectileAt = function(item, x, y) {
-        // Place item on ground (merge if possible is out of scope now)
+        // Place item on ground; spent ammunition joins a matching pile already there
+        if (item.type === 'ammo') {
+            const pile = this.itemManager.getItemsAt(x, y).find(other => other.canStackWith && other.canStackWith(item));
+            if (pile) {
+                pile.quantity += item.quantity;
+                return;
+            }
+        }
         item.x = x; item.y = y;
         this.itemManager.addItem(item);
     };
     
     GameRef.prototype.postPlayerAction = function() {
         // Noise from throwing similar to attack
-        if (this.noiseSystem) this.noiseSystem.makeSound(this.player.x, this.player.y, this.noiseSystem.getPlayerActionSound('ATTACK', this.player));
+        if (this.noiseSystem) this.noiseSystem.makeSound(this.player.x, this.player.y, this.noiseSystem.getPlayerActionSound('ATTACK', this.player), this.player);
         // Consume a turn and render
         this.processTurn();
         if (this.monsterSpawner && typeof this.monsterSpawner.removeDeadMonsters === 'function') {
@@ -594,31 +665,37 @@
             return;
         }
 
-        // If awaiting throw direction, intercept direction keys
-        if (this.awaitingThrowDirection) {
+        // Look and aiming (fire, throw): the cursor takes every key
+        if (this.targeting) {
+            this.handleTargetingKey(event);
+            return;
+        }
+
+        // If awaiting ignite direction, intercept direction keys
+        if (this.awaitingIgniteDirection) {
             const dir = this.getDirectionFromKey(event);
             if (dir) {
                 event.preventDefault();
-                this.finishThrowWithDirection(dir.dx, dir.dy);
+                this.finishIgniteWithDirection(dir.dx, dir.dy);
                 return;
             }
             if (event.code === 'Escape') {
-                this.awaitingThrowDirection = null;
-                if (this.renderer) this.renderer.addLogMessage('Throw cancelled.');
+                this.awaitingIgniteDirection = false;
+                if (this.renderer) this.renderer.addLogMessage('Ignite cancelled.');
                 return;
             }
         }
-        // If awaiting ignite direction, intercept direction keys
-        if (this.awaitingIgniteDirection) {
+        // If awaiting a spell direction, intercept direction keys
+        if (this.awaitingCastDirection) {
             const dir = this.getDirectionFromKey(event);
             if (dir) {
                 event.preventDefault();
-                this.finishIgniteWithDirection(dir.dx, dir.dy);
+                this.finishCastWithDirection(dir.dx, dir.dy);
                 return;
             }
             if (event.code === 'Escape') {
-                this.awaitingIgniteDirection = false;
-                if (this.renderer) this.renderer.addLogMessage('Ignite cancelled.');
+                this.awaitingCastDirection = null;
+                if (this.renderer) this.renderer.addLogMessage('Spell cancelled.');
                 return;
             }
         }
@@ -652,17 +729,8 @@
             return;
         }
         
-        // Block input if map is open (except for map toggle and ESC)
+        // Block input if map is open (MapView handles its own keys: cursor, travel, close)
         if (window.mapView && window.mapView.isOpen) {
-            if (event.code === 'KeyM' || event.code === 'Escape') {
-                // Allow map toggle and ESC to close
-                if (event.code === 'KeyM' && !event.shiftKey) {
-                    event.preventDefault();
-                    window.mapView.hide();
-                }
-                return;
-            }
-            // Block all other input when map is open
             return;
         }
         
@@ -671,14 +739,20 @@
             return;
         }
         
-        // Only allow restart when dead
-        if (this.gameState === 'dead') {
+        // Only allow restart when the run is over
+        if (this.gameState === 'dead' || this.gameState === 'won') {
             if (event.code === 'Enter') {
                 this.restartGame();
             }
             return;
         }
         
+        // Any key stops auto-explore, travel or a run (a held key's repeats do not)
+        if (this.travel) {
+            if (!event.repeat) this.stopTravel('You stop.');
+            return;
+        }
+        
         // Throttle input
         const now = Date.now();
         if (now - this.lastKeyTime < this.keyDelay) {
@@ -708,70 +782,70 @@
         let playerMoved = false;
         
                  switch (event.code) {
-            // Movement (vi keys) - lowercase
+            // Movement (vi keys) - lowercase steps, Shift runs (see game-travel.js)
             case 'KeyK':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(0, -1);
+                } else {
+                    event.preventDefault();
+                    this.startRun(0, -1);
                 }
                 break;
             case 'KeyJ':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(0, 1);
+                } else {
+                    event.preventDefault();
+                    this.startRun(0, 1);
                 }
                 break;
             case 'KeyH':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(-1, 0);
+                } else {
+                    event.preventDefault();
+                    this.startRun(-1, 0);
                 }
                 break;
             case 'KeyL':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(1, 0);
                 } else {
-                    // Shift+L: toggle hand-held light source on/off
                     event.preventDefault();
-                    if (this.player && this.player.equipment && this.player.equipment.light) {
-                        this.player.lightActive = !this.player.lightActive;
-                        if (this.renderer) {
-                            if (this.player.lightActive) {
-                                this.renderer.addLogMessage('You ignite your light source.', 'normal');
-                            } else {
-                                this.renderer.addLogMessage('You douse your light source.', 'normal');
-                            }
-                        }
-                        // 視界が変わるのでFOVと描画を即更新
-                        this.updateFOV();
-                        this.render();
-                    } else if (this.renderer) {
-                        this.renderer.addLogMessage('You have no light source equipped.', 'normal');
-                    }
+                    this.startRun(1, 0);
                 }
                 break;
-            // Diagonal movement (vi keys) - lowercase
+            // Diagonal movement (vi keys) - lowercase steps, Shift runs
             case 'KeyY':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(-1, -1);
+                } else {
+                    event.preventDefault();
+                    this.startRun(-1, -1);
                 }
                 break;
             case 'KeyU':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(1, -1);
+                } else {
+                    event.preventDefault();
+                    this.startRun(1, -1);
                 }
                 break;
             case 'KeyB':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(-1, 1);
                 } else {
-                    // Shift+B: Bury – open menu to choose target (corpses, items, liquids, inventory)
                     event.preventDefault();
-                    if (window.subWindow) {
-                        window.subWindow.showBuryMenu();
-                    }
+                    this.startRun(-1, 1);
                 }
                 break;
             case 'KeyN':
                 if (!event.shiftKey) {
                     playerMoved = this.movePlayer(1, 1);
+                } else {
+                    event.preventDefault();
+                    this.startRun(1, 1);
                 }
                 break;
                 
@@ -797,6 +871,12 @@
                 if (!event.shiftKey) {
                     event.preventDefault();
                     playerMoved = this.pickupItem();
+                } else {
+                    // Shift+G: Bury (dig a grave) – open menu to choose target (corpses, items, liquids, inventory)
+                    event.preventDefault();
+                    if (window.subWindow) {
+                        window.subWindow.showBuryMenu();
+                    }
                 }
                 break;
             case 'KeyD':
@@ -824,6 +904,10 @@
                         return;
                     }
                     this.beginIgniteDirectionSelection();
+                } else {
+                    // Fire the wielded launcher - lowercase f
+                    event.preventDefault();
+                    this.startFire();
                 }
                 break;
             case 'KeyI':
@@ -831,6 +915,24 @@
                 if (!event.shiftKey) {
                     event.preventDefault();
                     this.showInventory();
+                } else {
+                    // Shift+I: toggle hand-held light source on/off
+                    event.preventDefault();
+                    if (this.player && this.player.equipment && this.player.equipment.light) {
+                        this.player.lightActive = !this.player.lightActive;
+                        if (this.renderer) {
+                            if (this.player.lightActive) {
+                                this.renderer.addLogMessage('You ignite your light source.', 'normal');
+                            } else {
+                                this.renderer.addLogMessage('You douse your light source.', 'normal');
+                            }
+                        }
+                        // 視界が変わるのでFOVと描画を即更新
+                        this.updateFOV();
+                        this.render();
+                    } else if (this.renderer) {
+                        this.renderer.addLogMessage('You have no light source equipped.', 'normal');
+                    }
                 }
                 break;
             case 'KeyE':
@@ -859,7 +961,9 @@
                     event.preventDefault();
                     this.searchAction(2, 15);
                 } else {
-                    // Save (Shift+S) remains below in system commands
+                    // Save menu - uppercase S (Shift+S): named slots and export
+                    event.preventDefault();
+                    this.showSaveMenu();
                 }
                 break;
             case 'KeyW':
@@ -924,18 +1028,43 @@
                     this.showPotionMenu();
                 }
                 break;
-            case 'KeyS':
-                // Save game - uppercase S (Shift+S)
+            case 'KeyR':
+                // Load menu - uppercase R (Shift+R): slots, import
                 if (event.shiftKey) {
                     event.preventDefault();
-                    this.isManualSave = true; // Set flag for manual save
-                    if (this.saveGame()) {
-                        this.renderer.addLogMessage('Game saved successfully!');
-                    } else {
-                        this.renderer.addLogMessage('Failed to save game!');
-                    }
+                    this.showLoadMenu();
+                } else {
+                    // Read scroll or spellbook - lowercase r
+                    event.preventDefault();
+                    this.showScrollMenu();
                 }
                 break;
+            case 'KeyX':
+                // Auto-explore - lowercase x
+                if (!event.shiftKey) {
+                    event.preventDefault();
+                    this.startAutoExplore();
+                }
+                break;
+            case 'KeyZ':
+                // Cast a spell - lowercase z
+                if (!event.shiftKey) {
+                    event.preventDefault();
+                    this.showSpellMenu();
+                }
+                break;
+            case 'Semicolon':
+                // Look - ; (move a cursor to examine tiles)
+                if (!event.shiftKey) {
+                    event.preventDefault();
+                    this.startLookMode();
+                }
+                break;
+            case 'Backslash':
+                // Discoveries - \ (item kinds identified this run)
+                event.preventDefault();
+                this.showDiscoveries();
+                break;
                 
             // Special keys
             case 'Escape':
@@ -0,0 +1,67 @@
+/**
+ * Invisible monsters (stalker, invisible stalker: isInvisible in monster.js)
+ * They are not drawn, listed, looked at or cycled to unless the player sees invisible (a ring of
+ * see invisible) or they give themselves away for a moment: a noise the player hears
+ * (NoiseSystem.revealUnseenNoisemaker), bloody footprints, gas swirling around them, or the
+ * player bumping into them. Attacks on a foe the player cannot see take a to-hit penalty.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for invisibility helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    // Player turns a giveaway keeps an invisible monster in view
+    const REVEAL_TURNS = 1;
+    const UNSEEN_TO_HIT_PENALTY = 4;
+
+    /**
+     * Whether an invisible monster is currently hidden from the player (in view or not)
+     */
+    GameRef.prototype.isMonsterHidden = function(monster) {
+        if (!monster || !monster.isInvisible || !this.player) return false;
+        if (this.player.canSeeInvisible()) return false;
+        return !((monster.revealedUntil || 0) >= this.player.turnCount);
+    };
+
+    /**
+     * In view and not hidden by invisibility
+     */
+    GameRef.prototype.canSeeMonster = function(monster) {
+        return !!this.fov && this.fov.isVisible(monster.x, monster.y) && !this.isMonsterHidden(monster);
+    };
+
+    /**
+     * To-hit modifier (0 or negative) for attacking a monster the player cannot see
+     */
+    GameRef.prototype.getUnseenAttackPenalty = function(monster) {
+        return this.canSeeMonster(monster) ? 0 : -UNSEEN_TO_HIT_PENALTY;
+    };
+
+    /**
+     * Show an invisible monster in view for a moment; the message is logged only if that gave it away
+     */
+    GameRef.prototype.revealMonster = function(monster, message = null) {
+        if (!monster.isInvisible || !this.player || !this.fov || !this.fov.isVisible(monster.x, monster.y)) return;
+        const wasHidden = this.isMonsterHidden(monster);
+        monster.revealedUntil = this.player.turnCount + REVEAL_TURNS;
+        if (wasHidden && message && this.renderer) this.renderer.addBattleLogMessage(message, 'warning');
+    };
+
+    /**
+     * After an invisible monster moves: fresh footprints or gas it pushes through betray it
+     */
+    GameRef.prototype.noticeUnseenMovement = function(monster, leftFootprints) {
+        if (!monster.isInvisible) return;
+        if (leftFootprints) {
+            this.revealMonster(monster, 'Bloody footprints appear out of nowhere!');
+            return;
+        }
+        const tile = this.dungeon.getTile(monster.x, monster.y);
+        if (tile && tile.gases && Object.values(tile.gases).some(amount => amount > 0)) {
+            this.revealMonster(monster, 'The gas swirls around something unseen!');
+        }
+    };
+})();
@@ -14,6 +14,9 @@
      * Generate a new dungeon level or load existing one
      */
     GameRef.prototype.generateNewLevel = function() {
+        if (this.runStats) {
+            this.runStats.maxDepth = Math.max(this.runStats.maxDepth, this.currentLevel);
+        }
         
         // Check if level already exists
         if (this.levels.has(this.currentLevel)) {
@@ -30,6 +33,10 @@
         
         this.createNewLevel();
         this.renderer.addLogMessage(`Welcome to level ${this.currentLevel}!`);
+        const layout = Dungeon.LAYOUTS[this.dungeon.layout];
+        if (layout && layout.arrivalMessage) {
+            this.renderer.addLogMessage(layout.arrivalMessage);
+        }
         
         // Clean up old levels if we have too many (disabled for unlimited storage)
         // this.cleanupOldLevels();
@@ -42,8 +49,8 @@
      * Create a completely new level
      */
     GameRef.prototype.createNewLevel = function() {
-        // Create dungeon
-        this.dungeon = new Dungeon();
+        // Create dungeon (per-depth map stream: same seed + depth = same layout; depth weighs the layout pick)
+        this.dungeon = new Dungeon(160, 100, this.rng.forLevel('map', this.currentLevel), { depth: this.currentLevel });
         
         // Create or position player
         const startPos = this.dungeon.getStartPosition();
@@ -52,8 +59,8 @@
             this.player.x = startPos.x;
             this.player.y = startPos.y;
         } else {
-            // Create new player (for restart or first time)
-            this.player = new Player(startPos.x, startPos.y);
+            // Create new player (for restart or first time) from character creation if available
+            this.player = new Player(startPos.x, startPos.y, this.pendingCharacter || null);
         }
         
         // Make game instance globally accessible for battle log
@@ -63,16 +70,53 @@
         this.fov = new FOV(this.dungeon);
         this.noiseSystem = new NoiseSystem(this);
         this.updateFOV(); // Calculate initial visibility
-        this.monsterSpawner = new MonsterSpawner(this.dungeon);
+        this.monsterSpawner = new MonsterSpawner(this.dungeon, this.rng.forLevel('spawn', this.currentLevel));
         this.monsterSpawner.spawnMonsters(this.currentLevel); // Spawn monsters based on current depth
-        this.itemManager = new ItemManager(this.dungeon);
+        this.itemManager = new ItemManager(this.dungeon, this.rng.forLevel('items', this.currentLevel));
         this.itemManager.spawnItems(this.currentLevel); // Spawn items based on current depth
+        this.spawnPrefabContents();
+        
+        // Bottom of the dungeon: quest artifact and its guardian
+        if (this.currentLevel === Game.FINAL_DEPTH) {
+            this.setupFinalDepth();
+        }
         
         // Store this level
         this.saveLevelState();
         this.visitedLevels.add(this.currentLevel);
     };
 
+    /**
+     * Guards and treasure placed by prefab vaults. Dungeon only records them during
+     * generation, since the monster and item managers do not exist yet at that point.
+     */
+    GameRef.prototype.spawnPrefabContents = function() {
+        const spawns = this.dungeon.prefabSpawns || [];
+        for (const spawn of spawns) {
+            if (spawn.monster) {
+                if (this.monsterSpawner.getMonsterAt(spawn.x, spawn.y)) continue;
+                const type = spawn.monster === true
+                    ? this.monsterSpawner.getRandomMonsterType(this.currentLevel, spawn.biome)
+                    : spawn.monster;
+                this.monsterSpawner.spawnSingleMonster(spawn.x, spawn.y, type, this.currentLevel);
+            } else if (spawn.item) {
+                let item;
+                if (spawn.item === true) {
+                    item = this.itemManager.createRandomItem(this.currentLevel);
+                } else if (spawn.item.category === 'food') {
+                    item = this.itemManager.createFood(spawn.item.key);
+                } else {
+                    item = EquipmentManager.createEquipment(spawn.item.category, spawn.item.key, spawn.item.enchantment);
+                }
+                if (!item) continue;
+                item.x = spawn.x;
+                item.y = spawn.y;
+                this.itemManager.addItem(item);
+            }
+        }
+        this.dungeon.prefabSpawns = [];
+    };
+
     /**
      * Load an existing level from storage
      */
@@ -171,10 +215,10 @@
             timestamp: Date.now()
         });
         
-        console.log(`Level ${this.currentLevel} saved. Total stored levels: ${this.levels.size}`);
-        console.log(`Stored levels: [${Array.from(this.levels.keys()).join(', ')}]`);
+        Game.debugLog(`Level ${this.currentLevel} saved. Total stored levels: ${this.levels.size}`);
+        Game.debugLog(`Stored levels: [${Array.from(this.levels.keys()).join(', ')}]`);
         if (fovState) {
-            console.log(`FOV state saved: ${fovState.exploredTiles.length} explored tiles`);
+            Game.debugLog(`FOV state saved: ${fovState.exploredTiles.length} explored tiles`);
         }
     };
 
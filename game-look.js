@@ -0,0 +1,239 @@
+/**
+ * Targeting cursor and look mode
+ * ; puts a cursor on the map (on the nearest visible monster, else the player); hjklyubn move
+ * it (Shift: 8 tiles), Tab / Shift+Tab jump between visible monsters (nearest first), and each
+ * tile it lands on is described in the log: terrain, vegetation,
+ * temperature, liquids, gases, blood, a revealed trap, items, and a monster's health, effects,
+ * sleep and ecosystem role. Escape, ; or Enter close it. Tiles out of view are described from
+ * memory (terrain and remembered items only). Aiming a throw or a launcher (game-ranged.js)
+ * uses the same cursor. Invisible monsters (game-invisibility.js) are skipped while hidden.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for look helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    const CURSOR_KEYS = {
+        KeyK: [0, -1], KeyJ: [0, 1], KeyH: [-1, 0], KeyL: [1, 0],
+        KeyY: [-1, -1], KeyU: [1, -1], KeyB: [-1, 1], KeyN: [1, 1]
+    };
+    const CURSOR_FAST_STEP = 8;
+
+    // Aiming modes: the key that lets fly (Enter works for both)
+    const AIM_KEYS = { fire: 'KeyF', throw: 'KeyT' };
+
+    const TERRAIN_NAMES = { floor: 'Floor', wall: 'Wall', stairs_up: 'Stairs up', stairs_down: 'Stairs down' };
+    const LIQUID_NAMES = { water: 'water', potion: 'spilled potion' };
+    const GAS_NAMES = { miasma: 'miasma', steam: 'steam', poison: 'poison gas' };
+
+    /**
+     * Open look mode (;)
+     */
+    GameRef.prototype.startLookMode = function() {
+        if (!this.player || !this.dungeon || !this.fov) return;
+        const monster = this.findNearestVisibleMonster();
+        const start = monster || this.player;
+        this.targeting = { mode: 'look', x: start.x, y: start.y };
+        this.renderer.addLogMessage('Look: hjklyubn to move the cursor (Shift: faster), Escape to stop.');
+        this.describeTile(start.x, start.y);
+    };
+
+    /**
+     * Keys while the cursor is up (look, or aiming a throw or launcher: see game-ranged.js)
+     */
+    GameRef.prototype.handleTargetingKey = function(event) {
+        event.preventDefault();
+        const aimKey = AIM_KEYS[this.targeting.mode];
+        if (CURSOR_KEYS[event.code]) {
+            const [dx, dy] = CURSOR_KEYS[event.code];
+            const step = event.shiftKey ? CURSOR_FAST_STEP : 1;
+            this.moveTargetCursor(this.targeting.x + dx * step, this.targeting.y + dy * step);
+        } else if (event.code === 'Tab') {
+            this.cycleTargetMonster(event.shiftKey ? -1 : 1);
+        } else if (event.code === 'Escape') {
+            this.targeting = null;
+        } else if (aimKey && (event.code === 'Enter' || event.code === aimKey)) {
+            const aim = this.targeting;
+            this.targeting = null;
+            if (aim.mode === 'fire') {
+                this.fireAt(aim);
+            } else {
+                this.throwAt(aim);
+            }
+        } else if (event.code === 'Semicolon' || event.code === 'Enter') {
+            this.targeting = null;
+        }
+        this.render();
+    };
+
+    /**
+     * Put the cursor on (x, y), kept on the map, and describe what is there
+     */
+    GameRef.prototype.moveTargetCursor = function(x, y) {
+        const cx = Math.max(0, Math.min(this.dungeon.width - 1, x));
+        const cy = Math.max(0, Math.min(this.dungeon.height - 1, y));
+        this.targeting.x = cx;
+        this.targeting.y = cy;
+        this.describeTile(cx, cy);
+    };
+
+    /**
+     * Move the cursor to the next (direction 1) or previous (-1) visible monster, nearest first
+     */
+    GameRef.prototype.cycleTargetMonster = function(direction) {
+        const monsters = this.getVisibleMonstersByDistance();
+        if (monsters.length === 0) {
+            this.renderer.addLogMessage('You see no monsters.');
+            return;
+        }
+        const current = monsters.findIndex(monster => monster.x === this.targeting.x && monster.y === this.targeting.y);
+        const next = current === -1
+            ? (direction > 0 ? 0 : monsters.length - 1)
+            : (current + direction + monsters.length) % monsters.length;
+        this.moveTargetCursor(monsters[next].x, monsters[next].y);
+    };
+
+    /**
+     * Closest monster the player can see, or null
+     */
+    GameRef.prototype.findNearestVisibleMonster = function() {
+        return this.getVisibleMonstersByDistance()[0] || null;
+    };
+
+    /**
+     * Monsters the player can see, nearest first
+     */
+    GameRef.prototype.getVisibleMonstersByDistance = function() {
+        const distance = monster => Math.max(Math.abs(monster.x - this.player.x), Math.abs(monster.y - this.player.y));
+        return this.monsterSpawner.getLivingMonsters()
+            .filter(monster => this.canSeeMonster(monster))
+            .sort((a, b) => distance(a) - distance(b));
+    };
+
+    /**
+     * Log what the player sees (or remembers) at (x, y)
+     */
+    GameRef.prototype.describeTile = function(x, y) {
+        this.renderer.addLogMessage(this.getTileDescription(x, y));
+    };
+
+    /**
+     * @returns {string} One line: creature, terrain and what lies on it, items
+     */
+    GameRef.prototype.getTileDescription = function(x, y) {
+        const visibility = this.fov.getTileVisibility(x, y);
+        if (!visibility.explored) return 'You know nothing of that place.';
+
+        const parts = [];
+        if (x === this.player.x && y === this.player.y) {
+            parts.push('You are here.');
+        } else if (visibility.visible) {
+            const monster = this.monsterSpawner.getMonsterAt(x, y);
+            if (monster && monster.isAlive && !this.isMonsterHidden(monster)) parts.push(this.describeMonster(monster));
+        }
+        parts.push(this.describeTerrain(x, y, visibility.visible));
+
+        const items = this.itemManager.getVisibleItemsAt(x, y, this.fov);
+        if (items.length > 0) {
+            const names = items.slice(0, 3).map(item => item.getDisplayName ? item.getDisplayName() : item.name);
+            const more = items.length > 3 ? ` and ${items.length - 3} more` : '';
+            parts.push(`Items: ${names.join(', ')}${more}.`);
+        }
+        if (!visibility.visible) parts.push('(remembered)');
+        return parts.join(' ');
+    };
+
+    /**
+     * Terrain and, when in view, what is on it right now: "Floor with moss; hot; shallow water."
+     */
+    GameRef.prototype.describeTerrain = function(x, y, visible) {
+        const tile = this.dungeon.getTile(x, y);
+        let terrain;
+        if (tile.type === 'door') {
+            terrain = tile.doorType === 'secret' ? 'Wall' : `A ${tile.doorState} door`;
+        } else {
+            terrain = TERRAIN_NAMES[tile.type] || tile.type;
+        }
+        if (tile.vegetation) terrain += ` with ${tile.vegetation}`;
+
+        const details = [];
+        if (tile.trap && tile.trap.revealed) {
+            const trap = this.getTrapName(tile.trap);
+            details.push(tile.trap.disarmed ? `a disarmed ${trap}` : this.getTrapNameWithArticle(tile.trap));
+        }
+        if (!visible) return [terrain, ...details].join('; ') + '.';
+
+        const temperature = this.getTemperatureBand(tile);
+        if (temperature) details.push(temperature);
+        if (tile.liquids) {
+            for (const [type, amount] of Object.entries(tile.liquids)) {
+                if (amount <= 0) continue;
+                const name = LIQUID_NAMES[type] || type;
+                if (type === 'water') {
+                    details.push(amount >= Pathfinding.DEEP_WATER ? 'deep water' : 'shallow water');
+                } else {
+                    details.push(`${amount >= 5 ? 'a pool' : 'a splash'} of ${name}`);
+                }
+            }
+        }
+        if (Liquids.getBloodWet(tile) > 0) {
+            details.push(Liquids.getBloodSlipChance(tile) >= 0.1 ? 'slick with fresh blood' : 'fresh blood');
+        } else if (Liquids.getBloodStain(tile) > 0) {
+            details.push('blood stains');
+        }
+        if (tile.gases) {
+            for (const [type, amount] of Object.entries(tile.gases)) {
+                if (amount <= 0) continue;
+                const density = amount >= 7 ? 'thick' : amount >= 4 ? '' : 'thin';
+                details.push(`${density} ${GAS_NAMES[type] || type}`.trim());
+            }
+        }
+        return [terrain, ...details].join('; ') + '.';
+    };
+
+    /**
+     * Temperature band for the look line, null at comfortable temperatures
+     */
+    GameRef.prototype.getTemperatureBand = function(tile) {
+        const fire = Temperature.temperatureToFireLevel(tile);
+        if (fire > 0) return Temperature.getTemperature(tile) >= Temperature.FIRE_HIGH ? 'ablaze' : 'burning';
+        const temperature = Temperature.getTemperature(tile);
+        if (temperature >= Temperature.HOT_DISPLAY) return 'hot';
+        if (temperature <= Temperature.COLD_THRESHOLD) return 'freezing';
+        return null;
+    };
+
+    /**
+     * "Goblin: badly wounded, asleep (light sleeper), poisoned; carnivore."
+     */
+    GameRef.prototype.describeMonster = function(monster) {
+        const notes = [this.getHealthEstimate(monster)];
+        if (monster.isAsleep) {
+            notes.push(`asleep (${monster.sleepDepth || 'normal'} sleeper)`);
+        } else {
+            notes.push(monster.noticedPlayer ? 'aware of you' : 'unaware of you');
+        }
+        if (monster.statusEffects) {
+            for (const effect of monster.statusEffects.getActiveEffects()) {
+                notes.push(effect.name.replace(/_/g, ' '));
+            }
+        }
+        const name = monster.name.charAt(0).toUpperCase() + monster.name.slice(1);
+        return `${name}: ${notes.join(', ')}; ${Ecosystem.getRole(monster.type)}.`;
+    };
+
+    /**
+     * Health as the player would judge it at a glance
+     */
+    GameRef.prototype.getHealthEstimate = function(monster) {
+        const share = monster.maxHp > 0 ? monster.hp / monster.maxHp : 1;
+        if (share >= 1) return 'unhurt';
+        if (share > 0.75) return 'slightly wounded';
+        if (share > 0.5) return 'wounded';
+        if (share > 0.25) return 'badly wounded';
+        return 'almost dead';
+    };
+})();
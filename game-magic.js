@@ -0,0 +1,178 @@
+/**
+ * Spell casting (z)
+ * Spells come from SPELLS (spells.js), are learned from spellbooks and paid for with MP.
+ * Targeted spells use the same direction selection as throwing and igniting; their
+ * effects go through the world systems: heat, cold and gas on the target tiles.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for magic helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    // Per-cast strength of the area spells (center tile, then its 8 neighbours)
+    const IGNITE_HEAT = 35;       // Fire threshold is 30 above ambient
+    const FROST_CHILL = 16;       // Ambient 20 -> 4: freezing, shatters potions
+    const FROST_CHILL_EDGE = 12;  // Ambient 20 -> 8: freezing
+    const POISON_GAS = 6;
+    const POISON_GAS_EDGE = 3;
+
+    // Turns a spell's heat, cold or gas on a tile keeps crediting its kills to the player
+    const SPELL_CREDIT_TURNS = 10;
+
+    GameRef.prototype.showSpellMenu = function() {
+        if (window.subWindow) {
+            window.subWindow.showSpellMenu(this.player);
+        }
+    };
+
+    /**
+     * Cast a known spell from the spell menu: targeted spells first ask for a direction.
+     * castSpell checks that the spell is known and affordable.
+     */
+    GameRef.prototype.beginCast = function(spellKey) {
+        const spell = SPELLS[spellKey];
+        if (!spell) return;
+        if (spell.targeted) {
+            this.awaitingCastDirection = spellKey;
+            if (this.renderer) this.renderer.addLogMessage(`Cast ${spell.name} in which direction?`);
+            return;
+        }
+        this.castSpell(spellKey, 0, 0);
+    };
+
+    GameRef.prototype.finishCastWithDirection = function(dx, dy) {
+        const spellKey = this.awaitingCastDirection;
+        this.awaitingCastDirection = null;
+        if (spellKey) this.castSpell(spellKey, dx, dy);
+    };
+
+    /**
+     * Known and affordable; logs the reason otherwise
+     */
+    GameRef.prototype.canCastSpell = function(spellKey) {
+        const spell = SPELLS[spellKey];
+        if (!this.player || !spell || !this.player.knowsSpell(spellKey)) {
+            if (this.renderer) this.renderer.addLogMessage('You do not know that spell.');
+            return false;
+        }
+        if (this.player.mp < spell.mpCost) {
+            if (this.renderer) this.renderer.addLogMessage(`You need ${spell.mpCost} MP to cast ${spell.name}.`, 'warning');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Pay for and resolve a spell, then spend the turn
+     */
+    GameRef.prototype.castSpell = function(spellKey, dx, dy) {
+        if (!this.canCastSpell(spellKey)) return false;
+        const spell = SPELLS[spellKey];
+        this.player.mp -= spell.mpCost;
+
+        if (spell.targeted) {
+            const target = this.getSpellTarget(dx, dy, spell.range);
+            switch (spellKey) {
+                case 'ignite':
+                    this.castIgnite(target);
+                    break;
+                case 'frost':
+                    this.castFrost(target);
+                    break;
+                case 'poisonCloud':
+                    this.castPoisonCloud(target);
+                    break;
+            }
+        } else if (spellKey === 'heal') {
+            this.castHeal(spell);
+        }
+
+        this.postPlayerAction();
+        return true;
+    };
+
+    /**
+     * Where a spell cast in a direction lands: the first creature in its path, else the last
+     * open tile before a wall or closed door (the caster's own tile when blocked at once)
+     */
+    GameRef.prototype.getSpellTarget = function(dx, dy, range) {
+        let x = this.player.x;
+        let y = this.player.y;
+        for (let step = 1; step <= range; step++) {
+            const nx = x + Math.sign(dx);
+            const ny = y + Math.sign(dy);
+            if (!this.dungeon.isInBounds(nx, ny)) break;
+            const tile = this.dungeon.getTile(nx, ny);
+            if (!tile || tile.type === 'wall' || (tile.type === 'door' && tile.doorState !== 'open')) break;
+            x = nx;
+            y = ny;
+            if (this.monsterSpawner.getMonsterAt(x, y)) break;
+        }
+        return { x, y };
+    };
+
+    /**
+     * Run fn over the target tile and its 8 neighbours
+     * @param {function(number, number, boolean)} fn - (x, y, isCenter)
+     */
+    function forEachAreaTile(target, fn) {
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                fn(target.x + ox, target.y + oy, ox === 0 && oy === 0);
+            }
+        }
+    }
+
+    /**
+     * Mark a tile a spell has just heated, chilled or gassed, so processFire, processCold and
+     * processPoisonGas count the deaths there as the player's kills
+     */
+    GameRef.prototype.markSpellTile = function(x, y) {
+        if (!this.dungeon.isInBounds(x, y)) return;
+        this.dungeon.getTile(x, y).spellCreditUntil = this.player.turnCount + SPELL_CREDIT_TURNS;
+    };
+
+    GameRef.prototype.isSpellTile = function(x, y) {
+        if (!this.player || !this.dungeon.isInBounds(x, y)) return false;
+        return (this.dungeon.getTile(x, y).spellCreditUntil || 0) >= this.player.turnCount;
+    };
+
+    GameRef.prototype.castIgnite = function(target) {
+        Temperature.addHeat(this.dungeon, target.x, target.y, IGNITE_HEAT);
+        this.markSpellTile(target.x, target.y);
+        if (this.renderer) {
+            this.renderer.addLogMessage(this.isTileVisible(target.x, target.y)
+                ? 'A spark leaps from your hand and bursts into flame!'
+                : 'A spark leaps from your hand.');
+        }
+    };
+
+    GameRef.prototype.castFrost = function(target) {
+        forEachAreaTile(target, (x, y, isCenter) => {
+            Temperature.removeHeat(this.dungeon, x, y, isCenter ? FROST_CHILL : FROST_CHILL_EDGE);
+            this.markSpellTile(x, y);
+        });
+        if (this.renderer) this.renderer.addLogMessage('The air turns bitterly cold.');
+    };
+
+    GameRef.prototype.castPoisonCloud = function(target) {
+        forEachAreaTile(target, (x, y, isCenter) => {
+            this.dungeon.addGas(x, y, 'poison', isCenter ? POISON_GAS : POISON_GAS_EDGE);
+            this.markSpellTile(x, y);
+        });
+        if (this.renderer) this.renderer.addLogMessage('A sickly green cloud billows out.');
+    };
+
+    GameRef.prototype.castHeal = function(spell) {
+        const amount = rollDice(spell.healDice) + Math.floor(this.player.level / 2);
+        const healed = this.player.heal(amount);
+        if (this.renderer) {
+            this.renderer.addBattleLogMessage(healed > 0
+                ? `Your wounds close. (+${healed} HP)`
+                : 'You feel a warm glow, but you are already at full health.', 'heal');
+        }
+    };
+})();
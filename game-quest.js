@@ -0,0 +1,229 @@
+/**
+ * Quest, victory and end-of-run scoring
+ * The Heart of the Deep waits on the final depth under a guardian; carrying it back
+ * up the level 1 stairs wins the game. Every finished run (death or victory) is scored
+ * and recorded in a local high-score table.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for quest helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    const FINAL_DEPTH = 20;
+    const QUEST_GUARDIAN = 'balrog';
+    const ARTIFACT_NAME = 'the Heart of the Deep';
+    const HIGH_SCORE_KEY = 'compl3xRL_highscores';
+    const MAX_HIGH_SCORES = 10;
+
+    // Score weights
+    const SCORE_PER_DEPTH = 100;
+    const SCORE_PER_KILL = 10;
+    const TURNS_PER_POINT = 50;      // Survival points while the run lasted
+    const ITEM_VALUE_PER_POINT = 10; // Carried item value -> points
+    const ARTIFACT_SCORE = 5000;
+    const VICTORY_BONUS = 10000;
+    const VICTORY_PAR_TURNS = 50000; // Faster victories earn (par - turns) / 10
+
+    // Death messages for damage-over-time effects
+    const STATUS_DEATHS = {
+        bleeding: 'bled to death',
+        poisoned: 'died of poison'
+    };
+
+    GameRef.FINAL_DEPTH = FINAL_DEPTH;
+
+    /**
+     * Fresh per-run statistics (saved with the game)
+     */
+    GameRef.createRunStats = function() {
+        return { kills: 0, maxDepth: 1 };
+    };
+
+    GameRef.prototype.createQuestArtifact = function() {
+        return new Item('artifact', ARTIFACT_NAME, {
+            description: 'A fist-sized gem that beats like a heart. Carry it back to the surface to win.',
+            symbol: '*',
+            color: '#ff00ff',
+            stackable: false,
+            weight: 2
+        });
+    };
+
+    function isQuestArtifact(item) {
+        return !!item && item.type === 'artifact';
+    }
+
+    /**
+     * True if the player carries the quest artifact
+     */
+    GameRef.prototype.hasQuestArtifact = function() {
+        return !!this.player && Array.isArray(this.player.inventory) && this.player.inventory.some(isQuestArtifact);
+    };
+
+    /**
+     * Final depth: no way further down; the artifact lies where the down stairs would be,
+     * watched by its guardian. Called from createNewLevel after monsters and items spawn.
+     */
+    GameRef.prototype.setupFinalDepth = function() {
+        let spot = this.findTileOfType('stairs_down');
+        if (spot) {
+            this.dungeon.setTile(spot.x, spot.y, 'floor');
+        } else {
+            const room = this.dungeon.rooms[this.dungeon.rooms.length - 1];
+            spot = { x: room.x + Math.floor(room.width / 2), y: room.y + Math.floor(room.height / 2) };
+        }
+
+        const artifact = this.createQuestArtifact();
+        artifact.x = spot.x;
+        artifact.y = spot.y;
+        this.itemManager.addItem(artifact);
+
+        const rng = this.rng.forLevel('quest', this.currentLevel);
+        const guardSpots = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const gx = spot.x + dx;
+                const gy = spot.y + dy;
+                if ((dx || dy) && this.dungeon.isWalkable(gx, gy) && !this.monsterSpawner.getMonsterAt(gx, gy)) {
+                    guardSpots.push({ x: gx, y: gy });
+                }
+            }
+        }
+        const guardSpot = rng.pick(guardSpots) || spot;
+        this.monsterSpawner.spawnSingleMonster(guardSpot.x, guardSpot.y, QUEST_GUARDIAN, this.currentLevel);
+
+        this.renderer.addLogMessage(`You sense ${ARTIFACT_NAME} somewhere on this level, and something guarding it.`, 'warning');
+    };
+
+    /**
+     * Leaving the dungeon from level 1 with the artifact wins the game
+     */
+    GameRef.prototype.tryEscapeDungeon = function() {
+        if (!this.hasQuestArtifact()) {
+            this.renderer.addLogMessage(`You cannot leave without ${ARTIFACT_NAME}. It lies on level ${FINAL_DEPTH}.`);
+            return false;
+        }
+        this.victory();
+        return true;
+    };
+
+    GameRef.prototype.victory = function() {
+        if (this.gameState === 'won') return;
+        this.gameState = 'won';
+        this.renderer.addLogMessage(`You escape the dungeon with ${ARTIFACT_NAME}!`, 'victory');
+        this.renderer.addLogMessage(`=== VICTORY in ${this.player.turnCount} turns ===`, 'victory');
+        this.endRun(true, `escaped with ${ARTIFACT_NAME}`);
+        this.renderer.addLogMessage('Press Enter to start a new game.');
+        this.render();
+    };
+
+    /**
+     * Count a kill the player earned (melee, thrown, door, or their lingering wounds)
+     */
+    GameRef.prototype.recordKill = function() {
+        if (!this.runStats) this.runStats = GameRef.createRunStats();
+        this.runStats.kills++;
+    };
+
+    /**
+     * Cause of death text for the status effects that dealt damage this turn
+     * @param {Array<{type: string, source: string|null}>} causes
+     */
+    GameRef.prototype.describeStatusDeath = function(causes) {
+        const cause = causes && causes[0];
+        if (!cause) return 'died of their wounds';
+        const text = STATUS_DEATHS[cause.type] || `died of ${cause.type}`;
+        return cause.source ? `${text} (${cause.source})` : text;
+    };
+
+    /**
+     * Total value of everything the player carries or wears
+     */
+    GameRef.prototype.getCarriedValue = function() {
+        if (!this.player) return 0;
+        const items = (this.player.inventory || []).concat(Object.values(this.player.equipment || {}));
+        return items.reduce((sum, item) => {
+            if (!item || isQuestArtifact(item)) return sum;
+            return sum + (item.value || 0) * (item.quantity || 1);
+        }, 0);
+    };
+
+    /**
+     * Score: depth reached, kills, turns survived and carried items, plus the
+     * artifact and a victory bonus that rewards faster wins.
+     */
+    GameRef.prototype.calculateScore = function(won) {
+        const stats = this.runStats || GameRef.createRunStats();
+        const turns = this.player ? this.player.turnCount || 0 : 0;
+        const breakdown = {
+            depth: stats.maxDepth * SCORE_PER_DEPTH,
+            kills: stats.kills * SCORE_PER_KILL,
+            turns: Math.floor(turns / TURNS_PER_POINT),
+            items: Math.floor(this.getCarriedValue() / ITEM_VALUE_PER_POINT) + (this.hasQuestArtifact() ? ARTIFACT_SCORE : 0),
+            victory: won ? VICTORY_BONUS + Math.floor(Math.max(0, VICTORY_PAR_TURNS - turns) / 10) : 0
+        };
+        const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+        return { total, breakdown };
+    };
+
+    GameRef.prototype.getHighScores = function() {
+        try {
+            const scores = JSON.parse(localStorage.getItem(HIGH_SCORE_KEY) || '[]');
+            return Array.isArray(scores) ? scores : [];
+        } catch (error) {
+            console.error('Error reading high scores:', error);
+            return [];
+        }
+    };
+
+    /**
+     * Insert an entry into the high-score table
+     * @returns {number} Rank index of the entry, or -1 if it did not make the table
+     */
+    GameRef.prototype.addHighScore = function(entry) {
+        const scores = this.getHighScores();
+        scores.push(entry);
+        scores.sort((a, b) => b.score - a.score);
+        const rank = scores.indexOf(entry);
+        try {
+            localStorage.setItem(HIGH_SCORE_KEY, JSON.stringify(scores.slice(0, MAX_HIGH_SCORES)));
+        } catch (error) {
+            console.error('Error saving high scores:', error);
+        }
+        return rank < MAX_HIGH_SCORES ? rank : -1;
+    };
+
+    /**
+     * Score the finished run, record it and show the high-score table
+     */
+    GameRef.prototype.endRun = function(won, cause) {
+        if (!this.player) return;
+        const score = this.calculateScore(won);
+        const stats = this.runStats || GameRef.createRunStats();
+        const entry = {
+            score: score.total,
+            won: won,
+            cause: cause,
+            depth: this.currentLevel,
+            maxDepth: stats.maxDepth,
+            kills: stats.kills,
+            turns: this.player.turnCount || 0,
+            level: this.player.level || 1,
+            seed: this.rng ? this.rng.seed : null,
+            date: Date.now()
+        };
+        const rank = this.headless ? -1 : this.addHighScore(entry); // Simulated runs stay off the table
+
+        this.renderer.addLogMessage(`Final score: ${score.total} (depth ${score.breakdown.depth}, kills ${score.breakdown.kills}, ` +
+            `turns ${score.breakdown.turns}, items ${score.breakdown.items}${won ? `, victory ${score.breakdown.victory}` : ''})`, 'system');
+        if (rank !== -1) {
+            this.renderer.addLogMessage(`You made the high-score table at #${rank + 1}!`, 'victory');
+        }
+        if (window.subWindow) {
+            window.subWindow.showHighScores(this.getHighScores(), rank);
+        }
+    };
+})();
@@ -0,0 +1,147 @@
+/**
+ * Aiming projectiles and firing launchers
+ * Throwing (t, game-input.js) and firing (f) aim with the look cursor, starting on the nearest
+ * visible monster: hjklyubn move it, Tab cycles through visible monsters, and the map shows the
+ * path the projectile would take. It flies along FOV.getLine through the cursor tile, on to its
+ * range, stopping at the first wall or closed door; attemptThrownAttack resolves each monster on
+ * the way, and a miss flies on.
+ * f shoots the quivered ammunition of the wielded launcher (bow, crossbow, sling). A shot that
+ * hits or lands may break (the ammo's breakChance); otherwise it drops where it stopped and can
+ * be picked up again.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for ranged helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    // breakChance multiplier by how the shot stopped
+    const BREAK_FACTOR = { hit: 1, wall: 1.5, ground: 0.25 };
+
+    /**
+     * Open the fire cursor (f)
+     */
+    GameRef.prototype.startFire = function() {
+        if (!this.player || !this.dungeon || !this.fov) return;
+        const launcher = this.player.getLauncher();
+        const quiver = this.player.equipment.quiver;
+        if (!launcher) {
+            this.renderer.addLogMessage('You are not wielding a launcher. (t throws things by hand.)');
+            return;
+        }
+        if (!quiver) {
+            this.renderer.addLogMessage('Your quiver is empty.');
+            return;
+        }
+        if (quiver.ammoType !== launcher.ammoType) {
+            this.renderer.addLogMessage(`You cannot fire ${quiver.name.toLowerCase()}s from your ${launcher.name.toLowerCase()}.`);
+            return;
+        }
+        this.startAiming('fire', launcher.range);
+        this.renderer.addLogMessage(`Fire ${quiver.getDisplayName()}: hjklyubn to aim (Shift: faster), Tab for the next monster, f or Enter to fire, Escape to cancel.`);
+        this.describeTile(this.targeting.x, this.targeting.y);
+    };
+
+    /**
+     * Put up the targeting cursor for a projectile, on the nearest visible monster if any
+     * @param {string} mode - 'fire' or 'throw'
+     * @param {number} range - Longest flight in tiles (for the path preview)
+     * @param {Object} [extra] - More targeting state (what is being thrown)
+     */
+    GameRef.prototype.startAiming = function(mode, range, extra = {}) {
+        const start = this.findNearestVisibleMonster() || this.player;
+        this.targeting = { ...extra, mode, range, x: start.x, y: start.y };
+    };
+
+    /**
+     * Shoot one piece of quivered ammunition at the cursor tile
+     * @param {Object} aim - Targeting state from startFire: { x, y, range }
+     */
+    GameRef.prototype.fireAt = function(aim) {
+        const launcher = this.player.getLauncher();
+        if (!launcher || !this.player.equipment.quiver) return;
+        if (aim.x === this.player.x && aim.y === this.player.y) {
+            this.renderer.addLogMessage('You cannot shoot yourself.');
+            return;
+        }
+        const shot = this.player.takeFromQuiver();
+        const path = this.getProjectilePath(this.player.x, this.player.y, aim.x, aim.y, launcher.range);
+        this.resolveShot(shot, launcher, path);
+    };
+
+    /**
+     * Tiles a projectile crosses from (fromX, fromY) through (toX, toY), up to maxRange tiles
+     * away, stopping at the map edge. Walls are left to the caller (isProjectileBlocked).
+     * @returns {Array<{x: number, y: number}>} Path, not including the start
+     */
+    GameRef.prototype.getProjectilePath = function(fromX, fromY, toX, toY, maxRange) {
+        const line = FOV.getLine(fromX, fromY, toX, toY, maxRange);
+        const edge = line.findIndex(({ x, y }) => !this.dungeon.isInBounds(x, y));
+        return edge === -1 ? line : line.slice(0, edge);
+    };
+
+    /**
+     * Walls and closed doors stop projectiles
+     */
+    GameRef.prototype.isProjectileBlocked = function(x, y) {
+        const tile = this.dungeon.getTile(x, y);
+        return tile.type === 'wall' || (tile.type === 'door' && tile.doorState !== 'open');
+    };
+
+    /**
+     * Path preview for the aiming cursor: up to the first wall the player knows of
+     */
+    GameRef.prototype.getAimPath = function() {
+        const aim = this.targeting;
+        const path = this.getProjectilePath(this.player.x, this.player.y, aim.x, aim.y, aim.range);
+        const stop = path.findIndex(({ x, y }) => this.fov.isExplored(x, y) && this.isProjectileBlocked(x, y));
+        return stop === -1 ? path : path.slice(0, stop);
+    };
+
+    /**
+     * Fly a shot along its path: stop at the first wall or closed door, attack each monster
+     * on the way (a miss flies on), then break or drop where it stopped
+     */
+    GameRef.prototype.resolveShot = function(shot, launcher, path) {
+        let lastX = this.player.x;
+        let lastY = this.player.y;
+        let impact = 'ground';
+        let attacked = false;
+        for (let i = 0; i < path.length; i++) {
+            const { x, y } = path[i];
+            if (this.isProjectileBlocked(x, y)) {
+                impact = 'wall';
+                break;
+            }
+            lastX = x;
+            lastY = y;
+            const target = this.monsterSpawner.getMonsterAt(x, y);
+            if (target && target.isAlive) {
+                attacked = true;
+                if (this.attemptThrownAttack(shot, target, i + 1, launcher).hit) {
+                    impact = 'hit';
+                    break;
+                }
+            }
+        }
+        if (!attacked) this.renderer.addLogMessage(`You fire ${ItemIdentification.getKnownName(shot)}.`);
+        this.landShot(shot, lastX, lastY, impact);
+        this.postPlayerAction();
+    };
+
+    /**
+     * A spent shot breaks (BREAK_FACTOR by impact) or lies at (x, y) to be recovered
+     */
+    GameRef.prototype.landShot = function(shot, x, y, impact) {
+        const breakChance = (shot.breakChance || 0) * BREAK_FACTOR[impact];
+        if (this.rng.combat.random() < breakChance) {
+            if (this.isTileVisible(x, y)) {
+                this.renderer.addLogMessage(`The ${ItemIdentification.getKnownName(shot).toLowerCase()} breaks.`);
+            }
+            return;
+        }
+        this.dropProjectileAt(shot, x, y);
+    };
+})();
@@ -10,6 +10,11 @@
 
     const GameRef = Game;
 
+    // Current save format version (migrations and schema live in save-migrations.js)
+    const SAVE_VERSION = SaveMigrations.CURRENT_VERSION;
+
+    GameRef.SAVE_VERSION = SAVE_VERSION;
+
     // ===== AUTOSAVE SYSTEM =====
 
     /**
@@ -40,7 +45,7 @@
             `<div style="text-align: center; padding: 20px;">
                 <p style="font-size: 16px; margin-bottom: 20px;">Autosave found!</p>
                 <p style="margin-bottom: 20px;">Do you want to continue your previous game?</p>
-                <p style="font-size: 14px; color: #888;">Press Y for Yes, N for No, or ESC to cancel</p>
+                <p style="font-size: 14px; color: #888;">Press Y for Yes, N for No, L to choose a save slot, or ESC to cancel</p>
             </div>`,
             null, // No callback needed
             (e) => {
@@ -53,8 +58,12 @@
                 } else if (e.key.toLowerCase() === 'n') {
                     window.subWindow.close();
                     this.handleLoadAutosaveChoice(false);
+                } else if (e.key.toLowerCase() === 'l') {
+                    // Back to this prompt if the load menu is cancelled
+                    window.subWindow.showLoadMenu(this, () => this.promptLoadAutosave());
                 }
-            }
+            },
+            () => this.handleLoadAutosaveChoice(false) // ESC: start a new game
         );
     };
 
@@ -66,53 +75,84 @@
             if (this.loadGame()) {
                 this.renderer.addLogMessage('Game loaded from autosave!');
                 // Verify load was successful
-                if (!this.player || !this.dungeon) {
-                    this.generateNewLevel();
-                } else {
-                    // Update display after loading
-                    this.updateFOV();
-                    this.startRendering();
-                }
+                this.finishLoadedGame();
             } else {
                 this.renderer.addLogMessage('Failed to load autosave, starting new game.');
-                this.generateNewLevel();
+                this.beginCharacterCreation();
             }
         } else {
-            this.generateNewLevel();
-        }
-        
-        // Ensure game is properly initialized after choice
-        if (!this.player || !this.dungeon) {
-            this.generateNewLevel();
+            this.beginCharacterCreation();
         }
     };
 
     /**
      * Save complete game state
+     * @param {string|null} slotId - Named save slot, or null for the autosave
+     * @param {string|null} name - Display name for the slot (kept from the existing slot if null)
      */
-    GameRef.prototype.saveGame = function() {
+    GameRef.prototype.saveGame = function(slotId = null, name = null) {
         try {
-            // Save current level state first
-            this.saveLevelState();
+            const gameState = this.buildSaveData();
+            const key = slotId ? this.getSaveSlotKey(slotId) : this.saveKey;
+            this.writeSaveData(key, gameState, slotId || 'autosave', name);
+            this.lastAutosave = Date.now();
+            
+            // Only log manual saves or important autosaves
+            if (this.isManualSave) {
+                this.isManualSave = false; // Reset flag
+            } else {
+                // Silent autosave, only log errors
+            }
+            return true;
             
-            // Prepare complete game state
-            const gameState = {
-                version: '1.0',
+        } catch (error) {
+            console.error('Error saving game:', error);
+            if (this.isStorageQuotaError(error)) {
+                this.renderer.addLogMessage('Failed to save game: browser storage is full! Export your game (Shift+R, then E) or delete old save slots.', 'warning');
+            } else {
+                this.renderer.addLogMessage('Failed to save game!');
+            }
+            return false;
+        }
+    };
+
+    /**
+     * Build the complete serializable game state
+     */
+    GameRef.prototype.buildSaveData = function() {
+        // Save current level state first
+        this.saveLevelState();
+        
+        // Prepare complete game state
+        const gameState = {
+                version: SAVE_VERSION,
                 timestamp: Date.now(),
                 currentLevel: this.currentLevel,
                 previousLevel: this.previousLevel,
                 gameState: this.gameState,
                 visitedLevels: Array.from(this.visitedLevels),
                 
+                // Run seed and RNG stream positions
+                rng: this.rng ? this.rng.serialize() : null,
+                
+                // Run statistics for scoring
+                runStats: this.runStats,
+                
+                // Item appearances and discoveries
+                identification: this.identification ? this.identification.serialize() : null,
+                
                 // Player state
                 player: this.player ? {
                     x: this.player.x,
                     y: this.player.y,
+                    characterClass: this.player.characterClass,
+                    characterName: this.player.characterName,
                     level: this.player.level,
                     hp: this.player.hp,
                     maxHp: this.player.maxHp,
                     mp: this.player.mp,
                     maxMp: this.player.maxMp,
+                    knownSpells: this.player.knownSpells,
                     exp: this.player.exp,
                     expToNext: this.player.expToNext,
                     // Speed system
@@ -144,6 +184,7 @@
                     lastRegenTurn: this.player.lastRegenTurn,
                     regenInterval: this.player.regenInterval,
                     regenAmount: this.player.regenAmount,
+                    lastMpRegenTurn: this.player.lastMpRegenTurn,
                     
                     // Equipment and inventory
                     equipment: this.player.equipment,
@@ -181,48 +222,102 @@
                         monsterData: this.serializeMonsters(levelData.monsterSpawner),
                         itemData: this.serializeItems(levelData.itemManager),
                         fovState: levelData.fovState,
-                        timestamp: levelData.timestamp
+                        timestamp: levelData.timestamp,
+                        rngState: {
+                            spawn: levelData.monsterSpawner && levelData.monsterSpawner.rng ? levelData.monsterSpawner.rng.getState() : null,
+                            items: levelData.itemManager && levelData.itemManager.rng ? levelData.itemManager.rng.getState() : null
+                        }
                     }
                 ]))
             };
-            
-            // Save to localStorage
-            localStorage.setItem(this.saveKey, JSON.stringify(gameState));
-            this.lastAutosave = Date.now();
-            
-            // Only log manual saves or important autosaves
-            if (this.isManualSave) {
-                this.isManualSave = false; // Reset flag
-            } else {
-                // Silent autosave, only log errors
+        
+        return gameState;
+    };
+
+    /**
+     * Write save data to localStorage and record slot metadata.
+     * Throws on failure (e.g. storage quota exceeded) so callers can report it.
+     */
+    GameRef.prototype.writeSaveData = function(key, gameState, slotId, name = null) {
+        localStorage.setItem(key, JSON.stringify(gameState));
+        this.updateSaveSlotIndex(slotId, gameState, name);
+    };
+
+    /**
+     * True if a storage error means localStorage is full
+     */
+    GameRef.prototype.isStorageQuotaError = function(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22 || error.code === 1014);
+    };
+
+    /**
+     * Migrate a parsed save to SAVE_VERSION and validate it against the save schema.
+     * Repairable problems are fixed in place and logged; anything else throws an Error
+     * with a player-facing message so a corrupt save never starts a broken game.
+     */
+    GameRef.prototype.prepareSaveData = function(gameState) {
+        if (!gameState || typeof gameState !== 'object' || Array.isArray(gameState)) {
+            throw new Error('Save data is not a valid game state.');
+        }
+        gameState = SaveMigrations.migrate(gameState);
+        
+        const report = SaveMigrations.validate(gameState);
+        if (report.errors.length > 0) {
+            console.error('Save validation failed:', report.errors);
+            const more = report.errors.length > 1 ? ` (and ${report.errors.length - 1} more problems)` : '';
+            throw new Error(`Save is corrupt: ${report.errors[0]}${more}.`);
+        }
+        if (report.repairs.length > 0) {
+            console.warn('Save repaired:', report.repairs);
+            if (this.renderer) {
+                this.renderer.addLogMessage(`Repaired ${report.repairs.length} problem(s) in the save file.`, 'warning');
             }
-            return true;
-            
-        } catch (error) {
-            console.error('Error saving game:', error);
-            this.renderer.addLogMessage('Failed to save game!');
-            return false;
         }
+        return gameState;
     };
 
     /**
      * Load complete game state
+     * @param {string|null} slotId - Named save slot, or null for the autosave
      */
-    GameRef.prototype.loadGame = function() {
+    GameRef.prototype.loadGame = function(slotId = null) {
         try {
-            const saveData = localStorage.getItem(this.saveKey);
+            const key = slotId ? this.getSaveSlotKey(slotId) : this.saveKey;
+            const saveData = localStorage.getItem(key);
             if (!saveData) {
                 return false;
             }
             
-            const gameState = JSON.parse(saveData);
+            return this.applySaveData(this.prepareSaveData(JSON.parse(saveData)));
             
+        } catch (error) {
+            console.error('Error loading game:', error);
+            if (this.renderer) {
+                this.renderer.addLogMessage(`Failed to load save: ${error.message}`, 'warning');
+            }
+            return false;
+        }
+    };
+
+    /**
+     * Restore the game from a parsed, version-checked save object
+     */
+    GameRef.prototype.applySaveData = function(gameState) {
+        try {
             // Restore basic game state
             this.currentLevel = gameState.currentLevel;
             this.previousLevel = gameState.previousLevel;
             this.gameState = gameState.gameState;
             this.visitedLevels = new Set(gameState.visitedLevels);
             
+            // Restore seed and stream positions (older saves keep the current seed)
+            if (gameState.rng) {
+                this.rng = RNG.RNGService.deserialize(gameState.rng);
+            }
+            this.runStats = gameState.runStats;
+            this.identification = ItemIdentification.deserialize(gameState.identification, this.rng.forLevel('appearances', 0));
+            
             // Restore player
             if (gameState.player) {
                 this.player = this.deserializePlayer(gameState.player);
@@ -239,6 +334,17 @@
                     const monsterSpawner = this.deserializeMonsters(levelData.monsterData, dungeon);
                     const itemManager = this.deserializeItems(levelData.itemData, dungeon);
                     
+                    // Per-level spawn streams continue where they left off
+                    const rngState = levelData.rngState || {};
+                    if (monsterSpawner) {
+                        monsterSpawner.rng = this.rng.forLevel('spawn', levelNum);
+                        if (rngState.spawn != null) monsterSpawner.rng.setState(rngState.spawn);
+                    }
+                    if (itemManager) {
+                        itemManager.rng = this.rng.forLevel('items', levelNum);
+                        if (rngState.items != null) itemManager.rng.setState(rngState.items);
+                    }
+                    
                     this.levels.set(levelNum, {
                         dungeon: dungeon,
                         monsterSpawner: monsterSpawner,
@@ -294,8 +400,278 @@
     GameRef.prototype.deleteAutosave = function() {
         try {
             localStorage.removeItem(this.saveKey);
+            const index = this.readSaveSlotIndex();
+            if (index.autosave) {
+                delete index.autosave;
+                this.writeSaveSlotIndex(index);
+            }
+        } catch (error) {
+        }
+    };
+
+    // ===== SAVE SLOTS =====
+
+    const SLOT_KEY_PREFIX = 'compl3xRL_slot_';
+    const SLOT_INDEX_KEY = 'compl3xRL_slots'; // Metadata for the slot list (avoids parsing every save)
+    const MAX_SAVE_SLOTS = 9;
+
+    GameRef.MAX_SAVE_SLOTS = MAX_SAVE_SLOTS;
+
+    /**
+     * localStorage key for a slot id ('autosave' maps to the autosave key)
+     */
+    GameRef.prototype.getSaveSlotKey = function(slotId) {
+        return slotId === 'autosave' ? this.saveKey : SLOT_KEY_PREFIX + slotId;
+    };
+
+    GameRef.prototype.readSaveSlotIndex = function() {
+        try {
+            const index = JSON.parse(localStorage.getItem(SLOT_INDEX_KEY) || '{}');
+            return (index && typeof index === 'object') ? index : {};
+        } catch (error) {
+            console.error('Corrupt save slot index, rebuilding:', error);
+            return {};
+        }
+    };
+
+    GameRef.prototype.writeSaveSlotIndex = function(index) {
+        localStorage.setItem(SLOT_INDEX_KEY, JSON.stringify(index));
+    };
+
+    /**
+     * Record summary metadata for a slot after it is written
+     */
+    GameRef.prototype.updateSaveSlotIndex = function(slotId, gameState, name = null) {
+        const index = this.readSaveSlotIndex();
+        const previous = index[slotId] || {};
+        const player = gameState.player || {};
+        index[slotId] = {
+            name: name || previous.name || (slotId === 'autosave' ? 'Autosave' : `Save ${slotId}`),
+            timestamp: gameState.timestamp || Date.now(),
+            version: gameState.version,
+            depth: gameState.currentLevel,
+            turn: player.turnCount || 0,
+            level: player.level || 1,
+            seed: gameState.rng ? gameState.rng.seed : null
+        };
+        try {
+            this.writeSaveSlotIndex(index);
+        } catch (error) {
+            // The save itself succeeded; the list just shows stale info
+            console.error('Failed to update save slot index:', error);
+        }
+    };
+
+    /**
+     * List saves, newest first. Slots whose data is missing are dropped from the index.
+     * @returns {Array<{id: string, name: string, timestamp: number, depth: number, turn: number, level: number, seed: string|null, version: string}>}
+     */
+    GameRef.prototype.getSaveSlots = function() {
+        const index = this.readSaveSlotIndex();
+        const slots = [];
+        let pruned = false;
+        for (const [id, meta] of Object.entries(index)) {
+            if (localStorage.getItem(this.getSaveSlotKey(id)) === null) {
+                delete index[id];
+                pruned = true;
+                continue;
+            }
+            slots.push({ id, ...meta });
+        }
+        // Autosaves written before slots existed have no index entry
+        if (!index.autosave && this.hasAutosave()) {
+            slots.push({ id: 'autosave', name: 'Autosave', timestamp: 0, depth: '?', turn: '?', level: '?', seed: null });
+        }
+        if (pruned) {
+            try { this.writeSaveSlotIndex(index); } catch (error) { }
+        }
+        return slots.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    };
+
+    /**
+     * Named slots only (the autosave is not counted against MAX_SAVE_SLOTS)
+     */
+    GameRef.prototype.getNamedSaveSlots = function() {
+        return this.getSaveSlots().filter(slot => slot.id !== 'autosave');
+    };
+
+    /**
+     * Save the current game into a new named slot
+     * @returns {string|null} New slot id, or null on failure
+     */
+    GameRef.prototype.createSaveSlot = function(name) {
+        if (this.getNamedSaveSlots().length >= MAX_SAVE_SLOTS) {
+            this.renderer.addLogMessage(`All ${MAX_SAVE_SLOTS} save slots are in use. Overwrite or delete one first.`, 'warning');
+            return null;
+        }
+        const slotId = Date.now().toString(36);
+        const slotName = String(name || '').trim().slice(0, 40) || `Depth ${this.currentLevel}, turn ${this.player ? this.player.turnCount : 0}`;
+        return this.saveGame(slotId, slotName) ? slotId : null;
+    };
+
+    /**
+     * Delete a save slot (or the autosave)
+     */
+    GameRef.prototype.deleteSaveSlot = function(slotId) {
+        try {
+            localStorage.removeItem(this.getSaveSlotKey(slotId));
+            const index = this.readSaveSlotIndex();
+            delete index[slotId];
+            this.writeSaveSlotIndex(index);
+            return true;
+        } catch (error) {
+            console.error('Error deleting save slot:', error);
+            return false;
+        }
+    };
+
+    /**
+     * Load a slot into the running game and make it the current run
+     */
+    GameRef.prototype.loadSaveSlot = function(slotId) {
+        if (!this.loadGame(slotId)) {
+            return false;
+        }
+        this.finishLoadedGame();
+        // Continue the loaded run in the autosave so a page reload resumes it
+        if (slotId !== 'autosave') {
+            this.saveGame();
+        }
+        return true;
+    };
+
+    /**
+     * Open the save slot menu (Shift+S)
+     */
+    GameRef.prototype.showSaveMenu = function() {
+        if (window.subWindow) {
+            window.subWindow.showSaveMenu(this);
+        }
+    };
+
+    /**
+     * Open the load menu (Shift+R)
+     */
+    GameRef.prototype.showLoadMenu = function() {
+        if (window.subWindow) {
+            window.subWindow.showLoadMenu(this, null);
+        }
+    };
+
+    /**
+     * Common post-load setup (FOV, rendering) for the startup prompt and the load menu
+     */
+    GameRef.prototype.finishLoadedGame = function() {
+        if (!this.player || !this.dungeon) {
+            this.generateNewLevel();
+            return;
+        }
+        this.updateFOV();
+        this.startRendering();
+        this.render();
+    };
+
+    /**
+     * Download a save as a .json file.
+     * @param {string|null} slotId - Slot to export, or null for the game in progress
+     */
+    GameRef.prototype.exportSave = function(slotId = null) {
+        try {
+            let json;
+            if (slotId) {
+                json = localStorage.getItem(this.getSaveSlotKey(slotId));
+                if (!json) {
+                    this.renderer.addLogMessage('That save slot is empty.', 'warning');
+                    return false;
+                }
+            } else {
+                json = JSON.stringify(this.buildSaveData());
+            }
+
+            const data = JSON.parse(json);
+            const seed = data.rng && data.rng.seed ? `-${data.rng.seed}` : '';
+            const date = new Date(data.timestamp || Date.now()).toISOString().slice(0, 10);
+            const fileName = `compl3xRL${seed}-depth${data.currentLevel || 1}-${date}.json`;
+
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+
+            this.renderer.addLogMessage(`Save exported as ${fileName}.`);
+            return true;
+        } catch (error) {
+            console.error('Error exporting save:', error);
+            this.renderer.addLogMessage('Failed to export save!', 'warning');
+            return false;
+        }
+    };
+
+    /**
+     * Ask the browser for a .json save file and store it as a new slot.
+     * @param {Function} onDone - Called with the new slot id (or null) once the file is handled
+     */
+    GameRef.prototype.importSave = function(onDone = null) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                if (onDone) onDone(null);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                const slotId = this.importSaveData(reader.result, file.name.replace(/\.json$/i, ''));
+                if (onDone) onDone(slotId);
+            };
+            reader.onerror = () => {
+                this.renderer.addLogMessage(`Could not read ${file.name}.`, 'warning');
+                if (onDone) onDone(null);
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    };
+
+    /**
+     * Validate imported JSON text and store it as a new slot
+     * @returns {string|null} New slot id, or null if the file was rejected
+     */
+    GameRef.prototype.importSaveData = function(text, name) {
+        let gameState;
+        try {
+            gameState = this.prepareSaveData(JSON.parse(text));
         } catch (error) {
+            console.error('Error importing save:', error);
+            this.renderer.addLogMessage(`Import failed: ${error instanceof SyntaxError ? 'not a valid save file.' : error.message}`, 'warning');
+            return null;
+        }
+        if (this.getNamedSaveSlots().length >= MAX_SAVE_SLOTS) {
+            this.renderer.addLogMessage(`All ${MAX_SAVE_SLOTS} save slots are in use. Delete one before importing.`, 'warning');
+            return null;
+        }
+
+        const slotId = Date.now().toString(36);
+        try {
+            this.writeSaveData(this.getSaveSlotKey(slotId), gameState, slotId, name);
+        } catch (error) {
+            console.error('Error storing imported save:', error);
+            if (this.isStorageQuotaError(error)) {
+                this.renderer.addLogMessage('Import failed: browser storage is full. Delete old save slots and try again.', 'warning');
+            } else {
+                this.renderer.addLogMessage('Import failed!', 'warning');
+            }
+            return null;
         }
+        this.renderer.addLogMessage(`Imported save "${name}".`);
+        return slotId;
     };
 
     // ===== SERIALIZATION METHODS =====
@@ -310,7 +686,8 @@
             width: dungeon.width,
             height: dungeon.height,
             tiles: dungeon.tiles, // includes trap metadata if present
-            rooms: dungeon.rooms
+            rooms: dungeon.rooms,
+            layout: dungeon.layout
         };
     };
 
@@ -320,12 +697,18 @@
     GameRef.prototype.deserializeDungeon = function(dungeonData) {
         if (!dungeonData) return null;
         
-        // Create new dungeon instance
-        const dungeon = new Dungeon();
+        // Create new dungeon instance (throwaway stream: the generated layout is overwritten below)
+        const dungeon = new Dungeon(160, 100, RNG.unseeded);
         dungeon.width = dungeonData.width;
         dungeon.height = dungeonData.height;
         dungeon.tiles = dungeonData.tiles;
         dungeon.rooms = dungeonData.rooms;
+        dungeon.layout = dungeonData.layout || 'classic'; // Saves from before layouts were all classic
+        dungeon.connectivity = null; // Generation stats were for the throwaway layout
+        // Saves from before lighting: keep their rooms visible as they were
+        dungeon.rooms.forEach(room => {
+            if (room.lit === undefined) room.lit = true;
+        });
         
         return dungeon;
     };
@@ -337,7 +720,7 @@
         if (!monsterSpawner) return null;
         
         return {
-            monsters: monsterSpawner.monsters.map(monster => ({
+            monsters: monsterSpawner.monsters.map((monster, index) => ({
                 x: monster.x,
                 y: monster.y,
                 type: monster.type,
@@ -362,6 +745,14 @@
                 lastSeenPlayerX: monster.lastSeenPlayerX,
                 lastSeenPlayerY: monster.lastSeenPlayerY,
                 turnsWithoutSeeingPlayer: monster.turnsWithoutSeeingPlayer,
+                noticedPlayer: monster.noticedPlayer,
+                rangedReadyTurn: monster.rangedReadyTurn || 0,
+                // Special abilities (monster-abilities.js): cooldowns, and summons by saveId
+                abilityReadyTurns: { ...(monster.abilityReadyTurns || {}) },
+                saveId: index,
+                minionIds: (monster.minions || [])
+                    .map(minion => monsterSpawner.monsters.indexOf(minion))
+                    .filter(minionId => minionId >= 0),
                 sightRange: monster.sightRange,
                 giveUpTurns: monster.giveUpTurns,
                 // Sleep state
@@ -441,6 +832,11 @@
             monster.lastSeenPlayerX = monsterInfo.lastSeenPlayerX || null;
             monster.lastSeenPlayerY = monsterInfo.lastSeenPlayerY || null;
             monster.turnsWithoutSeeingPlayer = monsterInfo.turnsWithoutSeeingPlayer || 0;
+            // Saves from before stealth: awake monsters already knew where the player was
+            monster.noticedPlayer = monsterInfo.noticedPlayer ?? !monsterInfo.isAsleep;
+            // Player turn when a breath or other ranged attack on cooldown comes back (monster-ranged.js)
+            monster.rangedReadyTurn = monsterInfo.rangedReadyTurn || 0;
+            monster.abilityReadyTurns = { ...(monsterInfo.abilityReadyTurns || {}) };
             monster.sightRange = monsterInfo.sightRange || 8;
             monster.giveUpTurns = monsterInfo.giveUpTurns || 5;
             
@@ -459,7 +855,7 @@
             // Restore intelligence and fleeing system
             monster.intelligence = monsterInfo.intelligence || 'normal';
             monster.isFleeing = monsterInfo.isFleeing || false;
-            monster.fleeThreshold = monsterInfo.fleeThreshold || 0.25;
+            monster.fleeThreshold = monsterInfo.fleeThreshold ?? 0.25;
             
             // Restore fleeing personality system
             monster.fleePersonality = monsterInfo.fleePersonality || 'normal';
@@ -509,6 +905,17 @@
             
             return monster;
         });
+        // Relink summoners to their minions once every monster exists (saveId: position when saved,
+        // kept separately because validation may drop corrupt entries)
+        const bySaveId = new Map();
+        monsterData.monsters.forEach((monsterInfo, index) => {
+            if (Number.isInteger(monsterInfo.saveId)) bySaveId.set(monsterInfo.saveId, monsterSpawner.monsters[index]);
+        });
+        monsterData.monsters.forEach((monsterInfo, index) => {
+            monsterSpawner.monsters[index].minions = (monsterInfo.minionIds || [])
+                .map(minionId => bySaveId.get(minionId))
+                .filter(Boolean);
+        });
         // Rebuild pack registry for morale after load
         if (typeof monsterSpawner.rebuildPacksFromMonsters === 'function') {
             monsterSpawner.rebuildPacksFromMonsters();
@@ -550,6 +957,8 @@
                     cursed: item.cursed,
                     identified: item.identified,
                     value: item.value,
+                    effect: item.effect,
+                    spell: item.spell,
                     
                     // Durability system
                     durability: item.durability,
@@ -563,6 +972,11 @@
                     blockChance: item.blockChance,
                     resistances: item.resistances,
                     
+                    // Light sources
+                    lightRadius: item.lightRadius,
+                    burnTime: item.burnTime,
+                    remainingBurnTime: item.remainingBurnTime,
+                    
                     // Food specific properties
                     nutrition: item.nutrition,
                     healAmount: item.healAmount,
@@ -610,46 +1024,7 @@
                         // Recreate item based on its class type
                         switch (itemInfo.itemClass) {
                             case 'EquipmentItem':
-                                // Check if this is an old format item (missing quality/durability)
-                                if (!itemInfo.quality && itemInfo.type !== 'potion' && itemInfo.type !== 'food') {
-                                    // Try to recreate using EquipmentManager to get new properties
-                                    const categoryMap = {
-                                        'weapon': 'weapons',
-                                        'armor': 'armor', 
-                                        'shield': 'shields',
-                                        'helmet': 'helmets',
-                                        'gloves': 'gloves',
-                                        'boots': 'boots',
-                                        'ring': 'rings',
-                                        'amulet': 'amulets'
-                                    };
-                                    
-                                    const category = categoryMap[itemInfo.type];
-                                    if (category && typeof EquipmentManager !== 'undefined') {
-                                        // Find the item key that matches this item's name
-                                        const equipmentTypes = EQUIPMENT_TYPES[category];
-                                        if (equipmentTypes) {
-                                            const itemKey = Object.keys(equipmentTypes).find(key => 
-                                                equipmentTypes[key].name === itemInfo.name
-                                            );
-                                            
-                                            if (itemKey) {
-                                                const enchantment = itemInfo.enchantment || 0;
-                                                item = EquipmentManager.createEquipment(category, itemKey, enchantment);
-                                                if (item) {
-                                                    // Preserve position and visibility state
-                                                    item.x = itemInfo.x;
-                                                    item.y = itemInfo.y;
-                                                    item.hasBeenSeen = itemInfo.hasBeenSeen;
-                                                    item.lastSeenTurn = itemInfo.lastSeenTurn;
-                                                    console.log(`Converted old format item: ${itemInfo.name} to new format with quality: ${item.quality}`);
-                                                    break;
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                                // Fallback to original creation if conversion fails
+                                // Legacy items (no quality/durability) are upgraded by save migrations
                                 item = new EquipmentItem(itemInfo.name, itemInfo);
                                 break;
                             case 'FoodItem':
@@ -693,6 +1068,23 @@
         }
     };
 
+    /**
+     * Rebuild a carried item from its saved fields. Carried items are saved whole
+     * (no itemClass), so the class is inferred and every saved field is kept.
+     */
+    GameRef.prototype.restoreCarriedItem = function(itemData) {
+        if (!itemData || typeof itemData !== 'object') return itemData;
+        let item;
+        if (itemData.type === 'food') {
+            item = new FoodItem(itemData.name, itemData);
+        } else if (itemData.maxDurability !== undefined) {
+            item = new EquipmentItem(itemData.name, itemData);
+        } else {
+            item = new Item(itemData.type, itemData.name, itemData);
+        }
+        return Object.assign(item, itemData);
+    };
+
     /**
      * Deserialize player data
      */
@@ -703,11 +1095,14 @@
         const player = new Player(playerData.x, playerData.y);
         
         // Restore all player properties
+        player.characterClass = playerData.characterClass;
+        player.characterName = playerData.characterName;
         player.level = playerData.level;
         player.hp = playerData.hp;
         player.maxHp = playerData.maxHp;
         player.mp = playerData.mp;
         player.maxMp = playerData.maxMp;
+        player.knownSpells = (playerData.knownSpells || []).filter(key => SPELLS[key]); // Drop spells this version lacks
         player.exp = playerData.exp;
         player.expToNext = playerData.expToNext;
         
@@ -727,7 +1122,7 @@
         
         // Combat stats
         player.toHit = playerData.toHit;
-        player.baseToHit = playerData.baseToHit || playerData.toHit; // Fallback for old saves
+        player.baseToHit = playerData.baseToHit;
         player.armorClass = playerData.armorClass;
         player.damage = playerData.damage;
         player.weaponDamage = playerData.weaponDamage;
@@ -740,10 +1135,14 @@
         player.lastRegenTurn = playerData.lastRegenTurn;
         player.regenInterval = playerData.regenInterval;
         player.regenAmount = playerData.regenAmount;
+        player.lastMpRegenTurn = playerData.lastMpRegenTurn || playerData.turnCount || 0;
         
-        // Equipment and inventory
-        player.equipment = playerData.equipment || {};
-        player.inventory = playerData.inventory || [];
+        // Equipment and inventory (saved as plain objects; rebuilt so item methods work)
+        player.equipment = {};
+        for (const [slot, item] of Object.entries(playerData.equipment || {})) {
+            player.equipment[slot] = this.restoreCarriedItem(item);
+        }
+        player.inventory = (playerData.inventory || []).map(item => this.restoreCarriedItem(item));
         player.maxInventorySize = playerData.maxInventorySize || 26;
         
         // Restore hunger system
@@ -753,10 +1152,7 @@
         
         // Restore weight system
         player.currentWeight = playerData.currentWeight || 0;
-        player.maxWeight = playerData.maxWeight || 0;
-        if (player.maxWeight === 0) {
-            player.calculateWeightCapacity(); // Recalculate if missing
-        }
+        player.maxWeight = playerData.maxWeight;
         
         // Restore status effects
         if (playerData.statusEffects && playerData.statusEffects.effects) {
@@ -10,6 +10,24 @@
 
     const GameRef = Game;
 
+    // Readable trap names for the log, look mode and death causes
+    const TRAP_NAMES = {
+        dart: 'dart trap', snare: 'snare', pit: 'pit trap', alarm: 'alarm trap', sleep: 'sleeping gas trap',
+        gas_poison: 'poison gas trap', gas_confuse: 'confusion gas trap'
+    };
+
+    // Helper: trap name without article ('pit trap'); 'trap' if the type is unknown
+    GameRef.prototype.getTrapName = function(trap) {
+        if (!trap || !trap.type) return 'trap';
+        return TRAP_NAMES[trap.type] || `${trap.type.replace(/_/g, ' ')} trap`;
+    };
+
+    // Helper: trap name with an indefinite article ('a pit trap', 'an alarm trap')
+    GameRef.prototype.getTrapNameWithArticle = function(trap) {
+        const name = this.getTrapName(trap);
+        return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+    };
+
     // Helper: is tile currently visible to the player?
     GameRef.prototype.isTileVisible = function(x, y) {
         return this.fov ? this.fov.isVisible(x, y) : false;
@@ -24,12 +42,11 @@
         const dexMod = this.player.getClassicModifier(this.player.dexterity);
         const wisMod = this.player.getClassicModifier(this.player.wisdom);
         const base = 10 + (dexMod + wisMod) * 2 + this.player.level + bonus; // modest scaling
-        const roll = Math.floor(Math.random() * 100) + 1;
+        const roll = Math.floor(this.rng.combat.random() * 100) + 1;
         if (roll <= Math.max(5, base - tile.trap.difficulty)) {
             tile.trap.revealed = true;
             if (this.renderer) {
-                const label = tile.trap && tile.trap.type ? `${tile.trap.type} trap` : 'trap';
-                this.renderer.addLogMessage(`You detect a ${label}.`);
+                this.renderer.addLogMessage(`You detect ${this.getTrapNameWithArticle(tile.trap)}.`);
             }
             return true;
         }
@@ -86,14 +103,14 @@
         const isPlayer = (entity === this.player);
         const targetName = isPlayer ? 'you' : `the ${entity.name}`;
         if (this.renderer && (isPlayer || this.isTileVisible(x, y))) {
-            const label = trap && trap.type ? `${trap.type} trap` : 'trap';
-            this.renderer.addBattleLogMessage(`A ${label} is triggered!`, 'warning');
+            const label = this.getTrapNameWithArticle(trap);
+            this.renderer.addBattleLogMessage(`${label.charAt(0).toUpperCase()}${label.slice(1)} is triggered!`, 'warning');
         }
         // Apply effects
         switch (trap.type) {
             case 'dart': {
-                const dmg = 1 + Math.floor(Math.random() * 4); // 1d4
-                entity.takeDirectDamage(dmg);
+                const dmg = 1 + Math.floor(this.rng.combat.random() * 4); // 1d4
+                entity.takeDirectDamage(dmg, `killed by ${this.getTrapNameWithArticle(trap)}`);
                 if (this.renderer && (isPlayer || this.isTileVisible(x, y))) this.renderer.addBattleLogMessage(`A dart hits ${targetName} for ${dmg} damage!`, 'damage');
                 // Check if monster died from trap damage
                 if (!isPlayer && !entity.isAlive) {
@@ -103,7 +120,7 @@
             }
             case 'snare': {
                 if (entity.statusEffects) {
-                    entity.statusEffects.addEffect('stunned', 2 + Math.floor(Math.random() * 3), 1, 'trap');
+                    entity.statusEffects.addEffect('stunned', 2 + Math.floor(this.rng.combat.random() * 3), 1, 'trap');
                 }
                 if (this.renderer && (isPlayer || this.isTileVisible(x, y))) this.renderer.addBattleLogMessage(`${isPlayer ? 'You are' : `The ${entity.name} is`} snared and stunned!`, 'damage');
                 break;
@@ -113,7 +130,7 @@
                 const affectEntity = (target) => {
                     if (!target) return;
                     if (target.statusEffects) {
-                        target.statusEffects.addEffect('poisoned', 5 + Math.floor(Math.random() * 5), 1, 'trap');
+                        target.statusEffects.addEffect('poisoned', 5 + Math.floor(this.rng.combat.random() * 5), 1, 'trap');
                     }
                 };
                 for (let gy = y - 1; gy <= y + 1; gy++) {
@@ -132,7 +149,7 @@
                 const affectEntity = (target) => {
                     if (!target) return;
                     if (target.statusEffects) {
-                        target.statusEffects.addEffect('confused', 3 + Math.floor(Math.random() * 4), 1, 'trap');
+                        target.statusEffects.addEffect('confused', 3 + Math.floor(this.rng.combat.random() * 4), 1, 'trap');
                     }
                 };
                 for (let gy = y - 1; gy <= y + 1; gy++) {
@@ -147,10 +164,10 @@
                 break;
             }
             case 'pit': {
-                const dmg = 2 + Math.floor(Math.random() * 6); // 2-7
-                entity.takeDirectDamage(dmg);
+                const dmg = 2 + Math.floor(this.rng.combat.random() * 6); // 2-7
+                entity.takeDirectDamage(dmg, `killed by ${this.getTrapNameWithArticle(trap)}`);
                 if (entity.statusEffects) {
-                    entity.statusEffects.addEffect('fractured', 4 + Math.floor(Math.random() * 4), 1, 'trap');
+                    entity.statusEffects.addEffect('fractured', 4 + Math.floor(this.rng.combat.random() * 4), 1, 'trap');
                 }
                 if (this.renderer && (isPlayer || this.isTileVisible(x, y))) this.renderer.addBattleLogMessage(`${isPlayer ? 'You fall' : `The ${entity.name} falls`} into a pit! ${dmg} damage and a fracture!`, 'damage');
                 // Check if monster died from trap damage
@@ -166,7 +183,7 @@
             }
             case 'sleep': {
                 if (entity.statusEffects) {
-                    entity.statusEffects.addEffect('sleep', 3 + Math.floor(Math.random() * 4), 1, 'trap');
+                    entity.statusEffects.addEffect('sleep', 3 + Math.floor(this.rng.combat.random() * 4), 1, 'trap');
                 }
                 if (this.renderer && (isPlayer || this.isTileVisible(x, y))) this.renderer.addBattleLogMessage(`A soporific mist makes ${targetName} drowsy!`, 'warning');
                 break;
@@ -338,23 +355,23 @@
         const encPenalty = enc.level === 'UNENCUMBERED' ? 0 : enc.level === 'BURDENED' ? -5 : enc.level === 'STRESSED' ? -10 : enc.level === 'STRAINED' ? -15 : enc.level === 'OVERTAXED' ? -25 : -35;
         const base = 30 + dexMod * 5 + wisMod * 2 - Math.max(0, -strMod) * 2 + encPenalty;
         const target = tile.trap.difficulty + 20;
-        const roll = Math.floor(Math.random() * 100) + 1;
+        const roll = Math.floor(this.rng.combat.random() * 100) + 1;
         if (this.renderer) {
-            const label = tile.trap && tile.trap.type ? `${tile.trap.type} trap` : 'trap';
+            const label = this.getTrapName(tile.trap);
             this.renderer.addLogMessage(`You attempt to disarm the ${label}...`);
         }
         if (roll + base >= target) {
             tile.trap.disarmed = true;
             if (this.renderer) {
-                const label = tile.trap && tile.trap.type ? `${tile.trap.type} trap` : 'trap';
+                const label = this.getTrapName(tile.trap);
                 this.renderer.addBattleLogMessage(`You successfully disarm the ${label}.`, 'victory');
             }
         } else {
-            if (Math.random() < 0.6) {
+            if (this.rng.combat.random() < 0.6) {
                 const isAdjacent = !(this.player.x === x && this.player.y === y);
                 this.triggerTrapOnDisarmFailure(x, y, this.player, isAdjacent);
             } else if (this.renderer) {
-                const label = tile.trap && tile.trap.type ? `${tile.trap.type} trap` : 'trap';
+                const label = this.getTrapName(tile.trap);
                 this.renderer.addBattleLogMessage(`You fail to disarm the ${label}.`, 'warning');
             }
         }
@@ -377,8 +394,8 @@
         switch (trap.type) {
             case 'dart': {
                 // Shoot a dart toward the disarmer (simple auto-hit)
-                const dmg = 1 + Math.floor(Math.random() * 4); // 1d4
-                entity.takeDirectDamage(dmg);
+                const dmg = 1 + Math.floor(this.rng.combat.random() * 4); // 1d4
+                entity.takeDirectDamage(dmg, `killed by ${this.getTrapNameWithArticle(trap)}`);
                 if (this.renderer && this.isTileVisible(x, y)) this.renderer.addBattleLogMessage(`A dart shoots from the dart trap and hits you for ${dmg} damage!`, 'damage');
                 break;
             }
@@ -392,7 +409,7 @@
                 const affectEntity = (target) => {
                     if (!target) return;
                     if (target.statusEffects) {
-                        target.statusEffects.addEffect('poisoned', 4 + Math.floor(Math.random() * 4), 1, 'trap');
+                        target.statusEffects.addEffect('poisoned', 4 + Math.floor(this.rng.combat.random() * 4), 1, 'trap');
                     }
                 };
                 for (let gy = y - 1; gy <= y + 1; gy++) {
@@ -411,7 +428,7 @@
                 const affectEntity = (target) => {
                     if (!target) return;
                     if (target.statusEffects) {
-                        target.statusEffects.addEffect('confused', 2 + Math.floor(Math.random() * 3), 1, 'trap');
+                        target.statusEffects.addEffect('confused', 2 + Math.floor(this.rng.combat.random() * 3), 1, 'trap');
                     }
                 };
                 for (let gy = y - 1; gy <= y + 1; gy++) {
@@ -427,8 +444,8 @@
             }
             case 'pit': {
                 // Adjacent: stumble damage only (no fall)
-                const dmg = 1 + Math.floor(Math.random() * 3); // 1d3
-                entity.takeDirectDamage(dmg);
+                const dmg = 1 + Math.floor(this.rng.combat.random() * 3); // 1d3
+                entity.takeDirectDamage(dmg, `killed by ${this.getTrapNameWithArticle(trap)}`);
                 if (this.renderer && this.isTileVisible(x, y)) this.renderer.addBattleLogMessage(`Loose ground near the pit trap crumbles! You take ${dmg} damage.`, 'damage');
                 break;
             }
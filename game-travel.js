@@ -0,0 +1,443 @@
+/**
+ * Multi-turn movement: auto-explore, travel to a chosen tile, and running
+ * Auto-explore steps downhill on a Dijkstra flow map (Pathfinding.buildFlowMap) to the nearest
+ * unexplored tile; travel follows an A* path over explored ground to a tile picked on the map
+ * (MapView); running (Shift+direction) goes straight across rooms and follows corridors round
+ * bends. Each keeps going, one step per turn, until something worth the player's attention
+ * happens: a monster or item comes into view, a trap is revealed, hunger sets in, the player
+ * is hurt or confused, or the way on leads through a trap, fire, gas or slippery ground.
+ * Running also stops at corridor junctions, doors, stairs, items and room entrances and exits.
+ * In the browser the steps are spread out on a timer and any key stops them; headless runs
+ * take all the steps within the one key press.
+ */
+(function () {
+    if (typeof Game === 'undefined') {
+        console.error('Game class not found for travel helpers.');
+        return;
+    }
+
+    const GameRef = Game;
+
+    const TRAVEL_STEP_DELAY = 40; // ms between steps in the browser
+    const MAX_TRAVEL_STEPS = 1000; // Safety cap for one command
+    const HUNGER_WARNINGS = ['HUNGRY', 'WEAK', 'FAINTING'];
+    const UNSAFE_EFFECTS = ['confused', 'stunned']; // Steps may go astray
+    const RUN_HISTORY = 3; // Recent tiles a run will not turn back into
+    const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+    /**
+     * Begin auto-exploring (x): walk to the nearest reachable unexplored tile, repeatedly
+     */
+    GameRef.prototype.startAutoExplore = function() {
+        if (!this.canStartTravel('explore')) return;
+        this.beginTravel({ mode: 'explore' });
+    };
+
+    /**
+     * Begin travelling to an explored tile (picked on the map), over explored ground only
+     */
+    GameRef.prototype.startTravelTo = function(x, y) {
+        if (!this.player || !this.dungeon || !this.fov) return;
+        if (x === this.player.x && y === this.player.y) return;
+        if (!this.fov.isExplored(x, y) ||
+            Pathfinding.getMoveCost(this.dungeon, x, y, Pathfinding.PLAYER_PROFILE) === Infinity) {
+            this.renderer.addLogMessage('You do not know a way there.');
+            return;
+        }
+        if (!this.canStartTravel('travel')) return;
+        this.beginTravel({ mode: 'travel', targetX: x, targetY: y });
+    };
+
+    /**
+     * Begin running (Shift+direction)
+     */
+    GameRef.prototype.startRun = function(dx, dy) {
+        if (!this.canStartTravel('run', false)) return;
+        this.beginTravel({
+            mode: 'run',
+            dx,
+            dy,
+            history: [],
+            inRoom: this.itemManager.isInAnyRoom(this.player.x, this.player.y),
+            sides: this.getRunSides(this.player.x, this.player.y, dx, dy)
+        });
+    };
+
+    /**
+     * Refuse to set off with monsters in view or while confused
+     * @param {string} verb - 'explore', 'travel' or 'run', for the message
+     * @param {boolean} [refuseMonsters=true] - Also refuse with a monster in view
+     */
+    GameRef.prototype.canStartTravel = function(verb, refuseMonsters = true) {
+        if (!this.player || !this.dungeon || !this.fov) return false;
+        if (refuseMonsters && this.getCurrentlyVisibleMonsters().size > 0) {
+            this.renderer.addLogMessage(`You cannot ${verb} with monsters in view.`, 'warning');
+            return false;
+        }
+        const effect = this.getUnsafeTravelEffect();
+        if (effect) {
+            this.renderer.addLogMessage(`You are too ${effect} to ${verb}.`, 'warning');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * A status effect that makes unattended steps unsafe ('confused'), or null
+     */
+    GameRef.prototype.getUnsafeTravelEffect = function() {
+        const effects = this.player.statusEffects;
+        if (!effects) return null;
+        return UNSAFE_EFFECTS.find(effect => effects.hasEffect(effect)) || null;
+    };
+
+    GameRef.prototype.beginTravel = function(travel) {
+        this.travel = { ...travel, dungeon: this.dungeon, steps: 0, watch: this.captureTravelWatch() };
+        this.continueTravel();
+    };
+
+    /**
+     * Stop any multi-turn movement, with an optional reason for the log
+     */
+    GameRef.prototype.stopTravel = function(message = null, type = 'normal') {
+        if (!this.travel) return;
+        if (this.travel.timer) clearTimeout(this.travel.timer);
+        this.travel = null;
+        if (message && this.renderer) this.renderer.addLogMessage(message, type);
+    };
+
+    /**
+     * Take travel steps: all of them when headless, otherwise one now and the next on a timer
+     */
+    GameRef.prototype.continueTravel = function() {
+        while (this.travel) {
+            this.travel.timer = null;
+            const moved = this.takeTravelStep();
+            if (this.player.hp <= 0 && this.gameState === 'playing') {
+                this.stopTravel();
+                this.gameOver();
+                return;
+            }
+            this.render();
+            if (!moved || !this.travel) return;
+            if (!this.headless) {
+                this.travel.timer = setTimeout(() => this.continueTravel(), TRAVEL_STEP_DELAY);
+                return;
+            }
+        }
+    };
+
+    /**
+     * One step of the current travel command, then the interrupt checks
+     * @returns {boolean} True if a turn was taken and travel may go on
+     */
+    GameRef.prototype.takeTravelStep = function() {
+        const travel = this.travel;
+        if (this.gameState !== 'playing' || this.dungeon !== travel.dungeon) {
+            this.stopTravel();
+            return false;
+        }
+        if (travel.steps >= MAX_TRAVEL_STEPS) {
+            this.stopTravel('You stop to get your bearings.');
+            return false;
+        }
+        const effect = this.getUnsafeTravelEffect();
+        if (effect) {
+            this.stopTravel(`You are too ${effect} to go on.`, 'warning');
+            return false;
+        }
+
+        let step;
+        if (travel.mode === 'explore') {
+            step = this.getExploreStep();
+        } else if (travel.mode === 'travel') {
+            step = this.getTravelToStep();
+        } else {
+            step = this.getRunStep();
+        }
+        if (!step) return false;
+
+        const hazard = this.describeTravelHazard(step.x, step.y);
+        if (hazard) {
+            this.stopTravel(`You stop before ${hazard}.`, 'warning');
+            return false;
+        }
+
+        const before = travel.watch;
+        if (!this.movePlayer(step.x - this.player.x, step.y - this.player.y)) {
+            this.stopTravel('Something blocks your way.');
+            return false;
+        }
+        travel.steps++;
+        this.processTurn();
+        if (this.travel !== travel) return false; // Interrupted during the turn (level change, death)
+
+        travel.watch = this.captureTravelWatch();
+        const reason = this.getTravelInterruption(before, travel.watch);
+        if (reason) {
+            this.stopTravel(reason.message, reason.type);
+            return false;
+        }
+        if (travel.mode === 'travel' && this.player.x === travel.targetX && this.player.y === travel.targetY) {
+            this.stopTravel('You arrive.');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Next tile on the way to the nearest reachable unexplored tile. Routes around fire, gas
+     * and slippery ground when it can; otherwise the step may be onto one (and is refused).
+     * @returns {{x: number, y: number}|null} Null once travel has been stopped
+     */
+    GameRef.prototype.getExploreStep = function() {
+        const goals = this.findExploreGoals();
+        if (goals.length === 0) {
+            this.stopTravel('There is nothing left to explore here.');
+            return null;
+        }
+
+        const blocked = (x, y) => !!this.describeTravelHazard(x, y);
+        const safeGoals = goals.filter(goal => !blocked(goal.x, goal.y));
+        let map = Pathfinding.buildFlowMap(this.dungeon, Pathfinding.PLAYER_PROFILE, safeGoals, Infinity, { blocked });
+        if (map[this.player.y * this.dungeon.width + this.player.x] === Infinity) {
+            map = Pathfinding.buildFlowMap(this.dungeon, Pathfinding.PLAYER_PROFILE, goals);
+            if (map[this.player.y * this.dungeon.width + this.player.x] === Infinity) {
+                this.stopTravel('There is nothing left to explore that you can reach.');
+                return null;
+            }
+        }
+
+        const isFree = (x, y) => !this.monsterSpawner.getMonsterAt(x, y);
+        const step = Pathfinding.stepDownhill(this.dungeon, map, this.player.x, this.player.y, isFree);
+        if (!step) this.stopTravel('Something blocks your way.');
+        return step;
+    };
+
+    /**
+     * Next tile on the way to the travel target, on explored ground only. Keeps off revealed
+     * traps and other hazards when it can, like getExploreStep.
+     * @returns {{x: number, y: number}|null} Null once travel has been stopped
+     */
+    GameRef.prototype.getTravelToStep = function() {
+        const { targetX, targetY } = this.travel;
+        const unknown = (x, y) => !this.fov.isExplored(x, y);
+        const options = {
+            blocked: (x, y) => unknown(x, y) || !!this.describeTravelHazard(x, y),
+            maxNodes: this.dungeon.width * this.dungeon.height
+        };
+        let path = Pathfinding.findPath(this.dungeon, Pathfinding.PLAYER_PROFILE,
+            this.player.x, this.player.y, targetX, targetY, options);
+        if (!path) {
+            path = Pathfinding.findPath(this.dungeon, Pathfinding.PLAYER_PROFILE,
+                this.player.x, this.player.y, targetX, targetY, { ...options, blocked: unknown });
+        }
+        if (!path || path.length === 0) {
+            this.stopTravel('You do not know a way there.');
+            return null;
+        }
+
+        const step = path[0];
+        if (this.monsterSpawner.getMonsterAt(step.x, step.y)) {
+            this.stopTravel('Something blocks your way.');
+            return null;
+        }
+        return step;
+    };
+
+    /**
+     * Next tile of a run: straight on in rooms, along the corridor otherwise. The run ends
+     * (quietly) where there is something to look at or a choice of way to make.
+     * @returns {{x: number, y: number}|null} Null once travel has been stopped
+     */
+    GameRef.prototype.getRunStep = function() {
+        const run = this.travel;
+        const { x, y } = this.player;
+        if (run.steps > 0 && this.isRunStoppingPoint(x, y)) {
+            this.stopTravel();
+            return null;
+        }
+
+        let direction = { dx: run.dx, dy: run.dy };
+        if (run.steps > 0 && !run.inRoom) {
+            direction = this.followCorridor(x, y);
+        } else if (run.steps > 0 && (run.dx === 0 || run.dy === 0)) {
+            // Along a room wall: an opening beside the path is worth a look
+            const sides = this.getRunSides(x, y, run.dx, run.dy);
+            if (sides !== run.sides) direction = null;
+        }
+        if (!direction) {
+            this.stopTravel();
+            return null;
+        }
+
+        const nx = x + direction.dx;
+        const ny = y + direction.dy;
+        const tile = this.dungeon.getTile(nx, ny);
+        const open = tile && this.dungeon.isPassable(nx, ny) && !(tile.type === 'door' && tile.doorState !== 'open');
+        if (!open || this.monsterSpawner.getMonsterAt(nx, ny)) {
+            this.stopTravel();
+            return null;
+        }
+
+        run.dx = direction.dx;
+        run.dy = direction.dy;
+        run.history.push(`${x},${y}`);
+        if (run.history.length > RUN_HISTORY) run.history.shift();
+        return { x: nx, y: ny };
+    };
+
+    /**
+     * Somewhere a run ends: doors and stairs (underfoot or beside), items underfoot,
+     * corridor junctions, and going into or out of a room
+     */
+    GameRef.prototype.isRunStoppingPoint = function(x, y) {
+        const run = this.travel;
+        const tile = this.dungeon.getTile(x, y);
+        if (tile.type === 'door' || tile.type === 'stairs_up' || tile.type === 'stairs_down') return true;
+        if (this.itemManager.getItemsAt(x, y).length > 0) return true;
+        if (this.itemManager.isCorridorJunction(x, y)) return true;
+
+        const inRoom = this.itemManager.isInAnyRoom(x, y);
+        if (inRoom !== run.inRoom) return true;
+
+        const previous = run.history[run.history.length - 1];
+        for (const [dx, dy] of NEIGHBORS) {
+            const neighbor = this.dungeon.getTile(x + dx, y + dy);
+            if (!neighbor || `${x + dx},${y + dy}` === previous) continue;
+            if (neighbor.type === 'door' || neighbor.type === 'stairs_up' || neighbor.type === 'stairs_down') return true;
+        }
+        return false;
+    };
+
+    /**
+     * Which way a corridor goes on from (x, y), or null at a fork, dead end or opening.
+     * Tiles just run through, and those beside the last one, are behind the runner; when
+     * nothing else is open the corridor turns a corner that passes right by the last tile.
+     * @returns {{dx: number, dy: number}|null}
+     */
+    GameRef.prototype.followCorridor = function(x, y) {
+        const run = this.travel;
+        const [px, py] = run.history[run.history.length - 1].split(',').map(Number);
+        const open = NEIGHBORS
+            .map(([dx, dy]) => ({ dx, dy }))
+            .filter(({ dx, dy }) => this.dungeon.isPassable(x + dx, y + dy) &&
+                                    !run.history.includes(`${x + dx},${y + dy}`));
+        let ahead = open.filter(({ dx, dy }) => Math.max(Math.abs(x + dx - px), Math.abs(y + dy - py)) > 1);
+        if (ahead.length === 0) ahead = open;
+        if (ahead.length === 0) return null;
+
+        // All the ways on must touch each other (one passage), and a passage is narrow
+        const connected = ahead.every(a => ahead.some(b => a !== b && Math.abs(a.dx - b.dx) <= 1 && Math.abs(a.dy - b.dy) <= 1));
+        if (ahead.length > 2 || (ahead.length === 2 && !connected)) return null;
+
+        // Straight on if possible, else closest to the current heading (a diagonal cuts the corner)
+        const heading = ({ dx, dy }) => dx * run.dx + dy * run.dy + (dx === run.dx && dy === run.dy ? 1 : 0);
+        ahead.sort((a, b) => heading(b) - heading(a));
+        return ahead[0];
+    };
+
+    /**
+     * Which tiles beside (x, y), across the heading, are open; '' for diagonal headings
+     */
+    GameRef.prototype.getRunSides = function(x, y, dx, dy) {
+        if (dx !== 0 && dy !== 0) return '';
+        return [-1, 1].map(side => +this.dungeon.isPassable(x + dy * side, y + dx * side)).join('');
+    };
+
+    /**
+     * Unexplored tiles the player could step onto, next to explored ground
+     * (reaching one brings it into view, so every goal is one step of progress)
+     */
+    GameRef.prototype.findExploreGoals = function() {
+        const goals = [];
+        for (let y = 0; y < this.dungeon.height; y++) {
+            for (let x = 0; x < this.dungeon.width; x++) {
+                if (this.fov.isExplored(x, y)) continue;
+                if (Pathfinding.getMoveCost(this.dungeon, x, y, Pathfinding.PLAYER_PROFILE) === Infinity) continue;
+                if (this.hasExploredNeighbor(x, y)) goals.push({ x, y });
+            }
+        }
+        return goals;
+    };
+
+    GameRef.prototype.hasExploredNeighbor = function(x, y) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if ((dx || dy) && this.fov.isExplored(x + dx, y + dy)) return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * What makes a tile unsafe to walk onto unasked, for the log ("the flames"), or null
+     */
+    GameRef.prototype.describeTravelHazard = function(x, y) {
+        const tile = this.dungeon.getTile(x, y);
+        if (!tile) return null;
+        if (tile.trap && tile.trap.revealed && !tile.trap.disarmed) return 'a trap';
+        if (typeof Temperature !== 'undefined' && Temperature.temperatureToFireLevel(tile) > 0) return 'the flames';
+        if (tile.gases) {
+            for (const type in tile.gases) {
+                if (tile.gases[type] > 0) return type === 'poison' ? 'the poison gas' : `the ${type}`;
+            }
+        }
+        if (Liquids.getBloodSlipChance(tile) > 0) return 'the slick of blood';
+        if (tile.liquids && tile.liquids.water >= Pathfinding.DEEP_WATER) return 'the deep water';
+        return null;
+    };
+
+    /**
+     * What travel keeps an eye on between steps
+     */
+    GameRef.prototype.captureTravelWatch = function() {
+        const items = new Set();
+        for (const item of this.itemManager.getAllItems()) {
+            if (this.fov.isVisible(item.x, item.y)) items.add(item);
+        }
+        const traps = new Set();
+        for (let y = 0; y < this.dungeon.height; y++) {
+            for (let x = 0; x < this.dungeon.width; x++) {
+                const trap = this.dungeon.tiles[y][x].trap;
+                if (trap && trap.revealed && !trap.disarmed) traps.add(`${x},${y}`);
+            }
+        }
+        return {
+            monsters: this.getCurrentlyVisibleMonsters(),
+            items,
+            traps,
+            hunger: this.player.getHungerStatus(),
+            hp: this.player.hp
+        };
+    };
+
+    /**
+     * Why travel should stop after a step, comparing what was seen before and after it
+     * @returns {{message: string, type: string}|null}
+     */
+    GameRef.prototype.getTravelInterruption = function(before, after) {
+        // processTurn has already replaced the tracking with this turn's view; compare with
+        // the view from before the step instead (shouldStopForMonsterDetection logs the stop)
+        const tracked = this.previouslyVisibleMonsters;
+        this.previouslyVisibleMonsters = before.monsters;
+        const monsterSpotted = this.shouldStopForMonsterDetection();
+        this.previouslyVisibleMonsters = tracked;
+        if (monsterSpotted) return { message: null, type: 'warning' };
+
+        if (after.hp < before.hp) return { message: 'You are hurt and stop.', type: 'warning' };
+        for (const item of after.items) {
+            if (!before.items.has(item)) {
+                const name = item.getDisplayName ? item.getDisplayName() : item.name;
+                return { message: `You see ${name}.`, type: 'normal' };
+            }
+        }
+        for (const key of after.traps) {
+            if (!before.traps.has(key)) return { message: 'You spot a trap and stop.', type: 'warning' };
+        }
+        if (after.hunger.level !== before.hunger.level && HUNGER_WARNINGS.includes(after.hunger.level)) {
+            return { message: `You are ${after.hunger.name.toLowerCase()}.`, type: 'warning' };
+        }
+        return null;
+    };
+})();
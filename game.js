@@ -3,12 +3,22 @@
  * Handles game loop, input, and coordinates all game systems
  */
 class Game {
-    constructor() {
-        this.canvas = document.getElementById('game-screen');
-        this.renderer = new Renderer(this.canvas);
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless] - No DOM: no input listeners, timers, autosave or high scores;
+     *        the caller starts the run and feeds input (see headless.js)
+     * @param {Object} [options.renderer] - Renderer to use instead of the DOM Renderer (e.g. NullRenderer)
+     * @param {string} [options.seed] - Run seed (default: ?seed= from the URL, else random)
+     * @param {boolean} [options.quiet] - No developer trace output on the console (Game.debugLog)
+     */
+    constructor(options = {}) {
+        this.headless = !!options.headless;
+        this.quiet = !!options.quiet;
+        this.canvas = this.headless ? null : document.getElementById('game-screen');
+        this.renderer = options.renderer || new Renderer(this.canvas);
         this.currentLevel = 1;
         this.previousLevel = null; // Track the level we came from
-        this.gameState = 'playing'; // 'playing', 'dead', 'door_closing', 'door_opening'
+        this.gameState = 'playing'; // 'playing', 'dead', 'won', 'door_closing', 'door_opening'
         
         // Multi-level system (NetHack-style with unlimited storage)
         this.levels = new Map(); // Store multiple dungeon levels
@@ -22,30 +32,58 @@ class Game {
         this.saveKey = 'compl3xRL_autosave'; // LocalStorage key
         this.isManualSave = false; // Flag to distinguish manual saves
         
+        // Seeded RNG service (named streams: map, spawn, combat, environment)
+        // ?seed=XYZ or ?seed=daily in the URL reproduces a run; replaced when a save is loaded
+        this.rng = RNG.createService(options.seed || RNG.getSeedFromURL());
+        
+        // Run statistics for end-of-run scoring (kills, deepest level)
+        this.runStats = Game.createRunStats();
+        
+        // Unidentified item appearances and discoveries (shuffled from the run seed)
+        this.identification = new ItemIdentification(this.rng.forLevel('appearances', 0));
+        
         this.dungeon = null;
         this.player = null;
         this.fov = null;
+        this.lighting = null; // Lighting for the current dungeon, rebuilt on level change
         this.monsterSpawner = null;
         this.itemManager = null;
         
         // Monster detection for auto-stop feature
         this.previouslyVisibleMonsters = new Set(); // Track monster IDs that were visible last turn
         this.autoStopEnabled = true; // Allow disabling the feature if needed
+        this.travel = null; // Multi-turn movement in progress (auto-explore, travel), see game-travel.js
         
-        // Throwing state
-        this.awaitingThrowDirection = null; // { letter: 'a' }
         // Disarm state
         this.awaitingDisarmDirection = null; // { candidates: Set<'x,y'> }
         // Ignite (fire-starting) state
         this.awaitingIgniteDirection = false;
+        // Spell casting state (SPELLS key awaiting a direction)
+        this.awaitingCastDirection = null;
+        // Map cursor (look mode), see game-look.js: { mode, x, y }
+        this.targeting = null;
         
         this.setupGame();
     }
     
+    /**
+     * Developer trace output (spawn statistics, level storage, ...) for the browser console;
+     * silent while the current game is quiet
+     */
+    static debugLog(...args) {
+        if (window.game && window.game.quiet) return;
+        console.log(...args);
+    }
+    
     /**
      * Initialize game systems
      */
     setupGame() {
+        if (this.headless) {
+            this.autosaveEnabled = false;
+            return;
+        }
+        
         // Initialize input handling
         this.setupEventListeners();
         
@@ -73,6 +111,8 @@ class Game {
         this.updateFOV();
         this.render();
         
+        if (this.headless) return;
+        
         // Initialize renderer size after DOM is ready
         setTimeout(() => {
             this.renderer.initializeSize();
@@ -91,14 +131,8 @@ class Game {
             // Don't initialize game yet, wait for user choice
             this.promptLoadAutosave();
         } else {
-    
-            // Generate initial level if no save exists
-            this.generateNewLevel();
-            // Ensure game is properly initialized
-            if (!this.player || !this.dungeon) {
-
-                this.generateNewLevel();
-            }
+            // No save: create a character, then generate the first level
+            this.beginCharacterCreation();
         }
     }
     
@@ -171,9 +205,14 @@ class Game {
 
         
         if (tile.type === 'stairs_down' || tile.type === 'stairs_up') {
+            if (this.currentLevel >= Game.FINAL_DEPTH) {
+                this.renderer.addLogMessage('There is no way further down. This is the bottom of the dungeon.');
+                return false;
+            }
+            
             // Save current level state before leaving
             this.saveLevelState();
-            console.log(`Saved level ${this.currentLevel} state`);
+            Game.debugLog(`Saved level ${this.currentLevel} state`);
             
             // Update visited levels before moving
             this.visitedLevels.add(this.currentLevel);
@@ -211,14 +250,13 @@ class Game {
         
         if (tile.type === 'stairs_up' || tile.type === 'stairs_down') {
             if (this.currentLevel <= 1) {
-                this.renderer.addLogMessage('You cannot go up from the first level.');
-    
-                return false;
+                // Leaving the dungeon: only with the quest artifact
+                return this.tryEscapeDungeon();
             }
             
             // Save current level state before leaving
             this.saveLevelState();
-            console.log(`Saved level ${this.currentLevel} state`);
+            Game.debugLog(`Saved level ${this.currentLevel} state`);
             
             // Update visited levels before moving
             this.visitedLevels.add(this.currentLevel);
@@ -256,7 +294,8 @@ class Game {
             const effectiveSightRange = this.player.getEffectiveSightRange();
             this.fov.setViewRange(effectiveSightRange);
             
-            this.fov.calculateVisibility(this.player.x, this.player.y);
+            this.updateLighting();
+            this.fov.calculateVisibility(this.player.x, this.player.y, this.lighting, this.player.getDarkSightRange());
             
             // Update item visibility based on new FOV
             if (this.itemManager) {
@@ -265,6 +304,40 @@ class Game {
         }
     }
     
+    /**
+     * Stealth: a monster with the player in sight that has not noticed them yet rolls to,
+     * by the light on the player, distance and the player's stealth (stealth.js)
+     * @returns {boolean} True if the monster is aware of the player
+     */
+    checkMonsterNoticesPlayer(monster) {
+        if (monster.noticedPlayer) return true;
+        if (typeof Stealth === 'undefined') return true;
+        const lightLevel = this.lighting ? this.lighting.getLevel(this.player.x, this.player.y) : Lighting.LIT;
+        if (this.rng.combat.random() >= Stealth.getNoticeChance(monster, this.player, lightLevel)) return false;
+        monster.noticePlayer(this.player.x, this.player.y);
+        if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
+            this.renderer.addLogMessage(`${monster.name} notices you!`, 'warning');
+        }
+        return true;
+    }
+    
+    /**
+     * Recompute light levels: lit rooms and fires, plus the player's light and glowing monsters
+     */
+    updateLighting() {
+        if (!this.lighting || this.lighting.dungeon !== this.dungeon) {
+            this.lighting = new Lighting(this.dungeon);
+        }
+        const sources = [{ x: this.player.x, y: this.player.y, radius: this.player.getLightRadius() }];
+        if (this.monsterSpawner) {
+            for (const monster of this.monsterSpawner.getLivingMonsters()) {
+                const radius = Lighting.MONSTER_LIGHT[monster.type];
+                if (radius) sources.push({ x: monster.x, y: monster.y, radius });
+            }
+        }
+        this.lighting.update(sources);
+    }
+    
     /**
      * Process a turn in the game (energy-based system)
      */
@@ -319,7 +392,7 @@ class Game {
                 if (this.renderer) {
                     this.renderer.addLogMessage(`You take ${result.damage} damage from status effects!`, 'damage');
                 }
-                this.player.takeDirectDamage(result.damage);
+                this.player.takeDirectDamage(result.damage, this.describeStatusDeath(result.causes));
                 // Blood spill on the ground if bleeding
                 if (this.dungeon && this.player.statusEffects && this.player.statusEffects.hasEffect && this.player.statusEffects.hasEffect('bleeding')) {
                     this.dungeon.addBlood(this.player.x, this.player.y, result.damage);
@@ -348,12 +421,12 @@ class Game {
         this.processEnergyTurns();
         // World step: liquids diffusion/drying, scent decay
         if (this.dungeon && typeof this.dungeon.stepLiquids === 'function') {
-            this.dungeon.stepLiquids();
+            this.dungeon.stepLiquids(this.rng.environment);
         }
         // Vegetation growth (moss/lichen/fungus spread under conditions) every 25 turns
         if (this.dungeon && this.player && this.player.turnCount > 0 && this.player.turnCount % 25 === 0) {
             if (typeof this.dungeon.stepVegetation === 'function') {
-                this.dungeon.stepVegetation();
+                this.dungeon.stepVegetation(this.rng.environment);
             }
         }
         // Creature breeding (conditions: mate, vegetation, cooldown) every 40 turns
@@ -372,12 +445,14 @@ class Game {
         this.processFoodMiasma();
         // World step: gas diffusion/decay
         if (this.dungeon && typeof this.dungeon.stepGases === 'function') {
-            this.dungeon.stepGases();
+            this.dungeon.stepGases(this.rng.environment);
         }
         // Fire interactions: ignition/explosions/damage (per-item/creature ignition thresholds)
         this.processFire();
         // Steam interactions: heat damage (separate from fire)
         this.processSteam();
+        // Poison gas: poisons creatures breathing it
+        this.processPoisonGas();
         // Cold/freeze: per-item and per-creature freeze thresholds
         this.processCold();
         // Miasma contact accelerates food spoilage (ground + inventory)
@@ -446,7 +521,7 @@ class Game {
             // Emission chance increases over time after start
             const ageFactor = Math.min(1, (corpseItem.rotTurns - startTurns) / 40);
             const emitChance = Math.min(0.75, 0.25 + ageFactor * 0.35);
-            if (Math.random() > emitChance) return;
+            if (this.rng.environment.random() > emitChance) return;
             if (!this.dungeon.isInBounds(sx, sy)) return;
             const tile = this.dungeon.getTile(sx, sy);
             if (!tile || tile.type !== 'floor') return;
@@ -527,7 +602,7 @@ class Game {
             const emitChance = carried
                 ? Math.min(0.08, 0.02 + w * 0.02)
                 : Math.min(0.40, 0.10 + Math.min(0.25, w * 0.10));
-            if (Math.random() > emitChance) return;
+            if (this.rng.environment.random() > emitChance) return;
 
             const emitAmount = 1;
             const allowed = Math.max(0, Math.min(emitAmount, TILE_CAP - current, foodItem.miasmaBudget));
@@ -690,11 +765,11 @@ class Game {
                     this.renderer.addLogMessage(`You are burned for ${finalDmg} damage!${suffix}`, 'damage');
                 }
                 if (typeof this.player.takeDirectDamage === 'function') {
-                    this.player.takeDirectDamage(finalDmg);
+                    this.player.takeDirectDamage(finalDmg, 'burned to death');
                 } else {
                     this.player.hp = Math.max(0, (this.player.hp || 0) - finalDmg);
                 }
-                if (this.dungeon && typeof this.dungeon.addBlood === 'function' && Math.random() < 0.35) {
+                if (this.dungeon && typeof this.dungeon.addBlood === 'function' && this.rng.combat.random() < 0.35) {
                     this.dungeon.addBlood(x, y, 1);
                 }
 
@@ -734,6 +809,8 @@ class Game {
                         m.hp = Math.max(0, (m.hp || 0) - dmg);
                         if (m.hp <= 0) m.isAlive = false;
                     }
+                    // Burned by an Ignite spell: the player's kill (game-magic.js)
+                    if (!m.isAlive && this.isSpellTile(x, y)) this.handleMonsterDefeated(m, 'spell');
                 }
             }
         };
@@ -866,7 +943,7 @@ class Game {
                             const suffix = resisted > 0 ? ` (fire resist ${resisted}%)` : '';
                             this.renderer.addLogMessage(`The miasma ignites and explodes! (${finalBlast} damage)${suffix}`, 'damage');
                         }
-                        if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalBlast);
+                        if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalBlast, 'killed by a miasma explosion');
                         else this.player.hp = Math.max(0, (this.player.hp || 0) - finalBlast);
                     }
                     // Monster
@@ -912,7 +989,7 @@ class Game {
                 if (temp <= AMBIENT) continue;
                 Temperature.setTemperature(t, temp); // ensure tile has temperature so it decays next time
                 let newTemp = temp - 1;
-                if (Math.random() < 0.40) newTemp = Math.max(AMBIENT, newTemp - 2);
+                if (this.rng.environment.random() < 0.40) newTemp = Math.max(AMBIENT, newTemp - 2);
                 Temperature.setTemperature(t, newTemp);
             }
         }
@@ -921,7 +998,7 @@ class Game {
                 const t = getTile(x, y);
                 if (!t || t.type !== 'floor') continue;
                 const temp = Temperature.getTemperature(t);
-                if (temp <= 25 || Math.random() > 0.28) continue;
+                if (temp <= 25 || this.rng.environment.random() > 0.28) continue;
                 const dirs = [[0, -1], [0, 1], [1, 0], [-1, 0]];
                 const cooler = [];
                 for (const [dx, dy] of dirs) {
@@ -1022,7 +1099,7 @@ class Game {
                     } else if (this.itemManager && typeof this.itemManager.getItemsAt === 'function') {
                         const items = this.itemManager.getItemsAt(tx, ty) || [];
                         if (items.some(isItemFlammable)) {
-                            shouldIgnite = Math.random() < 0.6;
+                            shouldIgnite = this.rng.environment.random() < 0.6;
                             heatAmount = 5; // normal spread from flammables
                         }
                     }
@@ -1073,7 +1150,7 @@ class Game {
                     const suffix = resisted > 0 ? ` (heat resist ${resisted}%)` : '';
                     this.renderer.addLogMessage(`You are scalded for ${finalDmg} damage!${suffix}`, 'damage');
                 }
-                if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalDmg);
+                if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalDmg, 'scalded to death');
                 else this.player.hp = Math.max(0, (this.player.hp || 0) - finalDmg);
             }
 
@@ -1121,9 +1198,42 @@ class Game {
         }
     }
 
+    /**
+     * Poison gas: every creature on a tile with poison gas is poisoned (refreshed while it stays).
+     * Damage comes from the poisoned status effect, so resistances and death messages apply.
+     * Poison from a Poison Cloud spell carries the 'player spell' source, so its kills earn EXP.
+     */
+    processPoisonGas() {
+        if (!this.dungeon) return;
+
+        const poisonAt = (entity, level, source = 'poison gas') => {
+            if (!entity || !entity.statusEffects) return;
+            const duration = 3 + Math.floor(level / 3);
+            const severity = level >= 7 ? 2 : 1;
+            entity.statusEffects.addEffect('poisoned', duration, severity, source);
+        };
+
+        for (let y = 0; y < this.dungeon.height; y++) {
+            for (let x = 0; x < this.dungeon.width; x++) {
+                const t = this.dungeon.tiles[y][x];
+                const level = (t && t.gases && t.gases.poison) ? t.gases.poison : 0;
+                if (level <= 0) continue;
+
+                if (this.player && this.player.x === x && this.player.y === y) {
+                    poisonAt(this.player, level);
+                }
+                if (this.monsterSpawner && typeof this.monsterSpawner.getMonsterAt === 'function') {
+                    const m = this.monsterSpawner.getMonsterAt(x, y);
+                    if (m && m.isAlive) poisonAt(m, level, this.isSpellTile(x, y) ? 'player spell' : 'poison gas');
+                }
+            }
+        }
+    }
+
     /**
      * Cold/freeze: tiles with temp <= COLD_THRESHOLD affect creatures (cold damage) and items (freeze/shatter).
      * Uses per-entity and per-item freeze thresholds for extensibility.
+     * Chilled tiles (Frost spell) warm back toward ambient by 1 per turn.
      */
     processCold() {
         if (!this.dungeon || typeof Temperature === 'undefined') return;
@@ -1152,7 +1262,7 @@ class Game {
                         const suffix = resisted > 0 ? ` (cold resist ${resisted}%)` : '';
                         this.renderer.addLogMessage(`You are freezing! (${finalDmg} damage)${suffix}`, 'damage');
                     }
-                    if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalDmg);
+                    if (typeof this.player.takeDirectDamage === 'function') this.player.takeDirectDamage(finalDmg, 'froze to death');
                     else this.player.hp = Math.max(0, (this.player.hp || 0) - finalDmg);
                 }
 
@@ -1168,6 +1278,8 @@ class Game {
                             m.hp = Math.max(0, (m.hp || 0) - coldDmg);
                             if (m.hp <= 0) m.isAlive = false;
                         }
+                        // Frozen by a Frost spell: the player's kill (game-magic.js)
+                        if (!m.isAlive && this.isSpellTile(x, y)) this.handleMonsterDefeated(m, 'spell');
                     }
                 }
 
@@ -1179,7 +1291,7 @@ class Game {
                         if (item.type === 'potion') {
                             this.itemManager.removeItem(item);
                             if (this.renderer && this.isTileVisible(x, y)) {
-                                this.renderer.addLogMessage(`The ${item.name} freezes and shatters!`, 'warning');
+                                this.renderer.addLogMessage(`The ${item.getDisplayName ? item.getDisplayName() : item.name} freezes and shatters!`, 'warning');
                             }
                         }
                     }
@@ -1197,6 +1309,16 @@ class Game {
             }
         }
 
+        // Warm chilled tiles back toward ambient
+        for (let y = 0; y < this.dungeon.height; y++) {
+            for (let x = 0; x < this.dungeon.width; x++) {
+                const t = this.dungeon.tiles[y][x];
+                if (!t || typeof t.temperature !== 'number') continue;
+                const temp = Temperature.getTemperature(t);
+                if (temp < Temperature.AMBIENT) Temperature.setTemperature(t, temp + 1);
+            }
+        }
+
         if (this.monsterSpawner && typeof this.monsterSpawner.removeDeadMonsters === 'function') {
             this.monsterSpawner.removeDeadMonsters();
         }
@@ -1256,7 +1378,7 @@ class Game {
                 const wetFactor = Math.min(1, wet / 10);
                 const stainFactor = Math.min(1, stain / 10) * 0.35;
                 const emitChance = Math.min(0.35, 0.02 + wetFactor * 0.12 + stainFactor * 0.06);
-                if (Math.random() > emitChance) continue;
+                if (this.rng.environment.random() > emitChance) continue;
 
                 // Emit is tiny, but scales slightly with mass
                 const emitAmount = 1;
@@ -1353,11 +1475,19 @@ class Game {
                         this.renderer.addLogMessage(`The ${monster.name} dies from its wounds!`, 'victory');
                     }
                     this.dropMonsterItems(monster);
-                    // 経験値システムは廃止したので EXP は付与しない
+                    // Wounds the player inflicted (weapon/thrown bleeding, spell poison etc.) still earn EXP,
+                    // also when the killing effect expired on this tick (result.causes)
+                    const inflictedByPlayer = result.causes.concat(Array.from(monster.statusEffects.effects.values()))
+                        .some(effect => ['player weapon', 'thrown', 'player spell'].includes(effect.source));
+                    if (inflictedByPlayer && this.player && !monster._xpGranted) {
+                        monster._xpGranted = true;
+                        this.recordKill();
+                        this.player.gainExp(monster.expValue || 0);
+                    }
                     // Drop corpse for DoT deaths
                     if (this.itemManager && typeof this.itemManager.addCorpse === 'function') {
                         const corpseChance = this.calculateCorpseChance(monster, 'DoT');
-                        if (Math.random() < corpseChance) {
+                        if (this.rng.combat.random() < corpseChance) {
                             this.itemManager.addCorpse(monster);
                             if (this.renderer && this.isTileVisible(monster.x, monster.y)) {
                                 this.renderer.addBattleLogMessage('A corpse remains.', 'normal');
@@ -1370,7 +1500,7 @@ class Game {
                                     'Nothing remains but stains.',
                                     'The carcass crumbles to nothing.'
                                 ];
-                                this.renderer.addBattleLogMessage(destroyMessages[Math.floor(Math.random() * destroyMessages.length)], 'normal');
+                                this.renderer.addBattleLogMessage(destroyMessages[Math.floor(this.rng.combat.random() * destroyMessages.length)], 'normal');
                             }
                         }
                     }
@@ -1379,7 +1509,7 @@ class Game {
                         const amount = Math.max(1, Math.min(10, Math.floor((monster.maxHp || 6) / 4)));
                         this.dungeon.addBlood(monster.x, monster.y, amount);
                         // Occasionally spatter to nearby tiles randomly
-                        if (Math.random() < 0.4) {
+                        if (this.rng.combat.random() < 0.4) {
                             for (let dx = -1; dx <= 1; dx++) {
                                 for (let dy = -1; dy <= 1; dy++) {
                                     if (dx === 0 && dy === 0) continue;
@@ -1388,7 +1518,7 @@ class Game {
                                     if (!this.dungeon.isInBounds(nx, ny)) continue;
                                     const t = this.dungeon.getTile(nx, ny);
                                     if (t.type !== 'floor') continue;
-                                    if (Math.random() < 0.5) {
+                                    if (this.rng.combat.random() < 0.5) {
                                         this.dungeon.addBlood(nx, ny, Math.max(1, Math.floor(amount / 3)));
                                     }
                                 }
@@ -1444,7 +1574,7 @@ class Game {
                 const corpse = items.find(it => it && it.type === 'corpse');
                 if (corpse) {
                     this.itemManager.removeItem(corpse);
-                    monster.heal(1 + (Math.random() < 0.4 ? 1 : 0));
+                    monster.heal(1 + (this.rng.combat.random() < 0.4 ? 1 : 0));
                     if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
                         this.renderer.addLogMessage(`${monster.name} devours the corpse.`);
                     }
@@ -1476,7 +1606,7 @@ class Game {
                     }
                     const isCornered = escapeTiles < 2;
                     const fightChance = Ecosystem.getFightBackChance(monster.type, predator.type, isCornered);
-                    if (Math.random() < fightChance) {
+                    if (this.rng.combat.random() < fightChance) {
                         const targetDied = monster.attackMonster(predator);
                         if (targetDied) {
                             if (this.renderer && this.fov && this.fov.isVisible(monster.x, monster.y)) {
@@ -1485,7 +1615,7 @@ class Game {
                             this.dropMonsterItems(predator);
                             if (this.itemManager && typeof this.itemManager.addCorpse === 'function') {
                                 const corpseChance = this.calculateCorpseChance(predator, 'monster');
-                                if (Math.random() < corpseChance) this.itemManager.addCorpse(predator);
+                                if (this.rng.combat.random() < corpseChance) this.itemManager.addCorpse(predator);
                             }
                             if (this.dungeon) {
                                 const amount = Math.max(1, Math.min(10, Math.floor((predator.maxHp || 6) / 4)));
@@ -1513,14 +1643,14 @@ class Game {
                         this.renderer.addBattleLogMessage(msg, 'damage');
                     } else if (this.player && this.fov) {
                         const dist = Math.max(Math.abs(ecosystemTarget.x - this.player.x), Math.abs(ecosystemTarget.y - this.player.y));
-                        if (dist >= 8 && dist <= 20 && Math.random() < 0.3) {
+                        if (dist >= 8 && dist <= 20 && this.rng.combat.random() < 0.3) {
                             this.renderer.addLogMessage('You hear a distant shriek.');
                         }
                     }
                     this.dropMonsterItems(ecosystemTarget);
                     if (this.itemManager && typeof this.itemManager.addCorpse === 'function') {
                         const corpseChance = this.calculateCorpseChance(ecosystemTarget, 'monster');
-                        if (Math.random() < corpseChance) {
+                        if (this.rng.combat.random() < corpseChance) {
                             this.itemManager.addCorpse(ecosystemTarget);
                         }
                     }
@@ -1538,8 +1668,9 @@ class Game {
         const dy = this.player.y - monster.y;
         const distance = Math.max(Math.abs(dx), Math.abs(dy)); // Chebyshev distance (8-directional)
         
-        // Check if monster can see the player (line of sight)
-        const canSeePlayer = this.fov.canSee(monster.x, monster.y, this.player.x, this.player.y, monster.sightRange);
+        // Check if monster can see the player (line of sight), and has spotted them (stealth.js)
+        const inSight = this.fov.canSee(monster.x, monster.y, this.player.x, this.player.y, monster.sightRange);
+        const canSeePlayer = inSight && this.checkMonsterNoticesPlayer(monster);
         
         if (canSeePlayer) {
             // Player is visible - update last seen position and reset search timer
@@ -1562,7 +1693,7 @@ class Game {
                         escapeTiles++;
                     }
                     const isCornered = escapeTiles < 2;
-                    if (isCornered && Math.random() < 0.55) {
+                    if (isCornered && this.rng.combat.random() < 0.55) {
                         const playerDied = monster.attackPlayer(this.player);
                         if (playerDied === true) this.gameOver();
                         return;
@@ -1577,6 +1708,27 @@ class Game {
                 this.moveFleeingMonster(monster, this.player.x, this.player.y);
                 return;
             }
+
+            // Spells and powers on cooldown (monster-abilities.js)
+            if (monster.useAbilities(this.player, distance)) {
+                if (this.player.hp <= 0) this.gameOver();
+                return;
+            }
+
+            // Ranged attackers (monster-ranged.js): archers back away to keep their distance, then shoot or breathe
+            if (monster.getRangedAttack()) {
+                if (monster.wantsToKeepDistance(distance)) {
+                    const fromX = monster.x;
+                    const fromY = monster.y;
+                    this.moveMonsterAwayFrom(monster, this.player.x, this.player.y);
+                    if (monster.x !== fromX || monster.y !== fromY) return;
+                }
+                if (monster.canUseRangedAttack(this.player, distance)) {
+                    const playerDied = monster.rangedAttackPlayer(this.player);
+                    if (playerDied === true) this.gameOver();
+                    return;
+                }
+            }
             
             // If adjacent to player, attack (unless fleeing)
             if (distance === 1) {
@@ -1632,22 +1784,23 @@ class Game {
                     this.moveMonsterTowards(monster, monster.lastSeenPlayerX, monster.lastSeenPlayerY);
                 }
             } else {
-                // Give up searching - reset state
+                // Give up searching - reset state (the player has to be spotted again)
                 monster.lastSeenPlayerX = null;
                 monster.lastSeenPlayerY = null;
                 monster.turnsWithoutSeeingPlayer = 0;
+                monster.noticedPlayer = false;
                 
                 // Ecosystem: predator may chase visible prey when not chasing player
                 if (typeof Ecosystem !== 'undefined' && Ecosystem.prefersPreyOverPlayer(monster.type)) {
                     const prey = this.getNearestVisiblePrey(monster, monster.sightRange);
-                    if (prey && Math.random() < 0.6) {
+                    if (prey && this.rng.combat.random() < 0.6) {
                         this.moveMonsterTowards(monster, prey.x, prey.y);
                         return;
                     }
                 }
 
                 // Prey/herbivores/detritivores: sometimes move toward vegetation when idle
-                if (typeof Ecosystem !== 'undefined' && Ecosystem.eatsVegetation(monster.type) && Math.random() < 0.35) {
+                if (typeof Ecosystem !== 'undefined' && Ecosystem.eatsVegetation(monster.type) && this.rng.combat.random() < 0.35) {
                     const veg = this.getNearestVegetationTile(monster, 6);
                     if (veg) {
                         this.moveMonsterTowards(monster, veg.x, veg.y);
@@ -1658,7 +1811,7 @@ class Game {
                 // Corpses and blood attract monsters (scent range similar to noise, but wider)
                 const attractionRange = 15; // Wider than max noise (10) so scent carries far
                 const attraction = this.findNearestCorpseOrBlood(monster, attractionRange);
-                if (attraction && Math.random() < this.getMonsterAttractionChance(monster)) {
+                if (attraction && this.rng.combat.random() < this.getMonsterAttractionChance(monster)) {
                     this.moveMonsterTowards(monster, attraction.x, attraction.y);
                 } else {
                     // Awake monsters patrol their area (classic roguelike behavior)
@@ -1676,7 +1829,7 @@ class Game {
         if (monster.statusEffects) {
             // Apply movement speed penalty
             const movementMod = monster.statusEffects.getMovementModifier();
-            if (movementMod <= 0 || Math.random() > movementMod) {
+            if (movementMod <= 0 || this.rng.combat.random() > movementMod) {
                 // Monster is too injured/stunned to move this turn
                 return;
             }
@@ -1689,7 +1842,7 @@ class Game {
                     [-1, 0],           [1, 0],
                     [-1, 1],  [0, 1],  [1, 1]
                 ];
-                const randomDir = directions[Math.floor(Math.random() * directions.length)];
+                const randomDir = directions[Math.floor(this.rng.combat.random() * directions.length)];
                 const newX = monster.x + randomDir[0];
                 const newY = monster.y + randomDir[1];
                 
@@ -1722,7 +1875,9 @@ class Game {
     }
     
     /**
-     * Calculate coordinated movement for pack tactics (surrounding behavior)
+     * Calculate coordinated movement for pack tactics (surrounding behavior): flow down a
+     * shared distance map to the tiles around the target (pathfinding.js). Allies standing
+     * on the way block, so the pack spreads out, sidestepping to flank when it must.
      */
     calculatePackCoordinatedMove(monster, targetX, targetY, allies) {
         const distance = Math.max(Math.abs(monster.x - targetX), Math.abs(monster.y - targetY));
@@ -1732,171 +1887,77 @@ class Game {
             return null;
         }
         
-        // Evaluate surrounding positions around the target
-        const surroundingPositions = this.getSurroundingPositions(targetX, targetY);
-        const occupiedPositions = this.getOccupiedSurroundingPositions(targetX, targetY, allies);
-        
-        // Find best available surrounding position
-        const availablePositions = surroundingPositions.filter(pos => 
-            !occupiedPositions.some(occ => occ.x === pos.x && occ.y === pos.y) &&
-            this.dungeon.isWalkable(pos.x, pos.y) &&
-            !this.monsterSpawner.getMonsterAt(pos.x, pos.y)
-        );
-        
-        if (availablePositions.length === 0) {
-            return null; // No good surrounding positions available
-        }
-        
-        // Choose the closest available surrounding position
-        let bestPosition = null;
-        let minDistance = Infinity;
-        
-        for (const pos of availablePositions) {
-            const distanceToPos = Math.max(Math.abs(monster.x - pos.x), Math.abs(monster.y - pos.y));
-            if (distanceToPos < minDistance) {
-                minDistance = distanceToPos;
-                bestPosition = pos;
-            }
-        }
-        
-        if (!bestPosition) {
-            return null;
-        }
+        const map = Pathfinding.getApproachMap(this.dungeon, monster, targetX, targetY, this.player.turnCount);
+        const profile = Pathfinding.getProfile(monster);
+        const isFree = (x, y) => !this.isOccupiedForMonster(x, y) &&
+            Pathfinding.getMoveCost(this.dungeon, x, y, profile) !== Infinity;
         
-        // Move towards the chosen surrounding position
-        return this.calculateMoveTowards(monster.x, monster.y, bestPosition.x, bestPosition.y);
+        return Pathfinding.stepDownhill(this.dungeon, map, monster.x, monster.y, isFree) ||
+            Pathfinding.stepDownhill(this.dungeon, map, monster.x, monster.y, isFree, true);
     }
     
     /**
-     * Get 8 surrounding positions around target
+     * Is a tile taken by the player or a monster
      */
-    getSurroundingPositions(centerX, centerY) {
-        const positions = [];
-        const directions = [
-            [-1, -1], [0, -1], [1, -1],
-            [-1,  0],          [1,  0],
-            [-1,  1], [0,  1], [1,  1]
-        ];
-        
-        for (const [dx, dy] of directions) {
-            positions.push({
-                x: centerX + dx,
-                y: centerY + dy,
-                direction: [dx, dy]
-            });
-        }
-        
-        return positions;
+    isOccupiedForMonster(x, y) {
+        return (x === this.player.x && y === this.player.y) || !!this.monsterSpawner.getMonsterAt(x, y);
     }
     
     /**
-     * Get positions around target that are already occupied by allies
+     * Take one step: into a free tile, or open the closed door there (phasing monsters glide through)
      */
-    getOccupiedSurroundingPositions(targetX, targetY, allies) {
-        const occupied = [];
-        const surroundingPositions = this.getSurroundingPositions(targetX, targetY);
-        
-        for (const pos of surroundingPositions) {
-            // Check if any ally is at this position or planning to move here
-            const allyAtPosition = allies.find(ally => ally.x === pos.x && ally.y === pos.y);
-            if (allyAtPosition) {
-                occupied.push(pos);
-            }
+    stepMonster(monster, x, y) {
+        const tile = this.dungeon.getTile(x, y);
+        if (tile.type === 'door' && tile.doorState === 'closed' && !monster.hasAbility('phase')) {
+            this.monsterOpenDoor(monster, x, y);
+        } else {
+            this.executeMonsterMove(monster, x, y);
         }
-        
-        return occupied;
     }
     
     /**
-     * Calculate next move towards a target position
+     * A monster opens a door (its move for the turn)
      */
-    calculateMoveTowards(fromX, fromY, toX, toY) {
-        const dx = toX - fromX;
-        const dy = toY - fromY;
-        
-        let moveX = 0, moveY = 0;
-        
-        if (dx > 0) moveX = 1;
-        else if (dx < 0) moveX = -1;
-        
-        if (dy > 0) moveY = 1;
-        else if (dy < 0) moveY = -1;
-        
-        // Try diagonal first, then cardinal directions
-        const moves = [];
-        
-        if (moveX !== 0 && moveY !== 0) {
-            moves.push({ x: fromX + moveX, y: fromY + moveY });
-        }
-        if (moveX !== 0) {
-            moves.push({ x: fromX + moveX, y: fromY });
-        }
-        if (moveY !== 0) {
-            moves.push({ x: fromX, y: fromY + moveY });
+    monsterOpenDoor(monster, x, y) {
+        this.dungeon.getTile(x, y).doorState = 'open';
+        if (this.noiseSystem) {
+            this.noiseSystem.makeSound(x, y, this.noiseSystem.soundLevels.DOOR_OPEN);
         }
-        
-        // Return first valid move
-        for (const move of moves) {
-            if (this.dungeon.isWalkable(move.x, move.y) && 
-                !(move.x === this.player.x && move.y === this.player.y) &&
-                !this.monsterSpawner.getMonsterAt(move.x, move.y)) {
-                return move;
-            }
+        if (this.renderer && this.isTileVisible(x, y)) {
+            this.renderer.addLogMessage(`The ${monster.name} opens a door.`);
         }
-        
-        return null;
+        this.updateFOV(); // The doorway no longer blocks sight
     }
     
     /**
-     * Basic movement logic (fallback when pack coordination fails)
+     * Basic movement logic (fallback when pack coordination fails): follow the monster's
+     * A* path (pathfinding.js), opening doors on the way; greedy steps when there is none
      */
     moveMonsterBasic(monster, targetX, targetY) {
-        const dx = targetX - monster.x;
-        const dy = targetY - monster.y;
-        
-        let moveX = 0, moveY = 0;
-        
-        // Determine movement direction
-        if (dx > 0) moveX = 1;
-        else if (dx < 0) moveX = -1;
-        
-        if (dy > 0) moveY = 1;
-        else if (dy < 0) moveY = -1;
-        
-        // Try diagonal movement first
-        if (moveX !== 0 && moveY !== 0) {
-            const newX = monster.x + moveX;
-            const newY = monster.y + moveY;
-            
-            if (this.dungeon.isWalkable(newX, newY) && 
-                !(newX === this.player.x && newY === this.player.y) &&
-                !this.monsterSpawner.getMonsterAt(newX, newY)) {
-                this.executeMonsterMove(monster, newX, newY);
-                return;
-            }
-        }
-        
-        // If diagonal movement failed, try horizontal movement
-        if (moveX !== 0) {
-            const newX = monster.x + moveX;
-            const newY = monster.y;
-            
-            if (this.dungeon.isWalkable(newX, newY) && 
-                !(newX === this.player.x && newY === this.player.y) &&
-                !this.monsterSpawner.getMonsterAt(newX, newY)) {
-                this.executeMonsterMove(monster, newX, newY);
-                return;
-            }
+        const step = Pathfinding.nextStep(this.dungeon, monster, targetX, targetY,
+            (x, y) => this.isOccupiedForMonster(x, y));
+        if (step && !this.isOccupiedForMonster(step.x, step.y)) {
+            this.stepMonster(monster, step.x, step.y);
+            return;
         }
+        this.moveMonsterGreedy(monster, targetX, targetY);
+    }
+    
+    /**
+     * Step straight towards the target: diagonal first, then horizontal, then vertical
+     */
+    moveMonsterGreedy(monster, targetX, targetY) {
+        const moveX = Math.sign(targetX - monster.x);
+        const moveY = Math.sign(targetY - monster.y);
+        const moves = [];
+        if (moveX !== 0 && moveY !== 0) moves.push([moveX, moveY]);
+        if (moveX !== 0) moves.push([moveX, 0]);
+        if (moveY !== 0) moves.push([0, moveY]);
         
-        // If horizontal movement failed, try vertical movement
-        if (moveY !== 0) {
-            const newX = monster.x;
-            const newY = monster.y + moveY;
-            
-            if (this.dungeon.isWalkable(newX, newY) && 
-                !(newX === this.player.x && newY === this.player.y) &&
-                !this.monsterSpawner.getMonsterAt(newX, newY)) {
+        for (const [dx, dy] of moves) {
+            const newX = monster.x + dx;
+            const newY = monster.y + dy;
+            if (this.dungeon.isWalkable(newX, newY) && !this.isOccupiedForMonster(newX, newY)) {
                 this.executeMonsterMove(monster, newX, newY);
                 return;
             }
@@ -1910,7 +1971,7 @@ class Game {
         // Footprints: pickup from current tile
         if (this.dungeon) {
             const t = this.dungeon.getTile(monster.x, monster.y);
-            if (t && t.type === 'floor' && t.blood && t.blood > 0 && Math.random() < 0.3) {
+            if (t && t.type === 'floor' && t.blood && t.blood > 0 && this.rng.combat.random() < 0.3) {
                 t.blood = Math.max(0, t.blood - 1);
                 if (!monster._carriedBlood) monster._carriedBlood = 0;
                 monster._carriedBlood = Math.min(2, monster._carriedBlood + 1);
@@ -1918,13 +1979,17 @@ class Game {
         }
         monster.x = newX;
         monster.y = newY;
+        Pathfinding.advance(monster, newX, newY);
+        let leftFootprints = false;
         if (monster._carriedBlood && monster._carriedBlood > 0 && this.dungeon) {
             const dt = this.dungeon.getTile(monster.x, monster.y);
             if (dt && dt.type === 'floor') {
                 this.dungeon.addBlood(monster.x, monster.y, monster._carriedBlood);
                 monster._carriedBlood = 0;
+                leftFootprints = true;
             }
         }
+        this.noticeUnseenMovement(monster, leftFootprints);
         
         // Generate monster movement sound
         if (this.noiseSystem) {
@@ -1935,7 +2000,7 @@ class Game {
         // Slip chance on blood
         if (this.dungeon) {
             const t = this.dungeon.getTile(monster.x, monster.y);
-            if (t && t.type === 'floor' && t.blood && t.blood > 0 && Math.random() < Math.min(0.2, t.blood * 0.02)) {
+            if (t && t.type === 'floor' && t.blood && t.blood > 0 && this.rng.combat.random() < Math.min(0.2, t.blood * 0.02)) {
                 // Skip action next turn (simple stun)
                 if (monster.statusEffects) monster.statusEffects.addEffect('stunned', 1, 1, 'blood slip');
                 if (this.renderer && this.isTileVisible(monster.x, monster.y)) {
@@ -1949,7 +2014,7 @@ class Game {
         if (tile && tile.trap && !tile.trap.disarmed) {
             const trap = tile.trap;
             // Monsters don't have encumbrance; use monster-specific trigger chance
-            const willTrigger = Math.random() < this.computeTrapTriggerChanceForMonster(trap, monster);
+            const willTrigger = this.rng.combat.random() < this.computeTrapTriggerChanceForMonster(trap, monster);
             if (willTrigger) {
                 this.triggerTrapAt(monster.x, monster.y, monster);
             }
@@ -1957,9 +2022,20 @@ class Game {
     }
     
     /**
-     * Move monster away from a target position (fleeing behavior)
+     * Move monster away from a target position (fleeing behavior): down the threat's safety
+     * map (pathfinding.js), which leads to open ground and away through doors and corridors
      */
     moveMonsterAwayFrom(monster, targetX, targetY) {
+        const fleeMap = Pathfinding.getFleeMap(this.dungeon, monster, targetX, targetY, this.player.turnCount);
+        const profile = Pathfinding.getProfile(monster);
+        const fleeStep = Pathfinding.stepDownhill(this.dungeon, fleeMap, monster.x, monster.y,
+            (x, y) => !this.isOccupiedForMonster(x, y) && Pathfinding.getMoveCost(this.dungeon, x, y, profile) !== Infinity);
+        if (fleeStep) {
+            this.stepMonster(monster, fleeStep.x, fleeStep.y);
+            return;
+        }
+        
+        // Out of the map's reach or cornered: straight away from the threat
         const dx = monster.x - targetX; // Reversed direction
         const dy = monster.y - targetY; // Reversed direction
         
@@ -2029,7 +2105,7 @@ class Game {
         ];
         
         // Shuffle directions for random movement
-        const shuffled = directions.sort(() => Math.random() - 0.5);
+        const shuffled = directions.sort(() => this.rng.combat.random() - 0.5);
         
         for (const [dx, dy] of shuffled) {
             const newX = monster.x + dx;
@@ -2066,7 +2142,7 @@ class Game {
                 
             case 'occasional':
                 // Low chance of random movement (1 in 8 turns)
-                if (Math.random() < 0.125) {
+                if (this.rng.combat.random() < 0.125) {
                     this.moveMonsterRandomly(monster);
                 }
                 break;
@@ -2078,7 +2154,7 @@ class Game {
                 
             case 'active_patrol':
                 // More active patrolling, may venture into corridors
-                if (Math.random() < 0.6) {
+                if (this.rng.combat.random() < 0.6) {
                     this.patrolCurrentRoom(monster);
                 } else {
                     this.moveMonsterRandomly(monster);
@@ -2087,7 +2163,7 @@ class Game {
                 
             default:
                 // Default to occasional movement
-                if (Math.random() < 0.125) {
+                if (this.rng.combat.random() < 0.125) {
                     this.moveMonsterRandomly(monster);
                 }
                 break;
@@ -2145,8 +2221,8 @@ class Game {
             // Try to move to a random position within the room
             const attempts = 5;
             for (let i = 0; i < attempts; i++) {
-                const targetX = currentRoom.x + 1 + Math.floor(Math.random() * (currentRoom.width - 2));
-                const targetY = currentRoom.y + 1 + Math.floor(Math.random() * (currentRoom.height - 2));
+                const targetX = currentRoom.x + 1 + Math.floor(this.rng.combat.random() * (currentRoom.width - 2));
+                const targetY = currentRoom.y + 1 + Math.floor(this.rng.combat.random() * (currentRoom.height - 2));
                 
                 // Only move if the target is walkable and not occupied
                 if (this.dungeon.isWalkable(targetX, targetY) && 
@@ -2161,7 +2237,7 @@ class Game {
         }
         
         // Fallback to random movement if room patrol fails
-        if (Math.random() < 0.3) {
+        if (this.rng.combat.random() < 0.3) {
             this.moveMonsterRandomly(monster);
         }
     }
@@ -2421,7 +2497,7 @@ class Game {
         
         // Choose randomly among best moves
         if (bestMoves.length > 0) {
-            const chosenMove = bestMoves[Math.floor(Math.random() * bestMoves.length)];
+            const chosenMove = bestMoves[Math.floor(this.rng.combat.random() * bestMoves.length)];
             this.executeMonsterMove(monster, chosenMove.x, chosenMove.y);
         } else {
             // If no good evasive move, fall back to direct fleeing
@@ -2433,9 +2509,12 @@ class Game {
      * Game over
      */
     gameOver() {
+        if (this.gameState === 'dead') return; // Several death checks can fire in one turn
         this.gameState = 'dead';
+        const cause = (this.player && this.player.lastDamageSource) || 'died';
         this.renderer.addLogMessage('=== GAME OVER ===');
-        this.renderer.addLogMessage(`You explored for ${this.player.turnCount} turns.`);
+        this.renderer.addLogMessage(`${cause.charAt(0).toUpperCase() + cause.slice(1)} on level ${this.currentLevel} after ${this.player.turnCount} turns.`);
+        this.endRun(false, cause);
         this.renderer.addLogMessage('Press Enter to restart.');
         // Redraw so HP and stats show final state (fixes display when dying from bleeding/DoT)
         if (this.player && this.renderer) {
@@ -2458,6 +2537,11 @@ class Game {
         this.currentLevel = 1;
         this.previousLevel = null;
         
+        // New run gets a fresh seed (unless one is pinned in the URL)
+        this.rng = RNG.createService(RNG.getSeedFromURL());
+        this.runStats = Game.createRunStats();
+        this.identification = new ItemIdentification(this.rng.forLevel('appearances', 0));
+        
         // Reset game state
         this.gameState = 'playing';
         
@@ -2466,22 +2550,52 @@ class Game {
         if (logContainer) {
             logContainer.innerHTML = '';
             this.renderer.addLogMessage('Welcome to compl3xRL!');
-            this.renderer.addLogMessage('Movement: hjkl + yubn (lowercase)');
-            this.renderer.addLogMessage('Actions: . wait, o open door, c close door');
-            this.renderer.addLogMessage('Equipment: i inventory, e equipment, w wear/wield, T take off');
+            this.renderer.addLogMessage('Movement: hjkl + yubn (lowercase), Shift+direction runs');
+            this.renderer.addLogMessage('Actions: . wait, o open door, c close door, f fire, x explore, ; look');
+            this.renderer.addLogMessage('Equipment: i inventory, e equipment, w wear/wield, T take off, I light on/off');
+            this.renderer.addLogMessage('Items: q quaff, r read, G bury, \\ discoveries');
+            this.renderer.addLogMessage('Magic: z cast (learn spells by reading spellbooks)');
             this.renderer.addLogMessage('Levels: > go down, < go up');
-            this.renderer.addLogMessage('System: Q quit, S save (uppercase)');
+            this.renderer.addLogMessage('System: Q quit, S save, R load (uppercase)');
         }
         
         // Reset player completely (this will trigger new player creation in generateNewLevel)
         this.player = null;
         
-        // Generate new first level
+        // Create a new character, then generate the first level
+        this.beginCharacterCreation();
+    }
+    
+    /**
+     * Show the character creation screen, then start a new run with the chosen character
+     */
+    beginCharacterCreation() {
+        if (!window.subWindow || typeof window.subWindow.showCharacterCreation !== 'function') {
+            this.startNewRun(null);
+            return;
+        }
+        window.subWindow.showCharacterCreation(this, (character) => this.startNewRun(character));
+    }
+    
+    /**
+     * Generate the first level for a new character (null = default build)
+     */
+    startNewRun(character) {
+        this.pendingCharacter = character;
         this.generateNewLevel();
+        this.pendingCharacter = null;
+        
+        // The starting kit is familiar (classes learn theirs in Player.addStartingKit)
+        if (this.player) {
+            this.identification.learnAll(this.player.inventory.concat(Object.values(this.player.equipment)));
+        }
+        
+        if (this.player && character) {
+            const classData = Player.getClassData(this.player.characterClass);
+            this.renderer.addLogMessage(`Welcome, ${this.player.characterName} the ${classData.name}!`);
+        }
         this.updateFOV();
         this.render();
-        
-
     }
     
     /**
@@ -2558,6 +2672,24 @@ class Game {
         }
     }
     
+    /**
+     * Show scroll selection menu for reading
+     */
+    showScrollMenu() {
+        if (window.subWindow) {
+            window.subWindow.showScrollMenu(this.player);
+        }
+    }
+    
+    /**
+     * Show the item kinds identified this run
+     */
+    showDiscoveries() {
+        if (window.subWindow && this.identification) {
+            window.subWindow.showDiscoveries(this.identification);
+        }
+    }
+    
     /**
      * Handle close door action
      */
@@ -2945,6 +3077,23 @@ class Game {
                 console.log(`Average weight: ${avgWeight.toFixed(2)}, Special locations: ${specialCount}/${results.length}, Dead-ends: ${deadEndCount}/${results.length}, True dead-ends (7/8 walls): ${trueDeadEnds}/${results.length}`);
             },
             
+            // Reachability of the current level (and what generation had to repair)
+            connectivity: () => {
+                if (!this.dungeon || typeof this.dungeon.analyzeConnectivity !== 'function') {
+                    console.log('No connectivity analysis available');
+                    return null;
+                }
+                const stats = this.dungeon.analyzeConnectivity();
+                const generation = this.dungeon.connectivity;
+                console.log('=== Connectivity ===');
+                console.log(`Layout: ${this.dungeon.layout}`);
+                console.log(`Reachable: ${stats.reachableTiles}/${stats.passableTiles} tiles (${(stats.reachableShare * 100).toFixed(1)}%), ${stats.isolatedRegions} isolated region(s)`);
+                console.log(`Stairs connected: ${stats.stairsConnected ? 'yes' : 'NO'}`);
+                console.log(`Dead ends: ${stats.deadEnds}, locked doors: ${stats.lockedDoors}, secret doors: ${stats.secretDoors}`);
+                if (generation) console.log(`Repair passages dug at generation: ${generation.repairs}`);
+                return { ...stats, generation };
+            },
+
             // Show current items and their spawn locations
             showItems: () => {
                 if (!this.itemManager || !this.itemManager.items) {
@@ -3016,6 +3165,7 @@ class Game {
         console.log('- debugTerrain.analyze() - Analyze current level terrain');
         console.log('- debugTerrain.testSpawn(count) - Test item spawning with bias');
         console.log('- debugTerrain.showItems() - Show current items and their locations');
+        console.log('- debugTerrain.connectivity() - Reachable area, dead ends and repairs for this level');
     }
     
     /**
@@ -3259,10 +3409,11 @@ class Game {
             this.player.turnCount++;
             this.player.checkRegeneration();
             
-            // Log message with quantity if stackable
+            // Log message with quantity if stackable (unidentified kinds under their appearance)
+            const itemName = ItemIdentification.getKnownName(droppedItem);
             const message = droppedItem.stackable && droppedItem.quantity > 1 ? 
-                `You drop ${droppedItem.quantity} ${droppedItem.name}.` :
-                `You drop the ${droppedItem.name}.`;
+                `You drop ${droppedItem.quantity} ${itemName}.` :
+                `You drop the ${itemName}.`;
             this.renderer.addLogMessage(message);
             
             // Update inventory display in sidebar
@@ -3299,6 +3450,12 @@ class Game {
         // Draw player
         this.renderer.drawPlayer(this.player, view.x, view.y);
         
+        // Draw the look cursor, and when aiming the path the projectile would take
+        if (this.targeting) {
+            if (this.targeting.range) this.renderer.drawPath(this.getAimPath(), view.x, view.y);
+            this.renderer.drawCursor(this.targeting.x, this.targeting.y, view.x, view.y);
+        }
+        
         // Render to screen
         this.renderer.render();
         
@@ -3342,7 +3499,7 @@ class Game {
         
         const livingMonsters = this.monsterSpawner.getLivingMonsters();
         for (const monster of livingMonsters) {
-            if (this.fov.getTileVisibility(monster.x, monster.y).visible) {
+            if (this.canSeeMonster(monster)) {
                 // Use monster's unique identifier (position-based ID for consistency)
                 const monsterId = `${monster.name}_${monster.x}_${monster.y}_${monster.hp}`;
                 visibleMonsters.add(monsterId);
@@ -3366,7 +3523,13 @@ class Game {
 }
 
 // Initialize game when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    
-    window.game = new Game();
-}); 
\ No newline at end of file
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        
+        window.game = new Game();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Game };
+}
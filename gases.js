@@ -1,5 +1,5 @@
 /**
- * Gases system - miasma and extensible tile gases (diffusion + decay).
+ * Gases system - miasma, steam, poison and extensible tile gases (diffusion + decay).
  * Tile data: tile.gases[type] = integer intensity (0..max).
  */
 const Gases = (function() {
@@ -18,8 +18,16 @@ const Gases = (function() {
             decayChance: 0.25,
             diffusionChance: 0.28,
             diffusionThreshold: 2
+        },
+        poison: {
+            // Poison cloud spell: poisons creatures standing in it (Game.processPoisonGas).
+            // Lingers a little longer than steam so the cloud can drift onto targets.
+            max: 10,
+            decayChance: 0.18,
+            diffusionChance: 0.30,
+            diffusionThreshold: 2
         }
-        // Future: poison, smoke, etc.
+        // Future: smoke, etc.
     };
 
     function getConfig(type) {
@@ -43,7 +51,7 @@ const Gases = (function() {
         return tile.gases[type] || 0;
     }
 
-    function step(dungeon) {
+    function step(dungeon, rng = RNG.get('environment')) {
         const width = dungeon.width;
         const height = dungeon.height;
         const deltas = new Map(); // type -> delta[y][x]
@@ -68,14 +76,14 @@ const Gases = (function() {
                     const cfg = getConfig(type);
 
                     // Decay
-                    if (Math.random() < (cfg.decayChance ?? 0.15)) {
+                    if (rng.random() < (cfg.decayChance ?? 0.15)) {
                         t.gases[type] = Math.max(0, level - 1);
                         if (t.gases[type] === 0) { delete t.gases[type]; continue; }
                     }
 
                     // Diffuse toward lower neighbor
                     const afterDecay = t.gases[type] || 0;
-                    if (afterDecay >= (cfg.diffusionThreshold ?? 2) && Math.random() < (cfg.diffusionChance ?? 0.25)) {
+                    if (afterDecay >= (cfg.diffusionThreshold ?? 2) && rng.random() < (cfg.diffusionChance ?? 0.25)) {
                         const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
                         const candidates = [];
                         for (const [dx, dy] of dirs) {
@@ -126,3 +134,6 @@ const Gases = (function() {
     };
 })();
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Gases };
+}
@@ -0,0 +1,346 @@
+/**
+ * Headless simulation harness: runs the real game loop in Node, without a DOM.
+ * NullRenderer stands in for the DOM Renderer, HeadlessInput turns key strings into the
+ * events Game.handleKeyPress expects, and an agent picks the keys.
+ *
+ * Every simulation file ends with a `typeof module` guard that exports its globals for Node;
+ * in the browser they stay plain script globals. The DOM-only files (renderer, subwindow-*,
+ * mapview) have no such export and are not loaded: they build DOM objects as they load, so
+ * menus simply do not open. Runs are quiet (Game.debugLog) unless verbose is set.
+ *
+ * Command line (per-depth lethality statistics as JSON):
+ *   node headless.js [--runs 20] [--turns 500] [--depths 1,5,10] [--seed batch]
+ *                    [--agent hunter|random] [--class warrior] [--verbose]
+ *
+ * Regression checks (same seed, same game; runs finish cleanly): node --test headless.test.js
+ *
+ * From a test or script:
+ *   const { runHeadless, ScriptedAgent } = require('./headless.js');
+ *   const result = runHeadless({ seed: 'abc', turns: 200, agent: new ScriptedAgent(['l', 'l', '.']) });
+ */
+const path = require('path');
+
+// index.html script order, minus the DOM-only files
+const SCRIPT_ORDER = [
+    'rng.js', 'liquids.js', 'gases.js', 'temperature.js', 'dungeon.js', 'prefabs.js', 'dungeon-layouts.js',
+    'dungeon-connectivity.js', 'fov.js', 'lighting.js', 'noise.js', 'stealth.js', 'pathfinding.js',
+    'player-classes.js', 'spells.js', 'player.js', 'player-combat.js',
+    'monster.js', 'monster-ai.js', 'monster-specials.js', 'monster-ranged.js', 'monster-abilities.js', 'monster-items.js', 'ecosystem.js',
+    'item-core.js', 'item-data-equipment.js', 'item-data-food.js', 'item-identification.js',
+    'item-equipment-manager.js', 'item-manager.js', 'statusEffects.js',
+    'game.js', 'game-traps.js', 'game-input.js', 'game-travel.js', 'game-look.js', 'game-ranged.js', 'game-invisibility.js', 'game-levels.js', 'game-quest.js', 'game-magic.js',
+    'save-migrations.js', 'game-save.js'
+];
+
+// Movement keys by step (same vi-keys as getDirectionFromKey)
+const DIRECTION_KEYS = {
+    '0,-1': 'k', '0,1': 'j', '-1,0': 'h', '1,0': 'l',
+    '-1,-1': 'y', '1,-1': 'u', '-1,1': 'b', '1,1': 'n'
+};
+
+// Non-letter keys: key -> [event.code, shiftKey]
+const SPECIAL_KEYS = {
+    '.': ['Period', false],
+    '>': ['Period', true],
+    ',': ['Comma', false],
+    '<': ['Comma', true],
+    '\\': ['Backslash', false],
+    ';': ['Semicolon', false],
+    'Tab': ['Tab', false],
+    'Enter': ['Enter', false],
+    'Escape': ['Escape', false]
+};
+
+/**
+ * Load every simulation script into the global scope, as the browser's script tags do
+ */
+function loadGame() {
+    if (typeof globalThis.Game !== 'undefined') return;
+    globalThis.window = globalThis; // window.game, window.MONSTER_SPECIAL_ATTACKS, ...
+    for (const file of SCRIPT_ORDER) {
+        Object.assign(globalThis, require(path.join(__dirname, file)));
+    }
+}
+
+/**
+ * Renderer with nothing to draw to. Keeps the most recent log messages for inspection.
+ */
+class NullRenderer {
+    constructor(maxMessages = 200) {
+        this.maxMessages = maxMessages;
+        this.messages = []; // { text, type }, oldest first
+    }
+
+    addLogMessage(text, type = 'normal') {
+        this.recordMessage(text, type);
+    }
+
+    addBattleLogMessage(text, type = 'normal') {
+        this.recordMessage(text, type);
+    }
+
+    recordMessage(text, type) {
+        this.messages.push({ text, type });
+        if (this.messages.length > this.maxMessages) this.messages.shift();
+    }
+
+    centerOnPlayer(player) {
+        return { x: player.x, y: player.y };
+    }
+
+    initializeSize() {}
+    initBuffer() {}
+    clear() {}
+    drawDungeon() {}
+    drawItems() {}
+    drawMonsters() {}
+    drawPlayer() {}
+    drawCursor() {}
+    drawPath() {}
+    render() {}
+    updateUI() {}
+    updateInventoryDisplay() {}
+    updateVisibleMonsters() {}
+}
+
+/**
+ * Feeds keys to the game as keydown events ('h', 'E' for Shift+E, '>', 'Escape', ...)
+ */
+class HeadlessInput {
+    constructor(game) {
+        this.game = game;
+    }
+
+    static toEvent(key) {
+        let code;
+        let shiftKey;
+        if (SPECIAL_KEYS[key]) {
+            [code, shiftKey] = SPECIAL_KEYS[key];
+        } else if (/^[a-zA-Z]$/.test(key)) {
+            code = `Key${key.toUpperCase()}`;
+            shiftKey = key !== key.toLowerCase();
+        } else {
+            throw new Error(`Unsupported key: ${key}`);
+        }
+        return { key, code, shiftKey, repeat: false, preventDefault() {}, stopPropagation() {} };
+    }
+
+    press(key) {
+        this.game.handleKeyPress(HeadlessInput.toEvent(key));
+    }
+}
+
+/**
+ * Plays a fixed list of keys, then rests
+ */
+class ScriptedAgent {
+    constructor(keys, fallback = '.') {
+        this.keys = keys.slice();
+        this.fallback = fallback;
+    }
+
+    nextKey() {
+        return this.keys.length > 0 ? this.keys.shift() : this.fallback;
+    }
+}
+
+/**
+ * Wanders at random and takes down stairs it stands on. With hunt, it walks into the
+ * nearest visible monster instead (bumping attacks), which is what lethality runs use.
+ */
+class RandomAgent {
+    constructor(seed, options = {}) {
+        loadGame(); // Needs RNG
+        this.rng = new RNG.RandomStream(`${seed}:agent`);
+        this.hunt = options.hunt !== false;
+        this.descend = options.descend !== false;
+        this.restChance = options.restChance ?? 0.1;
+    }
+
+    nextKey(game) {
+        const player = game.player;
+        const tile = game.dungeon.getTile(player.x, player.y);
+        if (this.descend && tile && tile.type === 'stairs_down') return '>';
+
+        if (this.hunt) {
+            const target = this.findNearestVisibleMonster(game);
+            if (target) return DIRECTION_KEYS[`${Math.sign(target.x - player.x)},${Math.sign(target.y - player.y)}`];
+        }
+
+        if (this.rng.chance(this.restChance)) return '.';
+        const steps = Object.keys(DIRECTION_KEYS).filter(step => {
+            const [dx, dy] = step.split(',').map(Number);
+            return game.dungeon.isWalkable(player.x + dx, player.y + dy);
+        });
+        return steps.length > 0 ? DIRECTION_KEYS[this.rng.pick(steps)] : '.';
+    }
+
+    findNearestVisibleMonster(game) {
+        const player = game.player;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const monster of game.monsterSpawner.getLivingMonsters()) {
+            if (!game.canSeeMonster(monster)) continue;
+            const distance = Math.max(Math.abs(monster.x - player.x), Math.abs(monster.y - player.y));
+            if (distance < nearestDistance) {
+                nearest = monster;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+}
+
+function createAgent(name, seed) {
+    switch (name) {
+        case 'random':
+            return new RandomAgent(seed, { hunt: false });
+        case 'hunter':
+            return new RandomAgent(seed);
+        default:
+            throw new Error(`Unknown agent: ${name}`);
+    }
+}
+
+/**
+ * Play one run until death, victory or the turn limit
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Run seed (random if omitted)
+ * @param {number} [options.turns=1000] - Stop after this many player turns
+ * @param {number} [options.depth=1] - Starting depth
+ * @param {string} [options.className] - Roll a character of this class (default build if omitted)
+ * @param {Object} [options.agent] - { nextKey(game) -> key }; a hunting RandomAgent if omitted
+ * @param {boolean} [options.verbose] - Let the game's trace output through to the console
+ * @returns {Object} Run summary (seed, depth, turns, dead, cause, kills, score, log, game)
+ */
+function runHeadless(options = {}) {
+    loadGame();
+    const renderer = new NullRenderer();
+    const game = new Game({ headless: true, renderer, seed: options.seed, quiet: !options.verbose });
+    window.game = game; // Game.debugLog and the monster modules look here before the first level exists
+    const seed = game.rng.seed;
+    const startDepth = options.depth || 1;
+    game.currentLevel = startDepth;
+
+    let character = null;
+    if (options.className) {
+        const stats = Player.rollAbilityScores(options.className, game.rng.forLevel('character', 0));
+        character = { className: options.className, name: 'Simulant', stats };
+    }
+    game.startNewRun(character);
+
+    const input = new HeadlessInput(game);
+    const agent = options.agent || new RandomAgent(seed);
+    const maxTurns = options.turns || 1000;
+    const maxPresses = maxTurns * 10; // Bumping walls spends no turn; never loop forever
+    let presses = 0;
+    while (game.gameState !== 'dead' && game.gameState !== 'won' &&
+           game.player.turnCount < maxTurns && presses < maxPresses) {
+        input.press(agent.nextKey(game));
+        presses++;
+    }
+
+    const player = game.player;
+    const won = game.gameState === 'won';
+    const dead = game.gameState === 'dead';
+    return {
+        seed,
+        startDepth,
+        depth: game.currentLevel,
+        maxDepth: game.runStats.maxDepth,
+        turns: player.turnCount,
+        presses,
+        dead,
+        won,
+        cause: dead ? (player.lastDamageSource || 'died') : null,
+        hp: player.hp,
+        maxHp: player.maxHp,
+        level: player.level,
+        kills: game.runStats.kills,
+        score: game.calculateScore(won).total,
+        log: renderer.messages,
+        game
+    };
+}
+
+/**
+ * Many runs per starting depth; summarizes how deadly each depth is
+ * @returns {Object} depth -> { runs, deaths, deathRate, avgDeathTurn, avgKills, causes }
+ */
+function runBatch(options = {}) {
+    const runs = options.runs || 20;
+    const depths = options.depths || [1];
+    const seed = options.seed || 'batch';
+    const agentName = options.agent || 'hunter';
+    const summary = {};
+
+    for (const depth of depths) {
+        const stats = { runs, deaths: 0, deathRate: 0, avgDeathTurn: null, avgKills: 0, causes: {} };
+        let deathTurns = 0;
+        let kills = 0;
+        for (let i = 0; i < runs; i++) {
+            const runSeed = `${seed}-${depth}-${i}`;
+            const result = runHeadless({
+                seed: runSeed,
+                depth,
+                turns: options.turns || 500,
+                className: options.className,
+                agent: createAgent(agentName, runSeed),
+                verbose: options.verbose
+            });
+            kills += result.kills;
+            if (result.dead) {
+                stats.deaths++;
+                deathTurns += result.turns;
+                stats.causes[result.cause] = (stats.causes[result.cause] || 0) + 1;
+            }
+        }
+        stats.deathRate = stats.deaths / runs;
+        stats.avgDeathTurn = stats.deaths > 0 ? Math.round(deathTurns / stats.deaths) : null;
+        stats.avgKills = kills / runs;
+        summary[depth] = stats;
+    }
+    return summary;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    loadGame();
+    const summary = runBatch({
+        runs: parseInt(args.runs, 10) || 20,
+        turns: parseInt(args.turns, 10) || 500,
+        depths: args.depths ? String(args.depths).split(',').map(Number) : [1],
+        seed: args.seed,
+        agent: args.agent,
+        className: args.class,
+        verbose: !!args.verbose
+    });
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+}
+
+module.exports = {
+    SCRIPT_ORDER,
+    loadGame,
+    NullRenderer,
+    HeadlessInput,
+    ScriptedAgent,
+    RandomAgent,
+    runHeadless,
+    runBatch
+};
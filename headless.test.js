@@ -0,0 +1,75 @@
+/**
+ * Regression checks on the headless harness: node --test headless.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { runHeadless, runBatch, ScriptedAgent } = require('./headless.js');
+
+/**
+ * What two runs of the same seed must agree on: the map, where the player ended up and the log
+ */
+function snapshot(result) {
+    const { dungeon, player } = result.game;
+    return {
+        map: dungeon.tiles.map(row => row.map(tile => tile.type[0]).join('')).join('\n'),
+        player: [player.x, player.y, player.hp, player.turnCount],
+        log: result.log.map(message => message.text)
+    };
+}
+
+test('the same seed plays the same game', () => {
+    const first = snapshot(runHeadless({ seed: 'regression', turns: 150, className: 'warrior' }));
+    const second = snapshot(runHeadless({ seed: 'regression', turns: 150, className: 'warrior' }));
+    assert.strictEqual(second.map, first.map);
+    assert.deepStrictEqual(second.player, first.player);
+    assert.deepStrictEqual(second.log, first.log);
+});
+
+test('a scripted agent spends one turn per step or rest', () => {
+    const result = runHeadless({ seed: 'scripted', turns: 3, agent: new ScriptedAgent(['.', '.', '.']) });
+    assert.strictEqual(result.turns, 3);
+    assert.ok(!result.dead);
+});
+
+test('short runs at several depths finish without errors', () => {
+    const summary = runBatch({ runs: 1, turns: 100, depths: [1, 5, 10], seed: 'smoke' });
+    for (const depth of [1, 5, 10]) {
+        assert.strictEqual(summary[depth].runs, 1);
+        assert.ok(summary[depth].deaths <= 1);
+    }
+});
+
+test('an invisible monster stays hidden until the player can see invisible', () => {
+    const { game } = runHeadless({ seed: 'invisible', turns: 1, className: 'warrior' });
+    const { player } = game;
+    const [dx, dy] = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]].find(([dx, dy]) =>
+        game.dungeon.isWalkable(player.x + dx, player.y + dy) && !game.isOccupiedForMonster(player.x + dx, player.y + dy));
+    const stalker = game.monsterSpawner.spawnSingleMonster(player.x + dx, player.y + dy, 'invisible_stalker', game.currentLevel);
+    stalker.wakeUp('silent');
+    stalker.noticePlayer(player.x, player.y); // No sneak attack bonus
+    stalker.hp = stalker.maxHp = 1000; // Survives the blow below
+    assert.ok(game.fov.isVisible(stalker.x, stalker.y));
+
+    // Not drawn or listed (the renderer and map view skip hidden monsters), not cycled to
+    assert.ok(game.isMonsterHidden(stalker));
+    assert.ok(!game.getVisibleMonstersByDistance().includes(stalker));
+    assert.ok(!game.getTileDescription(stalker.x, stalker.y).includes(stalker.name));
+
+    // Attacks take the unseen penalty, and no message of the exchange names it
+    assert.strictEqual(game.getUnseenAttackPenalty(stalker), -4);
+    const logged = game.renderer.messages.length;
+    player.attackMonster(stalker);
+    const exchange = game.renderer.messages.slice(logged).map(message => message.text);
+    const [, needed, armorClass, toHit] = exchange[0].match(/^You attack something unseen\.\.\. \(\d+ vs (-?\d+)\+ needed, AC (-?\d+), hit([+-]\d+)/);
+    assert.strictEqual(Number(needed), Number(armorClass) - Number(toHit) + 4);
+    assert.ok(exchange.every(text => !text.includes(stalker.name)), exchange.join(' / '));
+
+    // A ring of see invisible shows it
+    stalker.revealedUntil = 0;
+    assert.ok(game.isMonsterHidden(stalker));
+    player.equipItem(EquipmentManager.createEquipment('rings', 'ringOfSeeInvisible'), 'ring1');
+    assert.ok(!game.isMonsterHidden(stalker));
+    assert.ok(game.canSeeMonster(stalker));
+    assert.strictEqual(game.getUnseenAttackPenalty(stalker), 0);
+    assert.ok(game.getVisibleMonstersByDistance().includes(stalker));
+});
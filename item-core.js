@@ -98,8 +98,8 @@ class Item {
  */
 class EquipmentItem extends Item {
     constructor(name, data = {}) {
-        // Equipment items are never stackable, except for consumables like potions
-        const isConsumable = data.type === 'potion' || data.type === 'scroll' || data.type === 'wand';
+        // Equipment items are never stackable, except for consumables like potions and ammunition
+        const isConsumable = data.type === 'potion' || data.type === 'scroll' || data.type === 'wand' || data.type === 'ammo';
         const equipmentData = {
             ...data,
             stackable: isConsumable ? (data.stackable !== false) : false,
@@ -148,11 +148,30 @@ class EquipmentItem extends Item {
         // Special properties
         this.properties = data.properties || []; // magic properties, curses, etc.
         this.cursed = data.cursed || false;
-        this.identified = data.identified !== false; // Default to identified for test items
+        this.identified = data.identified !== false; // Random ring/amulet drops start unidentified (ItemManager)
         
         // Potion properties
         this.healDice = data.healDice || null; // Dice-based healing
         this.healAmount = data.healAmount || 0; // Fixed healing (fallback)
+        
+        // Scroll properties
+        this.effect = data.effect || null; // Read effect (see Player.readScroll)
+        
+        // Spellbook properties
+        this.spell = data.spell || null; // SPELLS key (see Player.readSpellbook)
+        
+        // Launcher and ammunition properties: a launcher fires ammo of the same ammoType
+        if (data.ammoType !== undefined) this.ammoType = data.ammoType;
+        if (data.range !== undefined) this.range = data.range; // Launcher: longest shot in tiles
+        if (data.launchDamage !== undefined) this.launchDamage = data.launchDamage; // Launcher: added to each shot
+        if (data.breakChance !== undefined) this.breakChance = data.breakChance; // Ammo: chance to break on a hit
+        
+        // Light source properties (torch): radius lit while burning, turns of fuel
+        if (data.lightRadius !== undefined) this.lightRadius = data.lightRadius;
+        if (data.burnTime !== undefined) {
+            this.burnTime = data.burnTime;
+            this.remainingBurnTime = data.remainingBurnTime ?? data.burnTime;
+        }
     }
     
     /**
@@ -174,6 +193,11 @@ class EquipmentItem extends Item {
                    this.enchantment === otherItem.enchantment;
         }
         
+        // Ammunition stacks by kind and enchantment; wear is not tracked per shot
+        if (this.type === 'ammo' && otherItem.type === 'ammo') {
+            return this.ammoType === otherItem.ammoType && this.enchantment === otherItem.enchantment;
+        }
+        
         // For other consumables (scrolls, wands), check enchantment
         if ((this.type === 'scroll' || this.type === 'wand') && 
             (otherItem.type === 'scroll' || otherItem.type === 'wand')) {
@@ -214,6 +238,7 @@ class EquipmentItem extends Item {
             'helmet': ['helmet'],
             'gloves': ['gloves'],
             'boots': ['boots'],
+            'ammo': ['quiver'],
             'ring': ['ring'],
             'amulet': ['amulet']
         };
@@ -236,8 +261,11 @@ class EquipmentItem extends Item {
             'large_shield': 'Large Shield',
             'healing_potion': 'Healing Potion',
             'utility_potion': 'Utility Potion',
+            'magic_scroll': 'Magic Scroll',
+            'spellbook': 'Spellbook',
             'utility_tool': 'Utility Tool',
             'light_source': 'Light Source',
+            'ammunition': 'Ammunition',
             'common': 'Common'
         };
         
@@ -259,6 +287,7 @@ class EquipmentItem extends Item {
             'staff': 'Staff',
             'bow': 'Bow',
             'crossbow': 'Crossbow',
+            'sling': 'Sling',
             'thrown': 'Thrown Weapon',
             'whip': 'Whip',
             'exotic': 'Exotic Weapon'
@@ -340,6 +369,12 @@ class EquipmentItem extends Item {
             identified: this.identified,
             healDice: this.healDice,
             healAmount: this.healAmount,
+            effect: this.effect,
+            spell: this.spell,
+            ammoType: this.ammoType,
+            range: this.range,
+            launchDamage: this.launchDamage,
+            breakChance: this.breakChance,
             // Durability properties
             durability: this.durability,
             maxDurability: this.maxDurability,
@@ -558,9 +593,9 @@ class EquipmentItem extends Item {
         
         // Check for immediate break
         const breakChance = this.getDurabilityBreakChance(usageType);
-        if (Math.random() < breakChance) {
+        if (RNG.get('combat').random() < breakChance) {
             // Random break occurred
-            const damage = Math.floor(Math.random() * 10) + 5; // 5-14 damage
+            const damage = Math.floor(RNG.get('combat').random() * 10) + 5; // 5-14 damage
             this.currentDurability = Math.max(0, this.currentDurability - damage);
             return true; // Broke this turn
         }
@@ -605,8 +640,18 @@ class EquipmentItem extends Item {
      * Get display name including durability status
      */
     getDisplayName() {
+        // Unknown kinds show only their appearance
+        if (!ItemIdentification.isKindKnown(this)) {
+            return ItemIdentification.current().getUnidentifiedName(this);
+        }
+        
         let displayName = this.name;
         
+        // Enchantment and curse stay hidden until this item is identified
+        if (!this.identified) {
+            return displayName;
+        }
+        
         // Add enchantment prefix if any
         if (this.enchantment > 0) {
             displayName = `+${this.enchantment} ${displayName}`;
@@ -621,7 +666,12 @@ class EquipmentItem extends Item {
         if (this.cursed && this.identified) {
             displayName += ' (cursed)';
         }
-        
+
+        // Add stack quantity if more than 1 (potions, ammunition)
+        if (this.quantity > 1) {
+            displayName = `${displayName} (${this.quantity})`;
+        }
+
         return displayName;
     }
     
@@ -727,3 +777,6 @@ class FoodItem extends Item {
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Item, EquipmentItem, FoodItem };
+}
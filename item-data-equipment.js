@@ -22,6 +22,7 @@ const WEAPON_TYPES = {
     // Ranged Weapons
     BOW: 'bow',                         // Archery weapons
     CROSSBOW: 'crossbow',               // Mechanical ranged weapons
+    SLING: 'sling',                     // Stone-slinging weapons
     THROWN: 'thrown',                   // Throwing weapons
     
     // Specialized
@@ -44,10 +45,19 @@ const EQUIPMENT_CATEGORIES = {
     SMALL_SHIELD: 'small_shield',        // Light shields
     LARGE_SHIELD: 'large_shield',        // Heavy shields
     
+    // Ammunition (fired from a launcher in the weapon slot, carried in the quiver)
+    AMMUNITION: 'ammunition',
+    
     // Potion Categories
     HEALING_POTION: 'healing_potion',    // HP restoration
     UTILITY_POTION: 'utility_potion',    // Other effects
     
+    // Scroll Categories
+    MAGIC_SCROLL: 'magic_scroll',        // Read once for a magical effect
+    
+    // Spellbook Categories
+    SPELLBOOK: 'spellbook',              // Studied to learn a spell (kept after reading)
+    
     // Tool Categories
     UTILITY_TOOL: 'utility_tool',        // General purpose tools
     LIGHT_SOURCE: 'light_source',        // Illumination tools
@@ -220,6 +230,140 @@ const EQUIPMENT_TYPES = {
             symbol: 'T',
             color: '#E0E0E0',
             description: 'A massive two-handed maul. Devastating crushing power. (1d12+6 damage, AP 4)'
+        },
+        
+        // Launchers: poor in melee; f fires the quivered ammo whose ammoType matches.
+        // range is the longest shot, launchDamage is added to every shot's damage.
+        sling: {
+            name: 'Sling',
+            type: 'weapon',
+            category: EQUIPMENT_CATEGORIES.ONE_HANDED_WEAPON,
+            weaponType: WEAPON_TYPES.SLING,
+            ammoType: 'stone',
+            range: 8,
+            launchDamage: 1,
+            damage: 0,
+            weaponDamage: 2, // d2 when swung
+            penetration: 0,
+            weight: 0.5,
+            value: 10,
+            material: 'leather',
+            symbol: '}',
+            color: '#8B4513',
+            description: 'A leather strap for hurling stones. Fits beside a shield. (fires stones, range 8, +1 damage)'
+        },
+        shortbow: {
+            name: 'Short Bow',
+            type: 'weapon',
+            category: EQUIPMENT_CATEGORIES.TWO_HANDED_WEAPON,
+            weaponType: WEAPON_TYPES.BOW,
+            ammoType: 'arrow',
+            range: 10,
+            launchDamage: 1,
+            damage: 0,
+            weaponDamage: 2, // d2 when swung
+            penetration: 0,
+            weight: 1.5,
+            value: 60,
+            material: 'wood',
+            symbol: '}',
+            color: '#A0522D',
+            description: 'A light hunting bow. (fires arrows, range 10, +1 damage)'
+        },
+        longbow: {
+            name: 'Long Bow',
+            type: 'weapon',
+            category: EQUIPMENT_CATEGORIES.TWO_HANDED_WEAPON,
+            weaponType: WEAPON_TYPES.BOW,
+            ammoType: 'arrow',
+            range: 14,
+            launchDamage: 3,
+            damage: 0,
+            weaponDamage: 3, // d3 when swung
+            penetration: 0,
+            weight: 3,
+            value: 150,
+            material: 'wood',
+            symbol: '}',
+            color: '#D2B48C',
+            description: 'A tall war bow that takes a strong arm. (fires arrows, range 14, +3 damage)'
+        },
+        crossbow: {
+            name: 'Crossbow',
+            type: 'weapon',
+            category: EQUIPMENT_CATEGORIES.TWO_HANDED_WEAPON,
+            weaponType: WEAPON_TYPES.CROSSBOW,
+            ammoType: 'bolt',
+            range: 12,
+            launchDamage: 4,
+            damage: 0,
+            weaponDamage: 3, // d3 when swung
+            penetration: 0,
+            weight: 4,
+            value: 200,
+            material: 'wood',
+            symbol: '}',
+            color: '#E0E0E0',
+            description: 'A mechanical bow that punches through armor. (fires bolts, range 12, +4 damage)'
+        }
+    },
+    
+    // AMMUNITION (stackable; equipped as a whole stack in the quiver)
+    // breakChance: chance a shot is destroyed when it hits (less when it only lands)
+    ammo: {
+        slingStone: {
+            name: 'Sling Stone',
+            type: 'ammo',
+            category: EQUIPMENT_CATEGORIES.AMMUNITION,
+            weaponType: WEAPON_TYPES.SLING,
+            ammoType: 'stone',
+            damage: 0,
+            weaponDamage: 4, // d4
+            penetration: 0,
+            breakChance: 0.1,
+            quality: 'normal',
+            weight: 0.1,
+            value: 1,
+            material: 'stone',
+            symbol: '*',
+            color: '#A0A0A0',
+            description: 'A smooth, heavy river stone. Rarely breaks. (1d4 damage)'
+        },
+        arrow: {
+            name: 'Arrow',
+            type: 'ammo',
+            category: EQUIPMENT_CATEGORIES.AMMUNITION,
+            weaponType: WEAPON_TYPES.BOW,
+            ammoType: 'arrow',
+            damage: 0,
+            weaponDamage: 6, // d6
+            penetration: 1,
+            breakChance: 0.35,
+            quality: 'normal',
+            weight: 0.1,
+            value: 2,
+            material: 'wood',
+            symbol: '/',
+            color: '#D2B48C',
+            description: 'An iron-tipped arrow. (1d6 damage, AP 1)'
+        },
+        bolt: {
+            name: 'Crossbow Bolt',
+            type: 'ammo',
+            category: EQUIPMENT_CATEGORIES.AMMUNITION,
+            weaponType: WEAPON_TYPES.CROSSBOW,
+            ammoType: 'bolt',
+            damage: 0,
+            weaponDamage: 6, // d6
+            penetration: 3,
+            breakChance: 0.25,
+            quality: 'normal',
+            weight: 0.1,
+            value: 3,
+            material: 'iron',
+            symbol: '/',
+            color: '#A0A0A0',
+            description: 'A short, heavy bolt with a square head. (1d6 damage, AP 3)'
         }
     },
     
@@ -422,6 +566,88 @@ const EQUIPMENT_TYPES = {
          }
     },
     
+    // SCROLLS (effect is applied by Player.readScroll)
+    scrolls: {
+        scrollOfIdentify: {
+            name: 'Scroll of Identify',
+            type: 'scroll',
+            category: EQUIPMENT_CATEGORIES.MAGIC_SCROLL,
+            effect: 'identify',
+            weight: 0.1,
+            value: 60,
+            symbol: '?',
+            color: '#F5F5DC',
+            description: 'Reveals the true nature of one item, including any curse.',
+            stackable: true,
+            maxStackSize: 99
+        },
+        scrollOfRemoveCurse: {
+            name: 'Scroll of Remove Curse',
+            type: 'scroll',
+            category: EQUIPMENT_CATEGORIES.MAGIC_SCROLL,
+            effect: 'removeCurse',
+            weight: 0.1,
+            value: 120,
+            symbol: '?',
+            color: '#F5F5DC',
+            description: 'Lifts the curses from everything you are wearing.',
+            stackable: true,
+            maxStackSize: 99
+        }
+    },
+    
+    // SPELLBOOKS (spell is a SPELLS key, learned by Player.readSpellbook)
+    spellbooks: {
+        spellbookOfIgnite: {
+            name: 'Spellbook of Ignite',
+            type: 'spellbook',
+            category: EQUIPMENT_CATEGORIES.SPELLBOOK,
+            spell: 'ignite',
+            weight: 1.5,
+            value: 80,
+            material: 'leather',
+            symbol: '+',
+            color: '#FF4500',
+            description: 'A singed primer on calling fire from the air.'
+        },
+        spellbookOfFrost: {
+            name: 'Spellbook of Frost',
+            type: 'spellbook',
+            category: EQUIPMENT_CATEGORIES.SPELLBOOK,
+            spell: 'frost',
+            weight: 1.5,
+            value: 120,
+            material: 'leather',
+            symbol: '+',
+            color: '#87CEEB',
+            description: 'A book with rime-covered pages that teaches the Frost spell.'
+        },
+        spellbookOfPoisonCloud: {
+            name: 'Spellbook of Poison Cloud',
+            type: 'spellbook',
+            category: EQUIPMENT_CATEGORIES.SPELLBOOK,
+            spell: 'poisonCloud',
+            weight: 1.5,
+            value: 150,
+            material: 'leather',
+            symbol: '+',
+            color: '#32CD32',
+            description: 'A stained treatise on summoning clouds of poison gas.'
+        },
+        spellbookOfHeal: {
+            name: 'Spellbook of Heal',
+            type: 'spellbook',
+            category: EQUIPMENT_CATEGORIES.SPELLBOOK,
+            spell: 'heal',
+            weight: 1.5,
+            value: 100,
+            material: 'leather',
+            symbol: '+',
+            color: '#FFFACD',
+            description: 'A clerical text that teaches the Heal spell.'
+        }
+    },
+    
     // UTILITY
     tools: {
         torch: {
@@ -698,6 +924,18 @@ const EQUIPMENT_TYPES = {
             symbol: '=',
             color: '#F0F8FF',
             description: 'Ring of clarity. (Excellent Mental Resists)'
+        },
+        ringOfSeeInvisible: {
+            name: 'Ring of See Invisible',
+            type: 'ring',
+            category: EQUIPMENT_CATEGORIES.ENHANCEMENT,
+            weight: 0.1,
+            value: 300,
+            material: 'gold',
+            properties: ['see_invisible'], // Invisible monsters show up (game-invisibility.js)
+            symbol: '=',
+            color: '#E6E6FA',
+            description: 'A ring that lets the wearer see invisible things. (See Invisible)'
         }
     },
     
@@ -791,3 +1029,7 @@ const EQUIPMENT_TYPES = {
         }
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WEAPON_TYPES, EQUIPMENT_CATEGORIES, EQUIPMENT_TYPES };
+}
@@ -74,3 +74,7 @@ const FOOD_TYPES = {
         perishable: false
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FOOD_TYPES };
+}
@@ -17,7 +17,7 @@ class EquipmentManager {
         data.enchantment = enchantment;
         
         // Generate random quality if not specified
-        if (!data.quality && category !== 'potions' && category !== 'food') {
+        if (!data.quality && category !== 'potions' && category !== 'scrolls' && category !== 'spellbooks' && category !== 'food') {
             // Magic items (rings, amulets) have better quality distribution
             if (category === 'rings' || category === 'amulets') {
                 data.quality = this.generateMagicalQuality();
@@ -27,10 +27,10 @@ class EquipmentManager {
         }
         
         // Generate random initial durability for equipment items
-        if (category !== 'potions' && category !== 'food' && !data.currentDurability) {
+        if (category !== 'potions' && category !== 'scrolls' && category !== 'spellbooks' && category !== 'food' && !data.currentDurability) {
             // Only equipment items that can have durability get random initial condition
             const itemType = data.type || template.type;
-            if (itemType !== 'ring' && itemType !== 'amulet') {
+            if (itemType !== 'ring' && itemType !== 'amulet' && itemType !== 'ammo') {
                 const condition = this.generateRandomDurability();
                 const item = new EquipmentItem(template.name, data);
                 const maxDur = item.calculateMaxDurability();
@@ -68,7 +68,7 @@ class EquipmentManager {
         };
         
         const totalWeight = Object.values(qualityTable).reduce((sum, weight) => sum + weight, 0);
-        let random = Math.floor(Math.random() * totalWeight);
+        let random = Math.floor(RNG.get('spawn').random() * totalWeight);
         
         for (const [quality, weight] of Object.entries(qualityTable)) {
             random -= weight;
@@ -93,7 +93,7 @@ class EquipmentManager {
         };
         
         const totalWeight = Object.values(magicalQualityTable).reduce((sum, weight) => sum + weight, 0);
-        let random = Math.floor(Math.random() * totalWeight);
+        let random = Math.floor(RNG.get('spawn').random() * totalWeight);
         
         for (const [quality, weight] of Object.entries(magicalQualityTable)) {
             random -= weight;
@@ -118,7 +118,7 @@ class EquipmentManager {
         };
         
         const totalWeight = Object.values(durabilityTable).reduce((sum, weight) => sum + weight, 0);
-        let random = Math.floor(Math.random() * totalWeight);
+        let random = Math.floor(RNG.get('spawn').random() * totalWeight);
         
         for (const [condition, weight] of Object.entries(durabilityTable)) {
             random -= weight;
@@ -135,10 +135,10 @@ class EquipmentManager {
      */
     static generateInitialDurabilityPercentage(condition) {
         switch (condition) {
-            case 'normal':   return 0.85 + Math.random() * 0.15;  // 85-100%
-            case 'cracked1': return 0.60 + Math.random() * 0.25;  // 60-85%
-            case 'cracked2': return 0.35 + Math.random() * 0.25;  // 35-60%
-            case 'cracked3': return 0.10 + Math.random() * 0.25;  // 10-35%
+            case 'normal':   return 0.85 + RNG.get('spawn').random() * 0.15;  // 85-100%
+            case 'cracked1': return 0.60 + RNG.get('spawn').random() * 0.25;  // 60-85%
+            case 'cracked2': return 0.35 + RNG.get('spawn').random() * 0.25;  // 35-60%
+            case 'cracked3': return 0.10 + RNG.get('spawn').random() * 0.25;  // 10-35%
             default:         return 1.0;  // 100% for unknown conditions
         }
     }
@@ -180,7 +180,7 @@ class EquipmentManager {
         const items = this.getItemsByCategory(category);
         if (items.length === 0) return null;
         
-        const randomItem = items[Math.floor(Math.random() * items.length)];
+        const randomItem = items[Math.floor(RNG.get('spawn').random() * items.length)];
         return this.createEquipment(randomItem.categoryKey, randomItem.itemKey);
     }
     
@@ -191,7 +191,7 @@ class EquipmentManager {
         const items = this.getItemsByWeaponType(weaponType);
         if (items.length === 0) return null;
         
-        const randomItem = items[Math.floor(Math.random() * items.length)];
+        const randomItem = items[Math.floor(RNG.get('spawn').random() * items.length)];
         return this.createEquipment(randomItem.categoryKey, randomItem.itemKey);
     }
     
@@ -211,7 +211,7 @@ class EquipmentManager {
         data.quantity = quantity;
         
         // Generate random quality if not specified (only for equipment, not consumables)
-        if (!data.quality && category !== 'potions' && category !== 'food') {
+        if (!data.quality && category !== 'potions' && category !== 'scrolls' && category !== 'spellbooks' && category !== 'food') {
             // Magic items (rings, amulets) have better quality distribution
             if (category === 'rings' || category === 'amulets') {
                 data.quality = this.generateMagicalQuality();
@@ -221,10 +221,10 @@ class EquipmentManager {
         }
         
         // Generate random initial durability for equipment items
-        if (category !== 'potions' && category !== 'food' && !data.currentDurability) {
+        if (category !== 'potions' && category !== 'scrolls' && category !== 'spellbooks' && category !== 'food' && !data.currentDurability) {
             // Only equipment items that can have durability get random initial condition
             const itemType = data.type || template.type;
-            if (itemType !== 'ring' && itemType !== 'amulet') {
+            if (itemType !== 'ring' && itemType !== 'amulet' && itemType !== 'ammo') {
                 const condition = this.generateRandomDurability();
                 const item = new EquipmentItem(template.name, data);
                 const maxDur = item.calculateMaxDurability();
@@ -271,6 +271,8 @@ class EquipmentManager {
                 equipment.push(
                     this.createEquipment('weapons', 'dagger', 1),     // +1 Dagger
                     this.createEquipment('weapons', 'shortsword'),    // Shortsword
+                    this.createEquipment('weapons', 'sling'),         // Sling
+                    this.createEquipmentWithQuantity('ammo', 'slingStone', 15), // Sling Stone x15
                     this.createEquipment('armor', 'leather'),         // Leather Armor
                     this.createEquipment('potions', 'healingPotion'), // Healing Potion
                     this.createEquipment('tools', 'torch')            // Torch
@@ -314,9 +316,13 @@ class EquipmentManager {
         const keys = Object.keys(items);
         if (keys.length === 0) return null;
         
-        const randomKey = keys[Math.floor(Math.random() * keys.length)];
-        const enchantment = Math.floor(Math.random() * (maxEnchantment - minEnchantment + 1)) + minEnchantment;
+        const randomKey = keys[Math.floor(RNG.get('spawn').random() * keys.length)];
+        const enchantment = Math.floor(RNG.get('spawn').random() * (maxEnchantment - minEnchantment + 1)) + minEnchantment;
         
         return this.createEquipment(category, randomKey, enchantment);
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EquipmentManager };
+}
@@ -0,0 +1,170 @@
+/**
+ * Item identification (classic roguelike style)
+ * Potions, scrolls, rings and amulets appear under per-run random appearances
+ * ("murky potion", "jade ring") until their kind is learned by use or by a
+ * scroll of identify. Learned kinds form the discoveries list.
+ *
+ * Kind knowledge lives here (one instance per run, on game.identification);
+ * each item's own `identified` flag additionally reveals its enchantment and curse.
+ */
+class ItemIdentification {
+    // Item type -> EQUIPMENT_TYPES category and the appearances its kinds draw from
+    static TRACKED_TYPES = {
+        potion: {
+            category: 'potions',
+            label: 'Potions',
+            appearances: ['murky', 'bubbling', 'smoky', 'fizzy', 'cloudy', 'amber', 'violet',
+                          'milky', 'oily', 'glowing', 'swirling', 'inky']
+        },
+        scroll: {
+            category: 'scrolls',
+            label: 'Scrolls',
+            appearances: ['XOTH VERRA', 'ANDOVA BEX', 'KIRRUM TAL', 'OSSEN FLAY', 'VELK ARUNDE',
+                          'PRAXIL MOR', 'DUNNETH ILO', 'YARGO SEPH', 'ELBIS KORR', 'MAZU ZENTH']
+        },
+        ring: {
+            category: 'rings',
+            label: 'Rings',
+            appearances: ['jade', 'opal', 'ruby', 'iron', 'twisted', 'bone', 'coral', 'onyx',
+                          'brass', 'wooden', 'moonstone', 'granite']
+        },
+        amulet: {
+            category: 'amulets',
+            label: 'Amulets',
+            appearances: ['oval', 'triangular', 'spherical', 'square', 'star-shaped', 'hexagonal',
+                          'crescent', 'twisted', 'pyramidal', 'beaded']
+        }
+    };
+
+    /**
+     * @param {RandomStream|null} rng - Stream used to shuffle appearances (null: assign nothing yet)
+     */
+    constructor(rng = null) {
+        this.appearances = {}; // kind name -> appearance
+        this.known = new Set(); // kind names the player has learned
+        if (rng) this.assignAppearances(rng);
+    }
+
+    /**
+     * The current run's identification state (null before a game exists)
+     */
+    static current() {
+        return (window.game && window.game.identification) || null;
+    }
+
+    static isTracked(item) {
+        return !!item && Object.prototype.hasOwnProperty.call(ItemIdentification.TRACKED_TYPES, item.type);
+    }
+
+    /**
+     * True if the item's kind is known (untracked item types always are)
+     */
+    static isKindKnown(item) {
+        const identification = ItemIdentification.current();
+        return !identification || identification.isKnown(item);
+    }
+
+    /**
+     * True if everything about the item is known: its kind, enchantment and curse
+     */
+    static isIdentified(item) {
+        return ItemIdentification.isKindKnown(item) && item.identified !== false;
+    }
+
+    /**
+     * Item name as the player knows it (no enchantment or quantity)
+     */
+    static getKnownName(item) {
+        return ItemIdentification.isKindKnown(item) ? item.name : ItemIdentification.current().getUnidentifiedName(item);
+    }
+
+    /**
+     * Shuffle appearances over every tracked kind; kinds that already have one keep it
+     */
+    assignAppearances(rng) {
+        for (const tracked of Object.values(ItemIdentification.TRACKED_TYPES)) {
+            const templates = EQUIPMENT_TYPES[tracked.category] || {};
+            const pool = rng.shuffle(tracked.appearances.slice());
+            Object.values(templates).forEach((template, i) => {
+                if (!this.appearances[template.name]) {
+                    this.appearances[template.name] = pool[i % pool.length];
+                }
+            });
+        }
+    }
+
+    isKnown(item) {
+        return !ItemIdentification.isTracked(item) || this.known.has(item.name);
+    }
+
+    /**
+     * Learn an item's kind
+     * @returns {boolean} True if the kind was unknown until now
+     */
+    learn(item) {
+        if (this.isKnown(item)) return false;
+        this.known.add(item.name);
+        return true;
+    }
+
+    /**
+     * Everything the player starts with is familiar
+     */
+    learnAll(items) {
+        items.forEach(item => item && this.learn(item));
+    }
+
+    /**
+     * Name shown while the kind is unknown, e.g. "murky potion", "scroll labeled XOTH VERRA"
+     */
+    getUnidentifiedName(item) {
+        const appearance = this.appearances[item.name] || 'strange';
+        if (item.type === 'scroll') {
+            return `scroll labeled ${appearance}`;
+        }
+        return `${appearance} ${item.type}`;
+    }
+
+    /**
+     * Known kinds grouped by type, with the appearance they had this run
+     * @returns {Array<{label: string, kinds: Array<{name: string, appearance: string}>, unknown: number}>}
+     */
+    getDiscoveries() {
+        return Object.values(ItemIdentification.TRACKED_TYPES).map(tracked => {
+            const names = Object.values(EQUIPMENT_TYPES[tracked.category] || {}).map(template => template.name);
+            const kinds = names
+                .filter(name => this.known.has(name))
+                .map(name => ({ name, appearance: this.appearances[name] }));
+            return { label: tracked.label, kinds, unknown: names.length - kinds.length };
+        });
+    }
+
+    serialize() {
+        return {
+            appearances: { ...this.appearances },
+            known: Array.from(this.known)
+        };
+    }
+
+    /**
+     * Restore saved identification state. Saves from before identification existed
+     * (null) had every item shown by its true name, so every kind starts known.
+     */
+    static deserialize(data, rng) {
+        const identification = new ItemIdentification();
+        if (data && data.appearances) {
+            Object.assign(identification.appearances, data.appearances);
+        }
+        identification.assignAppearances(rng); // Kinds added since the save was made
+        if (data) {
+            (data.known || []).forEach(name => identification.known.add(name));
+        } else {
+            Object.keys(identification.appearances).forEach(name => identification.known.add(name));
+        }
+        return identification;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemIdentification };
+}
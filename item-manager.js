@@ -2,8 +2,9 @@
  * Item Manager with food support
  */
 class ItemManager {
-    constructor(dungeon) {
+    constructor(dungeon, rng = null) {
         this.dungeon = dungeon;
+        this.rng = rng || RNG.get('spawn'); // Spawn stream (see rng.js)
         this.items = [];
     }
 
@@ -160,7 +161,7 @@ class ItemManager {
      */
     spawnItems(level) {
         // Balanced item count: 3-6 items per level
-        const numItems = 3 + Math.floor(Math.random() * 4); // 3-6 items per level
+        const numItems = 3 + Math.floor(this.rng.random() * 4); // 3-6 items per level
         let spawnedCount = 0;
         let locationStats = {
             'DEAD-END': 0,
@@ -173,7 +174,7 @@ class ItemManager {
             'CORRIDOR': 0
         };
         
-        console.log(`\n=== Spawning ${numItems} items for level ${level} ===`);
+        Game.debugLog(`\n=== Spawning ${numItems} items for level ${level} ===`);
         
         for (let i = 0; i < numItems; i++) {
             const positionData = this.getRandomFloorPosition();
@@ -203,21 +204,21 @@ class ItemManager {
         }
         
         // Report spawn statistics
-        console.log(`\nSpawn Statistics (${spawnedCount}/${numItems} items):`);
+        Game.debugLog(`\nSpawn Statistics (${spawnedCount}/${numItems} items):`);
         for (const [type, count] of Object.entries(locationStats)) {
             if (count > 0) {
                 const percentage = ((count / spawnedCount) * 100).toFixed(1);
-                console.log(`  ${type}: ${count} (${percentage}%)`);
+                Game.debugLog(`  ${type}: ${count} (${percentage}%)`);
             }
         }
-        console.log('');
+        Game.debugLog('');
     }
     
     /**
      * Spawn starting equipment around player position (new game only)
      */
     spawnStartingEquipment(playerX, playerY) {
-        console.log(`Spawning starting equipment around player at (${playerX}, ${playerY})`);
+        Game.debugLog(`Spawning starting equipment around player at (${playerX}, ${playerY})`);
         
         // Equipment to spawn (2-4 items)
         const startingEquipment = [
@@ -229,8 +230,8 @@ class ItemManager {
         
         // Shuffle and select 2-3 items
         const selectedItems = startingEquipment
-            .sort(() => Math.random() - 0.5)
-            .slice(0, 2 + Math.floor(Math.random() * 2)); // 2-3 items
+            .sort(() => this.rng.random() - 0.5)
+            .slice(0, 2 + Math.floor(this.rng.random() * 2)); // 2-3 items
         
         let spawnedCount = 0;
         
@@ -247,12 +248,12 @@ class ItemManager {
                 if (typeof item.x === 'number' && typeof item.y === 'number' && item.symbol) {
                     this.addItem(item);
                     spawnedCount++;
-                    console.log(`Spawned starting ${item.name} at (${item.x}, ${item.y})`);
+                    Game.debugLog(`Spawned starting ${item.name} at (${item.x}, ${item.y})`);
                 }
             }
         }
         
-        console.log(`Spawned ${spawnedCount} starting equipment items`);
+        Game.debugLog(`Spawned ${spawnedCount} starting equipment items`);
     }
     
     /**
@@ -314,9 +315,9 @@ class ItemManager {
         }
         
         // Debug info about terrain bias (only log occasionally)
-        if (Math.random() < 0.1) { // 10% chance to log
+        if (this.rng.random() < 0.1) { // 10% chance to log
             const avgWeight = totalWeight / validPositions.length;
-            console.log(`Terrain bias: ${specialPositions}/${validPositions.length} special positions, avg weight: ${avgWeight.toFixed(2)}`);
+            Game.debugLog(`Terrain bias: ${specialPositions}/${validPositions.length} special positions, avg weight: ${avgWeight.toFixed(2)}`);
         }
         
         // Weighted random selection
@@ -356,7 +357,7 @@ class ItemManager {
             locationType = 'NEAR-WALLS';
         }
         
-        console.log(`Item spawn at (${selectedPosition.x}, ${selectedPosition.y}): ${locationType}, weight=${selectedWeight.toFixed(1)}, walls=${wallCount}/8`);
+        Game.debugLog(`Item spawn at (${selectedPosition.x}, ${selectedPosition.y}): ${locationType}, weight=${selectedWeight.toFixed(1)}, walls=${wallCount}/8`);
         
         return { x: selectedPosition.x, y: selectedPosition.y, locationType, weight: selectedWeight };
     }
@@ -422,8 +423,8 @@ class ItemManager {
         }
         
         // Debug: Log all calculations for debugging
-        if (Math.random() < 0.1) { // 10% chance to log
-            console.log(`Location (${x}, ${y}): type=${primaryType}, weight=${specialness.toFixed(1)}, walls=${wallCount}/8`);
+        if (this.rng.random() < 0.1) { // 10% chance to log
+            Game.debugLog(`Location (${x}, ${y}): type=${primaryType}, weight=${specialness.toFixed(1)}, walls=${wallCount}/8`);
         }
         
         return specialness;
@@ -700,7 +701,7 @@ class ItemManager {
      */
     weightedRandomSelect(positions) {
         const totalWeight = positions.reduce((sum, pos) => sum + pos.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.rng.random() * totalWeight;
         
         for (const position of positions) {
             random -= position.weight;
@@ -728,7 +729,10 @@ class ItemManager {
         const dropTable = {
             'food': 30,     // Most common (30%)
             'potion': 20,   // Common (20%)
+            'scroll': 6,    // Uncommon (6%)
+            'spellbook': 2, // Ultra rare (2%)
             'weapon': 12,   // Uncommon (12%)
+            'ammo': 5,      // Rare (5%)
             'armor': 12,    // Uncommon (12%)
             'shield': 8,    // Rare (8%)
             'helmet': 6,    // Rare (6%)
@@ -742,7 +746,7 @@ class ItemManager {
         const totalWeight = Object.values(dropTable).reduce((sum, weight) => sum + weight, 0);
         
         // Random selection based on weights
-        let random = Math.floor(Math.random() * totalWeight);
+        let random = Math.floor(this.rng.random() * totalWeight);
         
         for (const [itemType, weight] of Object.entries(dropTable)) {
             random -= weight;
@@ -750,6 +754,8 @@ class ItemManager {
                 switch (itemType) {
                     case 'weapon':
                         return this.createRandomWeapon(level);
+                    case 'ammo':
+                        return this.createRandomAmmo(level);
                     case 'armor':
                         return this.createRandomArmor(level);
                     case 'shield':
@@ -766,6 +772,10 @@ class ItemManager {
                         return this.createRandomAmulet(level);
                     case 'potion':
                         return this.createRandomPotion();
+                    case 'scroll':
+                        return this.createRandomScroll();
+                    case 'spellbook':
+                        return this.createRandomSpellbook();
                     case 'food':
                         return this.createRandomFood();
                     default:
@@ -789,12 +799,12 @@ class ItemManager {
                 return null;
             }
             
-            const weaponKey = weapons[Math.floor(Math.random() * weapons.length)];
+            const weaponKey = weapons[Math.floor(this.rng.random() * weapons.length)];
             
             // Higher level = better enchantment chance
             const enchantmentChance = Math.min(0.3 + (level * 0.1), 0.7);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(3, Math.floor(level / 2) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(3, Math.floor(level / 2) + 1)) : 0;
             
             const weapon = EquipmentManager.createEquipment('weapons', weaponKey, enchantment);
             if (!weapon) {
@@ -807,6 +817,22 @@ class ItemManager {
         }
     }
     
+    /**
+     * Create a bundle of random ammunition; deeper levels give larger, more often enchanted bundles
+     */
+    createRandomAmmo(level) {
+        try {
+            const kinds = Object.keys(EQUIPMENT_TYPES.ammo);
+            const ammoKey = kinds[Math.floor(this.rng.random() * kinds.length)];
+            const quantity = 4 + Math.floor(this.rng.random() * (6 + level));
+            const enchantment = this.rng.random() < Math.min(0.1 + level * 0.05, 0.4) ? 1 : 0;
+            return EquipmentManager.createEquipmentWithQuantity('ammo', ammoKey, quantity, enchantment);
+        } catch (error) {
+            console.error('Error creating random ammo:', error);
+            return null;
+        }
+    }
+    
     /**
      * Create random armor based on level
      */
@@ -818,11 +844,11 @@ class ItemManager {
                 return null;
             }
             
-            const armorKey = armors[Math.floor(Math.random() * armors.length)];
+            const armorKey = armors[Math.floor(this.rng.random() * armors.length)];
             
             const enchantmentChance = Math.min(0.2 + (level * 0.08), 0.6);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(2, Math.floor(level / 3) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(2, Math.floor(level / 3) + 1)) : 0;
             
             const armor = EquipmentManager.createEquipment('armor', armorKey, enchantment);
             if (!armor) {
@@ -846,11 +872,11 @@ class ItemManager {
                 return null;
             }
             
-            const shieldKey = shields[Math.floor(Math.random() * shields.length)];
+            const shieldKey = shields[Math.floor(this.rng.random() * shields.length)];
             
             const enchantmentChance = Math.min(0.2 + (level * 0.08), 0.6);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(2, Math.floor(level / 3) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(2, Math.floor(level / 3) + 1)) : 0;
             
             const shield = EquipmentManager.createEquipment('shields', shieldKey, enchantment);
             if (!shield) {
@@ -874,11 +900,11 @@ class ItemManager {
                 return null;
             }
             
-            const helmetKey = helmets[Math.floor(Math.random() * helmets.length)];
+            const helmetKey = helmets[Math.floor(this.rng.random() * helmets.length)];
             
             const enchantmentChance = Math.min(0.15 + (level * 0.06), 0.5);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
             
             const helmet = EquipmentManager.createEquipment('helmets', helmetKey, enchantment);
             if (!helmet) {
@@ -902,11 +928,11 @@ class ItemManager {
                 return null;
             }
             
-            const glovesKey = gloves[Math.floor(Math.random() * gloves.length)];
+            const glovesKey = gloves[Math.floor(this.rng.random() * gloves.length)];
             
             const enchantmentChance = Math.min(0.15 + (level * 0.06), 0.5);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
             
             const glovesItem = EquipmentManager.createEquipment('gloves', glovesKey, enchantment);
             if (!glovesItem) {
@@ -930,11 +956,11 @@ class ItemManager {
                 return null;
             }
             
-            const bootsKey = boots[Math.floor(Math.random() * boots.length)];
+            const bootsKey = boots[Math.floor(this.rng.random() * boots.length)];
             
             const enchantmentChance = Math.min(0.15 + (level * 0.06), 0.5);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(2, Math.floor(level / 4) + 1)) : 0;
             
             const bootsItem = EquipmentManager.createEquipment('boots', bootsKey, enchantment);
             if (!bootsItem) {
@@ -958,14 +984,14 @@ class ItemManager {
                 return null;
             }
             
-            const ringKey = rings[Math.floor(Math.random() * rings.length)];
+            const ringKey = rings[Math.floor(this.rng.random() * rings.length)];
             
             // Rings are more likely to be enchanted (magical items)
             const enchantmentChance = Math.min(0.3 + (level * 0.1), 0.8);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(3, Math.floor(level / 3) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(3, Math.floor(level / 3) + 1)) : 0;
             
-            const ring = EquipmentManager.createEquipment('rings', ringKey, enchantment);
+            const ring = this.createJewelry('rings', ringKey, enchantment);
             if (!ring) {
                 console.warn(`Failed to create ring: ${ringKey}`);
             }
@@ -987,14 +1013,14 @@ class ItemManager {
                 return null;
             }
             
-            const amuletKey = amulets[Math.floor(Math.random() * amulets.length)];
+            const amuletKey = amulets[Math.floor(this.rng.random() * amulets.length)];
             
             // Amulets are more likely to be enchanted (magical items)
             const enchantmentChance = Math.min(0.4 + (level * 0.12), 0.9);
-            const enchantment = Math.random() < enchantmentChance ? 
-                Math.floor(Math.random() * Math.min(3, Math.floor(level / 2) + 1)) : 0;
+            const enchantment = this.rng.random() < enchantmentChance ? 
+                Math.floor(this.rng.random() * Math.min(3, Math.floor(level / 2) + 1)) : 0;
             
-            const amulet = EquipmentManager.createEquipment('amulets', amuletKey, enchantment);
+            const amulet = this.createJewelry('amulets', amuletKey, enchantment);
             if (!amulet) {
                 console.warn(`Failed to create amulet: ${amuletKey}`);
             }
@@ -1005,6 +1031,17 @@ class ItemManager {
         }
     }
     
+    /**
+     * Rings and amulets drop unidentified; some are cursed (negative enchantment, cannot be removed)
+     */
+    createJewelry(category, itemKey, enchantment) {
+        const cursed = this.rng.random() < 0.15;
+        if (cursed) {
+            enchantment = -1 - Math.floor(this.rng.random() * 2); // -1 or -2
+        }
+        return EquipmentManager.createEquipment(category, itemKey, enchantment, { identified: false, cursed });
+    }
+    
     /**
      * Create random potion with weighted rarity
      */
@@ -1022,7 +1059,7 @@ class ItemManager {
             const totalWeight = Object.values(potionDropTable).reduce((sum, weight) => sum + weight, 0);
             
             // Random selection based on weights
-            let random = Math.floor(Math.random() * totalWeight);
+            let random = Math.floor(this.rng.random() * totalWeight);
             let selectedPotion = 'healingPotion'; // fallback
             
             for (const [potionType, weight] of Object.entries(potionDropTable)) {
@@ -1034,7 +1071,7 @@ class ItemManager {
             }
             
             // Generate 1-2 potions (small stacks)
-            const quantity = Math.random() < 0.7 ? 1 : 2; // 70% chance for 1, 30% for 2
+            const quantity = this.rng.random() < 0.7 ? 1 : 2; // 70% chance for 1, 30% for 2
             
             const potion = EquipmentManager.createEquipmentWithQuantity('potions', selectedPotion, quantity);
             if (!potion) {
@@ -1044,7 +1081,7 @@ class ItemManager {
                 if (!potion.healDice) {
                     console.warn(`Potion ${selectedPotion} missing healDice:`, potion);
                 } else {
-                    console.log(`Potion ${selectedPotion} created with healDice: ${potion.healDice}`);
+                    Game.debugLog(`Potion ${selectedPotion} created with healDice: ${potion.healDice}`);
                 }
             }
             return potion;
@@ -1054,6 +1091,57 @@ class ItemManager {
         }
     }
     
+    /**
+     * Create random scroll with weighted rarity
+     */
+    createRandomScroll() {
+        try {
+            const scrollDropTable = {
+                'scrollOfIdentify': 70,     // Common (70%)
+                'scrollOfRemoveCurse': 30   // Uncommon (30%)
+            };
+            
+            const totalWeight = Object.values(scrollDropTable).reduce((sum, weight) => sum + weight, 0);
+            let random = Math.floor(this.rng.random() * totalWeight);
+            let selectedScroll = 'scrollOfIdentify'; // fallback
+            
+            for (const [scrollType, weight] of Object.entries(scrollDropTable)) {
+                random -= weight;
+                if (random < 0) {
+                    selectedScroll = scrollType;
+                    break;
+                }
+            }
+            
+            const scroll = EquipmentManager.createEquipment('scrolls', selectedScroll);
+            if (!scroll) {
+                console.warn(`Failed to create scroll: ${selectedScroll}`);
+            }
+            return scroll;
+        } catch (error) {
+            console.error('Error creating random scroll:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Create random spellbook (all spells equally likely)
+     */
+    createRandomSpellbook() {
+        try {
+            const books = Object.keys(EQUIPMENT_TYPES.spellbooks);
+            const bookKey = books[Math.floor(this.rng.random() * books.length)];
+            const book = EquipmentManager.createEquipment('spellbooks', bookKey);
+            if (!book) {
+                console.warn(`Failed to create spellbook: ${bookKey}`);
+            }
+            return book;
+        } catch (error) {
+            console.error('Error creating random spellbook:', error);
+            return null;
+        }
+    }
+    
     /**
      * Create random food item
      */
@@ -1065,7 +1153,7 @@ class ItemManager {
                 return null;
             }
             
-            const foodKey = foods[Math.floor(Math.random() * foods.length)];
+            const foodKey = foods[Math.floor(this.rng.random() * foods.length)];
             const food = this.createFood(foodKey);
             if (!food) {
     
@@ -1076,4 +1164,8 @@ class ItemManager {
             return null;
         }
     }
-} 
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemManager };
+}
@@ -0,0 +1,90 @@
+/**
+ * Lighting - how much light reaches each tile of the current level
+ * Lit rooms, burning tiles, the player's torch and glowing monsters give off light; FOV only
+ * shows tiles in darkness when they are right next to the viewer.
+ * Load after fov.js (light spreads with FOV.shadowcast, so walls cast shadows).
+ */
+class Lighting {
+    static DARK = 0;
+    static DIM = 1;
+    static LIT = 2;
+
+    // Monsters that give off light: type -> radius
+    static MONSTER_LIGHT = {
+        glow_worm: 2
+    };
+
+    constructor(dungeon) {
+        this.dungeon = dungeon;
+        this.levels = new Uint8Array(dungeon.width * dungeon.height);
+    }
+
+    /**
+     * Recompute the light levels for this turn
+     * @param {Array<{x: number, y: number, radius: number}>} sources - Moving lights (torch, monsters)
+     */
+    update(sources = []) {
+        this.levels.fill(Lighting.DARK);
+        this.lightRooms();
+        this.lightFires();
+        for (const source of sources) {
+            if (source.radius > 0) this.addLight(source.x, source.y, source.radius);
+        }
+    }
+
+    /**
+     * Rooms marked lit at generation are bright, walls included
+     */
+    lightRooms() {
+        for (const room of this.dungeon.rooms) {
+            if (!room.lit) continue;
+            for (let y = room.y - 1; y <= room.y + room.height; y++) {
+                for (let x = room.x - 1; x <= room.x + room.width; x++) {
+                    this.raise(x, y, Lighting.LIT);
+                }
+            }
+        }
+    }
+
+    /**
+     * Burning tiles light their surroundings; bigger fires reach further
+     */
+    lightFires() {
+        if (typeof Temperature === 'undefined') return;
+        for (let y = 0; y < this.dungeon.height; y++) {
+            for (let x = 0; x < this.dungeon.width; x++) {
+                const fire = Temperature.temperatureToFireLevel(this.dungeon.tiles[y][x]);
+                if (fire > 0) this.addLight(x, y, 1 + Math.ceil(fire / 3));
+            }
+        }
+    }
+
+    /**
+     * Light from a point: bright near the source, dim towards the edge of its radius
+     */
+    addLight(x, y, radius) {
+        const brightRadius = Math.max(1, radius - 2);
+        FOV.shadowcast(this.dungeon, x, y, radius, (lx, ly) => {
+            const distance = Math.max(Math.abs(lx - x), Math.abs(ly - y));
+            this.raise(lx, ly, distance <= brightRadius ? Lighting.LIT : Lighting.DIM);
+        });
+    }
+
+    raise(x, y, level) {
+        if (!this.dungeon.isInBounds(x, y)) return;
+        const index = y * this.dungeon.width + x;
+        if (this.levels[index] < level) this.levels[index] = level;
+    }
+
+    /**
+     * @returns {number} Lighting.DARK, DIM or LIT
+     */
+    getLevel(x, y) {
+        if (!this.dungeon.isInBounds(x, y)) return Lighting.DARK;
+        return this.levels[y * this.dungeon.width + x];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Lighting };
+}
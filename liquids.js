@@ -99,9 +99,9 @@ const Liquids = (function() {
 
     /**
      * Simulate one step: blood drying/diffusion and generic liquids evaporation/spread.
-     * Scent decay is left to Dungeon.
+     * Scent decay is left to Dungeon. rng: environment stream (see rng.js).
      */
-    function step(dungeon) {
+    function step(dungeon, rng = RNG.get('environment')) {
         const width = dungeon.width;
         const height = dungeon.height;
         const bloodCfg = LIQUID_TYPES.blood;
@@ -114,10 +114,10 @@ const Liquids = (function() {
 
                 // Blood
                 if (t.blood && t.blood > 0) {
-                    if (Math.random() < bloodCfg.dryingChance) {
+                    if (rng.random() < bloodCfg.dryingChance) {
                         t.blood = Math.max(0, t.blood - 1);
                     }
-                    if (t.blood >= bloodCfg.diffusionThreshold && Math.random() < bloodCfg.diffusionChance) {
+                    if (t.blood >= bloodCfg.diffusionThreshold && rng.random() < bloodCfg.diffusionChance) {
                         const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
                         const candidates = [];
                         for (const [dx, dy] of dirs) {
@@ -135,7 +135,7 @@ const Liquids = (function() {
                             bloodDelta[y][x] -= 1;
                         }
                     }
-                    if (t.blood > 0 && Math.random() < bloodCfg.stainGrowthChance) {
+                    if (t.blood > 0 && rng.random() < bloodCfg.stainGrowthChance) {
                         t.bloodStain = Math.min(bloodCfg.maxStain, (t.bloodStain || 0) + 1);
                     }
                 }
@@ -146,15 +146,15 @@ const Liquids = (function() {
                         if (t.liquids[key] <= 0) { delete t.liquids[key]; continue; }
                         const cfg = getConfig(key);
                         const evap = cfg.evaporateChance != null ? cfg.evaporateChance : 0.2;
-                        if (Math.random() < evap) {
+                        if (rng.random() < evap) {
                             t.liquids[key] = Math.max(0, t.liquids[key] - 1);
                             if (t.liquids[key] === 0) { delete t.liquids[key]; continue; }
                         }
                         const spreadCh = cfg.spreadChance != null ? cfg.spreadChance : 0.15;
                         const spreadThr = cfg.spreadThreshold != null ? cfg.spreadThreshold : 3;
-                        if (t.liquids[key] >= spreadThr && Math.random() < spreadCh) {
+                        if (t.liquids[key] >= spreadThr && rng.random() < spreadCh) {
                             const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
-                            const [dx, dy] = dirs[Math.floor(Math.random() * dirs.length)];
+                            const [dx, dy] = dirs[Math.floor(rng.random() * dirs.length)];
                             const nx = x + dx, ny = y + dy;
                             if (dungeon.isInBounds(nx, ny) && dungeon.tiles[ny][nx].type === 'floor') {
                                 const nt = dungeon.tiles[ny][nx];
@@ -190,3 +190,7 @@ const Liquids = (function() {
         step
     };
 })();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Liquids };
+}
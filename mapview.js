@@ -1,6 +1,8 @@
 /**
  * MapView class for displaying Angband-style dungeon map
  * Shows the entire dungeon level with explored areas, player position, etc.
+ * A targeting cursor picks a destination (keys or a click); Enter sets the player travelling
+ * there (Game.startTravelTo).
  */
 class MapView {
     constructor() {
@@ -8,7 +10,10 @@ class MapView {
         this.mapWindow = document.getElementById('map-window');
         this.mapTitle = document.getElementById('map-title');
         this.mapCanvas = document.getElementById('map-canvas');
+        this.mapTarget = document.getElementById('map-target');
         this.isOpen = false;
+        this.cursor = null; // { x, y } travel target under selection
+        this.itemCycle = 0; // Next remembered item for the i key
         
         this.setupEventListeners();
         
@@ -23,19 +28,67 @@ class MapView {
             downstairs: '#FF0000',
             player: '#FFFF00',
             monster: '#FF6666',
-            item: '#00FFFF'
+            item: '#00FFFF',
+            cursor: '#FF00FF'
         };
     }
     
     setupEventListeners() {
-        // Close map on ESC key only - no mouse operations
+        // While open, the map takes every key (the game's handler would otherwise see it too)
         document.addEventListener('keydown', (event) => {
-            if (this.isOpen && event.code === 'Escape') {
-                this.hide();
-            }
+            if (!this.isOpen) return;
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.handleKey(event);
+        });
+        // Click an explored tile to travel there
+        this.mapCanvas.addEventListener('click', (event) => {
+            if (!this.isOpen) return;
+            const rect = this.mapCanvas.getBoundingClientRect();
+            // The canvas may be scaled down to fit the window
+            const x = Math.floor((event.clientX - rect.left) * this.mapCanvas.width / rect.width / this.tileSize);
+            const y = Math.floor((event.clientY - rect.top) * this.mapCanvas.height / rect.height / this.tileSize);
+            this.setCursor(x, y);
+            this.travelToCursor();
         });
     }
     
+    /**
+     * Keys while the map is open: move the cursor, jump to stairs or items, travel, close
+     */
+    handleKey(event) {
+        const step = event.shiftKey ? 8 : 1;
+        const directions = {
+            KeyK: [0, -1], KeyJ: [0, 1], KeyH: [-1, 0], KeyL: [1, 0],
+            KeyY: [-1, -1], KeyU: [1, -1], KeyB: [-1, 1], KeyN: [1, 1]
+        };
+        if (directions[event.code]) {
+            const [dx, dy] = directions[event.code];
+            this.setCursor(this.cursor.x + dx * step, this.cursor.y + dy * step);
+            return;
+        }
+        switch (event.code) {
+            case 'Escape':
+            case 'KeyM':
+                this.hide();
+                break;
+            case 'Comma':
+            case 'Period':
+                if (event.shiftKey) {
+                    this.jumpToStairs(event.code === 'Period' ? 'stairs_down' : 'stairs_up');
+                } else if (event.code === 'Period') {
+                    this.travelToCursor();
+                }
+                break;
+            case 'KeyI':
+                this.jumpToNextItem();
+                break;
+            case 'Enter':
+                this.travelToCursor();
+                break;
+        }
+    }
+    
     show(game) {
         if (this.isOpen) {
             this.hide();
@@ -44,6 +97,8 @@ class MapView {
         
         this.isOpen = true;
         this.game = game;
+        this.cursor = { x: game.player.x, y: game.player.y };
+        this.itemCycle = 0;
         
         // Update title with current level
         this.mapTitle.textContent = `Dungeon Map - Level ${game.currentLevel}`;
@@ -53,6 +108,7 @@ class MapView {
         
         // Render the map
         this.renderMap();
+        this.describeCursor();
     }
     
     hide() {
@@ -60,6 +116,84 @@ class MapView {
         this.overlay.style.display = 'none';
     }
     
+    setCursor(x, y) {
+        const dungeon = this.game.dungeon;
+        this.cursor = {
+            x: Math.max(0, Math.min(dungeon.width - 1, x)),
+            y: Math.max(0, Math.min(dungeon.height - 1, y))
+        };
+        this.renderMap();
+        this.describeCursor();
+    }
+    
+    /**
+     * Put the cursor on the up or down stairs, if the player has seen them
+     */
+    jumpToStairs(type) {
+        const stairs = this.game.dungeon.findTileOfType(type);
+        if (stairs && this.game.fov.isExplored(stairs.x, stairs.y)) {
+            this.setCursor(stairs.x, stairs.y);
+        } else {
+            this.mapTarget.textContent = `You have not found the ${type === 'stairs_down' ? 'down' : 'up'} stairs.`;
+        }
+    }
+    
+    /**
+     * Cycle the cursor through remembered floor items, nearest first
+     */
+    jumpToNextItem() {
+        const player = this.game.player;
+        const fov = this.game.fov;
+        const items = this.game.itemManager.getAllItems()
+            .filter(item => fov.isExplored(item.x, item.y))
+            .sort((a, b) => Math.max(Math.abs(a.x - player.x), Math.abs(a.y - player.y)) -
+                            Math.max(Math.abs(b.x - player.x), Math.abs(b.y - player.y)));
+        if (items.length === 0) {
+            this.mapTarget.textContent = 'You remember no items on this level.';
+            return;
+        }
+        const item = items[this.itemCycle % items.length];
+        this.itemCycle++;
+        this.setCursor(item.x, item.y);
+    }
+    
+    /**
+     * What the player remembers at the cursor
+     */
+    describeCursor() {
+        const { x, y } = this.cursor;
+        const game = this.game;
+        let text;
+        if (x === game.player.x && y === game.player.y) {
+            text = 'You are here.';
+        } else if (!game.fov.isExplored(x, y)) {
+            text = 'Unexplored.';
+        } else {
+            const items = game.itemManager.getItemsAt(x, y);
+            const tile = game.dungeon.getTile(x, y);
+            const names = { stairs_down: 'Stairs down', stairs_up: 'Stairs up', door: 'A door', floor: 'Floor', wall: 'Wall' };
+            if (items.length === 1) {
+                text = items[0].getDisplayName ? items[0].getDisplayName() : items[0].name;
+            } else if (items.length > 1) {
+                text = 'Several items';
+            } else {
+                text = names[tile.type] || tile.type;
+            }
+            text += '.';
+        }
+        this.mapTarget.textContent = `${text} (${x}, ${y})`;
+    }
+    
+    /**
+     * Close the map and travel to the cursor
+     */
+    travelToCursor() {
+        const { x, y } = this.cursor;
+        this.hide();
+        this.game.startTravelTo(x, y);
+        this.game.render();
+    }
+    
     renderMap() {
         if (!this.game || !this.game.dungeon) return;
         
@@ -99,10 +233,10 @@ class MapView {
                     case 'door':
                         color = this.colors.door;
                         break;
-                    case 'upstairs':
+                    case 'stairs_up':
                         color = this.colors.upstairs;
                         break;
-                    case 'downstairs':
+                    case 'stairs_down':
                         color = this.colors.downstairs;
                         break;
                 }
@@ -138,7 +272,7 @@ class MapView {
             const monsters = this.game.monsterSpawner.getLivingMonsters();
             ctx.fillStyle = this.colors.monster;
             for (const monster of monsters) {
-                if (fov.isVisible(monster.x, monster.y)) {
+                if (fov.isVisible(monster.x, monster.y) && !this.game.isMonsterHidden(monster)) {
                     ctx.fillRect(
                         monster.x * this.tileSize,
                         monster.y * this.tileSize,
@@ -167,6 +301,17 @@ class MapView {
             this.tileSize + 2,
             this.tileSize + 2
         );
+        
+        // Travel cursor
+        if (this.cursor) {
+            ctx.strokeStyle = this.colors.cursor;
+            ctx.strokeRect(
+                this.cursor.x * this.tileSize - 2,
+                this.cursor.y * this.tileSize - 2,
+                this.tileSize + 4,
+                this.tileSize + 4
+            );
+        }
     }
     
     // Toggle map display
@@ -0,0 +1,211 @@
+/**
+ * Monster abilities - spells and powers with cooldowns (lich, vampire, wraith), used by
+ * Game.processMonsterTurn before ranged and melee attacks while the player is in sight.
+ * How often a monster reaches for them follows its intelligence (setIntelligenceByType);
+ * smart and genius casters also skip spells that would be wasted.
+ * Load after monster.js, monster-ai.js and monster-specials.js.
+ */
+(function() {
+    if (typeof Monster === 'undefined') {
+        console.error('Monster class not found for monster-abilities.');
+        return;
+    }
+    const M = Monster;
+
+    /**
+     * Abilities by monster type, tried in order.
+     * effect:   'summon'  - raise monsters of the summons types on free tiles nearby
+     *           'drain'   - a melee bite that heals the attacker by the damage dealt
+     *           'fear' / 'confuse' - status effect on the player, who saves with
+     *                       StatusEffectManager.attemptSavingThrow against the severity
+     *           'phase'   - passive: moves through walls (Pathfinding.getProfile)
+     * range:    Chebyshev distance to the player (drain: 1)
+     * cooldown: player turns before the ability can be used again
+     * unseen:   what the player notices when the caster is out of sight (omitted: nothing)
+     */
+    const ABILITIES = {
+        lich: [
+            { name: 'raise dead', effect: 'summon', range: 8, cooldown: 15, summons: ['skeleton', 'zombie'],
+              count: [1, 2], maxMinions: 4, verb: 'raises the dead', unseen: 'You hear a chanting voice.' },
+            { name: 'word of fear', effect: 'fear', range: 6, cooldown: 10, duration: [4, 7], severity: 2,
+              verb: 'speaks a word of dread', unseen: 'A word of dread echoes out of the dark.' },
+            { name: 'befuddle', effect: 'confuse', range: 6, cooldown: 8, duration: [3, 5], severity: 2,
+              verb: 'weaves a befuddling sign' }
+        ],
+        vampire: [
+            { name: 'life drain', effect: 'drain', range: 1, cooldown: 4, verb: 'sinks its fangs into you',
+              unseen: 'Something sinks its fangs into you!' },
+            { name: 'dominating gaze', effect: 'confuse', range: 4, cooldown: 12, duration: [2, 4], severity: 1,
+              verb: 'fixes you with a dominating gaze' }
+        ],
+        wraith: [
+            { name: 'phasing', effect: 'phase' },
+            { name: 'dread', effect: 'fear', range: 3, cooldown: 12, duration: [3, 5], severity: 1,
+              verb: 'reaches out with a chill of dread', unseen: 'A chill of dread creeps over you.' }
+        ]
+    };
+
+    // Chance per turn that a monster of this intelligence uses a ready ability
+    const USE_CHANCE = { mindless: 0, animal: 0.2, normal: 0.35, smart: 0.5, genius: 0.6 };
+    const SKIPS_WASTED_SPELLS = ['smart', 'genius'];
+
+    const STATUS_BY_EFFECT = { fear: 'frightened', confuse: 'confused' };
+
+    function getGame() {
+        return window.game || null;
+    }
+
+    function rollRange([min, max]) {
+        return min + Math.floor(RNG.get('combat').random() * (max - min + 1));
+    }
+
+    /**
+     * "<Monster> <verb>!" if the player sees the caster, else the ability's unseen message if it has one
+     */
+    function log(monster, ability, type = 'normal') {
+        const game = getGame();
+        if (!game || !game.renderer) return;
+        const message = !game.fov || game.canSeeMonster(monster) ? `${monster.name} ${ability.verb}!` : ability.unseen;
+        if (message) game.renderer.addBattleLogMessage(message, type);
+    }
+
+    /**
+     * Abilities for this monster's type (empty array if none)
+     */
+    M.prototype.getAbilities = function() {
+        return ABILITIES[this.type] || [];
+    };
+
+    M.prototype.hasAbility = function(effect) {
+        return this.getAbilities().some(ability => ability.effect === effect);
+    };
+
+    M.prototype.isAbilityReady = function(ability) {
+        const game = getGame();
+        const readyTurn = this.abilityReadyTurns ? this.abilityReadyTurns[ability.name] || 0 : 0;
+        return !game || !game.player || readyTurn <= game.player.turnCount;
+    };
+
+    M.prototype.startAbilityCooldown = function(ability) {
+        const game = getGame();
+        if (!ability.cooldown || !game || !game.player) return;
+        if (!this.abilityReadyTurns) this.abilityReadyTurns = {};
+        this.abilityReadyTurns[ability.name] = game.player.turnCount + ability.cooldown;
+    };
+
+    /**
+     * Whether a smart caster would see this ability as wasted right now
+     */
+    M.prototype.isAbilityWasted = function(ability, player) {
+        const status = STATUS_BY_EFFECT[ability.effect];
+        if (status) return !!(player.statusEffects && player.statusEffects.hasEffect(status));
+        if (ability.effect === 'summon') return this.getLivingMinions().length >= ability.maxMinions;
+        if (ability.effect === 'drain') return this.hp >= this.maxHp;
+        return false;
+    };
+
+    /**
+     * Try one ready ability against the player. Returns true if the turn was spent.
+     */
+    M.prototype.useAbilities = function(player, distance) {
+        const abilities = this.getAbilities();
+        if (abilities.length === 0 || !this.isAlive) return false;
+        const useChance = USE_CHANCE[this.intelligence] ?? USE_CHANCE.normal;
+        const skipsWasted = SKIPS_WASTED_SPELLS.includes(this.intelligence);
+        for (const ability of abilities) {
+            const handler = ABILITY_HANDLERS[ability.effect];
+            if (!handler || distance > ability.range || !this.isAbilityReady(ability)) continue;
+            if (skipsWasted && this.isAbilityWasted(ability, player)) continue;
+            if (RNG.get('combat').random() >= useChance) continue;
+            this.startAbilityCooldown(ability);
+            try {
+                handler(this, player, ability);
+            } catch (error) {
+                console.error(`Error using ${ability.name} from ${this.name}:`, error);
+            }
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Summoned monsters still alive
+     */
+    M.prototype.getLivingMinions = function() {
+        this.minions = (this.minions || []).filter(minion => minion.isAlive);
+        return this.minions;
+    };
+
+    /**
+     * Free floor tiles around (x, y) within radius, nearest first
+     */
+    function findFreeTilesAround(game, x, y, radius) {
+        const tiles = [];
+        for (let r = 1; r <= radius; r++) {
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+                    const tx = x + dx;
+                    const ty = y + dy;
+                    if (!game.dungeon.isWalkable(tx, ty) || game.isOccupiedForMonster(tx, ty)) continue;
+                    tiles.push({ x: tx, y: ty });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    const ABILITY_HANDLERS = {
+        summon(caster, player, ability) {
+            const game = getGame();
+            if (!game || !game.monsterSpawner) return;
+            const rng = RNG.get('combat');
+            const spots = findFreeTilesAround(game, caster.x, caster.y, 2);
+            const count = Math.min(spots.length, rollRange(ability.count),
+                ability.maxMinions - caster.getLivingMinions().length);
+            log(caster, ability, 'warning');
+            for (let i = 0; i < count; i++) {
+                const type = rng.pick(ability.summons);
+                const minion = game.monsterSpawner.spawnSingleMonster(spots[i].x, spots[i].y, type, game.currentLevel);
+                minion.wakeUp('silent');
+                minion.noticePlayer(player.x, player.y);
+                caster.minions.push(minion);
+                if (game.fov && game.canSeeMonster(minion)) {
+                    game.renderer.addBattleLogMessage(`A ${minion.name.toLowerCase()} claws its way out of the ground!`, 'warning');
+                }
+            }
+        },
+
+        drain(caster, player, ability) {
+            log(caster, ability, 'damage');
+            const hpBefore = player.hp;
+            caster.attackPlayer(player);
+            const drained = Math.max(0, hpBefore - player.hp);
+            if (drained > 0) caster.heal(drained);
+        },
+
+        fear(caster, player, ability) {
+            imposeStatus(caster, player, ability, 'frightened');
+        },
+
+        confuse(caster, player, ability) {
+            imposeStatus(caster, player, ability, 'confused');
+        }
+    };
+
+    /**
+     * Status spells: the player saves as for recovering from the effect (severity sets the DC)
+     */
+    function imposeStatus(caster, player, ability, type) {
+        log(caster, ability, 'warning');
+        if (!player.statusEffects) return;
+        if (player.statusEffects.attemptSavingThrow(type, { severity: ability.severity, turnsActive: 0 })) {
+            const game = getGame();
+            if (game && game.renderer) game.renderer.addBattleLogMessage(`You resist the ${ability.name}!`, 'defense');
+            return;
+        }
+        player.statusEffects.addEffect(type, rollRange(ability.duration), ability.severity, caster.name);
+    }
+
+    window.MONSTER_ABILITIES = ABILITIES;
+})();
@@ -82,7 +82,7 @@
                 );
                 if (canSee && window.game.renderer) {
                     const personalityMessages = this.getFleeMessage();
-                    const message = personalityMessages[Math.floor(Math.random() * personalityMessages.length)];
+                    const message = personalityMessages[Math.floor(RNG.get('combat').random() * personalityMessages.length)];
                     window.game.renderer.addLogMessage(message);
                 }
             }
@@ -92,7 +92,7 @@
             this.fleeTimer++;
             const adjustedDuration = this.fleeDuration * this.fleeStamina;
             const isExhausted = this.fleeTimer >= adjustedDuration;
-            const courageCheck = Math.random() < this.returnCourage;
+            const courageCheck = RNG.get('combat').random() < this.returnCourage;
             if (isExhausted || courageCheck || hpRatio > this.fleeThreshold + 0.15) {
                 this.isFleeing = false;
                 this.fleeTimer = 0;
@@ -241,8 +241,7 @@
                 window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getMonsterActionSound('MONSTER_WAKE'));
             }
             if (window.game && window.game.renderer && reason !== 'silent') {
-                const canPlayerSeeMonster = window.game.fov &&
-                    window.game.fov.canSee(window.game.player.x, window.game.player.y, this.x, this.y, window.game.fov.viewRange);
+                const canPlayerSeeMonster = window.game.canSeeMonster(this);
                 if (canPlayerSeeMonster) {
                     const messages = {
                         'proximity': `${this.name} wakes up!`,
@@ -263,8 +262,15 @@
         const dy = Math.abs(this.y - playerY);
         const distance = Math.max(dx, dy);
         if (distance <= this.wakeUpDistance) {
-            this.wakeUp('proximity');
-            return;
+            const game = window.game;
+            const wakeChance = (typeof Stealth !== 'undefined' && game && game.player)
+                ? Stealth.getProximityWakeChance(this, game.player)
+                : 1;
+            if (RNG.get('combat').random() < wakeChance) {
+                this.wakeUp('proximity');
+                this.noticePlayer(playerX, playerY); // Woken by the player, it knows who is there
+                return;
+            }
         }
         let naturalWakeChance = 0;
         switch (this.sleepDepth) {
@@ -272,7 +278,37 @@
             case 'normal': naturalWakeChance = 0.0005; break;
             case 'deep': naturalWakeChance = 0.0001; break;
         }
-        if (Math.random() < naturalWakeChance) this.wakeUp('natural');
+        if (RNG.get('combat').random() < naturalWakeChance) this.wakeUp('natural');
+    };
+
+    /**
+     * The monster has spotted the player (or been hit by them) at (x, y)
+     */
+    M.prototype.noticePlayer = function(x, y) {
+        this.noticedPlayer = true;
+        this.lastSeenPlayerX = x;
+        this.lastSeenPlayerY = y;
+        this.turnsWithoutSeeingPlayer = 0;
+    };
+
+    /**
+     * An awake monster that has not noticed the player goes to look where a noise came from
+     */
+    M.prototype.investigateNoise = function(x, y) {
+        if (this.isAsleep || this.noticedPlayer) return;
+        this.lastSeenPlayerX = x;
+        this.lastSeenPlayerY = y;
+        this.turnsWithoutSeeingPlayer = 0;
+    };
+
+    /**
+     * Name with an indefinite article ('a goblin', 'an orc', 'a unicorn') for death messages;
+     * vowels that sound like "you" take 'a'
+     */
+    M.prototype.getIndefiniteName = function() {
+        const name = (this.name || 'monster').toLowerCase();
+        const vowelSound = /^[aeiou]/.test(name) && !/^(uni|eu|use|one)/.test(name);
+        return `${vowelSound ? 'an' : 'a'} ${name}`;
     };
 
     M.prototype.takeDamage = function(damage, penetration = 0) {
@@ -282,7 +318,7 @@
         const reducedDamage = Math.max(0, damage - effectiveProtection);
         const minimumDamage = Math.ceil(damage * 0.25);
         const finalDamage = Math.max(reducedDamage, minimumDamage);
-        if (window.game && window.game.renderer && (naturalProtection > 0 || penetration > 0) && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
+        if (window.game && window.game.renderer && (naturalProtection > 0 || penetration > 0) && window.game.canSeeMonster(this)) {
             const reductionPercent = Math.round((1 - finalDamage / damage) * 100);
             window.game.renderer.addBattleLogMessage(
                 `${this.name} DR ${naturalProtection} vs AP ${penetration} = ${effectiveProtection} DR (${damage} → ${finalDamage}, ${reductionPercent}% reduced)`,
@@ -293,7 +329,7 @@
         if (this.statusEffects && this.statusEffects.hasEffect && this.statusEffects.hasEffect('sleep')) {
             this.statusEffects.removeEffect('sleep');
         }
-        if (window.game && window.game.renderer && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
+        if (window.game && window.game.renderer && window.game.canSeeMonster(this)) {
             const hpDisplay = this.hp <= 0 ? '0' : this.hp;
             if (finalDamage > 0) {
                 window.game.renderer.addBattleLogMessage(`${this.name}: ${hpDisplay}/${this.maxHp} HP`, 'damage');
@@ -310,7 +346,7 @@
 
     M.prototype.takeDirectDamage = function(damage) {
         this.hp = Math.max(0, this.hp - damage);
-        if (window.game && window.game.renderer && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
+        if (window.game && window.game.renderer && window.game.canSeeMonster(this)) {
             const hpDisplay = this.hp <= 0 ? '0' : this.hp;
             window.game.renderer.addBattleLogMessage(`${this.name}: ${hpDisplay}/${this.maxHp} HP`, 'damage');
         }
@@ -322,13 +358,16 @@
     };
 
     M.prototype.attackPlayer = function(player) {
-        const naturalRoll = Math.floor(Math.random() * 20) + 1;
+        // Gaze specials happen before (and regardless of) the to-hit roll
+        this.useSpecialAttacks(player, 'gaze');
+        const naturalRoll = Math.floor(RNG.get('combat').random() * 20) + 1;
         const requiredRoll = player.armorClass - this.toHit;
         if (window.game && window.game.renderer && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
-            window.game.renderer.addBattleLogMessage(`${this.name} attacks... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${player.armorClass})`);
+            const name = window.game.isMonsterHidden(this) ? 'Something unseen' : this.name;
+            window.game.renderer.addBattleLogMessage(`${name} attacks... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${player.armorClass})`);
         }
         if (naturalRoll >= requiredRoll) {
-            const baseDamage = this.damage + Math.floor(Math.random() * this.weaponDamage) + 1;
+            const baseDamage = this.damage + Math.floor(RNG.get('combat').random() * this.weaponDamage) + 1;
             let finalDamage = baseDamage;
             if (naturalRoll === 20) {
                 finalDamage = baseDamage * 2;
@@ -340,7 +379,8 @@
                     window.game.renderer.addBattleLogMessage(`Hit! ${finalDamage} damage!`);
                 }
             }
-            const playerDied = player.takeDamage(finalDamage, this.penetration || 0);
+            finalDamage += this.useSpecialAttacks(player, 'strike').bonusDamage;
+            const playerDied = player.takeDamage(finalDamage, this.penetration || 0, `killed by ${this.getIndefiniteName()}`);
             if (finalDamage > 0 && player.statusEffects && player.hp > 0) {
                 if (typeof calculateStatusEffectChance === 'function') {
                     const monsterWeaponType = this.getMonsterWeaponType();
@@ -349,8 +389,8 @@
                     for (const effectType of possibleEffects) {
                         try {
                             if (effectType === 'poisoned' && this.type && ['snake', 'spider', 'centipede'].includes(this.type)) {
-                                if (Math.random() < 0.3) {
-                                    player.statusEffects.addEffect('poisoned', 5 + Math.floor(Math.random() * 5),
+                                if (RNG.get('combat').random() < 0.3) {
+                                    player.statusEffects.addEffect('poisoned', 5 + Math.floor(RNG.get('combat').random() * 5),
                                         Math.min(3, 1 + Math.floor(finalDamage / 5)), this.name);
                                 }
                             } else {
@@ -368,6 +408,9 @@
             if (window.game && window.game.noiseSystem) {
                 window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getMonsterActionSound('MONSTER_ATTACK'));
             }
+            if (!playerDied) {
+                this.useSpecialAttacks(player, 'hit');
+            }
             return playerDied;
         } else {
             if (window.game && window.game.renderer) window.game.renderer.addBattleLogMessage(`Miss!`);
@@ -384,13 +427,14 @@
      */
     M.prototype.attackMonster = function(targetMonster) {
         if (!targetMonster || !targetMonster.isAlive) return false;
-        const naturalRoll = Math.floor(Math.random() * 20) + 1;
+        this.useSpecialAttacks(targetMonster, 'gaze');
+        const naturalRoll = Math.floor(RNG.get('combat').random() * 20) + 1;
         const requiredRoll = targetMonster.armorClass - this.toHit;
         if (window.game && window.game.renderer && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
             window.game.renderer.addBattleLogMessage(`${this.name} attacks ${targetMonster.name}! (${naturalRoll} vs ${requiredRoll}+ needed)`);
         }
         if (naturalRoll >= requiredRoll) {
-            const baseDamage = this.damage + Math.floor(Math.random() * this.weaponDamage) + 1;
+            const baseDamage = this.damage + Math.floor(RNG.get('combat').random() * this.weaponDamage) + 1;
             let finalDamage = baseDamage;
             if (naturalRoll === 20) {
                 finalDamage = baseDamage * 2;
@@ -400,7 +444,12 @@
             } else if (window.game && window.game.renderer && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
                 window.game.renderer.addBattleLogMessage(`Hit! ${finalDamage} damage to ${targetMonster.name}.`);
             }
+            finalDamage += this.useSpecialAttacks(targetMonster, 'strike').bonusDamage;
             targetMonster.takeDirectDamage(finalDamage);
+            if (targetMonster.isAlive) {
+                this.useSpecialAttacks(targetMonster, 'hit');
+                targetMonster.applyPassiveDefense(this);
+            }
             if (window.game && window.game.noiseSystem) {
                 window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getMonsterActionSound('MONSTER_ATTACK'));
             }
@@ -41,7 +41,7 @@
                 const d = parseInt(match[2], 10);
                 const mod = parseInt(match[3], 10) || 0;
                 let sum = 0;
-                for (let i = 0; i < n; i++) sum += Math.floor(Math.random() * d) + 1;
+                for (let i = 0; i < n; i++) sum += Math.floor(RNG.get('combat').random() * d) + 1;
                 return sum + mod;
             }
         }
@@ -139,7 +139,7 @@
         game.itemManager.removeItem(pick);
         this.addToInventory(pick);
         if (game.renderer && game.fov && game.fov.isVisible(this.x, this.y)) {
-            game.renderer.addLogMessage(`${this.name} picks up ${pick.name || pick.getDisplayName?.() || 'something'}.`);
+            game.renderer.addLogMessage(`${this.name} picks up ${pick.getDisplayName?.() || pick.name || 'something'}.`);
         }
         // Auto-equip if better than current
         const currentWeapon = this.equipment && this.equipment.weapon;
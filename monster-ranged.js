@@ -0,0 +1,208 @@
+/**
+ * Monster ranged attacks - data-driven table of per-type missiles, spit and breath weapons,
+ * used by Game.processMonsterTurn when the player is in sight but out of reach.
+ * Load after monster.js, monster-ai.js and monster-specials.js.
+ */
+(function() {
+    if (typeof Monster === 'undefined') {
+        console.error('Monster class not found for monster-ranged.');
+        return;
+    }
+    const M = Monster;
+
+    /**
+     * Ranged attack by monster type.
+     * verb:  log text after the attacker's name ("Elf shoots an arrow")
+     * kind:  'missile' - d20 to-hit roll against AC like a melee attack, -1 per 2 tiles past 3
+     *        'spit'    - as a missile; on a hit the target saves or suffers effect
+     *        'breath'  - no to-hit roll: the target saves for half damage, and every tile on
+     *                    the line is heated (fire) or chilled (cold), so flames spread and the
+     *                    cold keeps biting through processFire / processCold
+     * chance:       per turn, when in range with a clear line (default 1)
+     * cooldown:     player turns before the attack can be used again
+     * keepDistance: archers back away when the player is closer than this
+     */
+    const RANGED_ATTACKS = {
+        elf: { name: 'arrow', kind: 'missile', verb: 'shoots an arrow', range: 8, damage: '1d6',
+               penetration: 1, keepDistance: 3 },
+        centaur: { name: 'arrow', kind: 'missile', verb: 'shoots an arrow', range: 10, damage: '1d8',
+                   penetration: 2, keepDistance: 3 },
+        snake: { name: 'venom', kind: 'spit', verb: 'spits venom', range: 3, damage: '1d2', chance: 0.3,
+                 cooldown: 5, effect: 'poisoned', save: 'constitution', dc: 12, duration: [4, 8], severity: 1 },
+        dragon: { name: 'fire breath', kind: 'breath', verb: 'breathes fire', element: 'fire', range: 6,
+                  damage: '4d6', chance: 0.5, cooldown: 8, save: 'dexterity', dc: 16, heat: 40 },
+        frost_giant: { name: 'freezing breath', kind: 'breath', verb: 'breathes a freezing blast', element: 'cold',
+                       range: 5, damage: '3d6', chance: 0.4, cooldown: 8, save: 'dexterity', dc: 15, chill: 13 },
+        yeti: { name: 'chilling breath', kind: 'breath', verb: 'breathes a chilling blast', element: 'cold',
+                range: 3, damage: '2d4', chance: 0.35, cooldown: 10, save: 'dexterity', dc: 13, chill: 12 }
+    };
+
+    // Archers cornered in melee still try to step back this often instead of fighting
+    const ADJACENT_RETREAT_CHANCE = 0.5;
+
+    // Breathers shrug off their own element in lingering fire and frost (percent)
+    const OWN_ELEMENT_RESISTANCE = 95;
+
+    const DEATH_CAUSES = { fire: 'burned to death by', cold: 'frozen to death by' };
+
+    function getGame() {
+        return window.game || null;
+    }
+
+    function rollRange([min, max]) {
+        return min + Math.floor(RNG.get('combat').random() * (max - min + 1));
+    }
+
+    function savingThrow(entity, stat, dc) {
+        const natural = Math.floor(RNG.get('combat').random() * 20) + 1;
+        const value = typeof entity[stat] === 'number' ? entity[stat] : 10;
+        const modifier = typeof entity.getClassicModifier === 'function'
+            ? entity.getClassicModifier(value)
+            : Math.floor((value - 10) / 2);
+        const total = natural + modifier;
+        return { success: natural === 20 || (natural !== 1 && total >= dc), total };
+    }
+
+    /**
+     * How the attacker appears in the log: unseen attackers are "Something"
+     */
+    function attackerName(monster) {
+        const game = getGame();
+        return game && game.fov && !game.canSeeMonster(monster) ? 'Something' : monster.name;
+    }
+
+    function battleLog(message, type = 'normal') {
+        const game = getGame();
+        if (game && game.renderer) game.renderer.addBattleLogMessage(message, type);
+    }
+
+    function makeAttackSound(monster) {
+        const game = getGame();
+        if (game && game.noiseSystem) {
+            game.noiseSystem.makeSound(monster.x, monster.y, game.noiseSystem.getMonsterActionSound('MONSTER_ATTACK'));
+        }
+    }
+
+    /**
+     * Ranged attack definition for this monster's type, or null
+     */
+    M.prototype.getRangedAttack = function() {
+        return RANGED_ATTACKS[this.type] || null;
+    };
+
+    /**
+     * Breathers resist their own element (duck-typed like Player.getElementalResistance)
+     */
+    M.prototype.getElementalResistance = function(elementType) {
+        const spec = this.getRangedAttack();
+        return spec && spec.element === elementType ? OWN_ELEMENT_RESISTANCE : 0;
+    };
+
+    /**
+     * Line from this monster to the target: walls, closed doors and other monsters block it
+     * @returns {Array<{x: number, y: number}>|null} Tiles up to and including the target, or null
+     */
+    M.prototype.getRangedLine = function(target) {
+        const game = getGame();
+        if (!game || !game.dungeon) return null;
+        const distance = Math.max(Math.abs(target.x - this.x), Math.abs(target.y - this.y));
+        const line = FOV.getLine(this.x, this.y, target.x, target.y, distance);
+        for (const { x, y } of line) {
+            if (x === target.x && y === target.y) return line;
+            if (!game.dungeon.isInBounds(x, y) || game.isProjectileBlocked(x, y)) return null;
+            if (game.monsterSpawner && game.monsterSpawner.getMonsterAt(x, y)) return null;
+        }
+        return null;
+    };
+
+    /**
+     * Whether this archer should step back from a target at this distance instead of attacking
+     */
+    M.prototype.wantsToKeepDistance = function(distance) {
+        const spec = this.getRangedAttack();
+        if (!spec || !spec.keepDistance || distance >= spec.keepDistance) return false;
+        return distance > 1 || RNG.get('combat').random() < ADJACENT_RETREAT_CHANCE;
+    };
+
+    /**
+     * In range, off cooldown, a clear line and the attack's chance roll
+     */
+    M.prototype.canUseRangedAttack = function(target, distance) {
+        const spec = this.getRangedAttack();
+        const game = getGame();
+        if (!spec || distance <= 1 || distance > spec.range) return false;
+        if (game && game.player && (this.rangedReadyTurn || 0) > game.player.turnCount) return false;
+        if (!this.getRangedLine(target)) return false;
+        return spec.chance === undefined || RNG.get('combat').random() < spec.chance;
+    };
+
+    /**
+     * Shoot, spit or breathe at the player. Returns true if the player died.
+     */
+    M.prototype.rangedAttackPlayer = function(player) {
+        const spec = this.getRangedAttack();
+        const game = getGame();
+        if (!spec) return false;
+        if (spec.cooldown && game && game.player) {
+            this.rangedReadyTurn = game.player.turnCount + spec.cooldown;
+        }
+        makeAttackSound(this);
+        if (spec.kind === 'breath') return this.breatheAt(player, spec);
+        return this.shootAt(player, spec);
+    };
+
+    /**
+     * Missile or spit: to-hit roll with a range penalty, damage through armor, then spit effects
+     */
+    M.prototype.shootAt = function(player, spec) {
+        const distance = Math.max(Math.abs(player.x - this.x), Math.abs(player.y - this.y));
+        const rangePenalty = Math.max(0, Math.ceil((distance - 3) / 2));
+        const naturalRoll = Math.floor(RNG.get('combat').random() * 20) + 1;
+        const requiredRoll = player.armorClass - this.toHit + rangePenalty;
+        battleLog(`${attackerName(this)} ${spec.verb}... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${player.armorClass}, range${distance})`);
+        if (naturalRoll === 1 || naturalRoll < requiredRoll) {
+            battleLog('Miss!');
+            return false;
+        }
+        const damage = rollDice(spec.damage);
+        battleLog(`Hit! ${damage} damage!`);
+        const playerDied = player.takeDamage(damage, spec.penetration || 0, `shot by ${this.getIndefiniteName()}`);
+        if (playerDied || !spec.effect || !player.statusEffects) return playerDied;
+
+        const save = savingThrow(player, spec.save, spec.dc);
+        if (save.success) {
+            battleLog(`You resist the ${spec.name}! (save ${save.total} vs DC ${spec.dc})`, 'defense');
+        } else {
+            player.statusEffects.addEffect(spec.effect, rollRange(spec.duration), spec.severity || 1, this.name);
+        }
+        return false;
+    };
+
+    /**
+     * Breath: heat or chill every tile on the line, then the player saves for half damage
+     */
+    M.prototype.breatheAt = function(player, spec) {
+        const game = getGame();
+        const line = this.getRangedLine(player) || [{ x: player.x, y: player.y }];
+        if (game && game.dungeon) {
+            for (const { x, y } of line) {
+                if (spec.element === 'fire') {
+                    Temperature.addHeat(game.dungeon, x, y, spec.heat);
+                } else {
+                    Temperature.removeHeat(game.dungeon, x, y, spec.chill);
+                }
+            }
+        }
+
+        const save = savingThrow(player, spec.save, spec.dc);
+        const rolled = rollDice(spec.damage);
+        const resisted = Math.min(95, Math.max(0, Math.floor(player.getElementalResistance(spec.element) || 0)));
+        const damage = Math.max(0, Math.ceil((save.success ? Math.floor(rolled / 2) : rolled) * (1 - resisted / 100)));
+        const notes = [`save ${save.total} vs DC ${spec.dc}${save.success ? ', half' : ''}`];
+        if (resisted > 0) notes.push(`${spec.element} resist ${resisted}%`);
+        battleLog(`${attackerName(this)} ${spec.verb}! ${damage} damage! (${notes.join(', ')})`, 'damage');
+        return player.takeDirectDamage(damage, `${DEATH_CAUSES[spec.element]} ${this.getIndefiniteName()}`);
+    };
+
+    window.MONSTER_RANGED_ATTACKS = RANGED_ATTACKS;
+})();
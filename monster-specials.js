@@ -0,0 +1,300 @@
+/**
+ * Monster special attacks - data-driven table of per-type specials
+ * (gazes, touches, theft) hooked into Monster.attackPlayer / attackMonster
+ * and Player.attackMonster (passive defenses).
+ * Load after monster.js and monster-ai.js.
+ */
+(function() {
+    if (typeof Monster === 'undefined') {
+        console.error('Monster class not found for monster-specials.');
+        return;
+    }
+    const M = Monster;
+
+    /**
+     * Special attack definitions by monster type.
+     * trigger: 'gaze'    - before the to-hit roll, needs the target to see the attacker
+     *          'strike'  - on a successful hit, before damage (may add damage)
+     *          'hit'     - after damage, if the target survived
+     *          'passive' - when this monster is struck in melee by someone who can see it
+     * save:    stat used for the target's d20 saving throw against dc
+     * Status effects additionally go through equipment resistance in StatusEffectManager.addEffect;
+     * rust only affects iron/steel gear.
+     */
+    const SPECIAL_ATTACKS = {
+        floating_eye: [
+            { name: 'paralysis gaze', trigger: 'passive', effect: 'paralyze', save: 'wisdom', dc: 15,
+              duration: [4, 8], severity: 2 }
+        ],
+        leprechaun: [
+            { name: 'stealing touch', trigger: 'hit', effect: 'steal', save: 'dexterity', dc: 13,
+              prefer: 'valuable', teleport: true, playerOnly: true }
+        ],
+        nymph: [
+            { name: 'charm', trigger: 'hit', effect: 'steal', save: 'wisdom', dc: 14,
+              prefer: 'random', teleport: true, playerOnly: true }
+        ],
+        rust_monster: [
+            { name: 'rusting touch', trigger: 'hit', effect: 'rust', save: 'dexterity', dc: 12,
+              materials: ['iron', 'steel'], durability: [3, 8] }
+        ],
+        medusa: [
+            { name: 'petrifying gaze', trigger: 'gaze', effect: 'petrify', save: 'constitution', dc: 16,
+              duration: [6, 10], severity: 3, chance: 0.5 }
+        ],
+        invisible_stalker: [
+            { name: 'unseen strike', trigger: 'strike', effect: 'ambush', save: 'wisdom', dc: 14,
+              bonusDice: '1d6' }
+        ]
+    };
+
+    function isPlayerEntity(entity) {
+        return !!(window.game && entity === window.game.player);
+    }
+
+    function isVisibleToPlayer(entity) {
+        return !!(window.game && window.game.fov && window.game.fov.isVisible(entity.x, entity.y));
+    }
+
+    function log(message, type, ...entities) {
+        if (!window.game || !window.game.renderer) return;
+        if (entities.some(e => isPlayerEntity(e) || isVisibleToPlayer(e))) {
+            window.game.renderer.addBattleLogMessage(message, type);
+        }
+    }
+
+    function displayName(entity) {
+        return isPlayerEntity(entity) ? 'you' : `the ${entity.name}`;
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    function rollRange([min, max]) {
+        return min + Math.floor(RNG.get('combat').random() * (max - min + 1));
+    }
+
+    /**
+     * Saving throw modifier: classic modifiers for the player, (stat - 10) / 2 for monsters
+     */
+    function getSaveModifier(entity, stat) {
+        const value = typeof entity[stat] === 'number' ? entity[stat] : 10;
+        if (typeof entity.getClassicModifier === 'function') {
+            return entity.getClassicModifier(value);
+        }
+        return Math.floor((value - 10) / 2);
+    }
+
+    /**
+     * d20 + modifier vs DC. Natural 20 always saves, natural 1 always fails.
+     */
+    function savingThrow(entity, stat, dc, bonus = 0) {
+        const natural = Math.floor(RNG.get('combat').random() * 20) + 1;
+        const total = natural + getSaveModifier(entity, stat) + bonus;
+        const success = natural === 20 || (natural !== 1 && total >= dc);
+        return { success, natural, total };
+    }
+
+    /**
+     * Whether viewer can see source (gazes need eye contact; blood in the eyes helps avert them;
+     * the player does not see invisible monsters: game-invisibility.js)
+     */
+    function canSee(viewer, source) {
+        if (!window.game || !window.game.fov) return true;
+        const fov = window.game.fov;
+        if (isPlayerEntity(viewer)) {
+            return window.game.canSeeMonster(source);
+        }
+        return fov.canSee(viewer.x, viewer.y, source.x, source.y, viewer.sightRange || 8);
+    }
+
+    function hasImpairedSight(entity) {
+        return !!(entity.statusEffects && entity.statusEffects.hasEffect('blood_eyes'));
+    }
+
+    /**
+     * Roll the target's save and log the outcome; returns true if the special is resisted
+     */
+    function resistsSpecial(attacker, target, spec, bonus = 0) {
+        if (!spec.save) return false;
+        const save = savingThrow(target, spec.save, spec.dc, bonus);
+        if (save.success) {
+            const who = capitalize(displayName(target));
+            const verb = isPlayerEntity(target) ? 'resist' : 'resists';
+            log(`${who} ${verb} ${attacker.name}'s ${spec.name}! (save ${save.total} vs DC ${spec.dc})`, 'defense', attacker, target);
+        }
+        return save.success;
+    }
+
+    /**
+     * Move a monster to a random free floor tile on the level (thieves vanish after stealing)
+     */
+    function teleportAway(monster) {
+        const game = window.game;
+        if (!game || !game.dungeon || !game.dungeon.rooms || game.dungeon.rooms.length === 0) return false;
+        const rng = RNG.get('combat');
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const room = rng.pick(game.dungeon.rooms);
+            const x = room.x + Math.floor(rng.random() * room.width);
+            const y = room.y + Math.floor(rng.random() * room.height);
+            if (!game.dungeon.isWalkable(x, y)) continue;
+            if (game.player && game.player.x === x && game.player.y === y) continue;
+            if (game.monsterSpawner && game.monsterSpawner.getMonsterAt(x, y)) continue;
+            monster.x = x;
+            monster.y = y;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Pick an item to steal from the player's pack (equipped items are out of reach)
+     */
+    function chooseStolenIndex(player, prefer) {
+        const candidates = player.inventory
+            .map((item, index) => ({ item, index }))
+            .filter(entry => entry.item);
+        if (candidates.length === 0) return -1;
+        if (prefer === 'valuable') {
+            candidates.sort((a, b) => (b.item.value || 0) - (a.item.value || 0));
+            return candidates[0].index;
+        }
+        return RNG.get('combat').pick(candidates).index;
+    }
+
+    const EFFECT_HANDLERS = {
+        paralyze(attacker, target, spec) {
+            if (!target.statusEffects || resistsSpecial(attacker, target, spec)) return {};
+            target.statusEffects.addEffect('paralyzed', rollRange(spec.duration), spec.severity || 1, attacker.name);
+            return {};
+        },
+
+        petrify(attacker, target, spec) {
+            if (!target.statusEffects) return {};
+            // Blood-stung eyes make it easier to avoid meeting the gaze
+            const bonus = hasImpairedSight(target) ? 4 : 0;
+            if (resistsSpecial(attacker, target, spec, bonus)) return {};
+            target.statusEffects.addEffect('petrified', rollRange(spec.duration), spec.severity || 1, attacker.name);
+            return {};
+        },
+
+        steal(attacker, target, spec) {
+            if (!isPlayerEntity(target) || !Array.isArray(target.inventory)) return {};
+            const index = chooseStolenIndex(target, spec.prefer);
+            if (index === -1) return {};
+            if (resistsSpecial(attacker, target, spec)) return {};
+            if (attacker.inventory && attacker.inventory.length >= (attacker.maxInventorySize || 8)) return {};
+
+            const item = target.removeFromInventory(index);
+            if (!item) return {};
+            if (typeof attacker.addToInventory === 'function') {
+                attacker.addToInventory(item);
+            } else {
+                attacker.inventory.push(item);
+            }
+            const itemName = item.getDisplayName ? item.getDisplayName() : item.name;
+            log(`${attacker.name} steals ${itemName}!`, 'warning', attacker, target);
+
+            if (spec.teleport && teleportAway(attacker)) {
+                log(`${attacker.name} vanishes!`, 'warning', target);
+                return { teleported: true };
+            }
+            return {};
+        },
+
+        rust(attacker, target, spec) {
+            const slots = isPlayerEntity(target)
+                ? ['weapon', 'armor', 'shield', 'helmet', 'gloves', 'boots']
+                : ['weapon', 'armor'];
+            const equipment = target.equipment || {};
+            const rustable = slots
+                .map(slot => ({ slot, item: equipment[slot] }))
+                .filter(entry => entry.item && spec.materials.includes(entry.item.material) &&
+                    typeof entry.item.takeDurabilityDamage === 'function' && entry.item.currentDurability > 0);
+            // Non-ferrous gear is immune (resistance path)
+            if (rustable.length === 0) return {};
+            if (resistsSpecial(attacker, target, spec)) return {};
+
+            const { slot, item } = RNG.get('combat').pick(rustable);
+            const broke = item.takeDurabilityDamage(rollRange(spec.durability), 'rust');
+            const owner = isPlayerEntity(target) ? 'Your' : `${target.name}'s`;
+            if (broke) {
+                log(`${owner} ${item.name} rusts away completely!`, 'warning', attacker, target);
+            } else {
+                log(`${owner} ${item.name} rusts!`, 'warning', attacker, target);
+            }
+            if (isPlayerEntity(target) && typeof target.updateCombatStats === 'function') {
+                target.updateCombatStats();
+            }
+            return { slot };
+        },
+
+        ambush(attacker, target, spec) {
+            // Only a surprise if the target does not currently see the attacker
+            if (canSee(target, attacker)) return {};
+            if (resistsSpecial(attacker, target, spec)) return {};
+            const bonusDamage = rollDice(spec.bonusDice);
+            const name = isPlayerEntity(target) ? 'Something' : attacker.name;
+            log(`${name} strikes from nowhere! (+${bonusDamage} damage)`, 'damage', attacker, target);
+            return { bonusDamage };
+        }
+    };
+
+    /**
+     * Special attack definitions for this monster's type (empty array if none)
+     */
+    M.prototype.getSpecialAttacks = function() {
+        return SPECIAL_ATTACKS[this.type] || [];
+    };
+
+    /**
+     * Run all specials with the given trigger against target.
+     * Returns { bonusDamage, teleported } aggregated from handlers.
+     */
+    M.prototype.useSpecialAttacks = function(target, trigger) {
+        const result = { bonusDamage: 0, teleported: false };
+        if (!this.isAlive || !target) return result;
+        const targetAlive = isPlayerEntity(target) ? target.hp > 0 : target.isAlive;
+        if (!targetAlive) return result;
+
+        for (const spec of this.getSpecialAttacks()) {
+            if (spec.trigger !== trigger) continue;
+            if (spec.playerOnly && !isPlayerEntity(target)) continue;
+            if (spec.chance !== undefined && RNG.get('combat').random() >= spec.chance) continue;
+            if (trigger === 'gaze' && !canSee(target, this)) continue;
+            const handler = EFFECT_HANDLERS[spec.effect];
+            if (!handler) continue;
+            try {
+                const outcome = handler(this, target, spec) || {};
+                result.bonusDamage += outcome.bonusDamage || 0;
+                result.teleported = result.teleported || !!outcome.teleported;
+            } catch (error) {
+                console.error(`Error applying ${spec.name} from ${this.name}:`, error);
+            }
+            if (result.teleported) break;
+        }
+        return result;
+    };
+
+    /**
+     * Passive defenses when this monster is struck in melee (e.g. floating eye gaze)
+     */
+    M.prototype.applyPassiveDefense = function(attacker) {
+        if (!attacker || !this.isAlive) return;
+        for (const spec of this.getSpecialAttacks()) {
+            if (spec.trigger !== 'passive') continue;
+            // Passive gazes only work on attackers who can see this monster
+            if (!canSee(attacker, this)) continue;
+            const handler = EFFECT_HANDLERS[spec.effect];
+            if (!handler) continue;
+            try {
+                handler(this, attacker, spec);
+            } catch (error) {
+                console.error(`Error applying passive ${spec.name} from ${this.name}:`, error);
+            }
+        }
+    };
+
+    window.MONSTER_SPECIAL_ATTACKS = SPECIAL_ATTACKS;
+})();
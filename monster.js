@@ -21,6 +21,7 @@ class Monster {
         this.turnsWithoutSeeingPlayer = 0;
         this.sightRange = 8; // Default sight range
         this.giveUpTurns = 5; // Stop searching after this many turns without sight
+        this.noticedPlayer = false; // Awake monsters still have to spot the player (stealth.js)
         
         // Sleeping state (classic roguelike feature)
         this.isAsleep = true; // Most monsters start asleep
@@ -34,10 +35,10 @@ class Monster {
         this.energy = 0; // Current energy points
         this.energyToAct = 100; // Energy needed to take an action
         
-        // Intelligence and fleeing system (Angband-style)
-        this.intelligence = 'normal'; // 'mindless', 'animal', 'normal', 'smart', 'genius'
+        // Intelligence and fleeing system (Angband-style). intelligence ('mindless', 'animal',
+        // 'normal', 'smart', 'genius') and fleeThreshold (HP share when fleeing starts) are
+        // set by setIntelligenceByType in initializeByType above
         this.isFleeing = false; // Current fleeing state
-        this.fleeThreshold = 0.25; // HP percentage when fleeing starts (25% default)
         
         // Fleeing personality system (individual monster characteristics)
         this.fleePersonality = 'normal'; // 'cowardly', 'brave', 'cunning', 'panicked', 'persistent', 'reckless'
@@ -64,7 +65,7 @@ class Monster {
         const integerAmount = Math.floor(amount);
         const healed = Math.max(0, Math.min(integerAmount, this.maxHp - this.hp));
         this.hp += healed;
-        if (window.game && window.game.renderer && healed > 0 && window.game.fov && window.game.fov.isVisible(this.x, this.y)) {
+        if (window.game && window.game.renderer && healed > 0 && window.game.canSeeMonster(this)) {
             window.game.renderer.addBattleLogMessage(`${this.name}: ${this.hp}/${this.maxHp} HP`, 'heal');
         }
         return healed;
@@ -686,6 +687,7 @@ class Monster {
                 damage: 4,
                 weaponDamage: 6, // d6 invisible
                 penetration: 1, // Invisible attack
+                invisible: true, // Hidden unless revealed (game-invisibility.js)
                 exp: 24,
                 minDepth: 6,
                 maxDepth: 12
@@ -809,7 +811,7 @@ class Monster {
             },
             'invisible_stalker': {
                 name: 'Invisible Stalker',
-                symbol: ' ',
+                symbol: 'I', // Only drawn when revealed or seen with see invisible
                 color: 'monster',
                 maxHp: 14,
                 toHit: 15,
@@ -817,6 +819,7 @@ class Monster {
                 damage: 6,
                 weaponDamage: 8, // d8 invisible
                 penetration: 2, // Invisible surprise attack
+                invisible: true,
                 exp: 40,
                 minDepth: 8,
                 maxDepth: 16
@@ -1009,6 +1012,7 @@ class Monster {
         this.weaponDamage = stats.weaponDamage;
         this.protection = stats.protection || 0; // Armor/natural protection
         this.penetration = stats.penetration || 0; // Weapon armor penetration
+        this.isInvisible = !!stats.invisible;
         this.expValue = stats.exp;
         this.minDepth = stats.minDepth;
         this.maxDepth = stats.maxDepth;
@@ -1116,8 +1120,9 @@ class Monster {
  * Monster Spawner - manages monsters in the dungeon
  */
 class MonsterSpawner {
-    constructor(dungeon) {
+    constructor(dungeon, rng = null) {
         this.dungeon = dungeon;
+        this.rng = rng || RNG.get('spawn'); // Spawn stream (see rng.js)
         this.monsters = [];
         
         // Pack behavior system (Angband-style monster groups)
@@ -1134,8 +1139,8 @@ class MonsterSpawner {
     spawnMonsters(currentDepth = 1) {
         if (this.dungeon.rooms.length === 0) return;
         
-        // Don't spawn in the first room (player starting room)
-        const spawnRooms = this.dungeon.rooms.slice(1);
+        // Don't spawn in the first room (player starting room) or in prefab vaults with their own guards
+        const spawnRooms = this.dungeon.rooms.slice(1).filter(room => !room.guarded);
         
         spawnRooms.forEach(room => {
             this.spawnMonstersInRoom(room, currentDepth);
@@ -1147,8 +1152,8 @@ class MonsterSpawner {
      */
     spawnMonstersInRoom(room, currentDepth) {
         // Determine base monster spawn attempts (1-3 per room)
-        const baseAttempts = Math.floor(Math.random() * 3) + 1;
-        const depthBonus = currentDepth > 5 ? Math.floor(Math.random() * 2) : 0;
+        const baseAttempts = Math.floor(this.rng.random() * 3) + 1;
+        const depthBonus = currentDepth > 5 ? Math.floor(this.rng.random() * 2) : 0;
         const spawnAttempts = Math.min(baseAttempts + depthBonus, 4);
         
         let spawnedCount = 0;
@@ -1160,9 +1165,9 @@ class MonsterSpawner {
             const packBehavior = this.getPackBehavior(monsterType);
             
             // Check if this monster should spawn as a pack
-            if (Math.random() < packBehavior.packChance) {
+            if (this.rng.random() < packBehavior.packChance) {
                 // Spawn pack
-                const packSize = Math.floor(Math.random() * (packBehavior.maxSize - packBehavior.minSize + 1)) + packBehavior.minSize;
+                const packSize = Math.floor(this.rng.random() * (packBehavior.maxSize - packBehavior.minSize + 1)) + packBehavior.minSize;
                 const actualPackSize = Math.min(packSize, maxMonstersInRoom - spawnedCount);
                 
                 const packPositions = this.generatePackPositions(room, actualPackSize, packBehavior.spacing);
@@ -1170,7 +1175,7 @@ class MonsterSpawner {
                 if (packPositions.length > 0) {
                     const packId = this.createPack(packBehavior.type, packPositions.length);
                     // Choose a leader index within this pack
-                    const leaderIndex = Math.floor(Math.random() * packPositions.length);
+                    const leaderIndex = Math.floor(this.rng.random() * packPositions.length);
                     packPositions.forEach((position, idx) => {
                         if (!this.getMonsterAt(position.x, position.y)) {
                             const isLeader = (idx === leaderIndex);
@@ -1201,6 +1206,7 @@ class MonsterSpawner {
     
     /**
      * Spawn a single monster at specified position
+     * @returns {Monster} The new monster
      */
     spawnSingleMonster(x, y, monsterType, currentDepth, packId = null, packType = 'solitary', isLeader = false) {
         const monster = new Monster(x, y, monsterType);
@@ -1215,12 +1221,12 @@ class MonsterSpawner {
         
         // Classic roguelike: some monsters start awake (especially dangerous ones)
         const awakeProbability = this.getAwakeProbability(monster, currentDepth);
-        if (Math.random() < awakeProbability) {
+        if (this.rng.random() < awakeProbability) {
             monster.wakeUp('silent'); // Wake up without message
         }
         
         this.monsters.push(monster);
-
+        return monster;
     }
 
     /**
@@ -1341,7 +1347,7 @@ class MonsterSpawner {
 
         if (pack.aliveCount <= thresholdRemain && pack.originalSize > 1) {
             // Panic test (2d6 vs leadership)
-            const d6 = () => Math.floor(Math.random() * 6) + 1;
+            const d6 = () => Math.floor(this.rng.random() * 6) + 1;
             const roll = d6() + d6();
             let leadership = pack.leadership || this.computePackLeadership(pack);
             // Casualties penalty: if 50%超の損耗なら -1
@@ -1525,7 +1531,7 @@ class MonsterSpawner {
 
         if (weighted.length === 0) return 'kobold';
         const total = weighted.reduce((s, e) => s + e.weight, 0);
-        let r = Math.random() * total;
+        let r = this.rng.random() * total;
         for (const { type, weight } of weighted) {
             r -= weight;
             if (r <= 0) return type;
@@ -1731,7 +1737,7 @@ class MonsterSpawner {
         
         // Try around each existing position
         for (const existingPos of existingPositions) {
-            const shuffledDirections = directions.sort(() => Math.random() - 0.5);
+            const shuffledDirections = directions.sort(() => this.rng.random() - 0.5);
             
             for (const [dx, dy] of shuffledDirections) {
                 for (let dist = 1; dist <= maxDistance; dist++) {
@@ -1755,8 +1761,8 @@ class MonsterSpawner {
         const centerPos = existingPositions[0]; // Use first position as center
         
         for (let attempt = 0; attempt < 10; attempt++) {
-            const angle = Math.random() * 2 * Math.PI;
-            const distance = Math.random() * (maxDistance - minDistance) + minDistance;
+            const angle = this.rng.random() * 2 * Math.PI;
+            const distance = this.rng.random() * (maxDistance - minDistance) + minDistance;
             
             const newX = Math.round(centerPos.x + Math.cos(angle) * distance);
             const newY = Math.round(centerPos.y + Math.sin(angle) * distance);
@@ -1894,8 +1900,8 @@ class MonsterSpawner {
         const maxAttempts = 10;
         
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const x = room.x + Math.floor(Math.random() * room.width);
-            const y = room.y + Math.floor(Math.random() * room.height);
+            const x = room.x + Math.floor(this.rng.random() * room.width);
+            const y = room.y + Math.floor(this.rng.random() * room.height);
             
             // Check if position is walkable and not occupied
             if (this.dungeon.isWalkable(x, y) && !this.getMonsterAt(x, y)) {
@@ -1927,7 +1933,7 @@ class MonsterSpawner {
      */
     findAdjacentEmptyTile(x, y, playerX, playerY) {
         const dirs = [[-1,-1],[0,-1],[1,-1],[-1,0],[1,0],[-1,1],[0,1],[1,1]];
-        const shuffled = dirs.slice().sort(() => Math.random() - 0.5);
+        const shuffled = dirs.slice().sort(() => this.rng.random() - 0.5);
         for (const [dx, dy] of shuffled) {
             const nx = x + dx;
             const ny = y + dy;
@@ -1950,7 +1956,7 @@ class MonsterSpawner {
         const playerY = game.player ? game.player.y : undefined;
         const dirs = [[-1,0],[1,0],[0,-1],[0,1],[-1,-1],[-1,1],[1,-1],[1,1]];
 
-        const living = this.getLivingMonsters().slice().sort(() => Math.random() - 0.5);
+        const living = this.getLivingMonsters().slice().sort(() => this.rng.random() - 0.5);
         for (const monster of living) {
             const mx = monster.x;
             const my = monster.y;
@@ -1978,7 +1984,7 @@ class MonsterSpawner {
             }
 
             if (!Ecosystem.canBreed(monster, turnCount, sameSpeciesAdjacent, hasVegetationNearby, hasCorpseNearby)) continue;
-            if (Math.random() >= Ecosystem.getBreedChance(monster.type)) continue;
+            if (this.rng.random() >= Ecosystem.getBreedChance(monster.type)) continue;
 
             const childPos = this.findAdjacentEmptyTile(mx, my, playerX, playerY);
             if (!childPos) continue;
@@ -1990,7 +1996,7 @@ class MonsterSpawner {
                     game.renderer.addLogMessage(`${monster.name} offspring appears!`);
                 } else if (playerX != null && playerY != null && game.player) {
                     const dist = Math.max(Math.abs(childPos.x - playerX), Math.abs(childPos.y - playerY));
-                    if (dist <= 6 && Math.random() < 0.4) {
+                    if (dist <= 6 && this.rng.random() < 0.4) {
                         game.renderer.addLogMessage('Something stirs in the shadows...');
                     }
                 }
@@ -2005,4 +2011,8 @@ class MonsterSpawner {
     removeDeadMonsters() {
         this.monsters = this.monsters.filter(monster => monster.isAlive);
     }
-} 
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Monster, MonsterSpawner };
+}
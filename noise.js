@@ -49,6 +49,8 @@ class NoiseSystem {
     
     /**
      * Generate a sound at the specified location
+     * @param {Player} [source] - The player, when they made it: awake monsters that have not
+     *                            noticed them come to investigate
      */
     makeSound(x, y, soundLevel, source = null) {
         if (soundLevel <= 0) return;
@@ -70,7 +72,7 @@ class NoiseSystem {
             // Sleeping status effect also reacts to sound: small wake chance
             if (monster.statusEffects && monster.statusEffects.hasEffect && monster.statusEffects.hasEffect('sleep')) {
                 const extra = 0.05 * (soundLevel - 1); // +0%,+5%,+10%,+15%,+20%
-                if (Math.random() < Math.max(0, extra)) {
+                if (RNG.get('combat').random() < Math.max(0, extra)) {
                     monster.statusEffects.removeEffect('sleep');
                     if (this.game.renderer && this.game.fov && this.game.fov.isVisible(monster.x, monster.y)) {
                         this.game.renderer.addLogMessage(`The ${monster.name} wakes up due to noise.`);
@@ -78,6 +80,50 @@ class NoiseSystem {
                 }
             }
         });
+        
+        if (source && source === this.game.player) {
+            this.alertUnawareMonsters(x, y, soundLevel);
+        } else {
+            this.revealUnseenNoisemaker(x, y, soundLevel);
+        }
+    }
+    
+    /**
+     * An invisible monster making a sound where it stands may give itself away to the player,
+     * with the same odds monsters have of hearing the player (game-invisibility.js)
+     */
+    revealUnseenNoisemaker(soundX, soundY, soundLevel) {
+        const game = this.game;
+        if (!game.player || typeof game.isMonsterHidden !== 'function') return;
+        const monster = game.monsterSpawner.getMonsterAt(soundX, soundY);
+        if (!monster || !game.isMonsterHidden(monster)) return;
+        const maxRange = this.soundRanges[soundLevel] || 0;
+        const distance = Math.max(Math.abs(game.player.x - soundX), Math.abs(game.player.y - soundY));
+        if (distance > maxRange) return;
+        const hearingStrength = this.calculateHearingStrength(game.player.x, game.player.y, soundX, soundY, soundLevel);
+        const distanceFactor = Math.max(0, 1 - (distance / (maxRange + 1)));
+        const hearChance = (this.wakeupChances[soundLevel] || 0) * distanceFactor * hearingStrength;
+        if (RNG.get('combat').random() < hearChance) {
+            game.revealMonster(monster, 'You hear something unseen close by!');
+        }
+    }
+    
+    /**
+     * Awake monsters that have not noticed the player may hear them and go to look (stealth.js)
+     */
+    alertUnawareMonsters(soundX, soundY, soundLevel) {
+        const maxRange = this.soundRanges[soundLevel] || 0;
+        this.game.monsterSpawner.getLivingMonsters().forEach(monster => {
+            if (monster.isAsleep || monster.noticedPlayer || typeof monster.investigateNoise !== 'function') return;
+            const distance = Math.max(Math.abs(monster.x - soundX), Math.abs(monster.y - soundY));
+            if (distance > maxRange) return;
+            const hearingStrength = this.calculateHearingStrength(monster.x, monster.y, soundX, soundY, soundLevel);
+            const distanceFactor = Math.max(0, 1 - (distance / (maxRange + 1)));
+            const hearChance = (this.wakeupChances[soundLevel] || 0) * distanceFactor * hearingStrength;
+            if (RNG.get('combat').random() < hearChance) {
+                monster.investigateNoise(soundX, soundY);
+            }
+        });
     }
     
     /**
@@ -112,7 +158,7 @@ class NoiseSystem {
         // Final probability
         const wakeupChance = baseChance * distanceFactor * sleepFactor * hearingStrength;
         
-        if (Math.random() < wakeupChance) {
+        if (RNG.get('combat').random() < wakeupChance) {
             monster.wakeUp('noise');
             
             
@@ -218,8 +264,8 @@ class NoiseSystem {
         const adjustedLevel = Math.min(baseLevel + modifier, 5); // Cap at max sound level
         
         // Debug log for weight-based noise (only occasionally)
-        if (modifier > 0 && Math.random() < 0.05) { // 5% chance to log
-            console.log(`Movement noise: ${encumbrance.name} (${encumbrance.level}) - base: ${baseLevel}, modifier: +${modifier}, final: ${adjustedLevel}`);
+        if (modifier > 0 && RNG.get('combat').random() < 0.05) { // 5% chance to log
+            Game.debugLog(`Movement noise: ${encumbrance.name} (${encumbrance.level}) - base: ${baseLevel}, modifier: +${modifier}, final: ${adjustedLevel}`);
         }
         
         return adjustedLevel;
@@ -231,4 +277,8 @@ class NoiseSystem {
     getMonsterActionSound(action) {
         return this.soundLevels[action] || this.soundLevels.SILENCE;
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoiseSystem };
+}
@@ -0,0 +1,408 @@
+/**
+ * Pathfinding - A* paths and Dijkstra flow maps for monster movement
+ *
+ * Movement costs depend on the monster (a cost profile):
+ *   closed doors   intelligent monsters open them (a turn); the rest treat them as walls.
+ *                  Locked and secret doors always block.
+ *   revealed traps avoided (high cost) unless the monster is mindless
+ *   water          wading slows non-swimmers, deep water more so; flyers and swimmers ignore it
+ *   fire           burning tiles (Temperature fire level) are avoided
+ *   walls          phasing monsters (a 'phase' ability, monster-abilities.js) pass through
+ *                  walls and closed doors, slowly, but never through the map's outer wall
+ * Other monsters do not block paths (they move); callers step around them.
+ *
+ * Paths are cached per monster and reused while the target stays near the cached goal;
+ * flow maps are cached for a few turns and shared by every monster with the same profile.
+ * Load after dungeon.js and temperature.js.
+ */
+const Pathfinding = (function() {
+    const NEIGHBORS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+    const DOOR_COST = 2; // Opening the door, then stepping through
+    const TRAP_COST = 20;
+    const FIRE_COST = 25;
+    const WADE_COST = 1;
+    const DEEP_WATER = 8; // Water amount from which wading is swimming
+    const DEEP_WATER_COST = 3;
+    const PHASE_COST = 2;
+
+    // Movement profile for the player's own multi-step moves (auto-explore, travel)
+    const PLAYER_PROFILE = { opensDoors: true, avoidsTraps: true, wades: true, key: 'player' };
+
+    const SWIMMERS = ['cave_fish', 'frog', 'giant_frog', 'newt', 'blind_salamander', 'lizardman', 'snake'];
+    const FLYERS = ['bat', 'cave_moth', 'stirge', 'carrion_crow', 'hawk', 'eagle', 'wyvern'];
+
+    const MAX_SEARCH_NODES = 6000; // A* gives up (no path) after expanding this many tiles
+    const REPATH_DRIFT = 2; // Reuse a cached path while the target is this close to its goal
+    const APPROACH_RADIUS = 20; // Approach maps cover this far around the target
+    const FLEE_RADIUS = 14; // Flee maps cover this far around the threat
+    const FLEE_COEFFICIENT = -1.2; // Safety map: inverted distance, then relaxed (prefers open ground to corners)
+
+    const pathCache = new WeakMap(); // monster -> { dungeon, goalX, goalY, steps, index, profileKey }
+    const FLOW_MAP_TURNS = 3; // Flow maps are rebuilt after this many turns (doors, fire and traps change)
+    let flowCache = { dungeon: null, maps: new Map() }; // key -> { turn, map }
+
+    /**
+     * Binary min-heap of tile indexes by priority (parallel arrays: no allocation per push)
+     */
+    class MinHeap {
+        constructor() {
+            this.priorities = [];
+            this.indexes = [];
+        }
+
+        get size() {
+            return this.indexes.length;
+        }
+
+        push(priority, index) {
+            const priorities = this.priorities;
+            const indexes = this.indexes;
+            let i = indexes.length;
+            priorities.push(priority);
+            indexes.push(index);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priority) break;
+                priorities[i] = priorities[parent];
+                indexes[i] = indexes[parent];
+                i = parent;
+            }
+            priorities[i] = priority;
+            indexes[i] = index;
+        }
+
+        /**
+         * Remove the lowest entry; read it first with peekPriority / peekIndex
+         */
+        pop() {
+            const priorities = this.priorities;
+            const indexes = this.indexes;
+            const lastPriority = priorities.pop();
+            const lastIndex = indexes.pop();
+            const length = indexes.length;
+            if (length === 0) return;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                if (left >= length) break;
+                const right = left + 1;
+                const child = right < length && priorities[right] < priorities[left] ? right : left;
+                if (priorities[child] >= lastPriority) break;
+                priorities[i] = priorities[child];
+                indexes[i] = indexes[child];
+                i = child;
+            }
+            priorities[i] = lastPriority;
+            indexes[i] = lastIndex;
+        }
+
+        peekPriority() {
+            return this.priorities[0];
+        }
+
+        peekIndex() {
+            return this.indexes[0];
+        }
+    }
+
+    /**
+     * What a monster can and will walk through
+     * @returns {Object} { opensDoors, avoidsTraps, wades, phases, key }
+     */
+    function getProfile(monster) {
+        const opensDoors = !!(monster && typeof monster.isIntelligent === 'function' && monster.isIntelligent());
+        const avoidsTraps = !monster || monster.intelligence !== 'mindless';
+        const wades = !monster || !(SWIMMERS.includes(monster.type) || FLYERS.includes(monster.type));
+        const phases = !!(monster && typeof monster.hasAbility === 'function' && monster.hasAbility('phase'));
+        return { opensDoors, avoidsTraps, wades, phases, key: `${+opensDoors}${+avoidsTraps}${+wades}${+phases}` };
+    }
+
+    /**
+     * Cost of stepping onto (x, y), Infinity if impassable
+     */
+    function getMoveCost(dungeon, x, y, profile) {
+        if (!dungeon.isInBounds(x, y)) return Infinity;
+        const tile = dungeon.tiles[y][x];
+        let cost = 1;
+        if (profile.phases && (tile.type === 'wall' || (tile.type === 'door' && tile.doorState !== 'open'))) {
+            const inner = x > 0 && y > 0 && x < dungeon.width - 1 && y < dungeon.height - 1;
+            return inner ? 1 + PHASE_COST : Infinity;
+        }
+        if (tile.type === 'door') {
+            if (tile.doorState === 'open') return 1;
+            if (tile.doorState === 'locked' || tile.doorType === 'secret' || !profile.opensDoors) return Infinity;
+            return 1 + DOOR_COST;
+        }
+        if (tile.type !== 'floor' && tile.type !== 'stairs_up' && tile.type !== 'stairs_down') return Infinity;
+
+        if (profile.avoidsTraps && tile.trap && tile.trap.revealed && !tile.trap.disarmed) cost += TRAP_COST;
+        if (profile.wades && tile.liquids && tile.liquids.water > 0) {
+            cost += tile.liquids.water >= DEEP_WATER ? DEEP_WATER_COST : WADE_COST;
+        }
+        if (typeof Temperature !== 'undefined' && Temperature.temperatureToFireLevel(tile) > 0) cost += FIRE_COST;
+        return cost;
+    }
+
+    /**
+     * A* from (fromX, fromY) to (toX, toY); the goal tile itself is always enterable
+     * (it may hold the player). Chebyshev distance is admissible: every step costs >= 1.
+     * @param {Object} [options] - { blocked(x, y): extra tiles to avoid, maxNodes }
+     * @returns {Array<{x: number, y: number}>|null} Steps after the start, ending at the goal
+     */
+    function findPath(dungeon, profile, fromX, fromY, toX, toY, options = {}) {
+        if (fromX === toX && fromY === toY) return [];
+        const width = dungeon.width;
+        const start = fromY * width + fromX;
+        const goal = toY * width + toX;
+        const maxNodes = options.maxNodes || MAX_SEARCH_NODES;
+        const cost = new Float32Array(width * dungeon.height).fill(Infinity);
+        const parent = new Int32Array(width * dungeon.height).fill(-1);
+        const heap = new MinHeap();
+        cost[start] = 0;
+        heap.push(Math.max(Math.abs(toX - fromX), Math.abs(toY - fromY)), start);
+
+        let expanded = 0;
+        while (heap.size > 0 && expanded < maxNodes) {
+            const priority = heap.peekPriority();
+            const index = heap.peekIndex();
+            heap.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            if (priority - Math.max(Math.abs(toX - x), Math.abs(toY - y)) > cost[index]) continue; // Stale entry
+            if (index === goal) return tracePath(parent, goal, start, width);
+            expanded++;
+
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!dungeon.isInBounds(nx, ny)) continue;
+                const next = ny * width + nx;
+                let stepCost;
+                if (next === goal) {
+                    stepCost = 1;
+                } else {
+                    if (options.blocked && options.blocked(nx, ny)) continue;
+                    stepCost = getMoveCost(dungeon, nx, ny, profile);
+                    if (stepCost === Infinity) continue;
+                }
+                const newCost = cost[index] + stepCost;
+                if (newCost < cost[next]) {
+                    cost[next] = newCost;
+                    parent[next] = index;
+                    heap.push(newCost + Math.max(Math.abs(toX - nx), Math.abs(toY - ny)), next);
+                }
+            }
+        }
+        return null;
+    }
+
+    function tracePath(parent, goal, start, width) {
+        const steps = [];
+        for (let at = goal; at !== start; at = parent[at]) {
+            steps.push({ x: at % width, y: Math.floor(at / width) });
+        }
+        return steps.reverse();
+    }
+
+    /**
+     * Dijkstra flow map: cost from every tile to the nearest goal (goals may start above 0)
+     * @param {Array<{x: number, y: number, value?: number}>} goals
+     * @param {number} [maxValue=Infinity] - Stop spreading past this cost
+     * @param {Object} [options] - { blocked(x, y): extra tiles to avoid }
+     * @returns {Float32Array} map[y * width + x]; Infinity where unreachable
+     */
+    function buildFlowMap(dungeon, profile, goals, maxValue = Infinity, options = {}) {
+        const width = dungeon.width;
+        const map = new Float32Array(width * dungeon.height).fill(Infinity);
+        const heap = new MinHeap();
+        for (const goal of goals) {
+            const index = goal.y * width + goal.x;
+            const value = goal.value || 0;
+            if (value < map[index]) {
+                map[index] = value;
+                heap.push(value, index);
+            }
+        }
+
+        while (heap.size > 0) {
+            const value = heap.peekPriority();
+            const index = heap.peekIndex();
+            heap.pop();
+            if (value > map[index] || value > maxValue) continue;
+            const x = index % width;
+            const y = (index - x) / width;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const stepCost = getMoveCost(dungeon, nx, ny, profile);
+                if (stepCost === Infinity) continue;
+                if (options.blocked && options.blocked(nx, ny)) continue;
+                const next = ny * width + nx;
+                if (value + stepCost < map[next]) {
+                    map[next] = value + stepCost;
+                    heap.push(map[next], next);
+                }
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Flow map shared by every caller with the same key (target and profile) for FLOW_MAP_TURNS
+     */
+    function getCachedFlowMap(dungeon, turn, key, build) {
+        if (flowCache.dungeon !== dungeon) {
+            flowCache = { dungeon, maps: new Map() };
+        }
+        const entry = flowCache.maps.get(key);
+        if (entry && turn >= entry.turn && turn - entry.turn < FLOW_MAP_TURNS) return entry.map;
+
+        // Drop maps gone stale (most are keyed by a moving creature's position)
+        for (const [oldKey, old] of flowCache.maps) {
+            if (turn < old.turn || turn - old.turn >= FLOW_MAP_TURNS) flowCache.maps.delete(oldKey);
+        }
+        const map = build();
+        flowCache.maps.set(key, { turn, map });
+        return map;
+    }
+
+    /**
+     * Distance map towards the tiles around a target: pack members flow down it and,
+     * stepping around each other, spread out to surround the target (Infinity beyond APPROACH_RADIUS)
+     */
+    function getApproachMap(dungeon, monster, targetX, targetY, turn) {
+        const profile = getProfile(monster);
+        return getCachedFlowMap(dungeon, turn, `approach:${targetX},${targetY}:${profile.key}`, () => {
+            const goals = [];
+            for (const [dx, dy] of NEIGHBORS) {
+                if (getMoveCost(dungeon, targetX + dx, targetY + dy, profile) !== Infinity) {
+                    goals.push({ x: targetX + dx, y: targetY + dy });
+                }
+            }
+            return buildFlowMap(dungeon, profile, goals, APPROACH_RADIUS);
+        });
+    }
+
+    /**
+     * Safety map around a threat: lower is safer. Inverting the distance and relaxing it again
+     * makes fleeing monsters run for open ground and other exits rather than into dead ends.
+     */
+    function getFleeMap(dungeon, monster, threatX, threatY, turn) {
+        const profile = getProfile(monster);
+        return getCachedFlowMap(dungeon, turn, `flee:${threatX},${threatY}:${profile.key}`, () => {
+            const distance = buildFlowMap(dungeon, profile, [{ x: threatX, y: threatY }], FLEE_RADIUS);
+            const goals = [];
+            for (let index = 0; index < distance.length; index++) {
+                if (distance[index] <= FLEE_RADIUS) {
+                    goals.push({ x: index % dungeon.width, y: Math.floor(index / dungeon.width), value: distance[index] * FLEE_COEFFICIENT });
+                }
+            }
+            return buildFlowMap(dungeon, profile, goals, 0);
+        });
+    }
+
+    /**
+     * Best neighbour of (x, y) on a flow map: lowest value, not blocked
+     * @param {boolean} [allowLevel=false] - Also accept a neighbour no better than (x, y) (sidestep)
+     * @returns {{x: number, y: number}|null}
+     */
+    function stepDownhill(dungeon, map, x, y, isFree, allowLevel = false) {
+        const here = map[y * dungeon.width + x];
+        let best = null;
+        let bestValue = allowLevel ? here + 1e-6 : here;
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (!dungeon.isInBounds(nx, ny) || !isFree(nx, ny)) continue;
+            const value = map[ny * dungeon.width + nx];
+            if (value < bestValue) {
+                bestValue = value;
+                best = { x: nx, y: ny };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Next tile on a monster's path to (toX, toY), reusing its cached path when possible
+     * @param {function(number, number): boolean} [isOccupied] - Tiles taken by other creatures;
+     *        when the next step is taken, a path around it is searched (not cached)
+     * @returns {{x: number, y: number}|null}
+     */
+    function nextStep(dungeon, monster, toX, toY, isOccupied = null) {
+        const profile = getProfile(monster);
+        let cached = pathCache.get(monster);
+        const cacheUsable = cached && cached.dungeon === dungeon && cached.profileKey === profile.key &&
+            cached.index < cached.steps.length &&
+            Math.max(Math.abs(cached.goalX - toX), Math.abs(cached.goalY - toY)) <= REPATH_DRIFT &&
+            ((cached.goalX === toX && cached.goalY === toY) || cached.steps.length - cached.index > REPATH_DRIFT * 2) &&
+            isAdjacent(monster, cached.steps[cached.index]) &&
+            getMoveCost(dungeon, cached.steps[cached.index].x, cached.steps[cached.index].y, profile) !== Infinity;
+
+        if (!cacheUsable) {
+            const steps = findPath(dungeon, profile, monster.x, monster.y, toX, toY);
+            if (!steps || steps.length === 0) {
+                pathCache.delete(monster);
+                return null;
+            }
+            cached = { dungeon, goalX: toX, goalY: toY, steps, index: 0, profileKey: profile.key };
+            pathCache.set(monster, cached);
+        }
+
+        const step = cached.steps[cached.index];
+        if (isOccupied && isOccupied(step.x, step.y) && !(step.x === toX && step.y === toY)) {
+            const detour = findPath(dungeon, profile, monster.x, monster.y, toX, toY, {
+                blocked: (x, y) => Math.max(Math.abs(x - monster.x), Math.abs(y - monster.y)) <= 2 && isOccupied(x, y),
+                maxNodes: MAX_SEARCH_NODES / 4
+            });
+            return detour && detour.length > 0 ? detour[0] : null;
+        }
+        return step;
+    }
+
+    /**
+     * The monster has taken the step nextStep gave it
+     */
+    function advance(monster, x, y) {
+        const cached = pathCache.get(monster);
+        if (!cached) return;
+        const step = cached.steps[cached.index];
+        if (step && step.x === x && step.y === y) {
+            cached.index++;
+        } else {
+            pathCache.delete(monster); // Went elsewhere (detour, shoved): plan again next time
+        }
+    }
+
+    function clearCache(monster = null) {
+        if (monster) {
+            pathCache.delete(monster);
+        } else {
+            flowCache = { dungeon: null, maps: new Map() };
+        }
+    }
+
+    function isAdjacent(monster, step) {
+        return Math.max(Math.abs(step.x - monster.x), Math.abs(step.y - monster.y)) === 1;
+    }
+
+    return {
+        DEEP_WATER,
+        PLAYER_PROFILE,
+        getProfile,
+        getMoveCost,
+        findPath,
+        buildFlowMap,
+        getApproachMap,
+        getFleeMap,
+        stepDownhill,
+        nextStep,
+        advance,
+        clearCache
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Pathfinding };
+}
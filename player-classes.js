@@ -0,0 +1,69 @@
+/**
+ * Player class definitions for character creation
+ * statPriority: rolled 3d6 scores are sorted high to low and assigned in this order
+ * hitDie:       HP die per level (calculateInitialStats / levelUp)
+ * weaponSkills: to-hit modifier by weapon.weaponType (WEAPON_TYPES values), 'unarmed' when no weapon;
+ *               added on top of the generic weapon modifiers in getWeaponSkillModifier
+ * stealth:      bonus to Stealth.getPlayerStealth (slipping past and up on monsters)
+ * Starting kits come from EquipmentManager.createStartingEquipment(className).
+ */
+const PLAYER_CLASSES = {
+    warrior: {
+        name: 'Warrior',
+        description: 'A hardy soldier trained with every common weapon. Starts with sword, axe, leather armor and a buckler.',
+        hitDie: 10,
+        stealth: 0,
+        statPriority: ['strength', 'constitution', 'dexterity', 'wisdom', 'charisma', 'intelligence'],
+        weaponSkills: {
+            sword: 1,
+            axe: 1,
+            mace: 1,
+            hammer: 0,
+            dagger: 0,
+            bow: 0,
+            crossbow: 1,
+            sling: 0,
+            unarmed: 0
+        }
+    },
+    rogue: {
+        name: 'Rogue',
+        description: 'A quick, light-footed thief. Deadly with short blades and a sling, poor with heavy weapons.',
+        hitDie: 6,
+        stealth: 3,
+        statPriority: ['dexterity', 'intelligence', 'constitution', 'charisma', 'strength', 'wisdom'],
+        weaponSkills: {
+            dagger: 2,
+            sword: 1,
+            axe: -1,
+            mace: -1,
+            hammer: -2,
+            bow: 1,
+            crossbow: 0,
+            sling: 2,
+            unarmed: 1
+        }
+    },
+    fighter: {
+        name: 'Fighter',
+        description: 'A heavily armored swordmaster. Starts with longsword, chain mail and a large shield.',
+        hitDie: 8,
+        stealth: 0,
+        statPriority: ['strength', 'dexterity', 'constitution', 'wisdom', 'intelligence', 'charisma'],
+        weaponSkills: {
+            sword: 2,
+            axe: 0,
+            mace: 0,
+            hammer: 1,
+            dagger: -1,
+            bow: -1,
+            crossbow: 1,
+            sling: -1,
+            unarmed: -1
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLAYER_CLASSES };
+}
@@ -19,7 +19,7 @@
             const monster = window.game && window.game.monsterSpawner.getMonsterAt(x, y);
             if (monster) {
                 // Door slam attack - THAC0 style hit check
-                const naturalRoll = Math.floor(Math.random() * 20) + 1; // Pure d20 roll (1-20)
+                const naturalRoll = Math.floor(RNG.get('combat').random() * 20) + 1; // Pure d20 roll (1-20)
                 const requiredRoll = monster.armorClass - this.toHit; // THAC0 calculation
                 
                 if (window.game && window.game.renderer) {
@@ -56,7 +56,7 @@
                     
                     // Generate door slam sound (very loud)
                     if (window.game && window.game.noiseSystem) {
-                        window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_SLAM'));
+                        window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_SLAM'), this);
                     }
                 } else {
                     // Miss
@@ -66,7 +66,7 @@
                     
                     // Generate door slam sound even on miss (still loud)
                     if (window.game && window.game.noiseSystem) {
-                        window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_SLAM'));
+                        window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_SLAM'), this);
                     }
                 }
                 
@@ -92,7 +92,7 @@
                 }
                 // Generate door closing sound
                 if (window.game && window.game.noiseSystem) {
-                    window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_CLOSE'));
+                    window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_CLOSE'), this);
                 }
                 return true; // Turn consumed
             }
@@ -112,14 +112,16 @@
         // Door damage: 2d6 + STR modifier (heavier than normal weapons)
         const baseDamage = this.getClassicModifier(this.strength); // STR modifier
         const doorDie = 6; // d6 weapon damage
-        const doorDamage = baseDamage + Math.floor(Math.random() * doorDie) + 1 + Math.floor(Math.random() * doorDie) + 1; // 2d6
+        const doorDamage = baseDamage + Math.floor(RNG.get('combat').random() * doorDie) + 1 + Math.floor(RNG.get('combat').random() * doorDie) + 1; // 2d6
         return Math.max(1, doorDamage); // Minimum 1 damage
     };
 
     /**
      * Take damage from an attack (Classic Roguelike)
+     * @param {string|null} source - Cause of death if this kills the player (e.g. 'killed by a goblin')
      */
-    PlayerRef.prototype.takeDamage = function(damage, penetration = 0) {
+    PlayerRef.prototype.takeDamage = function(damage, penetration = 0, source = null) {
+        this.lastDamageSource = source; // Unattributed damage clears a stale cause
         // Calculate damage reduction with minimum damage guarantee (75% max reduction)
         const effectiveProtection = Math.max(0, this.totalProtection - penetration);
         const reducedDamage = Math.max(0, damage - effectiveProtection);
@@ -138,7 +140,7 @@
         const blockChance = this.getBlockChance();
         let blockedAttack = false;
         if (blockChance > 0 && finalDamage > 0) {
-            const blockRoll = Math.floor(Math.random() * 100) + 1; // 1-100
+            const blockRoll = Math.floor(RNG.get('combat').random() * 100) + 1; // 1-100
             if (blockRoll <= blockChance) {
                 // Successful block!
                 blockedAttack = true;
@@ -221,8 +223,10 @@
 
     /**
      * Take direct damage bypassing armor/DR/block (for status effects)
+     * @param {string|null} source - Cause of death if this kills the player
      */
-    PlayerRef.prototype.takeDirectDamage = function(damage) {
+    PlayerRef.prototype.takeDirectDamage = function(damage, source = null) {
+        this.lastDamageSource = source; // Unattributed damage clears a stale cause
         const oldHp = this.hp;
         this.hp = Math.max(0, this.hp - damage);
         
@@ -257,11 +261,20 @@
 
     /**
      * Attack a monster (Classic Roguelike - THAC0 style)
+     * Sleeping monsters and those that have not noticed the player take a sneak attack
+     * (stealth.js): easier to hit, extra damage. Striking at an unseen (invisible) monster is
+     * harder, and the blow gives away where it is (game-invisibility.js).
      */
     PlayerRef.prototype.attackMonster = function(monster) {
+        const sneakAttack = typeof Stealth !== 'undefined' && Stealth.isUnaware(monster);
+        const sneakToHit = sneakAttack ? Stealth.SNEAK_ATTACK_TO_HIT : 0;
+        const unseen = !!(window.game && window.game.isMonsterHidden(monster));
+        const unseenToHit = window.game ? window.game.getUnseenAttackPenalty(monster) : 0;
+        const targetName = unseen ? 'something unseen' : monster.name;
+        
         // THAC0-style hit check: need to roll >= (target AC - to hit bonus)
-        const naturalRoll = Math.floor(Math.random() * 20) + 1; // Pure d20 roll (1-20)
-        const requiredRoll = monster.armorClass - this.toHit; // THAC0 calculation
+        const naturalRoll = Math.floor(RNG.get('combat').random() * 20) + 1; // Pure d20 roll (1-20)
+        const requiredRoll = monster.armorClass - this.toHit - sneakToHit - unseenToHit; // THAC0 calculation
         
         if (window.game && window.game.renderer) {
             const breakdown = this.getStats().toHitBreakdown;
@@ -271,13 +284,18 @@
             const modText = modValue >= 0 ? `+${modValue}` : `${modValue}`;
             const modifierText = this.toHit !== this.baseToHit ? 
                 ` (base${baseText}, mods${modText})` : '';
-            window.game.renderer.addBattleLogMessage(`You attack ${monster.name}... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${monster.armorClass}, hit${toHitText}${modifierText})`);
+            window.game.renderer.addBattleLogMessage(`You attack ${targetName}... (${naturalRoll} vs ${requiredRoll}+ needed, AC ${monster.armorClass}, hit${toHitText}${modifierText})`);
         }
         
         if (naturalRoll >= requiredRoll) {
+            if (sneakAttack && window.game && window.game.renderer) {
+                window.game.renderer.addBattleLogMessage(`You catch ${targetName} unaware!`, 'victory');
+            }
+            
             // Hit! Calculate damage
-            const diceRoll = Math.floor(Math.random() * this.weaponDamage) + 1;
-            const baseDamage = this.baseDamage + diceRoll;
+            const diceRoll = Math.floor(RNG.get('combat').random() * this.weaponDamage) + 1;
+            let baseDamage = this.baseDamage + diceRoll;
+            if (sneakAttack) baseDamage *= Stealth.SNEAK_ATTACK_MULTIPLIER;
             let finalDamage = baseDamage;
             
             // Critical hit check (natural 20 only - not modified roll)
@@ -293,6 +311,7 @@
             }
             
             const damageDealt = monster.takeDamage(finalDamage, this.penetration);
+            if (typeof monster.noticePlayer === 'function') monster.noticePlayer(this.x, this.y);
             
             // Check weapon durability after successful attack
             if (this.equipment.weapon) {
@@ -331,6 +350,11 @@
                 }
             }
             
+            // Passive defenses of the struck monster (e.g. floating eye gaze)
+            if (monster.isAlive && typeof monster.applyPassiveDefense === 'function') {
+                monster.applyPassiveDefense(this);
+            }
+            
             if (!monster.isAlive) {
                 try {
                     if (window.game) {
@@ -344,7 +368,7 @@
             
             // Generate combat sound
             if (window.game && window.game.noiseSystem) {
-                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('ATTACK'));
+                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('ATTACK'), this);
             }
             
             // Combat consumes extra nutrition (affected by encumbrance)
@@ -365,9 +389,13 @@
                 window.game.renderer.addBattleLogMessage(`Miss!`);
             }
             
+            // A swing that misses still gives the player away
+            if (monster.isAsleep) monster.wakeUp('noise');
+            if (typeof monster.noticePlayer === 'function') monster.noticePlayer(this.x, this.y);
+            
             // Generate combat sound even on miss
             if (window.game && window.game.noiseSystem) {
-                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('ATTACK'));
+                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('ATTACK'), this);
             }
             
             // Even missed attacks consume nutrition (affected by encumbrance)
@@ -375,6 +403,9 @@
             const combatCost = this.getCombatHungerCost(encumbrance);
             this.consumeNutrition(combatCost);
         }
+        
+        // Only now, so the messages of the exchange all call it "something unseen"
+        if (unseen) window.game.revealMonster(monster);
     };
 
     /**
@@ -392,7 +423,7 @@
                 
                 // Higher damage increases chance of durability loss
                 const damageChance = Math.min(0.3, damageAmount * 0.02); // Max 30% chance
-                if (Math.random() < damageChance) {
+                if (RNG.get('combat').random() < damageChance) {
                     const broke = armor.takeDurabilityDamage(1, 'normal');
                     if (broke) {
                         if (window.game && window.game.renderer) {
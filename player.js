@@ -1,9 +1,10 @@
 /**
  * Utility function for dice rolling
  * @param {string} diceString - Dice notation like "2d8+3" or "1d4"
+ * @param {object} [rng] - Random stream (defaults to the game's combat stream)
  * @returns {number} The rolled result
  */
-function rollDice(diceString) {
+function rollDice(diceString, rng = RNG.get('combat')) {
     if (typeof diceString === 'number') {
         return diceString; // Backward compatibility for fixed values
     }
@@ -28,7 +29,7 @@ function rollDice(diceString) {
     
     let total = 0;
     for (let i = 0; i < numDice; i++) {
-        total += Math.floor(Math.random() * dieSize) + 1;
+        total += Math.floor(rng.random() * dieSize) + 1;
     }
     
     return total + modifier;
@@ -39,18 +40,32 @@ function rollDice(diceString) {
  * Handles player stats, movement, combat, and inventory
  */
 class Player {
-    constructor(x = 0, y = 0) {
+    static MAX_LEVEL = 30;
+    static ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {Object|null} character - From character creation: { className, name, stats }.
+     *        Without it the player gets the fixed default build and basic items.
+     */
+    constructor(x = 0, y = 0, character = null) {
         this.x = x;
         this.y = y;
         
+        // Identity (characterName, not name: status/log code treats entity.name as a monster name)
+        this.characterClass = character ? character.className : 'warrior';
+        this.characterName = (character && character.name) || 'Adventurer';
+        
         // Base stats（序盤を遊びやすくするため盛り気味に調整）
         this.level = 3; // 実質的な強さはレベル3相当として扱う
         this.hp = 10; // Will be updated after ability scores
         this.maxHp = 10;
         this.mp = 0;
         this.maxMp = 0;
-        this.exp = 0;
-        this.expToNext = 15; // Set higher for testing stability
+        this.knownSpells = []; // SPELLS keys learned from spellbooks
+        this.exp = 0; // Total experience earned
+        this.expToNext = Player.getExpThreshold(this.level); // Total experience needed for next level
         
         // Combat stats (盛った初期キャラ)
         this.strength = 16;      // 高めの筋力
@@ -60,6 +75,13 @@ class Player {
         this.wisdom = 11;        // 平均的
         this.charisma = 10;      // 平均的
         
+        // Rolled scores from character creation replace the default build
+        if (character && character.stats) {
+            for (const ability of Player.ABILITIES) {
+                if (typeof character.stats[ability] === 'number') this[ability] = character.stats[ability];
+            }
+        }
+        
         // Derived stats (Classic Roguelike - AD&D style)
         this.toHit = this.getClassicModifier(this.strength) + this.level; // STR modifier + level
         this.armorClass = 10 - this.getClassicModifier(this.dexterity); // Lower AC is better
@@ -73,6 +95,8 @@ class Player {
         this.lastRegenTurn = 0;
         this.regenInterval = 8; // Heal every 8 turns
         this.regenAmount = 1; // Heal 1 HP per interval
+        this.lastMpRegenTurn = 0;
+        this.mpRegenInterval = 15; // 1 MP every 15 turns (shorter with high WIS)
         
         // Speed system (classic roguelike energy system)
         this.baseSpeed = 100; // Base speed (100 = normal speed)
@@ -100,7 +124,8 @@ class Player {
             ring1: null,  // Left hand ring
             ring2: null,  // Right hand ring
             amulet: null,
-            light: null   // Hand-held light source (torch, lantern, etc.)
+            light: null,  // Hand-held light source (torch, lantern, etc.)
+            quiver: null  // Ammunition stack for a wielded launcher (bow, crossbow, sling)
         };
         
         // Inventory system
@@ -124,8 +149,12 @@ class Player {
         // Initialize with basic equipment
         this.initializeEquipment();
         
-        // Add some test items to inventory
-        this.addTestItems();
+        // Class starting kit, or basic items for the default build
+        if (character) {
+            this.addStartingKit();
+        } else {
+            this.addTestItems();
+        }
         
         // Initialize status effect manager
         this.statusEffects = new StatusEffectManager(this);
@@ -134,10 +163,30 @@ class Player {
     /**
      * Roll 3d6 for ability scores (Classic Roguelike)
      */
-    rollStat() {
-        return Math.floor(Math.random() * 6) + 1 +
-               Math.floor(Math.random() * 6) + 1 +
-               Math.floor(Math.random() * 6) + 1;
+    rollStat(rng = RNG.get('combat')) {
+        return Math.floor(rng.random() * 6) + 1 +
+               Math.floor(rng.random() * 6) + 1 +
+               Math.floor(rng.random() * 6) + 1;
+    }
+    
+    /**
+     * Class definition (falls back to warrior for unknown/legacy classes)
+     */
+    static getClassData(className) {
+        return PLAYER_CLASSES[className] || PLAYER_CLASSES.warrior;
+    }
+    
+    /**
+     * Roll six 3d6 scores and assign them by the class's stat priorities (highest first)
+     * @returns {Object} ability -> score
+     */
+    static rollAbilityScores(className, rng = RNG.get('combat')) {
+        const rolls = Player.ABILITIES.map(() => Player.prototype.rollStat(rng)).sort((a, b) => b - a);
+        const stats = {};
+        Player.getClassData(className).statPriority.forEach((ability, i) => {
+            stats[ability] = rolls[i];
+        });
+        return stats;
     }
     
     /**
@@ -158,19 +207,20 @@ class Player {
      * Calculate initial HP/MP based on classic rules
      */
     calculateInitialStats() {
-        // WARRIOR TEST BUILD: d10 hit die + CON modifier per level
+        // Class hit die + CON modifier per level
         const conModifier = this.getClassicModifier(this.constitution);
+        const hitDie = Player.getClassData(this.characterClass).hitDie;
         
-        // Level 3 Warrior with maximum hit dice
-        // Level 1: 10 + CON mod (max hit die)
-        // Level 2: +10 + CON mod (max hit die) 
-        // Level 3: +10 + CON mod (max hit die)
-        this.maxHp = (10 + conModifier) * this.level; // Warrior gets max hit die per level for testing
+        // Starting levels get the maximum hit die
+        // Level 1: hitDie + CON mod
+        // Level 2: +hitDie + CON mod
+        // Level 3: +hitDie + CON mod
+        this.maxHp = Math.max(this.level, (hitDie + conModifier) * this.level);
         this.hp = this.maxHp; // Start at full health
         
-        // MP based on INT (warriors have minimal magic)
+        // MP: a base point plus the per-level gain, so every class can cast a learned spell
         const intModifier = this.getClassicModifier(this.intelligence);
-        this.maxMp = Math.max(0, intModifier);
+        this.maxMp = 1 + Player.getMpPerLevel(intModifier) * this.level;
         this.mp = this.maxMp;
         
 
@@ -185,7 +235,7 @@ class Player {
         if (window.game && window.game.dungeon) {
             const currentTile = window.game.dungeon.getTile(this.x, this.y);
             if (currentTile && currentTile.type === 'floor' && currentTile.blood && currentTile.blood > 0) {
-                const take = Math.random() < 0.5 ? 1 : 0;
+                const take = RNG.get('combat').random() < 0.5 ? 1 : 0;
                 if (take > 0) {
                     currentTile.blood = Math.max(0, currentTile.blood - take);
                     this._carriedBlood = Math.min(3, (this._carriedBlood || 0) + take);
@@ -217,7 +267,7 @@ class Player {
             const t = window.game.dungeon.getTile(this.x, this.y);
             if (t && t.type === 'floor' && t.blood && t.blood > 0) {
                 const slipChance = Math.min(0.25, t.blood * 0.025);
-                if (Math.random() < slipChance) {
+                if (RNG.get('combat').random() < slipChance) {
                     if (this.statusEffects) this.statusEffects.addEffect('stunned', 1, 1, 'blood slip');
                     if (window.game.renderer) window.game.renderer.addLogMessage('You slip on the blood!', 'warning');
                 }
@@ -259,6 +309,12 @@ class Player {
                 }
                 return false;
             }
+            if (this.statusEffects.hasEffect('petrified')) {
+                if (window.game && window.game.renderer) {
+                    window.game.renderer.addLogMessage("Your limbs are stone and will not move!");
+                }
+                return false;
+            }
             
             // Check if confused - randomize movement
             if (this.statusEffects.shouldRandomizeMovement()) {
@@ -268,7 +324,7 @@ class Player {
                     [-1, 0],           [1, 0],
                     [-1, 1],  [0, 1],  [1, 1]
                 ];
-                const randomDir = directions[Math.floor(Math.random() * directions.length)];
+                const randomDir = directions[Math.floor(RNG.get('combat').random() * directions.length)];
                 dx = randomDir[0];
                 dy = randomDir[1];
                 
@@ -279,7 +335,7 @@ class Player {
             
             // Apply movement speed penalty
             const movementMod = this.statusEffects.getMovementModifier();
-            if (movementMod < 1.0 && Math.random() > movementMod) {
+            if (movementMod < 1.0 && RNG.get('combat').random() > movementMod) {
                 if (window.game && window.game.renderer) {
                     window.game.renderer.addLogMessage("Your injuries slow you down!");
                 }
@@ -293,6 +349,16 @@ class Player {
         // Check for monster at target position
         const monster = monsterSpawner.getMonsterAt(newX, newY);
         if (monster) {
+            if (this.statusEffects && this.statusEffects.hasEffect('frightened')) {
+                if (window.game && window.game.renderer) {
+                    // Bumping into an invisible monster gives it away, as an attack would
+                    const unseen = window.game.isMonsterHidden(monster);
+                    const targetName = unseen ? 'something unseen' : `the ${monster.name}`;
+                    if (unseen) window.game.revealMonster(monster);
+                    window.game.renderer.addLogMessage(`You are too frightened to attack ${targetName}!`);
+                }
+                return false;
+            }
             this.attackMonster(monster);
             return true; // Turn consumed by attacking
         }
@@ -307,7 +373,7 @@ class Player {
             this.moveTo(newX, newY);
             // Generate movement sound (adjusted for encumbrance)
             if (window.game && window.game.noiseSystem) {
-                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('MOVE', this));
+                window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('MOVE', this), this);
             }
 
             // After moving onto a tile with an armed trap, check trigger chance
@@ -315,13 +381,13 @@ class Player {
             if (tile && tile.trap && !tile.trap.disarmed) {
                 // If hidden, auto-reveal chance already processed elsewhere; trap can still trigger
                 const willTrigger = window.game && typeof window.game.computeTrapTriggerChance === 'function'
-                    ? Math.random() < window.game.computeTrapTriggerChance(tile.trap, this)
-                    : (tile.trap.revealed ? true : Math.random() < 0.5);
+                    ? RNG.get('combat').random() < window.game.computeTrapTriggerChance(tile.trap, this)
+                    : (tile.trap.revealed ? true : RNG.get('combat').random() < 0.5);
                 if (willTrigger) {
                     if (window.game) window.game.triggerTrapAt(this.x, this.y, this);
                 } else if (!tile.trap.revealed) {
                     // Sometimes stepping without triggering reveals the trap
-                    if (window.game && Math.random() < 0.2) {
+                    if (window.game && RNG.get('combat').random() < 0.2) {
                         window.game.playerDetectsTrapAt(this.x, this.y);
                     }
                 }
@@ -346,7 +412,7 @@ class Player {
             }
         // Generate movement sound (adjusted for encumbrance)
         if (window.game && window.game.noiseSystem) {
-            window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('MOVE', this));
+            window.game.noiseSystem.makeSound(this.x, this.y, window.game.noiseSystem.getPlayerActionSound('MOVE', this), this);
         }
             return true;
         } else if (doorState === 'closed') {
@@ -376,7 +442,7 @@ class Player {
             }
             // Generate door opening sound
             if (window.game && window.game.noiseSystem) {
-                window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_OPEN'));
+                window.game.noiseSystem.makeSound(x, y, window.game.noiseSystem.getPlayerActionSound('DOOR_OPEN'), this);
             }
             return true; // Turn consumed
         }
@@ -384,6 +450,36 @@ class Player {
         return false;
     }
     
+    /**
+     * Class starting kit from EquipmentManager.createStartingEquipment:
+     * first weapon, armor, shield and light are equipped, everything else goes in the pack
+     */
+    addStartingKit() {
+        if (typeof EquipmentManager === 'undefined') {
+            this.addTestItems();
+            return;
+        }
+        
+        const slotByType = { weapon: 'weapon', armor: 'armor', shield: 'shield', light: 'light', ammo: 'quiver' };
+        const identification = ItemIdentification.current();
+        for (const item of EquipmentManager.createStartingEquipment(this.characterClass)) {
+            if (identification) identification.learn(item); // The starting kit is familiar
+            const slot = slotByType[item.type];
+            if (slot && !this.equipment[slot]) {
+                this.equipment[slot] = item;
+            } else {
+                this.addToInventory(item);
+            }
+        }
+        
+        if (typeof FoodItem !== 'undefined' && typeof FOOD_TYPES !== 'undefined') {
+            this.addToInventory(new FoodItem(FOOD_TYPES.ration.name, FOOD_TYPES.ration));
+        }
+        
+        this.updateCombatStats();
+        this.updateCurrentWeight();
+    }
+    
     /**
      * Add basic starting items (minimal setup)
      */
@@ -399,7 +495,7 @@ class Player {
             // Add 1 healing potion
             const healingPotion = EquipmentManager.createEquipment('potions', 'healingPotion');
             if (healingPotion) {
-                console.log(`Starting potion created: ${healingPotion.name}, healDice: ${healingPotion.healDice}, healAmount: ${healingPotion.healAmount}`);
+                Game.debugLog(`Starting potion created: ${healingPotion.name}, healDice: ${healingPotion.healDice}, healAmount: ${healingPotion.healAmount}`);
                 this.addToInventory(healingPotion);
             } else {
                 console.warn('Failed to create starting healing potion');
@@ -439,7 +535,7 @@ class Player {
                 stackable: true,
                 maxStackSize: 99
             });
-            console.log(`Fallback potion created: ${fallbackPotion.name}, healDice: ${fallbackPotion.healDice}, healAmount: ${fallbackPotion.healAmount}`);
+            Game.debugLog(`Fallback potion created: ${fallbackPotion.name}, healDice: ${fallbackPotion.healDice}, healAmount: ${fallbackPotion.healAmount}`);
             this.addToInventory(fallbackPotion);
         }
     }
@@ -492,10 +588,78 @@ class Player {
     }
     
     /**
-     * 経験値システムは廃止したので、呼ばれても何もしない
+     * Total experience required to advance past the given level.
+     * Doubles each level up to 10 (15 at level 3), then +1000 per level.
+     */
+    static getExpThreshold(level) {
+        if (level <= 10) {
+            return Math.round(15 * Math.pow(2, level - 3));
+        }
+        return 1920 + (level - 10) * 1000;
+    }
+
+    /**
+     * MP gained per level: 1 for everyone, plus a positive INT modifier
+     */
+    static getMpPerLevel(intModifier) {
+        return 1 + Math.max(0, intModifier);
+    }
+
+    /**
+     * Gain experience and advance levels when thresholds are crossed
+     * @returns {number} Number of levels gained
      */
     gainExp(amount) {
-        return 0;
+        const gained = Math.floor(amount || 0);
+        if (gained <= 0 || this.hp <= 0) return 0;
+        
+        this.exp += gained;
+        
+        const levelUps = [];
+        while (this.level < Player.MAX_LEVEL && this.exp >= this.expToNext) {
+            levelUps.push(this.levelUp());
+        }
+        
+        if (levelUps.length > 0) {
+            if (window.game && window.game.renderer) {
+                window.game.renderer.addLogMessage(`Welcome to experience level ${this.level}!`, 'victory');
+            }
+            if (window.subWindow && typeof window.subWindow.showLevelUp === 'function') {
+                window.subWindow.showLevelUp(this, levelUps);
+            }
+        }
+        
+        return levelUps.length;
+    }
+
+    /**
+     * Advance one level: class hit die + CON modifier (same as calculateInitialStats),
+     * INT modifier for MP, to-hit follows level via updateCombatStats
+     * @returns {Object} Gains for the level-up summary
+     */
+    levelUp() {
+        const conModifier = this.getClassicModifier(this.constitution);
+        const intModifier = this.getClassicModifier(this.intelligence);
+        const oldToHit = this.toHit;
+        
+        const hpGain = Math.max(1, rollDice(`1d${Player.getClassData(this.characterClass).hitDie}`) + conModifier);
+        const mpGain = Player.getMpPerLevel(intModifier);
+        
+        this.level++;
+        this.maxHp += hpGain;
+        this.hp += hpGain;
+        this.maxMp += mpGain;
+        this.mp += mpGain;
+        this.expToNext = Player.getExpThreshold(this.level);
+        
+        this.updateCombatStats();
+        
+        return {
+            level: this.level,
+            hpGain: hpGain,
+            mpGain: mpGain,
+            toHitGain: this.toHit - oldToHit
+        };
     }
     
 
@@ -523,8 +687,6 @@ class Player {
      * Check and process natural regeneration (hunger-dependent)
      */
     checkRegeneration() {
-        if (this.hp >= this.maxHp) return; // Already at full health
-        
         // Hunger affects regeneration (classic roguelike mechanic)
         const hungerStatus = this.getHungerStatus();
         let canRegenerate = true;
@@ -560,6 +722,10 @@ class Player {
         
         if (!canRegenerate) return;
         
+        this.regenerateMana();
+        
+        if (this.hp >= this.maxHp) return; // Already at full health
+        
         // Check if enough turns have passed since last regeneration
         if (this.turnCount - this.lastRegenTurn >= this.regenInterval) {
             let healAmount = 0;
@@ -569,12 +735,12 @@ class Player {
                 // Fast healing: guaranteed 1 HP + chance for bonus
                 healAmount = 1;
                 const bonusChance = (regenMultiplier - 1.0);
-                if (Math.random() < bonusChance) {
+                if (RNG.get('combat').random() < bonusChance) {
                     healAmount += 1; // Bonus HP for well-fed states
                 }
             } else {
                 // Slow healing: probability-based on multiplier
-                if (Math.random() < regenMultiplier) {
+                if (RNG.get('combat').random() < regenMultiplier) {
                     healAmount = 1; // Standard 1 HP healing
                 }
                 // else healAmount stays 0 (no healing this turn)
@@ -597,6 +763,22 @@ class Player {
         }
     }
     
+    /**
+     * MP regeneration (called from checkRegeneration, so hunger stops it like HP regeneration).
+     * The interval restarts while MP is full, so a spell cast never refunds MP at once.
+     */
+    regenerateMana() {
+        if (this.mp >= this.maxMp) {
+            this.lastMpRegenTurn = this.turnCount;
+            return;
+        }
+        const interval = Math.max(5, this.mpRegenInterval - this.getClassicModifier(this.wisdom) * 2);
+        if (this.turnCount - this.lastMpRegenTurn >= interval) {
+            this.mp = Math.min(this.maxMp, this.mp + 1);
+            this.lastMpRegenTurn = this.turnCount;
+        }
+    }
+    
     /**
      * Set regeneration rate (for items, spells, etc.)
      */
@@ -609,7 +791,7 @@ class Player {
      * Force reset equipment to new format (for debugging/fixing)
      */
     resetEquipmentToNewFormat() {
-        console.log('Resetting equipment to new format...');
+        Game.debugLog('Resetting equipment to new format...');
         
         // Clear all equipment
         this.equipment = {
@@ -621,13 +803,14 @@ class Player {
             boots: null,
             ring: null,
             amulet: null,
-            light: null
+            light: null,
+            quiver: null
         };
         
         // Reinitialize with new format
         this.initializeEquipment();
         
-        console.log('Equipment reset complete. New equipment:', this.equipment);
+        Game.debugLog('Equipment reset complete. New equipment:', this.equipment);
     }
     
     /**
@@ -641,7 +824,7 @@ class Player {
         // Check if this looks like equipment by name patterns and properties
         const isEquipment = item.type === 'weapon' || item.type === 'armor' || item.type === 'shield' ||
                            item.type === 'helmet' || item.type === 'gloves' || item.type === 'boots' ||
-                           item.type === 'ring' || item.type === 'amulet' ||
+                           item.type === 'ring' || item.type === 'amulet' || item.type === 'ammo' ||
                            item.damage || item.armorClassBonus || item.blockChance || item.toHitBonus ||
                            item.penetration || item.protection;
         
@@ -683,7 +866,12 @@ class Player {
             const effectiveStats = (item.getEffectiveStats && typeof item.getEffectiveStats === 'function') ? 
                                    item.getEffectiveStats() : item;
             
-            if (item.type === 'weapon') {
+            if (item.type === 'weapon' && item.ammoType) {
+                statsText = ` [${item.ammoType}s, range ${item.range}, +${item.launchDamage || 0}]`;
+            } else if (item.type === 'ammo') {
+                const apText = item.penetration ? `, AP ${item.penetration}` : '';
+                statsText = ` [${item.damage || 0}+d${item.weaponDamage}${apText}]`;
+            } else if (item.type === 'weapon') {
                 const weaponDamage = effectiveStats.weaponDamage || '?';
                 const apText = effectiveStats.penetration ? `, AP ${effectiveStats.penetration}` : '';
                 const damage = effectiveStats.damage || 0;
@@ -715,12 +903,15 @@ class Player {
                 if (effectiveStats.armorClassBonus) stats.push(`AC -${effectiveStats.armorClassBonus}`);
                 if (effectiveStats.protection) stats.push(`DR ${effectiveStats.protection}`);
                 if (stats.length > 0) statsText = ` [${stats.join(', ')}]`;
+            } else if ((item.type === 'ring' || item.type === 'amulet') && !ItemIdentification.isIdentified(item)) {
+                // Bonuses stay hidden until the item is identified
             } else if (item.type === 'ring') {
                 const stats = [];
                 if (effectiveStats.armorClassBonus) stats.push(`AC -${effectiveStats.armorClassBonus}`);
                 if (effectiveStats.toHitBonus) stats.push(`To Hit ${effectiveStats.toHitBonus >= 0 ? '+' : ''}${effectiveStats.toHitBonus}`);
                 if (effectiveStats.protection) stats.push(`DR ${effectiveStats.protection}`);
                 if (effectiveStats.penetration) stats.push(`AP ${effectiveStats.penetration}`);
+                if (item.properties && item.properties.includes('see_invisible')) stats.push('See Invisible');
                 if (stats.length > 0) statsText = ` [${stats.join(', ')}]`;
             } else if (item.type === 'amulet') {
                 const stats = [];
@@ -773,7 +964,7 @@ class Player {
                             const newItem = EquipmentManager.createEquipment(category, itemKey, enchantment);
                             if (newItem) {
                                 conversionsCount++;
-                                console.log(`Converted inventory item: ${item.name} to new format with quality: ${newItem.quality}`);
+                                Game.debugLog(`Converted inventory item: ${item.name} to new format with quality: ${newItem.quality}`);
                                 return newItem;
                             }
                         }
@@ -784,7 +975,7 @@ class Player {
             return item; // Return original if conversion fails
         });
         
-        console.log(`Converted ${conversionsCount} inventory items to new format`);
+        Game.debugLog(`Converted ${conversionsCount} inventory items to new format`);
         return conversionsCount;
     }
     
@@ -815,7 +1006,7 @@ class Player {
         for (const [slot, item] of Object.entries(this.equipment)) {
             if (item && !item.getDurabilityState) {
                 // This is an old format item, convert it
-                console.log(`Converting ${slot} equipment to new format:`, item);
+                Game.debugLog(`Converting ${slot} equipment to new format:`, item);
                 
                 if (typeof EquipmentManager !== 'undefined') {
                     // Try to find matching equipment type
@@ -837,14 +1028,14 @@ class Player {
                     
                     if (newItem) {
                         this.equipment[slot] = newItem;
-                        console.log(`Successfully converted ${slot}:`, newItem);
+                        Game.debugLog(`Successfully converted ${slot}:`, newItem);
                     } else {
                         // Create a basic EquipmentItem if no match found
                         this.equipment[slot] = new EquipmentItem(item.name, {
                             ...item,
                             quality: item.quality || 'fine'
                         });
-                        console.log(`Created basic EquipmentItem for ${slot}:`, this.equipment[slot]);
+                        Game.debugLog(`Created basic EquipmentItem for ${slot}:`, this.equipment[slot]);
                     }
                 } else {
                     console.warn('EquipmentManager not available for conversion');
@@ -854,7 +1045,7 @@ class Player {
         
         // Handle ring slot conversion from old single slot to new dual slots
         if (this.equipment.ring && !this.equipment.ring1) {
-            console.log('Converting old single ring slot to dual ring slots');
+            Game.debugLog('Converting old single ring slot to dual ring slots');
             this.equipment.ring1 = this.equipment.ring;
             delete this.equipment.ring;
         }
@@ -1004,6 +1195,7 @@ class Player {
      * Equip an item
      */
     equipItem(item, slot) {
+        if (!this.canRemoveEquipment(slot)) return false;
         if (this.equipment[slot]) {
             // Unequip current item first
             this.unequipItem(slot);
@@ -1022,7 +1214,7 @@ class Player {
      * Unequip an item
      */
     unequipItem(slot) {
-        if (this.equipment[slot]) {
+        if (this.equipment[slot] && this.canRemoveEquipment(slot)) {
             const item = this.equipment[slot];
             this.equipment[slot] = null;
             this.updateCombatStats();
@@ -1054,6 +1246,22 @@ class Player {
      * Add item to inventory (with stacking support)
      */
     addToInventory(item) {
+        const itemName = ItemIdentification.getKnownName(item);
+
+        // Ammunition of the quivered kind goes straight into the quiver
+        const quiver = this.equipment.quiver;
+        if (quiver && quiver !== item && quiver.canStackWith(item)) {
+            const amountToAdd = Math.min(item.quantity, quiver.maxStackSize - quiver.quantity);
+            if (amountToAdd > 0) {
+                quiver.quantity += amountToAdd;
+                item.quantity -= amountToAdd;
+                this.updateCurrentWeight();
+                if (window.game && window.game.renderer) {
+                    window.game.renderer.addBattleLogMessage(`You put ${amountToAdd} ${itemName} in your quiver.`, 'normal');
+                }
+                if (item.quantity <= 0) return true;
+            }
+        }
 
         // Check if this item can stack with an existing item
         if (item.stackable) {
@@ -1074,8 +1282,8 @@ class Player {
                         
                         if (window.game && window.game.renderer) {
                             const stackMessage = amountToAdd === 1 ? 
-                                `You pick up ${item.name}.` : 
-                                `You pick up ${amountToAdd} ${item.name}.`;
+                                `You pick up ${itemName}.` : 
+                                `You pick up ${amountToAdd} ${itemName}.`;
                             window.game.renderer.addBattleLogMessage(stackMessage, 'normal');
                         }
                         
@@ -1105,8 +1313,8 @@ class Player {
         
         if (window.game && window.game.renderer) {
                 const message = item.quantity === 1 ? 
-                    `You pick up ${item.name}.` : 
-                    `You pick up ${item.quantity} ${item.name}.`;
+                    `You pick up ${itemName}.` : 
+                    `You pick up ${item.quantity} ${itemName}.`;
                 window.game.renderer.addBattleLogMessage(message, 'normal');
             }
         }
@@ -1201,7 +1409,7 @@ class Player {
             // Handle non-equipment items separately
             let statsText = equipmentStatsText;
             if (!equipmentStatsText) {
-                if (item.type === 'potion') {
+                if (item.type === 'potion' && ItemIdentification.isKindKnown(item)) {
                 const healStats = [];
                 if (item.healDice) {
                     healStats.push(`Heal: ${item.healDice} HP`);
@@ -1262,6 +1470,9 @@ class Player {
             case 'light':
                 slot = 'light';
                 break;
+            case 'ammo':
+                slot = 'quiver';
+                break;
             case 'ring':
                 // Choose the first available ring slot
                 if (!this.equipment.ring1) {
@@ -1269,8 +1480,8 @@ class Player {
                 } else if (!this.equipment.ring2) {
                     slot = 'ring2';
                 } else {
-                    // Both slots occupied, replace ring1 by default
-                    slot = 'ring1';
+                    // Both slots occupied, replace ring1 by default (ring2 if ring1 is cursed)
+                    slot = this.equipment.ring1.cursed && !this.equipment.ring2.cursed ? 'ring2' : 'ring1';
                 }
                 break;
             case 'amulet':
@@ -1283,6 +1494,10 @@ class Player {
                 return false;
         }
         
+        // A cursed item in the slot (or a cursed shield blocking a two-handed weapon) stays put
+        if (!this.canRemoveEquipment(slot)) return false;
+        if (item.type === 'weapon' && item.category === 'two_handed' && !this.canRemoveEquipment('shield')) return false;
+        
         // Lock UI updates during equipment change
         this._equipmentChanging = true;
         
@@ -1319,6 +1534,11 @@ class Player {
             this.addToInventory(currentItem);
         }
             
+            // Rings and amulets reveal themselves once worn
+            if (item.type === 'ring' || item.type === 'amulet') {
+                this.identifyByUse(item);
+            }
+            
             // Update combat stats once after all changes are complete
             this.updateCombatStats();
             this.updateCurrentWeight();
@@ -1333,6 +1553,9 @@ class Player {
                     window.game.renderer.addBattleLogMessage(`You equip ${item.name}.`, 'normal');
                 }
             }
+            if (item.cursed && window.game && window.game.renderer) {
+                window.game.renderer.addBattleLogMessage(`The ${item.name} binds itself to you. It is cursed!`, 'warning');
+            }
         
         // Consume a turn for equipment change
         this.turnCount++;
@@ -1350,7 +1573,7 @@ class Player {
      */
     unequipToInventory(slot) {
         const item = this.equipment[slot];
-        if (item) {
+        if (item && this.canRemoveEquipment(slot)) {
             // Lock UI updates during equipment change
             this._equipmentChanging = true;
             
@@ -1425,6 +1648,7 @@ class Player {
         // Check for starvation death
         if (this.nutrition <= -200) {
             this.hp = 0; // Starve to death
+            this.lastDamageSource = 'starved to death';
             if (window.game && window.game.renderer) {
                 window.game.renderer.addBattleLogMessage('You starve to death!', 'death');
             }
@@ -1448,31 +1672,33 @@ class Player {
      * Calculate weight capacity based on strength (Realistic values)
      */
     calculateWeightCapacity() {
-        // Realistic formula based on human carrying capacity
-        // Base capacity: 30-120 lbs depending on strength
-        let baseCapacity;
-        
-        if (this.strength <= 8) {
-            baseCapacity = 30; // Weak: 30 lbs
-        } else if (this.strength <= 12) {
-            baseCapacity = 50; // Average: 50 lbs
-        } else if (this.strength <= 15) {
-            baseCapacity = 70; // Good: 70 lbs
-        } else if (this.strength <= 17) {
-            baseCapacity = 90; // Strong: 90 lbs
-        } else if (this.strength === 18) {
-            baseCapacity = 120; // Exceptional: 120 lbs
-        } else {
-            // Superhuman strength (19+)
-            baseCapacity = 120 + (this.strength - 18) * 30;
-        }
-        
-        this.maxWeight = baseCapacity;
+        this.maxWeight = Player.getWeightCapacity(this.strength);
         
         // Update current weight
         this.updateCurrentWeight();
     }
     
+    /**
+     * Carrying capacity for a strength score (also used by save migrations)
+     */
+    static getWeightCapacity(strength) {
+        // Realistic formula based on human carrying capacity
+        // Base capacity: 30-120 lbs depending on strength
+        if (strength <= 8) {
+            return 30; // Weak: 30 lbs
+        } else if (strength <= 12) {
+            return 50; // Average: 50 lbs
+        } else if (strength <= 15) {
+            return 70; // Good: 70 lbs
+        } else if (strength <= 17) {
+            return 90; // Strong: 90 lbs
+        } else if (strength === 18) {
+            return 120; // Exceptional: 120 lbs
+        }
+        // Superhuman strength (19+)
+        return 120 + (strength - 18) * 30;
+    }
+    
     /**
      * Calculate current total weight from inventory and equipment
      */
@@ -1621,7 +1847,7 @@ class Player {
         
         // Overloaded players have difficulty moving
         if (encumbrance.level === 'OVERLOADED') {
-            if (Math.random() < 0.5) { // 50% chance to fail movement
+            if (RNG.get('combat').random() < 0.5) { // 50% chance to fail movement
                 if (window.game && window.game.renderer) {
                     window.game.renderer.addBattleLogMessage('You are too heavily burdened to move!', 'damage');
                 }
@@ -1707,7 +1933,7 @@ class Player {
                 () => {
                     window.game.renderer.addBattleLogMessage('You feel nauseous from overeating!', 'damage');
                     // Lose some HP from digestive stress
-                    this.takeDamage(Math.floor(this.maxHp * 0.05) + 1, 'digestive stress');
+                    this.takeDirectDamage(Math.floor(this.maxHp * 0.05) + 1, 'died of digestive stress');
                 },
                 () => {
                     window.game.renderer.addLogMessage('Your stomach cramps painfully!');
@@ -1717,7 +1943,7 @@ class Player {
                 () => {
                     window.game.renderer.addLogMessage('You retch violently!');
                     // Lose significant HP and nutrition
-                    this.takeDamage(Math.floor(this.maxHp * 0.1) + 2, 'violent retching');
+                    this.takeDirectDamage(Math.floor(this.maxHp * 0.1) + 2, 'died of violent retching');
                     this.nutrition = Math.max(this.nutrition - 200, 0);
                 },
                 () => {
@@ -1729,7 +1955,7 @@ class Player {
         };
         
         const applicablePenalties = penalties[severity] || penalties['satiated'];
-        const randomPenalty = applicablePenalties[Math.floor(Math.random() * applicablePenalties.length)];
+        const randomPenalty = applicablePenalties[Math.floor(RNG.get('combat').random() * applicablePenalties.length)];
         randomPenalty();
     }
     
@@ -1828,7 +2054,7 @@ class Player {
                 window.game.renderer.addLogMessage('You force yourself to eat despite feeling bloated...');
             }
             // 50% chance of negative effects when eating while bloated
-            if (Math.random() < 0.5) {
+            if (RNG.get('combat').random() < 0.5) {
                 this.applyOvereatingPenalty('bloated');
             }
         } else if (currentHungerStatus.level === 'SATIATED') {
@@ -1836,7 +2062,7 @@ class Player {
                 window.game.renderer.addLogMessage('You eat despite being satisfied...');
             }
             // 25% chance of negative effects when eating while satiated
-            if (Math.random() < 0.25) {
+            if (RNG.get('combat').random() < 0.25) {
                 this.applyOvereatingPenalty('satiated');
             }
         }
@@ -1880,14 +2106,14 @@ class Player {
                 const rotFactor = rot / 100;
                 // Base chance: very low when slightly old, high when nearly rotten
                 const baseChance = 0.15 * rotFactor + 0.45 * rotFactor * rotFactor; // ~0〜0.6
-                if (Math.random() < baseChance) {
+                if (RNG.get('combat').random() < baseChance) {
                     const effects = [
                         { type: 'poisoned', weight: 3 },
                         { type: 'stunned', weight: 2 },
                         { type: 'confused', weight: 2 }
                     ];
                     const totalWeight = effects.reduce((sum, e) => sum + e.weight, 0);
-                    let pick = Math.random() * totalWeight;
+                    let pick = RNG.get('combat').random() * totalWeight;
                     let chosen = effects[0];
                     for (const e of effects) {
                         if (pick < e.weight) { chosen = e; break; }
@@ -1949,22 +2175,26 @@ class Player {
             return false;
         }
         
+        // Name as the player knows it; drinking reveals the kind
+        const potionName = potionItem.getDisplayName ? potionItem.getDisplayName() : potionItem.name;
+        const learned = this.identifyByUse(potionItem);
+        
         // Apply healing effect using dice roll
         let healAmount = 0;
         let diceRoll = null;
         
         // Debug: Log potion properties
-        console.log(`Drinking potion: ${potionItem.name}, healDice: ${potionItem.healDice}, healAmount: ${potionItem.healAmount}`);
+        Game.debugLog(`Drinking potion: ${potionItem.name}, healDice: ${potionItem.healDice}, healAmount: ${potionItem.healAmount}`);
         
         if (potionItem.healDice) {
             // Use dice-based healing
             healAmount = rollDice(potionItem.healDice);
             diceRoll = potionItem.healDice;
-            console.log(`Used healDice: ${diceRoll} → ${healAmount} HP`);
+            Game.debugLog(`Used healDice: ${diceRoll} → ${healAmount} HP`);
         } else if (potionItem.healAmount) {
             // Fallback to fixed amount
             healAmount = potionItem.healAmount;
-            console.log(`Used healAmount (fallback): ${healAmount} HP`);
+            Game.debugLog(`Used healAmount (fallback): ${healAmount} HP`);
         } else {
             console.warn(`Potion has no healing properties:`, potionItem);
         }
@@ -1977,7 +2207,7 @@ class Player {
             
             if (actualHealing > 0) {
                 if (window.game && window.game.renderer) {
-                    let message = `You drink the ${potionItem.name}. You feel better! (+${actualHealing} HP)`;
+                    let message = `You drink the ${potionName}. You feel better! (+${actualHealing} HP)`;
                     if (diceRoll && actualHealing === healAmount) {
                         message += ` [${diceRoll}→${healAmount}]`;
                     }
@@ -1985,7 +2215,7 @@ class Player {
                 }
             } else {
                 if (window.game && window.game.renderer) {
-                    let message = `You drink the ${potionItem.name}. You are already at full health.`;
+                    let message = `You drink the ${potionName}. You are already at full health.`;
                     if (diceRoll) {
                         message += ` [${diceRoll}→${healAmount}]`;
                     }
@@ -1994,34 +2224,118 @@ class Player {
             }
         } else {
             if (window.game && window.game.renderer) {
-                window.game.renderer.addLogMessage(`You drink the ${potionItem.name}.`);
+                window.game.renderer.addLogMessage(`You drink the ${potionName}.`);
             }
         }
         
+        if (learned && window.game && window.game.renderer) {
+            window.game.renderer.addLogMessage(`That was a ${potionItem.name}.`);
+        }
+        
         // Remove potion from inventory
-        if (letter) {
-            // Remove by letter (more reliable for UI)
-            const index = letter.charCodeAt(0) - 97; // a=0, b=1, etc.
-            if (potionItem.stackable && potionItem.quantity > 1) {
-                // Apply quantity for stackable items
-                this.removeFromInventoryStack(index, 1);
-            } else {
-                this.removeFromInventory(index);
-            }
+        this.consumeInventoryItem(potionItem, letter);
+        
+        // Update weight after consumption
+        this.updateCurrentWeight();
+        
+        // Consume a turn
+        this.turnCount++;
+        this.checkRegeneration();
+        
+        return true;
+    }
+    
+    /**
+     * Remove one of a used item (potion, scroll) from the inventory
+     */
+    consumeInventoryItem(item, letter = null) {
+        // Remove by letter (more reliable for UI), else find the item directly
+        const index = letter ? letter.charCodeAt(0) - 97 : this.inventory.indexOf(item);
+        if (index < 0) return;
+        if (item.stackable && item.quantity > 1) {
+            // Apply quantity for stackable items
+            this.removeFromInventoryStack(index, 1);
         } else {
-            // Find and remove the item directly
-            const index = this.inventory.indexOf(potionItem);
-            if (index !== -1) {
-                if (potionItem.stackable && potionItem.quantity > 1) {
-                    this.removeFromInventoryStack(index, 1);
-                } else {
-                    this.removeFromInventory(index);
+            this.removeFromInventory(index);
+        }
+    }
+    
+    /**
+     * Read a scroll: identifies the scroll kind and applies its effect
+     */
+    readScroll(scrollItem, letter = null) {
+        const renderer = window.game && window.game.renderer;
+        if (!scrollItem || scrollItem.type !== 'scroll') {
+            if (renderer) renderer.addLogMessage('That is not a scroll!');
+            return false;
+        }
+        
+        const scrollName = scrollItem.getDisplayName ? scrollItem.getDisplayName() : scrollItem.name;
+        this.consumeInventoryItem(scrollItem, letter);
+        this.updateCurrentWeight();
+        if (renderer) renderer.addLogMessage(`You read the ${scrollName}.`);
+        
+        // Every scroll makes its effect obvious
+        if (this.identifyByUse(scrollItem) && renderer) {
+            renderer.addLogMessage(`It was a ${scrollItem.name}.`);
+        }
+        
+        switch (scrollItem.effect) {
+            case 'identify':
+                if (this.getUnidentifiedItems().length === 0) {
+                    if (renderer) renderer.addLogMessage('You have nothing left to identify.');
+                } else if (window.subWindow && typeof window.subWindow.showIdentifyMenu === 'function') {
+                    window.subWindow.showIdentifyMenu(this);
                 }
+                break;
+            case 'removeCurse': {
+                const uncursed = Object.values(this.equipment).filter(item => item && item.cursed);
+                uncursed.forEach(item => {
+                    item.cursed = false;
+                    item.identified = true;
+                });
+                if (renderer) {
+                    renderer.addLogMessage(uncursed.length > 0
+                        ? 'You feel as if someone is helping you.'
+                        : 'You feel a faint sense of relief.', uncursed.length > 0 ? 'heal' : 'normal');
+                }
+                break;
             }
+            default:
+                if (renderer) renderer.addLogMessage('Nothing happens.');
+                break;
         }
         
-        // Update weight after consumption
-        this.updateCurrentWeight();
+        // Consume a turn
+        this.turnCount++;
+        this.checkRegeneration();
+        
+        return true;
+    }
+    
+    /**
+     * Study a spellbook: learns its spell. Books are not used up.
+     * @returns {boolean} True if a turn was spent
+     */
+    readSpellbook(book) {
+        const renderer = window.game && window.game.renderer;
+        const spell = book && SPELLS[book.spell];
+        if (!spell) {
+            if (renderer) renderer.addLogMessage('The pages make no sense to you.');
+            return false;
+        }
+        if (this.knowsSpell(book.spell)) {
+            if (renderer) renderer.addLogMessage(`You already know ${spell.name}.`);
+            return false;
+        }
+        
+        this.knownSpells.push(book.spell);
+        if (renderer) {
+            renderer.addLogMessage(`You study the ${book.name} and learn ${spell.name}! (${spell.mpCost} MP, z to cast)`, 'victory');
+            if (this.maxMp < spell.mpCost) {
+                renderer.addLogMessage('You lack the mana to cast it yet.', 'warning');
+            }
+        }
         
         // Consume a turn
         this.turnCount++;
@@ -2030,6 +2344,72 @@ class Player {
         return true;
     }
     
+    knowsSpell(spellKey) {
+        return this.knownSpells.includes(spellKey);
+    }
+    
+    /**
+     * Learn what a used item is (potions when drunk, scrolls when read, rings and amulets when worn)
+     * @returns {boolean} True if the item's kind was unknown until now
+     */
+    identifyByUse(item) {
+        item.identified = true;
+        const identification = ItemIdentification.current();
+        return identification ? identification.learn(item) : false;
+    }
+    
+    /**
+     * Fully identify an item (scroll of identify)
+     */
+    identifyItem(item) {
+        this.identifyByUse(item);
+        if (window.game && window.game.renderer) {
+            const name = item.getDisplayName ? item.getDisplayName() : item.name;
+            window.game.renderer.addLogMessage(`This is ${/^[aeiou]/i.test(name) ? 'an' : 'a'} ${name}.`, item.cursed ? 'warning' : 'normal');
+        }
+    }
+    
+    /**
+     * Inventory items whose kind, enchantment or curse is still unknown
+     */
+    getUnidentifiedItems() {
+        return this.inventory.filter(item => item && !ItemIdentification.isIdentified(item));
+    }
+    
+    /**
+     * Cursed equipment cannot be taken off until the curse is lifted
+     */
+    canRemoveEquipment(slot) {
+        const item = this.equipment[slot];
+        if (!item || !item.cursed) return true;
+        item.identified = true;
+        if (window.game && window.game.renderer) {
+            window.game.renderer.addBattleLogMessage(`You can't remove ${item.name}. It is cursed!`, 'warning');
+        }
+        return false;
+    }
+    
+    /**
+     * Wielded launcher (bow, crossbow, sling), or null
+     */
+    getLauncher() {
+        const weapon = this.equipment.weapon;
+        return weapon && weapon.ammoType ? weapon : null;
+    }
+    
+    /**
+     * Take one piece of ammunition from the quiver; the slot empties with the last one
+     * @returns {EquipmentItem|null}
+     */
+    takeFromQuiver() {
+        const quiver = this.equipment.quiver;
+        if (!quiver) return null;
+        const shot = quiver.quantity > 1 ? quiver.split(1) : quiver;
+        if (shot === quiver) this.equipment.quiver = null;
+        this.updateCurrentWeight();
+        return shot;
+    }
+    
     /**
      * Eat food from inventory by selection (fallback method)
      * This is kept as a fallback for cases where UI is not available
@@ -2071,7 +2451,7 @@ class Player {
             const hungerLevel = this.getHungerStatus().level;
             if (this.hp < this.maxHp && !['HUNGRY', 'WEAK', 'FAINTING'].includes(hungerLevel)) {
                 // 50% chance for additional nutrition cost during regeneration
-                if (Math.random() < 0.5) {
+                if (RNG.get('combat').random() < 0.5) {
                     const regenCost = this.getRegenerationHungerCost(encumbrance);
                     this.consumeNutrition(regenCost);
                 }
@@ -2249,7 +2629,7 @@ class Player {
     getWeaponSkillModifier() {
         if (!this.equipment.weapon) {
             // Unarmed combat - minimal skill
-            return -2;
+            return -2 + this.getClassWeaponSkill('unarmed');
         }
         
         // Get weapon name to determine skill
@@ -2274,7 +2654,15 @@ class Player {
         
         skillMod += materialBonus[material] || 0;
         
-        return skillMod;
+        return skillMod + this.getClassWeaponSkill(this.equipment.weapon.weaponType);
+    }
+    
+    /**
+     * Class proficiency with a weapon type ('unarmed' when no weapon)
+     */
+    getClassWeaponSkill(weaponType) {
+        const skills = Player.getClassData(this.characterClass).weaponSkills || {};
+        return skills[weaponType] || 0;
     }
     
     /**
@@ -2409,28 +2797,50 @@ class Player {
     }
     
     /**
-     * Get effective sight range considering status effects
+     * Whether an equipped item (ring of see invisible) shows invisible monsters
+     */
+    canSeeInvisible() {
+        return Object.values(this.equipment).some(item => item && item.properties && item.properties.includes('see_invisible'));
+    }
+    
+    /**
+     * Get effective sight range considering status effects. This is how far lit tiles can be
+     * seen; what light reaches is up to Lighting (torch: getLightRadius)
      * @returns {number} Current sight range (1-15)
      */
     getEffectiveSightRange() {
-        // ベース視界: 光源OFF時
-        let baseSightRange = 2; // No light: 2 タイル程度
+        let sightRange = 12;
         
         // Check for blood in eyes effect (vision severely impaired)
         if (this.statusEffects && this.statusEffects.hasEffect && this.statusEffects.hasEffect('blood_eyes')) {
             const severity = this.statusEffects.getEffectSeverity('blood_eyes') || 1;
             // Extreme reduction: at most 1–2 tiles (adjacent only when severity >= 2)
-            baseSightRange = Math.max(1, 3 - severity);
-        }
-        
-        // 光源ONなら、シンプルに視界を大きく広げる（装備状態に関わらず確実に差が出るようにする）
-        // OFF: 2 / ON: 6（血などのペナルティはこの後の baseSightRange に反映済み）
-        if (this.lightActive) {
-            baseSightRange = Math.max(baseSightRange, 6);
+            sightRange = Math.max(1, 3 - severity);
         }
         
         // Future: Add other status effects (darkness, blindness, etc.)
         
-        return Math.max(1, Math.min(15, baseSightRange));
+        return Math.max(1, Math.min(15, sightRange));
     }
-} 
\ No newline at end of file
+
+    /**
+     * How far unlit tiles can be made out (by feel and faint outlines)
+     */
+    getDarkSightRange() {
+        return Math.min(1, this.getEffectiveSightRange());
+    }
+
+    /**
+     * Light radius of the equipped light source: 0 when doused, burnt out or none
+     */
+    getLightRadius() {
+        const light = this.equipment && this.equipment.light;
+        if (!light || !this.lightActive) return 0;
+        if (typeof light.remainingBurnTime === 'number' && light.remainingBurnTime <= 0) return 0;
+        return light.lightRadius || 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { rollDice, Player };
+}
@@ -0,0 +1,334 @@
+/**
+ * Prefabs - hand-authored rooms and vaults in a compact text format
+ *
+ * A prefab is a block of text: directive lines starting with @, then the map rows.
+ *   @name pillared crypt          used in errors and kept on the room (room.prefab)
+ *   @biome crypt                  room biome (spawn weights, water, vegetation)
+ *   @depth 3-20                   depths it may appear at (default any)
+ *   @weight 2                     relative chance among the prefabs allowed at a depth (default 1)
+ *   @key s monster skeleton       extra glyphs, added to / overriding the default legend
+ *
+ * Default legend:
+ *   #  wall            .  floor          +  closed door     /  open door
+ *   ^  hidden trap     ~  water          "  moss            ,  lichen       ;  fungus
+ *   M  monster for the depth and biome  I  item for the depth
+ *   (space)  outside the prefab: the map is left as it is
+ * A door on the outer edge of the grid is an entrance; the placer digs a passage from it.
+ *
+ * @key forms (the glyph always stands on floor unless it is a wall or a door):
+ *   @key X wall | floor | door [open]
+ *   @key X trap [dart|snare|pit|gas_poison|gas_confuse|alarm|sleep]
+ *   @key X water [amount]
+ *   @key X vegetation moss|lichen|fungus
+ *   @key X monster [type]                       (omitted type: as M)
+ *   @key X item [category key [enchantment]]    (omitted: as I; category food uses FOOD_TYPES keys)
+ */
+const Prefabs = (function() {
+    const DEFAULT_WATER = 10;
+
+    // Glyph -> cell; cells are { tile, doorState, trap, liquid, vegetation, monster, item }
+    const DEFAULT_LEGEND = {
+        '#': { tile: 'wall' },
+        '.': { tile: 'floor' },
+        '+': { tile: 'door', doorState: 'closed' },
+        '/': { tile: 'door', doorState: 'open' },
+        '^': { tile: 'floor', trap: true },
+        '~': { tile: 'floor', liquid: { type: 'water', amount: DEFAULT_WATER } },
+        '"': { tile: 'floor', vegetation: 'moss' },
+        ',': { tile: 'floor', vegetation: 'lichen' },
+        ';': { tile: 'floor', vegetation: 'fungus' },
+        'M': { tile: 'floor', monster: true },
+        'I': { tile: 'floor', item: true }
+    };
+
+    const PREFAB_TEXTS = [
+        `
+@name pillared crypt
+@biome crypt
+@depth 3-20
+@weight 2
+@key s monster skeleton
+###+#####
+#s.....M#
+#.#...#.#
+#...I...#
+#.#...#.#
+#M..^..s#
+#####+###
+`,
+        `
+@name flooded shrine
+@biome flooded
+@depth 2-20
+###########
+#~~~~.~~~~#
+#~###.###~#
++~#..I..#~+
+#~###.###~#
+#~~~~M~~~~#
+###########
+`,
+        `
+@name overgrown garden
+@biome grove
+@depth 1-12
+####+####
+#"",""",#
+#"#";"#"#
+#""~I~""#
+#"#";"#"#
+#,""M"""#
+####+####
+`,
+        `
+@name guard post
+@biome barracks
+@depth 1-10
+@key k monster kobold
+@key g monster goblin
+@key w item weapons shortsword
+##########
+#k..g#..I#
+#....+..w#
+#k...#...#
+###+######
+`,
+        `
+@name healer's cell
+@biome normal
+@depth 2-20
+@key ! item potions healingPotion
+ ####
+##..##
++.^!.#
+##..##
+ ####
+`,
+        `
+@name collapsed tomb
+@biome crypt
+@depth 6-20
+@key z monster zombie
+@key W monster wraith
+  #####
+###;.;###
+#z..I..z#
+#^.#W#.^#
+#;.....;#
+####/####
+`
+    ];
+
+    /**
+     * Cell for a @key line's words (after the glyph)
+     */
+    function parseKey(words, name) {
+        const [kind, ...args] = words;
+        switch (kind) {
+            case 'wall':
+            case 'floor':
+                return { tile: kind };
+            case 'door':
+                return { tile: 'door', doorState: args[0] === 'open' ? 'open' : 'closed' };
+            case 'trap':
+                return { tile: 'floor', trap: args[0] || true };
+            case 'water':
+                return { tile: 'floor', liquid: { type: 'water', amount: parseInt(args[0], 10) || DEFAULT_WATER } };
+            case 'vegetation':
+                return { tile: 'floor', vegetation: args[0] || 'moss' };
+            case 'monster':
+                return { tile: 'floor', monster: args[0] || true };
+            case 'item':
+                if (args.length === 0) return { tile: 'floor', item: true };
+                if (args.length < 2) throw new Error(`Prefab "${name}": item key needs a category and an item key`);
+                return { tile: 'floor', item: { category: args[0], key: args[1], enchantment: parseInt(args[2], 10) || 0 } };
+            default:
+                throw new Error(`Prefab "${name}": unknown key kind "${kind}"`);
+        }
+    }
+
+    /**
+     * Parse one prefab from text
+     * @returns {Object} { name, biome, minDepth, maxDepth, weight, width, height, cells, entrances, hasMonsters }
+     *   cells[y][x] is a legend cell or null (outside); entrances are border doors with the
+     *   direction { dx, dy } they face out of the prefab
+     * @throws {Error} On unknown directives or glyphs, or a prefab without an entrance
+     */
+    function parse(text) {
+        const prefab = { name: 'unnamed', biome: 'normal', minDepth: 1, maxDepth: Infinity, weight: 1 };
+        const legend = { ...DEFAULT_LEGEND };
+        const rows = [];
+
+        for (const line of text.split('\n')) {
+            if (line.trim() === '') continue;
+            if (!line.startsWith('@')) {
+                rows.push(line.replace(/\s+$/, ''));
+                continue;
+            }
+            const [directive, ...words] = line.slice(1).trim().split(/\s+/);
+            switch (directive) {
+                case 'name':
+                    prefab.name = words.join(' ');
+                    break;
+                case 'biome':
+                    prefab.biome = words[0];
+                    break;
+                case 'depth': {
+                    const [min, max] = words[0].split('-').map(Number);
+                    prefab.minDepth = min;
+                    prefab.maxDepth = max || min;
+                    break;
+                }
+                case 'weight':
+                    prefab.weight = Number(words[0]);
+                    break;
+                case 'key':
+                    if (!words[0] || words[0].length !== 1) throw new Error(`Prefab "${prefab.name}": @key needs a single glyph`);
+                    legend[words[0]] = parseKey(words.slice(1), prefab.name);
+                    break;
+                default:
+                    throw new Error(`Prefab "${prefab.name}": unknown directive @${directive}`);
+            }
+        }
+        if (rows.length === 0) throw new Error(`Prefab "${prefab.name}": no map rows`);
+
+        prefab.height = rows.length;
+        prefab.width = Math.max(...rows.map(row => row.length));
+        prefab.cells = rows.map(row => {
+            const cells = [];
+            for (let x = 0; x < prefab.width; x++) {
+                const glyph = row[x] || ' ';
+                if (glyph === ' ') {
+                    cells.push(null);
+                    continue;
+                }
+                if (!legend[glyph]) throw new Error(`Prefab "${prefab.name}": unknown glyph "${glyph}"`);
+                cells.push(legend[glyph]);
+            }
+            return cells;
+        });
+
+        prefab.entrances = findEntrances(prefab);
+        if (prefab.entrances.length === 0) throw new Error(`Prefab "${prefab.name}": no door on its outer edge`);
+        prefab.hasMonsters = prefab.cells.some(row => row.some(cell => cell && cell.monster));
+        return prefab;
+    }
+
+    /**
+     * Doors with nothing (edge of grid or a space) beyond them on one side
+     */
+    function findEntrances(prefab) {
+        const outside = (x, y) => y < 0 || y >= prefab.height || x < 0 || x >= prefab.width || !prefab.cells[y][x];
+        const entrances = [];
+        prefab.cells.forEach((row, y) => {
+            row.forEach((cell, x) => {
+                if (!cell || cell.tile !== 'door') return;
+                for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    if (outside(x + dx, y + dy)) {
+                        entrances.push({ x, y, dx, dy });
+                        return;
+                    }
+                }
+            });
+        });
+        return entrances;
+    }
+
+    const LIBRARY = PREFAB_TEXTS.map(parse);
+
+    /**
+     * Add a prefab to the library
+     * @returns {Object} The parsed prefab
+     */
+    function register(text) {
+        const prefab = parse(text);
+        LIBRARY.push(prefab);
+        return prefab;
+    }
+
+    /**
+     * Weighted pick among the prefabs allowed at this depth
+     * @returns {Object|null}
+     */
+    function pick(depth, rng) {
+        const allowed = LIBRARY.filter(prefab => depth >= prefab.minDepth && depth <= prefab.maxDepth);
+        const total = allowed.reduce((sum, prefab) => sum + prefab.weight, 0);
+        let roll = rng.random() * total;
+        for (const prefab of allowed) {
+            roll -= prefab.weight;
+            if (roll < 0) return prefab;
+        }
+        return null;
+    }
+
+    /**
+     * Write a prefab's tiles at (left, top). Traps, water and vegetation go on the tiles;
+     * monsters and items are queued on dungeon.prefabSpawns for Game to spawn.
+     * @returns {Object} Its room: { x, y, width, height, type: 'vault', biome, prefab, guarded }
+     */
+    function stamp(dungeon, prefab, left, top) {
+        prefab.cells.forEach((row, py) => {
+            row.forEach((cell, px) => {
+                if (!cell) return;
+                const x = left + px;
+                const y = top + py;
+                dungeon.setTile(x, y, cell.tile);
+                const tile = dungeon.getTile(x, y);
+                if (cell.doorState) tile.doorState = cell.doorState;
+                if (cell.trap) tile.trap = cell.trap === true ? dungeon.createRandomTrap() : dungeon.createTrap(cell.trap);
+                if (cell.liquid && typeof Liquids !== 'undefined' && Liquids.addLiquid) {
+                    Liquids.addLiquid(dungeon, x, y, cell.liquid.type, cell.liquid.amount);
+                }
+                if (cell.vegetation) tile.vegetation = cell.vegetation;
+                if (cell.monster) dungeon.prefabSpawns.push({ x, y, monster: cell.monster, biome: prefab.biome });
+                if (cell.item) dungeon.prefabSpawns.push({ x, y, item: cell.item });
+            });
+        });
+        return {
+            x: left,
+            y: top,
+            width: prefab.width,
+            height: prefab.height,
+            type: 'vault',
+            biome: prefab.biome,
+            prefab: prefab.name,
+            guarded: prefab.hasMonsters // Random spawns keep out of rooms with their own guards
+        };
+    }
+
+    /**
+     * Undo a stamp (the spot turned out to be unreachable): back to rock, spawns dropped
+     */
+    function erase(dungeon, prefab, left, top) {
+        prefab.cells.forEach((row, py) => {
+            row.forEach((cell, px) => {
+                if (!cell) return;
+                const x = left + px;
+                const y = top + py;
+                const tile = dungeon.getTile(x, y);
+                dungeon.setTile(x, y, 'wall');
+                delete tile.doorState;
+                delete tile.doorType;
+                delete tile.trap;
+                delete tile.vegetation;
+                tile.liquids = {};
+            });
+        });
+        dungeon.prefabSpawns = dungeon.prefabSpawns.filter(spawn =>
+            spawn.x < left || spawn.x >= left + prefab.width || spawn.y < top || spawn.y >= top + prefab.height);
+    }
+
+    return {
+        DEFAULT_LEGEND,
+        LIBRARY,
+        parse,
+        register,
+        pick,
+        stamp,
+        erase
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Prefabs };
+}
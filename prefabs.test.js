@@ -0,0 +1,55 @@
+/**
+ * Prefab text format parser: node --test prefabs.test.js
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Prefabs } = require('./prefabs.js');
+
+test('a prefab parses into cells, entrances and directives', () => {
+    const prefab = Prefabs.parse(`
+@name test cell
+@biome crypt
+@depth 2-5
+@key s monster skeleton
+#####
+#s..+
+#####
+`);
+    assert.strictEqual(prefab.name, 'test cell');
+    assert.strictEqual(prefab.biome, 'crypt');
+    assert.deepStrictEqual([prefab.minDepth, prefab.maxDepth], [2, 5]);
+    assert.deepStrictEqual([prefab.width, prefab.height], [5, 3]);
+    assert.deepStrictEqual(prefab.cells[1][1], { tile: 'floor', monster: 'skeleton' });
+    assert.deepStrictEqual(prefab.entrances, [{ x: 4, y: 1, dx: 1, dy: 0 }]);
+    assert.ok(prefab.hasMonsters);
+});
+
+test('short rows are padded with cells outside the prefab', () => {
+    const prefab = Prefabs.parse(`
+ ###
+##.+
+ ##
+`);
+    assert.strictEqual(prefab.width, 4);
+    assert.strictEqual(prefab.cells[0][0], null);
+    assert.strictEqual(prefab.cells[2][3], null);
+});
+
+test('a prefab without map rows is rejected', () => {
+    assert.throws(() => Prefabs.parse('@name empty\n@biome crypt\n'), /"empty": no map rows/);
+});
+
+test('a row with an unknown glyph is rejected', () => {
+    assert.throws(() => Prefabs.parse('@name odd\n#####\n#.x.+\n#####\n'), /"odd": unknown glyph "x"/);
+});
+
+test('a prefab without a door on its outer edge is rejected', () => {
+    assert.throws(() => Prefabs.parse('@name sealed\n#####\n#.+.#\n#####\n'), /"sealed": no door on its outer edge/);
+});
+
+test('unknown directives and bad keys are rejected', () => {
+    assert.throws(() => Prefabs.parse('@name typo\n@wieght 2\n#+#\n'), /unknown directive @wieght/);
+    assert.throws(() => Prefabs.parse('@name wide\n@key xy floor\n#+#\n'), /@key needs a single glyph/);
+    assert.throws(() => Prefabs.parse('@name kind\n@key x statue\n#+#\n'), /unknown key kind "statue"/);
+    assert.throws(() => Prefabs.parse('@name loot\n@key x item potions\n#+#\n'), /item key needs a category and an item key/);
+});
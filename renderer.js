@@ -142,12 +142,14 @@ class Renderer {
     
     /**
      * Set a character at specific coordinates
+     * @param {boolean} [dim=false] - Visible but poorly lit (drawn darker)
      */
-    setChar(x, y, char, color = 'floor') {
+    setChar(x, y, char, color = 'floor', dim = false) {
         if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
             this.buffer[y][x] = {
                 char: char,
-                color: color
+                color: color,
+                dim: dim
             };
         }
     }
@@ -200,12 +202,13 @@ class Renderer {
                                 else color = 'floor';
                             } else {
                                 char = this.symbols.floor;
-                                // Gas/temperature overlays (priority: steam > heat/fire > miasma). Fire from tile.temperature.
+                                // Gas/temperature overlays (priority: steam > heat/fire > poison > miasma). Fire from tile.temperature.
                                 const heat = (typeof Temperature !== 'undefined' && tile && typeof tile.temperature === 'number') ? Temperature.getTemperature(tile) : 0;
                                 const s = (tile.gases && tile.gases.steam) ? tile.gases.steam : 0;
                                 const g = (tile.gases && tile.gases.miasma) ? tile.gases.miasma : 0;
+                                const p = (tile.gases && tile.gases.poison) ? tile.gases.poison : 0;
                                 const fireLevel = (typeof Temperature !== 'undefined' && heat >= (Temperature.FIRE_THRESHOLD || 50)) ? Math.min(10, Math.floor((heat - (Temperature.FIRE_THRESHOLD || 50)) / 5) + 1) : 0;
-                                if (visibility.visible && (fireLevel > 0 || s > 0 || g > 0)) {
+                                if (visibility.visible && (fireLevel > 0 || s > 0 || g > 0 || p > 0)) {
                                     if (s > 0) {
                                         if (fireLevel > 0) {
                                             if (s >= 7) color = 'gas_steam_fire_high';
@@ -220,6 +223,10 @@ class Renderer {
                                         if (heat >= (Temperature.FIRE_HIGH || 65)) color = 'gas_fire_high';
                                         else if (fireLevel >= 3) color = 'gas_fire_mid';
                                         else color = 'gas_fire_low';
+                                    } else if (p > 0) {
+                                        if (p >= 7) color = 'gas_poison_high';
+                                        else if (p >= 3) color = 'gas_poison_mid';
+                                        else color = 'gas_poison_low';
                                     } else {
                                         if (g >= 7) color = 'gas_miasma_high';
                                         else if (g >= 3) color = 'gas_miasma_mid';
@@ -279,7 +286,7 @@ class Renderer {
                             break;
                     }
                     
-                    this.setChar(x, y, char, color);
+                    this.setChar(x, y, char, color, visibility.visible && !!visibility.dim);
                 } else {
                     this.setChar(x, y, this.symbols.void, 'floor');
                 }
@@ -299,6 +306,38 @@ class Renderer {
         }
     }
     
+    /**
+     * Highlight the look cursor's cell
+     */
+    drawCursor(x, y, viewX = 0, viewY = 0) {
+        const screenX = x - viewX;
+        const screenY = y - viewY;
+        if (screenX >= 0 && screenX < this.width && screenY >= 0 && screenY < this.height) {
+            this.buffer[screenY][screenX].cursor = true;
+        }
+    }
+    
+    /**
+     * Highlight the cells of an aimed projectile's path
+     * @param {Array<{x: number, y: number}>} path
+     */
+    drawPath(path, viewX = 0, viewY = 0) {
+        for (const { x, y } of path) {
+            const screenX = x - viewX;
+            const screenY = y - viewY;
+            if (screenX >= 0 && screenX < this.width && screenY >= 0 && screenY < this.height) {
+                this.buffer[screenY][screenX].path = true;
+            }
+        }
+    }
+    
+    /**
+     * Invisible monsters the player cannot make out right now are neither drawn nor listed
+     */
+    isHiddenMonster(monster) {
+        return !!(window.game && window.game.isMonsterHidden && window.game.isMonsterHidden(monster));
+    }
+    
     /**
      * Draw monsters
      */
@@ -314,7 +353,7 @@ class Renderer {
                 // Check if monster is visible (use FOV if available)
                 const visibility = fov ? fov.getTileVisibility(monster.x, monster.y) : { visible: true };
                 
-                if (visibility.visible) {
+                if (visibility.visible && !this.isHiddenMonster(monster)) {
                     // Choose color based on sleep state (check both natural sleep and status effect sleep)
                     let displayColor = monster.color;
                     const isSleeping = monster.isAsleep || (monster.statusEffects && monster.statusEffects.hasEffect && monster.statusEffects.hasEffect('sleep'));
@@ -338,14 +377,17 @@ class Renderer {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 const cell = this.buffer[y][x];
+                const markClass = cell.cursor ? ' cursor' : (cell.path ? ' path' : '');
                 
                 // Check if color is a hex color code or CSS class
                 if (cell.color && cell.color.startsWith('#')) {
                     // Use inline style for hex colors
-                    output += `<span style="color: ${cell.color};">${cell.char}</span>`;
+                    const dimStyle = cell.dim ? ' opacity: 0.55;' : '';
+                    const cursorClass = markClass ? ` class="${markClass.trim()}"` : '';
+                    output += `<span${cursorClass} style="color: ${cell.color};${dimStyle}">${cell.char}</span>`;
                 } else {
                     // Use CSS class for predefined colors
-                    output += `<span class="${cell.color}">${cell.char}</span>`;
+                    output += `<span class="${cell.color}${cell.dim ? ' dim' : ''}${markClass}">${cell.char}</span>`;
                 }
             }
             if (y < this.height - 1) {
@@ -376,8 +418,21 @@ class Renderer {
         }
         
         // Update player stats (with status effect indication)
+        const nameElement = document.getElementById('player-name');
+        if (nameElement && player.characterName) {
+            const classData = typeof PLAYER_CLASSES !== 'undefined' ? PLAYER_CLASSES[player.characterClass] : null;
+            nameElement.textContent = classData ? `${player.characterName} the ${classData.name}` : player.characterName;
+        }
         const hpElement = document.getElementById('player-hp');
         hpElement.textContent = `HP: ${player.hp}/${player.maxHp}`;
+        const mpElement = document.getElementById('player-mp');
+        if (mpElement) {
+            mpElement.textContent = `MP: ${player.mp}/${player.maxMp}`;
+        }
+        const levelElement = document.getElementById('player-level');
+        if (levelElement) {
+            levelElement.textContent = `Level: ${player.level}  EXP: ${player.exp}/${player.expToNext}`;
+        }
         
         // Change HP color if affected by status effects
         if (player.statusEffects) {
@@ -588,6 +643,9 @@ class Renderer {
         if (document.getElementById('dungeon-level')) {
             document.getElementById('dungeon-level').textContent = window.game ? window.game.currentLevel : 1;
         }
+        if (document.getElementById('game-seed') && window.game && window.game.rng) {
+            document.getElementById('game-seed').textContent = window.game.rng.seed;
+        }
         
         // Update equipment display
         this.updateEquipmentDisplay(player);
@@ -707,7 +765,7 @@ class Renderer {
             
             // Check if monster is visible using FOV
             const visibility = fov.getTileVisibility(monster.x, monster.y);
-            return visibility.visible;
+            return visibility.visible && !this.isHiddenMonster(monster);
         }).map(monster => {
             // Calculate distance from player
             const dx = monster.x - playerX;
@@ -730,6 +788,7 @@ class Renderer {
                 hp: monster.hp,
                 maxHp: monster.maxHp,
                 isAsleep: monster.isAsleep,
+                unaware: typeof Stealth !== 'undefined' && Stealth.isUnaware(monster),
                 statusEffects: monster.statusEffects // Include status effects
             };
         }).sort((a, b) => a.distance - b.distance); // Sort by distance
@@ -766,6 +825,8 @@ class Renderer {
                 if (isSleeping) {
                     displayName += ' (sleeping)';
                     nameSpan.style.color = '#888888'; // Dim color for sleeping monsters
+                } else if (monster.unaware) {
+                    displayName += ' (unaware)'; // Has not noticed the player (stealth.js)
                 }
                 nameSpan.textContent = displayName;
                 
@@ -921,13 +982,13 @@ class Renderer {
     }
     
     /**
-     * Get visible tiles that have liquids (blood, tile.liquids) or gases (fire, steam, miasma) within FOV.
+     * Get visible tiles that have liquids (blood, tile.liquids) or gases (fire, steam, miasma, poison) within FOV.
      */
     getNearbyLiquidsAndGases(dungeon, fov, playerX, playerY) {
         if (!fov || !dungeon) return [];
         const results = [];
         const liquidLabels = { blood: 'Blood', potion: 'Potion', water: 'Water' };
-        const gasLabels = { fire: 'Fire', steam: 'Steam', miasma: 'Miasma' };
+        const gasLabels = { fire: 'Fire', steam: 'Steam', miasma: 'Miasma', poison: 'Poison gas' };
         for (let y = 0; y < dungeon.height; y++) {
             for (let x = 0; x < dungeon.width; x++) {
                 const visibility = fov.getTileVisibility(x, y);
@@ -1156,6 +1217,17 @@ class Renderer {
                 lightSlot.textContent = 'Light: None';
             }
         }
+
+        // Update quiver slot (ammunition stack for the wielded launcher)
+        const quiverSlot = document.getElementById('quiver-slot');
+        if (quiverSlot) {
+            if (equipment.quiver) {
+                const { statsText } = Player.getEquipmentDisplayInfo(equipment.quiver);
+                quiverSlot.textContent = `Quiver: ${equipment.quiver.getDisplayName()}${statsText}`;
+            } else {
+                quiverSlot.textContent = 'Quiver: None';
+            }
+        }
     }
     
     /**
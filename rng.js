@@ -0,0 +1,220 @@
+/**
+ * Seeded random number service
+ * Game owns one RNGService per run; modules receive named streams
+ * (map, spawn, combat, environment) instead of calling Math.random directly.
+ * The same seed reproduces the same dungeon levels and spawns.
+ */
+const RNG = (function() {
+    const STREAM_NAMES = ['map', 'spawn', 'combat', 'environment'];
+
+    /**
+     * Hash any seed (string or number) into an unsigned 32-bit integer (FNV-1a)
+     */
+    function hashSeed(seed) {
+        const str = String(seed);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Deterministic stream (mulberry32). State is a single uint32 so it can be saved.
+     */
+    class RandomStream {
+        constructor(seed) {
+            this.state = hashSeed(seed);
+        }
+
+        /**
+         * Float in [0, 1) - drop-in replacement for Math.random()
+         */
+        random() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        /**
+         * Integer in [0, max)
+         */
+        int(max) {
+            return Math.floor(this.random() * max);
+        }
+
+        /**
+         * Integer in [min, max] (inclusive)
+         */
+        range(min, max) {
+            return min + Math.floor(this.random() * (max - min + 1));
+        }
+
+        chance(probability) {
+            return this.random() < probability;
+        }
+
+        pick(array) {
+            if (!array || array.length === 0) return undefined;
+            return array[Math.floor(this.random() * array.length)];
+        }
+
+        /**
+         * Fisher-Yates shuffle in place (sort(() => random - 0.5) is biased and engine-dependent)
+         */
+        shuffle(array) {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = Math.floor(this.random() * (i + 1));
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+
+        getState() {
+            return this.state;
+        }
+
+        setState(state) {
+            if (typeof state === 'number' && isFinite(state)) {
+                this.state = state >>> 0;
+            }
+        }
+    }
+
+    /**
+     * Unseeded stream with the same interface, used when no game/service exists yet
+     */
+    class MathRandomStream extends RandomStream {
+        constructor() {
+            super(0);
+        }
+        random() {
+            return Math.random();
+        }
+    }
+
+    const unseeded = new MathRandomStream();
+
+    /**
+     * Per-run service: continuous named streams plus per-level derived streams
+     */
+    class RNGService {
+        constructor(seed) {
+            this.seed = (seed === undefined || seed === null || seed === '') ? generateSeed() : String(seed);
+            this.streams = {};
+            for (const name of STREAM_NAMES) {
+                this.streams[name] = new RandomStream(`${this.seed}:${name}`);
+            }
+        }
+
+        get map() { return this.streams.map; }
+        get spawn() { return this.streams.spawn; }
+        get combat() { return this.streams.combat; }
+        get environment() { return this.streams.environment; }
+
+        /**
+         * Get a continuous named stream
+         */
+        stream(name) {
+            return this.streams[name] || unseeded;
+        }
+
+        /**
+         * Fresh stream for one dungeon level, independent of play history.
+         * Depth N of a given seed always generates the same map and initial spawns.
+         */
+        forLevel(name, depth) {
+            return new RandomStream(`${this.seed}:${name}:${depth}`);
+        }
+
+        /**
+         * Save stream positions (seed plus each stream's state)
+         */
+        serialize() {
+            const states = {};
+            for (const name of STREAM_NAMES) {
+                states[name] = this.streams[name].getState();
+            }
+            return { seed: this.seed, states };
+        }
+
+        static deserialize(data) {
+            const service = new RNGService(data && data.seed);
+            if (data && data.states) {
+                for (const name of STREAM_NAMES) {
+                    if (data.states[name] !== undefined) {
+                        service.streams[name].setState(data.states[name]);
+                    }
+                }
+            }
+            return service;
+        }
+    }
+
+    /**
+     * Random seed for a new run (short, easy to copy into a bug report)
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).toUpperCase();
+    }
+
+    /**
+     * Shared seed for everyone playing on the same (local) day
+     */
+    function dailySeed(date = new Date()) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `daily-${y}-${m}-${d}`;
+    }
+
+    /**
+     * Seed requested through the page URL (?seed=XYZ or ?seed=daily), or null
+     */
+    function getSeedFromURL() {
+        try {
+            if (typeof window === 'undefined' || !window.location) return null;
+            const params = new URLSearchParams(window.location.search);
+            const seed = params.get('seed');
+            if (!seed) return null;
+            return seed === 'daily' ? dailySeed() : seed;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function createService(seed) {
+        return new RNGService(seed);
+    }
+
+    /**
+     * Resolve a named stream from the running game's service.
+     * For code paths that are not handed a stream explicitly (entity methods, static helpers).
+     */
+    function get(name) {
+        if (typeof window !== 'undefined' && window.game && window.game.rng) {
+            return window.game.rng.stream(name);
+        }
+        return unseeded;
+    }
+
+    return {
+        STREAM_NAMES,
+        RandomStream,
+        RNGService,
+        hashSeed,
+        generateSeed,
+        dailySeed,
+        getSeedFromURL,
+        createService,
+        get,
+        unseeded
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RNG };
+}
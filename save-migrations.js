@@ -0,0 +1,455 @@
+/**
+ * Save format versioning: migration pipeline and schema validation.
+ * game-save.js runs every loaded/imported save through migrate() then validate()
+ * before restoring anything, so a corrupt save is rejected (or repaired) instead of
+ * starting a broken game.
+ *
+ * When Player, Monster or Item fields change shape: bump CURRENT_VERSION, add a
+ * MIGRATIONS step from the previous version, and update the field rules below.
+ */
+const SaveMigrations = (function() {
+    const CURRENT_VERSION = '1.10';
+
+    // Equipment type -> EQUIPMENT_TYPES category (for re-reading templates of old items)
+    const EQUIPMENT_CATEGORIES = {
+        weapon: 'weapons',
+        armor: 'armor',
+        shield: 'shields',
+        helmet: 'helmets',
+        gloves: 'gloves',
+        boots: 'boots',
+        ring: 'rings',
+        amulet: 'amulets',
+        ammo: 'ammo'
+    };
+
+    /**
+     * Compare dotted version strings ('1.0' < '1.1' < '1.10')
+     */
+    function compareVersions(a, b) {
+        const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Call fn on every serialized item in a save (floor items, inventory, equipment)
+     */
+    function forEachSavedItem(data, fn) {
+        (data.levels || []).forEach(entry => {
+            const levelData = Array.isArray(entry) ? entry[1] : null;
+            const items = levelData && levelData.itemData && levelData.itemData.items;
+            if (Array.isArray(items)) items.forEach(item => item && fn(item));
+        });
+        if (data.player) {
+            (data.player.inventory || []).forEach(item => item && fn(item));
+            Object.values(data.player.equipment || {}).forEach(item => item && fn(item));
+        }
+    }
+
+    /**
+     * Call fn(monster, index) on every serialized monster in a save (index within its level)
+     */
+    function forEachSavedMonster(data, fn) {
+        (data.levels || []).forEach(entry => {
+            const levelData = Array.isArray(entry) ? entry[1] : null;
+            const monsters = levelData && levelData.monsterData && levelData.monsterData.monsters;
+            if (Array.isArray(monsters)) monsters.forEach((monster, index) => monster && fn(monster, index));
+        });
+    }
+
+    /**
+     * 1.0 equipment predates quality/durability: refill missing fields from the template
+     */
+    function upgradeLegacyEquipment(item) {
+        if (item.quality || item.type === 'potion' || item.type === 'food') return;
+        if (item.itemClass && item.itemClass !== 'EquipmentItem') return;
+        const category = EQUIPMENT_CATEGORIES[item.type];
+        const templates = (category && typeof EQUIPMENT_TYPES !== 'undefined') ? EQUIPMENT_TYPES[category] : null;
+        const template = templates && Object.values(templates).find(t => t.name === item.name);
+        if (template) {
+            for (const [key, value] of Object.entries(template)) {
+                if (item[key] === undefined || item[key] === null) item[key] = value;
+            }
+        }
+        item.quality = 'normal';
+    }
+
+    /**
+     * Light sources used to lose their radius and fuel when created: refill them from the template
+     */
+    function upgradeLightSource(item) {
+        if (item.type !== 'light' || typeof EQUIPMENT_TYPES === 'undefined') return;
+        const template = Object.values(EQUIPMENT_TYPES.tools || {}).find(t => t.name === item.name);
+        if (!template) return;
+        if (item.lightRadius === undefined) item.lightRadius = template.lightRadius;
+        if (item.burnTime === undefined) item.burnTime = template.burnTime;
+        if (item.remainingBurnTime === undefined) item.remainingBurnTime = template.burnTime;
+    }
+
+    /**
+     * Best guess at run statistics for saves made before they were tracked
+     */
+    function defaultRunStats(data) {
+        const depths = (data.visitedLevels || []).concat(data.currentLevel || 1);
+        return { kills: 0, maxDepth: Math.max(1, ...depths.filter(Number.isInteger)) };
+    }
+
+    /**
+     * Ordered migration steps. Each upgrades a save object in place from `from` to `to`.
+     */
+    const MIGRATIONS = [
+        {
+            from: '1.0',
+            to: '1.1',
+            description: 'run seed, item quality/durability, player base to-hit and carrying capacity',
+            migrate(data) {
+                if (data.rng === undefined) data.rng = null;
+                forEachSavedItem(data, upgradeLegacyEquipment);
+                const player = data.player;
+                if (player) {
+                    if (player.baseToHit === undefined) player.baseToHit = player.toHit;
+                    if (!player.maxWeight && typeof player.strength === 'number') {
+                        player.maxWeight = Player.getWeightCapacity(player.strength);
+                    }
+                }
+                return data;
+            }
+        },
+        {
+            from: '1.1',
+            to: '1.2',
+            description: 'run statistics for scoring',
+            migrate(data) {
+                if (!data.runStats) data.runStats = defaultRunStats(data);
+                return data;
+            }
+        },
+        {
+            from: '1.2',
+            to: '1.3',
+            description: 'character class and name',
+            migrate(data) {
+                // Characters before class selection used the fixed warrior build
+                if (data.player) {
+                    if (!data.player.characterClass) data.player.characterClass = 'warrior';
+                    if (!data.player.characterName) data.player.characterName = 'Adventurer';
+                }
+                return data;
+            }
+        },
+        {
+            from: '1.3',
+            to: '1.4',
+            description: 'item identification',
+            migrate(data) {
+                // null: every kind known, as items always showed their true names before
+                if (data.identification === undefined) data.identification = null;
+                return data;
+            }
+        },
+        {
+            from: '1.4',
+            to: '1.5',
+            description: 'known spells',
+            migrate(data) {
+                if (data.player && !Array.isArray(data.player.knownSpells)) data.player.knownSpells = [];
+                return data;
+            }
+        },
+        {
+            from: '1.5',
+            to: '1.6',
+            description: 'light source radius and burn time',
+            migrate(data) {
+                forEachSavedItem(data, upgradeLightSource);
+                return data;
+            }
+        },
+        {
+            from: '1.6',
+            to: '1.7',
+            description: 'quiver equipment slot',
+            migrate(data) {
+                const equipment = data.player && data.player.equipment;
+                if (equipment && equipment.quiver === undefined) equipment.quiver = null;
+                return data;
+            }
+        },
+        {
+            from: '1.7',
+            to: '1.8',
+            description: 'monster ranged attack cooldowns',
+            migrate(data) {
+                forEachSavedMonster(data, monster => {
+                    if (monster.rangedReadyTurn === undefined) monster.rangedReadyTurn = 0;
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.8',
+            to: '1.9',
+            description: 'monster ability cooldowns and summoned minions',
+            migrate(data) {
+                // Older saves did not record who summoned whom: every ability is ready, no minions
+                forEachSavedMonster(data, (monster, index) => {
+                    if (monster.abilityReadyTurns === undefined) monster.abilityReadyTurns = {};
+                    if (monster.saveId === undefined) monster.saveId = index;
+                    if (monster.minionIds === undefined) monster.minionIds = [];
+                });
+                return data;
+            }
+        },
+        {
+            from: '1.9',
+            to: '1.10',
+            description: 'base MP for every class',
+            migrate(data) {
+                // MP used to come from a positive INT modifier only; top up to the new pool
+                const player = data.player;
+                if (player && typeof player.maxMp === 'number' && typeof player.intelligence === 'number') {
+                    const modifier = Player.prototype.getClassicModifier(player.intelligence);
+                    const maxMp = 1 + Player.getMpPerLevel(modifier) * (player.level || 1);
+                    if (player.maxMp < maxMp) {
+                        player.mp = (player.mp || 0) + maxMp - player.maxMp;
+                        player.maxMp = maxMp;
+                    }
+                }
+                return data;
+            }
+        }
+    ];
+
+    /**
+     * Upgrade a save to CURRENT_VERSION. Saves without a version are treated as 1.0.
+     * Throws if the save is newer than this game or no migration path exists.
+     */
+    function migrate(data) {
+        if (!data.version) data.version = '1.0'; // Oldest saves predate versioning
+        if (compareVersions(data.version, CURRENT_VERSION) > 0) {
+            throw new Error(`Save version ${data.version} is newer than this game (${CURRENT_VERSION}).`);
+        }
+        while (compareVersions(data.version, CURRENT_VERSION) < 0) {
+            const step = MIGRATIONS.find(m => m.from === data.version);
+            if (!step) {
+                throw new Error(`No migration from save version ${data.version}.`);
+            }
+            data = step.migrate(data) || data;
+            data.version = step.to;
+            console.log(`Migrated save from version ${step.from} to ${step.to} (${step.description})`);
+        }
+        return data;
+    }
+
+    // ===== SCHEMA =====
+    // Field rules: type ('number' | 'integer' | 'string' | 'boolean' | 'array' | 'object'),
+    // required (missing/invalid rejects the save), nullable, min, default (value or fn(parent)
+    // used to repair a missing/invalid optional field).
+
+    const ROOT_FIELDS = {
+        version: { type: 'string', required: true },
+        currentLevel: { type: 'integer', required: true, min: 1 },
+        previousLevel: { type: 'integer', nullable: true, default: null },
+        gameState: { type: 'string', default: 'playing' },
+        visitedLevels: { type: 'array', default: data => [data.currentLevel] },
+        rng: { type: 'object', nullable: true, default: null },
+        runStats: { type: 'object', default: defaultRunStats },
+        identification: { type: 'object', nullable: true, default: null },
+        player: { type: 'object', required: true },
+        levels: { type: 'array', required: true }
+    };
+
+    const ABILITY = { type: 'number', min: 3, default: 10 };
+
+    const PLAYER_FIELDS = {
+        x: { type: 'integer', required: true, min: 0 },
+        y: { type: 'integer', required: true, min: 0 },
+        characterClass: { type: 'string', default: 'warrior' },
+        characterName: { type: 'string', default: 'Adventurer' },
+        hp: { type: 'number', required: true },
+        maxHp: { type: 'number', required: true, min: 1 },
+        mp: { type: 'number', min: 0, default: 0 },
+        maxMp: { type: 'number', min: 0, default: 0 },
+        knownSpells: { type: 'array', default: () => [] },
+        level: { type: 'integer', min: 1, default: 1 },
+        exp: { type: 'number', min: 0, default: 0 },
+        expToNext: { type: 'number', min: 1, default: p => Player.getExpThreshold(p.level) },
+        strength: ABILITY,
+        dexterity: ABILITY,
+        constitution: ABILITY,
+        intelligence: ABILITY,
+        wisdom: ABILITY,
+        charisma: ABILITY,
+        turnCount: { type: 'integer', min: 0, default: 0 },
+        inventory: { type: 'array', default: () => [] },
+        equipment: { type: 'object', default: () => ({}) },
+        nutrition: { type: 'number', default: 500 },
+        maxWeight: { type: 'number', min: 1, default: p => Player.getWeightCapacity(p.strength) }
+    };
+
+    const DUNGEON_FIELDS = {
+        width: { type: 'integer', required: true, min: 1 },
+        height: { type: 'integer', required: true, min: 1 },
+        tiles: { type: 'array', required: true },
+        rooms: { type: 'array', default: () => [] }
+    };
+
+    const MONSTER_FIELDS = {
+        type: { type: 'string', required: true },
+        x: { type: 'integer', required: true, min: 0 },
+        y: { type: 'integer', required: true, min: 0 },
+        hp: { type: 'number', required: true },
+        maxHp: { type: 'number', min: 1, default: m => Math.max(1, m.hp) },
+        rangedReadyTurn: { type: 'integer', min: 0, default: 0 },
+        abilityReadyTurns: { type: 'object', default: () => ({}) },
+        saveId: { type: 'integer', min: 0, nullable: true, default: null },
+        minionIds: { type: 'array', default: () => [] }
+    };
+
+    const ITEM_FIELDS = {
+        type: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        x: { type: 'integer', required: true, min: 0 },
+        y: { type: 'integer', required: true, min: 0 },
+        quantity: { type: 'integer', min: 1, default: 1 }
+    };
+
+    function matchesType(value, rule) {
+        if (value === null) return !!rule.nullable;
+        switch (rule.type) {
+            case 'number': return typeof value === 'number' && isFinite(value) && (rule.min === undefined || value >= rule.min);
+            case 'integer': return Number.isInteger(value) && (rule.min === undefined || value >= rule.min);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            default: return true;
+        }
+    }
+
+    function describe(value) {
+        if (value === undefined) return 'missing';
+        if (typeof value === 'number' && !isFinite(value)) return 'not a number';
+        if (Array.isArray(value)) return 'an array';
+        return `invalid (${JSON.stringify(value)})`;
+    }
+
+    /**
+     * Check obj against field rules; repairs optional fields in place.
+     * Returns the errors for required fields (empty if obj is usable).
+     */
+    function checkFields(obj, rules, path, report) {
+        const errors = [];
+        for (const [key, rule] of Object.entries(rules)) {
+            const value = obj[key];
+            if (value !== undefined && matchesType(value, rule)) continue;
+            if (rule.required) {
+                errors.push(`${path}.${key} is ${describe(value)}`);
+            } else {
+                obj[key] = typeof rule.default === 'function' ? rule.default(obj) : rule.default;
+                report.repairs.push(`${path}.${key} was ${describe(value)}, reset to ${JSON.stringify(obj[key])}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Keep only the entries of list that pass rules; dropped entries count as repairs
+     */
+    function filterEntries(list, rules, path, report) {
+        return list.filter((entry, i) => {
+            const ok = entry && typeof entry === 'object' &&
+                checkFields(entry, rules, `${path}[${i}]`, report).length === 0;
+            if (!ok) report.repairs.push(`${path}[${i}] was corrupt and has been removed`);
+            return ok;
+        });
+    }
+
+    /**
+     * A dungeon is usable only if tiles form a full width x height grid
+     */
+    function checkDungeon(dungeonData, path, report) {
+        if (!dungeonData || typeof dungeonData !== 'object') return [`${path} is missing`];
+        const errors = checkFields(dungeonData, DUNGEON_FIELDS, path, report);
+        if (errors.length > 0) return errors;
+        const { tiles, width, height } = dungeonData;
+        if (tiles.length !== height || tiles.some(row => !Array.isArray(row) || row.length !== width)) {
+            return [`${path}.tiles does not match ${width}x${height}`];
+        }
+        return [];
+    }
+
+    /**
+     * Validate a migrated save. Optional fields and individual monsters/items are repaired
+     * in place; damaged levels other than the current one are dropped (they regenerate from
+     * the seed). Problems with the player or the current level are reported as errors.
+     * @returns {{ errors: string[], repairs: string[] }}
+     */
+    function validate(data) {
+        const report = { errors: [], repairs: [] };
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            report.errors.push('save is not a game state object');
+            return report;
+        }
+
+        report.errors.push(...checkFields(data, ROOT_FIELDS, 'save', report));
+        if (report.errors.length > 0) return report;
+
+        report.errors.push(...checkFields(data.player, PLAYER_FIELDS, 'player', report));
+        data.player.inventory = data.player.inventory.filter(item => item && typeof item === 'object');
+
+        const levelNumbers = new Set();
+        data.levels = data.levels.filter((entry, i) => {
+            const path = Array.isArray(entry) ? `level ${entry[0]}` : `levels[${i}]`;
+            let problems;
+            if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || !entry[1] || typeof entry[1] !== 'object') {
+                problems = [`${path} is not a [depth, data] pair`];
+            } else if (levelNumbers.has(entry[0])) {
+                problems = [`${path} is duplicated`];
+            } else {
+                problems = checkDungeon(entry[1].dungeonData, `${path}.dungeon`, report);
+            }
+
+            if (problems.length > 0) {
+                if (Array.isArray(entry) && entry[0] === data.currentLevel) {
+                    report.errors.push(...problems);
+                } else {
+                    report.repairs.push(`${problems[0]}; the level will be regenerated`);
+                }
+                return false;
+            }
+
+            levelNumbers.add(entry[0]);
+            const levelData = entry[1];
+            if (levelData.monsterData) {
+                const monsters = Array.isArray(levelData.monsterData.monsters) ? levelData.monsterData.monsters : [];
+                levelData.monsterData.monsters = filterEntries(monsters, MONSTER_FIELDS, `${path}.monsters`, report);
+            }
+            if (levelData.itemData) {
+                const items = Array.isArray(levelData.itemData.items) ? levelData.itemData.items : [];
+                levelData.itemData.items = filterEntries(items, ITEM_FIELDS, `${path}.items`, report);
+            }
+            if (!levelData.rngState || typeof levelData.rngState !== 'object') levelData.rngState = {};
+            return true;
+        });
+
+        return report;
+    }
+
+    return {
+        CURRENT_VERSION,
+        MIGRATIONS,
+        compareVersions,
+        migrate,
+        validate
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveMigrations };
+}
@@ -0,0 +1,42 @@
+/**
+ * Spell definitions (learned from spellbooks, cast with z)
+ * mpCost:   MP spent per cast
+ * targeted: asks for a direction; the spell flies up to `range` tiles and takes effect
+ *           at the first creature or the last open tile before a wall (Game.castSpell)
+ * Spells work through the world systems rather than dealing damage directly:
+ * heat (temperature.js / processFire), cold (processCold) and gases (gases.js / processPoisonGas).
+ */
+const SPELLS = {
+    ignite: {
+        name: 'Ignite',
+        description: 'A spark of heat that sets the target tile ablaze.',
+        mpCost: 1,
+        targeted: true,
+        range: 6
+    },
+    frost: {
+        name: 'Frost',
+        description: 'Draws the warmth out of the air around the target; creatures there freeze until it recovers.',
+        mpCost: 2,
+        targeted: true,
+        range: 6
+    },
+    poisonCloud: {
+        name: 'Poison Cloud',
+        description: 'Releases a cloud of poison gas that drifts and poisons whatever breathes it.',
+        mpCost: 3,
+        targeted: true,
+        range: 6
+    },
+    heal: {
+        name: 'Heal',
+        description: 'Closes your wounds (2d4 HP, +1 per two experience levels).',
+        mpCost: 2,
+        targeted: false,
+        healDice: '2d4'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPELLS };
+}
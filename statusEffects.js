@@ -43,7 +43,9 @@ class StatusEffect {
             fractured: `Fractured (${this.severity * 20}% speed penalty)`,
             poisoned: `Poisoned (${this.severity} dmg/turn)`,
             confused: `Confused (random movement)`,
+            frightened: `Frightened (cannot attack in melee)`,
             paralyzed: `Paralyzed (cannot act)`,
+            petrified: `Turning to stone (cannot act)`,
             sleep: `Asleep (cannot act)`
         };
         if (this.type === 'blood_eyes') {
@@ -77,13 +79,13 @@ class StatusEffectManager {
             const resistance = this.entity.getStatusResistance(type);
             if (resistance > 0) {
                 // Roll to see if resistance prevents the effect
-                const roll = Math.random() * 100;
+                const roll = RNG.get('combat').random() * 100;
                 if (roll < resistance) {
                     // Resistance successful!
                     if (window.game && window.game.renderer) {
                         // Only log if player or visible
                         const isPlayer = (this.entity === window.game.player);
-                        const isVisible = window.game.fov && this.entity && typeof this.entity.x === 'number' && typeof this.entity.y === 'number' && window.game.fov.isVisible(this.entity.x, this.entity.y);
+                        const isVisible = this.isEntityVisible();
                         if (isPlayer || isVisible) {
                         const entityName = this.entity.name || 'You';
                         const message = entityName === 'You' ? 
@@ -107,6 +109,10 @@ class StatusEffectManager {
             if (duration > existing.duration) {
                 existing.duration = duration;
             }
+            // Whatever refreshed the effect last is its source (kill credit for DoT deaths)
+            if (source) {
+                existing.source = source;
+            }
             return true;
         }
         
@@ -166,7 +172,8 @@ class StatusEffectManager {
         const results = {
             damage: 0,
             messages: [],
-            expired: []
+            expired: [],
+            causes: [] // { type, source } of effects that dealt damage (cause of death)
         };
         
         // Process each effect
@@ -174,6 +181,9 @@ class StatusEffectManager {
             // Apply effect
             const effectResult = this.applyEffect(type, effect);
             results.damage += effectResult.damage || 0;
+            if (effectResult.damage > 0) {
+                results.causes.push({ type, source: effect.source });
+            }
             if (effectResult.message) {
                 results.messages.push(effectResult.message);
             }
@@ -189,7 +199,9 @@ class StatusEffectManager {
                     fractured: `${target}'s fracture has healed.`,
                     poisoned: `${target} recovered from poison.`,
                     confused: `${target} regained clarity.`,
-                    paralyzed: `${target} can move again.`
+                    frightened: `${target} regained courage.`,
+                    paralyzed: `${target} can move again.`,
+                    petrified: `${target} shook off the stiffness.`
                 };
                 results.messages.push(endMessages[type] || `${target} recovered from ${type}.`);
             } else {
@@ -221,7 +233,7 @@ class StatusEffectManager {
         switch (type) {
             case 'bleeding':
                 result.damage = effect.severity;
-                if (Math.random() < 0.1) { // 10% chance to worsen
+                if (RNG.get('combat').random() < 0.1) { // 10% chance to worsen
                     effect.severity = Math.min(3, effect.severity + 1);
                     result.message = "The bleeding worsens!";
                 }
@@ -241,7 +253,7 @@ class StatusEffectManager {
                 
             case 'fractured':
                 // Handled in movement calculation
-                if (Math.random() < 0.05 * effect.severity) { // Chance to worsen
+                if (RNG.get('combat').random() < 0.05 * effect.severity) { // Chance to worsen
                     result.damage = 1;
                     result.message = "The fracture causes sharp pain!";
                 }
@@ -252,6 +264,7 @@ class StatusEffectManager {
                 break;
                 
             case 'paralyzed':
+            case 'petrified':
                 // Prevents all actions
                 break;
             case 'sleep':
@@ -274,12 +287,12 @@ class StatusEffectManager {
         let saveBonus = this.savingThrowBonus;
         
         if (this.entity) {
-            // Constitution-based saves (bleeding, poison, fracture)
-            if (['bleeding', 'poisoned', 'fractured'].includes(type)) {
+            // Constitution-based saves (bleeding, poison, fracture, petrification)
+            if (['bleeding', 'poisoned', 'fractured', 'petrified'].includes(type)) {
                 saveBonus += Math.floor((this.entity.constitution - 10) / 2);
             }
-            // Wisdom-based saves (stun, confusion, sleep)
-            else if (['stunned', 'confused', 'sleep'].includes(type)) {
+            // Wisdom-based saves (stun, confusion, fear, sleep)
+            else if (['stunned', 'confused', 'frightened', 'sleep'].includes(type)) {
                 saveBonus += Math.floor((this.entity.wisdom - 10) / 2);
             }
             // Strength-based saves (paralysis)
@@ -289,7 +302,7 @@ class StatusEffectManager {
         }
         
         // Roll d20 + bonus
-        const roll = Math.floor(Math.random() * 20) + 1 + saveBonus;
+        const roll = Math.floor(RNG.get('combat').random() * 20) + 1 + saveBonus;
         
         // Natural 20 always succeeds, natural 1 always fails
         if (roll === 20 + saveBonus) return true;
@@ -308,7 +321,7 @@ class StatusEffectManager {
             modifier *= (1 - 0.2 * this.getEffectSeverity('fractured')); // -20% per severity
         }
         
-        if (this.hasEffect('paralyzed')) {
+        if (this.hasEffect('paralyzed') || this.hasEffect('petrified')) {
             modifier = 0; // Cannot move
         }
         if (this.hasEffect('sleep')) {
@@ -336,7 +349,7 @@ class StatusEffectManager {
             modifier *= 0.5; // 50% chance to fail actions
         }
         
-        if (this.hasEffect('paralyzed')) {
+        if (this.hasEffect('paralyzed') || this.hasEffect('petrified')) {
             modifier = 0; // Cannot act
         }
         if (this.hasEffect('sleep')) {
@@ -357,8 +370,8 @@ class StatusEffectManager {
      * Check if entity can act this turn
      */
     canAct() {
-        return !this.hasEffect('paralyzed') && !this.hasEffect('sleep') && 
-               (Math.random() < this.getActionModifier());
+        return !this.hasEffect('paralyzed') && !this.hasEffect('petrified') && !this.hasEffect('sleep') && 
+               (RNG.get('combat').random() < this.getActionModifier());
     }
     
     /**
@@ -379,6 +392,15 @@ class StatusEffectManager {
         this.effects.clear();
     }
     
+    /**
+     * Whether the player can see the entity: in view, and not a hidden invisible monster
+     */
+    isEntityVisible() {
+        const game = window.game;
+        if (!game.fov || !this.entity || typeof this.entity.x !== 'number' || typeof this.entity.y !== 'number') return false;
+        return game.fov.isVisible(this.entity.x, this.entity.y) && !(game.isMonsterHidden && game.isMonsterHidden(this.entity));
+    }
+    
     /**
      * Log effect start
      */
@@ -386,7 +408,7 @@ class StatusEffectManager {
         if (!window.game || !window.game.renderer) return;
         // Only log if player or visible
         const isPlayerEntity = (this.entity === window.game.player);
-        const isVisibleEntity = window.game.fov && this.entity && typeof this.entity.x === 'number' && typeof this.entity.y === 'number' && window.game.fov.isVisible(this.entity.x, this.entity.y);
+        const isVisibleEntity = this.isEntityVisible();
         if (!isPlayerEntity && !isVisibleEntity) return;
         
         const severityText = ['lightly', 'moderately', 'severely'][severity - 1];
@@ -398,7 +420,9 @@ class StatusEffectManager {
             fractured: `${target} suffering from a ${severityText} fracture!`,
             poisoned: `${target} ${severityText} poisoned!`,
             confused: `${target} confused!`,
+            frightened: `${target} frightened!`,
             paralyzed: `${target} paralyzed!`,
+            petrified: `${target} turning to stone!`,
             sleep: `${target} falls asleep!`,
             blood_eyes: `${target} splashed in the eyes with blood!`
         };
@@ -413,7 +437,7 @@ class StatusEffectManager {
         if (!window.game || !window.game.renderer) return;
         // Only log if player or visible
         const isPlayerEntity = (this.entity === window.game.player);
-        const isVisibleEntity = window.game.fov && this.entity && typeof this.entity.x === 'number' && typeof this.entity.y === 'number' && window.game.fov.isVisible(this.entity.x, this.entity.y);
+        const isVisibleEntity = this.isEntityVisible();
         if (!isPlayerEntity && !isVisibleEntity) return;
         
         const target = this.entity === window.game.player ? 'You' : `The ${this.entity.name || 'monster'}`;
@@ -424,7 +448,9 @@ class StatusEffectManager {
             fractured: `${target}'s fracture has healed.`,
             poisoned: `${target} recovered from poison.`,
             confused: `${target} regained clarity.`,
+            frightened: `${target} regained courage.`,
             paralyzed: `${target} can move again.`,
+            petrified: `${target} shakes off the stiffness.`,
             sleep: `${target} wakes up.`,
             blood_eyes: `${target} wipes the blood from their eyes.`
         };
@@ -526,23 +552,23 @@ function calculateStatusEffectChance(weaponType, effectType, damageDealt, maxDam
     }
     
     // Roll for effect
-    if (Math.random() < chance) {
+    if (RNG.get('combat').random() < chance) {
         // Determine severity
         const [minSev, maxSev] = effectConfig.severityRange;
         let severity = minSev;
         
         if (maxSev > minSev) {
             // Higher damage increases severity chance
-            if (damageRatio > 0.6 && Math.random() < 0.5) {
+            if (damageRatio > 0.6 && RNG.get('combat').random() < 0.5) {
                 severity = Math.min(maxSev, severity + 1);
             }
-            if (damageRatio > 0.8 && Math.random() < 0.3) {
+            if (damageRatio > 0.8 && RNG.get('combat').random() < 0.3) {
                 severity = Math.min(maxSev, severity + 1);
             }
         }
         
         // Duration based on severity
-        const baseDuration = 3 + severity * 2 + Math.floor(Math.random() * 3);
+        const baseDuration = 3 + severity * 2 + Math.floor(RNG.get('combat').random() * 3);
         
         return {
             type: effectType,
@@ -556,7 +582,7 @@ function calculateStatusEffectChance(weaponType, effectType, damageDealt, maxDam
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { StatusEffect, StatusEffectManager, calculateStatusEffectChance };
+    module.exports = { StatusEffect, StatusEffectManager, calculateStatusEffectChance, WEAPON_STATUS_EFFECTS };
 } else {
     // Make functions available globally in browser environment
     window.StatusEffect = StatusEffect;
@@ -0,0 +1,128 @@
+/**
+ * Stealth - whether monsters notice the player, and sneak attacks on those that have not
+ *
+ * An awake monster has not necessarily noticed the player (monster.noticedPlayer). Each turn
+ * it has the player in line of sight it rolls to notice them: likelier in light (Lighting
+ * level at the player's tile), up close, and against a player who is clumsy, clanking in
+ * metal armor or overloaded. Until then it goes about its business. Sleeping monsters next
+ * to the player roll against the same stealth to wake. Noise (NoiseSystem) wakes sleepers
+ * and sends unaware monsters to look where it came from.
+ *
+ * Hitting a sleeping or unaware monster is a sneak attack: easier to land, double damage.
+ */
+const Stealth = (function() {
+    // Stealth penalty per worn piece, by material (body armor counts double)
+    const MATERIAL_NOISE = {
+        cloth: 0,
+        leather: 0,
+        mithril: 0,
+        wood: 1,
+        bone: 1,
+        silver: 1,
+        gold: 1,
+        platinum: 1,
+        obsidian: 1,
+        crystal: 1,
+        ruby: 1,
+        iron: 2,
+        steel: 2
+    };
+    const ARMOR_SLOTS = ['armor', 'helmet', 'gloves', 'boots', 'shield'];
+
+    // Stealth penalty by Player.getEncumbranceLevel().level
+    const ENCUMBRANCE_PENALTY = {
+        UNENCUMBERED: 0,
+        BURDENED: 1,
+        STRESSED: 2,
+        STRAINED: 4,
+        OVERTAXED: 6,
+        OVERLOADED: 8
+    };
+
+    const BASE_STEALTH = 3;
+
+    // Chance per turn to notice a player in view, by light at the player (Lighting.DARK, DIM, LIT)
+    const LIGHT_NOTICE = [0.25, 0.55, 0.9];
+
+    // Chance per turn for a sleeper next to the player to wake, by monster.sleepDepth
+    const PROXIMITY_WAKE = { light: 0.8, normal: 0.5, deep: 0.25 };
+
+    const SNEAK_ATTACK_TO_HIT = 4;
+    const SNEAK_ATTACK_MULTIPLIER = 2;
+
+    /**
+     * Noise of worn armor: metal clanks, leather does not
+     */
+    function getArmorNoise(player) {
+        let noise = 0;
+        for (const slot of ARMOR_SLOTS) {
+            const piece = player.equipment && player.equipment[slot];
+            if (!piece) continue;
+            const pieceNoise = MATERIAL_NOISE[piece.material] ?? 1;
+            noise += slot === 'armor' ? pieceNoise * 2 : pieceNoise;
+        }
+        return noise;
+    }
+
+    /**
+     * Player stealth score: class and dexterity, less armor noise and encumbrance.
+     * Around 0-6 for most characters; can go negative.
+     */
+    function getPlayerStealth(player) {
+        const playerClass = typeof PLAYER_CLASSES !== 'undefined' ? PLAYER_CLASSES[player.characterClass] : null;
+        const classBonus = (playerClass && playerClass.stealth) || 0;
+        const dexterity = player.getClassicModifier(player.dexterity);
+        const encumbrance = ENCUMBRANCE_PENALTY[player.getEncumbranceLevel().level] || 0;
+        return BASE_STEALTH + classBonus + dexterity - getArmorNoise(player) - encumbrance;
+    }
+
+    /**
+     * Multiplier on notice and wake chances: 1 at stealth 0, lower for stealthier players
+     */
+    function getStealthFactor(player) {
+        return Math.max(0.1, Math.min(1.5, 1 - getPlayerStealth(player) * 0.08));
+    }
+
+    /**
+     * Chance this turn that a monster with the player in sight notices them
+     * @param {number} lightLevel - Lighting level at the player's tile
+     */
+    function getNoticeChance(monster, player, lightLevel) {
+        const distance = Math.max(Math.abs(monster.x - player.x), Math.abs(monster.y - player.y));
+        const light = LIGHT_NOTICE[lightLevel] ?? LIGHT_NOTICE[LIGHT_NOTICE.length - 1];
+        const range = Math.max(1, monster.sightRange || 8);
+        const distanceFactor = distance <= 1 ? 1 : Math.max(0.2, 1 - (distance - 1) / range);
+        return Math.min(1, light * distanceFactor * getStealthFactor(player));
+    }
+
+    /**
+     * Chance this turn that a sleeper within its wake-up distance of the player wakes
+     */
+    function getProximityWakeChance(monster, player) {
+        const base = PROXIMITY_WAKE[monster.sleepDepth] ?? PROXIMITY_WAKE.normal;
+        return Math.min(1, base * getStealthFactor(player));
+    }
+
+    /**
+     * Sleeping, or awake without having noticed the player
+     */
+    function isUnaware(monster) {
+        return monster.isAsleep || !monster.noticedPlayer;
+    }
+
+    return {
+        MATERIAL_NOISE,
+        ENCUMBRANCE_PENALTY,
+        SNEAK_ATTACK_TO_HIT,
+        SNEAK_ATTACK_MULTIPLIER,
+        getArmorNoise,
+        getPlayerStealth,
+        getNoticeChance,
+        getProximityWakeChance,
+        isUnaware
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Stealth };
+}
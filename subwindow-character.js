@@ -0,0 +1,142 @@
+/**
+ * Sub-window: character creation (class, ability rolls, name).
+ */
+
+(function (SubWindow) {
+    'use strict';
+
+    var ABILITY_LABELS = {
+        strength: 'STR',
+        dexterity: 'DEX',
+        constitution: 'CON',
+        intelligence: 'INT',
+        wisdom: 'WIS',
+        charisma: 'CHA'
+    };
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatModifier(value) {
+        return value >= 0 ? '+' + value : '' + value;
+    }
+
+    function formatSkills(weaponSkills) {
+        return Object.keys(weaponSkills)
+            .filter(function (type) { return weaponSkills[type] !== 0; })
+            .map(function (type) { return type + ' ' + formatModifier(weaponSkills[type]); })
+            .join(', ') || 'none';
+    }
+
+    /**
+     * Step 1: choose a class. Calls onDone({ className, name, stats }) once all steps are done.
+     */
+    SubWindow.prototype.showCharacterCreation = function (game, onDone) {
+        var classKeys = Object.keys(PLAYER_CLASSES);
+        var rows = classKeys.map(function (key, index) {
+            var data = PLAYER_CLASSES[key];
+            var letter = String.fromCharCode(97 + index);
+            return '<div style="margin-bottom: 10px;">' +
+                '<div style="color: #ffff00;">' + letter + ') ' + data.name + '</div>' +
+                '<div style="color: #cccccc; margin-left: 20px;">' + data.description + '</div>' +
+                '<div style="color: #888; margin-left: 20px;">Hit die d' + data.hitDie +
+                    ', best stats: ' + data.statPriority.slice(0, 2).map(function (a) { return ABILITY_LABELS[a]; }).join(', ') +
+                    ', weapon skills: ' + formatSkills(data.weaponSkills) + '</div>' +
+            '</div>';
+        }).join('');
+
+        this.showDialog(
+            'Create Your Character',
+            '<div style="padding: 10px;">' + rows +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press a letter to choose a class</p>' +
+            '</div>',
+            null,
+            function (e) {
+                var index = e.key.length === 1 ? e.key.toLowerCase().charCodeAt(0) - 97 : -1;
+                if (index >= 0 && index < classKeys.length) {
+                    e.preventDefault();
+                    this.showCharacterStats(game, classKeys[index], 0, onDone);
+                }
+            }.bind(this),
+            // A run needs a character: ESC just shows the class list again
+            this.showCharacterCreation.bind(this, game, onDone)
+        );
+    };
+
+    /**
+     * Step 2: roll ability scores (3d6, assigned by class priority); r rerolls.
+     * Rolls come from the run seed, so a seed reproduces the same characters.
+     */
+    SubWindow.prototype.showCharacterStats = function (game, className, rollCount, onDone) {
+        var data = PLAYER_CLASSES[className];
+        var rng = game.rng ? game.rng.forLevel('character', rollCount) : RNG.unseeded;
+        var stats = Player.rollAbilityScores(className, rng);
+        var modifierOf = Player.prototype.getClassicModifier;
+
+        var statRows = Player.ABILITIES.map(function (ability) {
+            return '<div>' + ABILITY_LABELS[ability] + ': ' + stats[ability] +
+                ' <span style="color: #888;">(' + formatModifier(modifierOf(stats[ability])) + ')</span></div>';
+        }).join('');
+        // Same formula as Player.calculateInitialStats at the starting level
+        var startingLevel = 3;
+        var hp = Math.max(startingLevel, (data.hitDie + modifierOf(stats.constitution)) * startingLevel);
+
+        this.showDialog(
+            data.name + ' - Ability Scores',
+            '<div style="padding: 10px;">' +
+                '<div style="color: #cccccc; line-height: 1.5; margin-bottom: 10px;">' + statRows + '</div>' +
+                '<div style="color: #80ff80;">Starting HP: ' + hp + '</div>' +
+                '<div style="color: #888; margin-top: 5px;">Roll #' + (rollCount + 1) + '</div>' +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">' +
+                    'R to reroll, Enter to accept, ESC to choose another class</p>' +
+            '</div>',
+            null,
+            function (e) {
+                if (e.key === 'r' || e.key === 'R') {
+                    e.preventDefault();
+                    this.showCharacterStats(game, className, rollCount + 1, onDone);
+                } else if (e.key === 'Enter') {
+                    e.preventDefault(); // Keep the Enter from submitting the name prompt
+                    this.showCharacterName(game, className, stats, rollCount, onDone);
+                }
+            }.bind(this),
+            this.showCharacterCreation.bind(this, game, onDone)
+        );
+    };
+
+    /**
+     * Step 3: name the character (empty name keeps the default)
+     */
+    SubWindow.prototype.showCharacterName = function (game, className, stats, rollCount, onDone) {
+        var data = PLAYER_CLASSES[className];
+        this.keyHandler = null;
+        this.cancelHandler = this.showCharacterStats.bind(this, game, className, rollCount, onDone);
+        this.title.textContent = 'Name your ' + data.name;
+        this.content.innerHTML = '<div style="color: #cccccc;">Enter a name for your ' + escapeHtml(data.name.toLowerCase()) +
+            ', or leave empty for "Adventurer". ESC returns to the ability scores.</div>';
+        this.input.style.display = 'flex';
+        this.textInput.placeholder = 'Adventurer';
+        this.textInput.value = '';
+
+        this.callback = function (name) {
+            var character = {
+                className: className,
+                name: String(name || '').trim().slice(0, 24) || 'Adventurer',
+                stats: stats
+            };
+            // Close first so the new game starts with no dialog open
+            this.close();
+            onDone(character);
+            return false;
+        }.bind(this);
+
+        this.show();
+        this.textInput.focus();
+    };
+
+})(window.SubWindow);
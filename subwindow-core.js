@@ -23,6 +23,7 @@ class SubWindow {
         this.isOpen = false;
         this.callback = null;
         this.keyHandler = null;
+        this.cancelHandler = null; // Called when a dialog is dismissed with Escape
         this.selectedIndex = -1;
 
         this.setupEventListeners();
@@ -46,10 +47,9 @@ class SubWindow {
             if (this.isOpen && e.key === 'Escape') {
                 e.preventDefault();
                 e.stopPropagation();
-                if (this.keyHandler && window.game && window.game.handleLoadAutosaveChoice) {
-                    window.game.handleLoadAutosaveChoice(false);
-                }
+                const cancelHandler = this.cancelHandler;
                 this.close();
+                if (cancelHandler) cancelHandler();
             } else if (this.isOpen && this.keyHandler) {
                 this.keyHandler(e);
             }
@@ -88,6 +88,7 @@ class SubWindow {
         this.overlay.style.display = 'none';
         this.callback = null;
         this.keyHandler = null;
+        this.cancelHandler = null;
         this.selectedIndex = -1;
         this.textInput.value = '';
     }
@@ -97,12 +98,13 @@ class SubWindow {
         this.close();
     }
 
-    showDialog(title, content, callback = null, keyHandler = null) {
+    showDialog(title, content, callback = null, keyHandler = null, cancelHandler = null) {
         this.title.textContent = title;
         this.content.innerHTML = content;
         this.input.style.display = 'none';
         this.callback = callback;
         this.keyHandler = keyHandler;
+        this.cancelHandler = cancelHandler;
         this.show();
     }
 
@@ -143,6 +145,12 @@ class SubWindow {
                 properties.push(`Weight: ${effectiveWeight.toFixed(1)}`);
             }
         }
+        // Unknown kinds reveal nothing beyond their weight
+        if (!ItemIdentification.isKindKnown(item)) {
+            properties.push('Unidentified');
+            return properties;
+        }
+
         if (item.value) properties.push(`Value: ${item.value} gold`);
         if (item.material) properties.push(`Material: ${item.material}`);
 
@@ -168,6 +176,11 @@ class SubWindow {
             }
             if (item.toHitBonus != null) properties.push(`To Hit: ${item.toHitBonus >= 0 ? '+' : ''}${item.toHitBonus}`);
             if (item.penetration) properties.push(`Penetration: AP ${item.penetration}`);
+            if (item.ammoType) properties.push(`Fires: ${item.ammoType}s (range ${item.range}, +${item.launchDamage || 0} damage)`);
+        } else if (item.type === 'ammo') {
+            properties.push(`Damage: 1d${item.weaponDamage}+${item.damage || 0} (plus the launcher's)`);
+            if (item.penetration) properties.push(`Penetration: AP ${item.penetration}`);
+            if (item.breakChance) properties.push(`Breaks on a hit: ${Math.round(item.breakChance * 100)}%`);
         } else if (item.type === 'armor') {
             if (item.armorClassBonus) properties.push(`AC -${item.armorClassBonus}`);
             if (item.protection) properties.push(`DR: ${item.protection}`);
@@ -215,7 +228,9 @@ class SubWindow {
             }
         }
 
-        if (item.enchantment && item.enchantment !== 0) {
+        if (item.identified === false) {
+            properties.push('Enchantment: unknown');
+        } else if (item.enchantment && item.enchantment !== 0) {
             properties.push(`Enchantment: ${item.enchantment > 0 ? '+' : ''}${item.enchantment}`);
         }
 
@@ -243,7 +258,9 @@ class SubWindow {
 
         const descDiv = document.createElement('div');
         descDiv.style.cssText = 'color: #cccccc; margin-bottom: 15px; line-height: 1.4;';
-        descDiv.textContent = item.description || 'No description available.';
+        descDiv.textContent = ItemIdentification.isKindKnown(item)
+            ? (item.description || 'No description available.')
+            : 'You do not know what this is yet. Use it, or read a scroll of identify.';
         this.content.appendChild(descDiv);
 
         const propsDiv = document.createElement('div');
@@ -15,7 +15,8 @@
         { key: 'ring1', name: 'Ring (L)', keyHint: '(r)', letter: 'r' },
         { key: 'ring2', name: 'Ring (R)', keyHint: '(1)', letter: '1' },
         { key: 'amulet', name: 'Amulet', keyHint: '(m)', letter: 'm' },
-        { key: 'light', name: 'Light', keyHint: '(l)', letter: 'l' }
+        { key: 'light', name: 'Light', keyHint: '(l)', letter: 'l' },
+        { key: 'quiver', name: 'Quiver', keyHint: '(q)', letter: 'q' }
     ];
 
     var SLOT_NAMES = {
@@ -28,7 +29,8 @@
         ring1: 'Ring (Left)',
         ring2: 'Ring (Right)',
         amulet: 'Amulet',
-        light: 'Light'
+        light: 'Light',
+        quiver: 'Quiver'
     };
 
     SubWindow.prototype.showEquipment = function (player) {
@@ -51,7 +53,7 @@
                 var totalWeight = item.getTotalWeight ? item.getTotalWeight() : (effectiveWeight * (item.quantity || 1));
                 var weightText = totalWeight === 1 ? '1 lb' : totalWeight.toFixed(1) + ' lbs';
                 slotDiv.innerHTML = '<span style="color: #00ff00;">' + slot.name + ' ' + slot.keyHint + ':</span> ' +
-                    item.name + display.qualityText + display.conditionText + display.statsText + ' (' + weightText + ')';
+                    (item.getDisplayName ? item.getDisplayName() : item.name) + display.qualityText + display.conditionText + display.statsText + ' (' + weightText + ')';
             } else {
                 slotDiv.innerHTML = '<span style="color: #808080;">' + slot.name + ' ' + slot.keyHint + ':</span> <span style="color: #404040;">None</span>';
             }
@@ -85,7 +87,7 @@
                     return true;
                 }
                 if (window.game && window.game.renderer) {
-                    window.game.renderer.addLogMessage('Invalid slot key. Use w,a,s,h,g,b,r,1,m for details.');
+                    window.game.renderer.addLogMessage('Invalid slot key. Use w,a,s,h,g,b,r,1,m,l,q for details.');
                 }
                 return false;
             }
@@ -144,7 +146,7 @@
         this.textInput.value = '';
 
         var inventory = player.getInventorySummary();
-        var wearableTypes = ['weapon', 'armor', 'shield', 'helmet', 'gloves', 'boots', 'ring', 'amulet', 'light'];
+        var wearableTypes = ['weapon', 'armor', 'shield', 'helmet', 'gloves', 'boots', 'ring', 'amulet', 'light', 'ammo'];
         var validItems = inventory.filter(function (item) {
             var letter = item.charAt(0);
             var invItem = player.getInventoryItem(letter);
@@ -57,7 +57,7 @@
         const item = player.getInventoryItem(letter);
         if (!item) return;
 
-        this.title.textContent = 'Item Details: ' + item.name;
+        this.title.textContent = 'Item Details: ' + (item.getDisplayName ? item.getDisplayName() : item.name);
         this.content.innerHTML = '';
         this.input.style.display = 'none';
 
@@ -1,5 +1,5 @@
 /**
- * Sub-window: food, potion, pickup, throw, drop, and quantity-selection menus.
+ * Sub-window: food, potion, scroll, identify, pickup, throw, drop, and quantity-selection menus.
  */
 
 (function (SubWindow) {
@@ -99,8 +99,10 @@
                 var invItem = player.getInventoryItem(letter);
                 var itemDiv = document.createElement('div');
                 var healingInfo = '';
-                if (invItem.healDice) healingInfo = ' (' + invItem.healDice + ' HP)';
-                else if (invItem.healAmount && invItem.healAmount > 0) healingInfo = ' (+' + invItem.healAmount + ' HP)';
+                if (ItemIdentification.isKindKnown(invItem)) {
+                    if (invItem.healDice) healingInfo = ' (' + invItem.healDice + ' HP)';
+                    else if (invItem.healAmount && invItem.healAmount > 0) healingInfo = ' (+' + invItem.healAmount + ' HP)';
+                }
                 itemDiv.textContent = item + healingInfo;
                 this.content.appendChild(itemDiv);
             }.bind(this));
@@ -130,6 +132,170 @@
         this.textInput.focus();
     };
 
+    function isReadable(item) {
+        return !!item && (item.type === 'scroll' || item.type === 'spellbook');
+    }
+
+    /**
+     * Read menu: scrolls (used up) and spellbooks (studied to learn their spell)
+     */
+    SubWindow.prototype.showScrollMenu = function (player) {
+        this.title.textContent = 'Select scroll or spellbook to read';
+        this.content.innerHTML = '';
+        this.input.style.display = 'flex';
+        this.textInput.placeholder = 'Enter letter (a-z) or Cancel';
+        this.textInput.value = '';
+
+        var scrollItems = player.getInventorySummary().filter(function (item) {
+            var invItem = player.getInventoryItem(item.charAt(0));
+            return isReadable(invItem);
+        });
+
+        if (scrollItems.length === 0) {
+            this.content.innerHTML = '<div style="color: #808080; font-style: italic;">No scrolls or spellbooks in inventory.</div>';
+            this.input.style.display = 'none';
+        } else {
+            scrollItems.forEach(function (item) {
+                var itemDiv = document.createElement('div');
+                itemDiv.textContent = item;
+                this.content.appendChild(itemDiv);
+            }.bind(this));
+        }
+
+        this.callback = function (choice) {
+            if (choice && choice.length === 1) {
+                var letter = choice.toLowerCase();
+                var invItem = player.getInventoryItem(letter);
+                if (isReadable(invItem)) {
+                    // Close first: a scroll of identify opens its own menu
+                    this.close();
+                    var success = invItem.type === 'spellbook' ? player.readSpellbook(invItem) : player.readScroll(invItem, letter);
+                    if (success && window.game) {
+                        window.game.processTurn();
+                        window.game.render();
+                    }
+                    return false;
+                }
+                if (window.game && window.game.renderer) {
+                    window.game.renderer.addLogMessage('You cannot read that!');
+                }
+                return false;
+            }
+            return false;
+        }.bind(this);
+
+        this.show();
+        this.textInput.focus();
+    };
+
+    /**
+     * Scroll of identify: pick one unidentified inventory item (ESC wastes the scroll)
+     */
+    SubWindow.prototype.showIdentifyMenu = function (player) {
+        this.title.textContent = 'Identify which item?';
+        this.content.innerHTML = '';
+        this.input.style.display = 'flex';
+        this.textInput.placeholder = 'Enter letter (a-z)';
+        this.textInput.value = '';
+        this.keyHandler = null;
+
+        var unidentified = player.getUnidentifiedItems();
+        player.getInventorySummary().forEach(function (item) {
+            if (unidentified.indexOf(player.getInventoryItem(item.charAt(0))) === -1) return;
+            var itemDiv = document.createElement('div');
+            itemDiv.textContent = item;
+            this.content.appendChild(itemDiv);
+        }.bind(this));
+
+        this.callback = function (choice) {
+            var invItem = choice && choice.length === 1 ? player.getInventoryItem(choice.toLowerCase()) : null;
+            if (invItem && unidentified.indexOf(invItem) !== -1) {
+                player.identifyItem(invItem);
+                if (window.game) window.game.render();
+                return true;
+            }
+            return false;
+        };
+        this.cancelHandler = function () {
+            if (window.game && window.game.renderer) {
+                window.game.renderer.addLogMessage('The scroll\'s power fades unused.');
+            }
+        };
+
+        this.show();
+        this.textInput.focus();
+    };
+
+    /**
+     * Cast menu: known spells by letter, with MP cost (unaffordable ones dimmed)
+     */
+    SubWindow.prototype.showSpellMenu = function (player) {
+        this.title.textContent = 'Cast which spell? (MP ' + player.mp + '/' + player.maxMp + ')';
+        this.content.innerHTML = '';
+        this.input.style.display = 'flex';
+        this.textInput.placeholder = 'Enter letter (a-z) or Cancel';
+        this.textInput.value = '';
+
+        var spellKeys = player.knownSpells.filter(function (key) { return !!SPELLS[key]; });
+
+        if (spellKeys.length === 0) {
+            this.content.innerHTML = '<div style="color: #808080; font-style: italic;">You know no spells. Read a spellbook to learn one.</div>';
+            this.input.style.display = 'none';
+        } else {
+            spellKeys.forEach(function (key, index) {
+                var spell = SPELLS[key];
+                var itemDiv = document.createElement('div');
+                itemDiv.style.marginBottom = '6px';
+                if (player.mp < spell.mpCost) itemDiv.style.color = '#808080';
+                itemDiv.textContent = String.fromCharCode(97 + index) + ' - ' + spell.name + ' (' + spell.mpCost + ' MP): ' + spell.description;
+                this.content.appendChild(itemDiv);
+            }.bind(this));
+        }
+
+        this.callback = function (choice) {
+            if (choice && choice.length === 1) {
+                var spellKey = spellKeys[choice.toLowerCase().charCodeAt(0) - 97];
+                if (spellKey) {
+                    // Close first: targeted spells wait for a direction key
+                    this.close();
+                    if (window.game) window.game.beginCast(spellKey);
+                    return false;
+                }
+                if (window.game && window.game.renderer) {
+                    window.game.renderer.addLogMessage('You do not know that spell.');
+                }
+            }
+            return false;
+        }.bind(this);
+
+        this.show();
+        this.textInput.focus();
+    };
+
+    /**
+     * Discoveries: item kinds identified this run, with their appearance
+     */
+    SubWindow.prototype.showDiscoveries = function (identification) {
+        var sections = identification.getDiscoveries().map(function (group) {
+            var rows = group.kinds.map(function (kind) {
+                return '<div style="margin-left: 20px;">' + kind.name +
+                    ' <span style="color: #888;">(' + kind.appearance + ')</span></div>';
+            }).join('');
+            return '<div style="margin-bottom: 10px;">' +
+                '<div style="color: #ffff00;">' + group.label + '</div>' +
+                (rows || '<div style="margin-left: 20px; color: #808080; font-style: italic;">None yet</div>') +
+                (group.unknown > 0 ? '<div style="margin-left: 20px; color: #808080;">' + group.unknown + ' still unknown</div>' : '') +
+            '</div>';
+        }).join('');
+
+        this.showDialog(
+            'Discoveries',
+            '<div style="padding: 10px;">' + sections +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press ESC to close</p>' +
+            '</div>'
+        );
+    };
+
     SubWindow.prototype.showItemSelectionMenu = function (items, playerX, playerY) {
         this.title.textContent = 'Pick up item (a-z to select, * for all, Escape to cancel)';
         this.content.innerHTML = '';
@@ -145,7 +311,7 @@
                 var itemDiv = document.createElement('div');
                 itemDiv.className = 'item-line';
                 var displayText = item.getDisplayName ? item.getDisplayName() : item.name;
-                if (item.stackable && item.quantity > 1) displayText = item.name + ' (' + item.quantity + ')';
+                if (item.stackable && item.quantity > 1) displayText = ItemIdentification.getKnownName(item) + ' (' + item.quantity + ')';
                 var letter = String.fromCharCode(97 + index);
                 itemDiv.textContent = letter + ' - ' + displayText;
                 this.content.appendChild(itemDiv);
@@ -257,8 +423,8 @@
                 var extra = extraEntries.find(function (e) { return e.letter === letter; });
                 if (extra) {
                     self.close();
-                    if (window.game && typeof window.game.beginThrowDirectionSelection === 'function') {
-                        window.game.beginThrowDirectionSelection({ equipSlot: extra.slot });
+                    if (window.game && typeof window.game.beginThrowTargeting === 'function') {
+                        window.game.beginThrowTargeting({ equipSlot: extra.slot });
                     }
                     return true;
                 }
@@ -270,8 +436,8 @@
                     return false;
                 }
                 self.close();
-                if (window.game && typeof window.game.beginThrowDirectionSelection === 'function') {
-                    window.game.beginThrowDirectionSelection(letter);
+                if (window.game && typeof window.game.beginThrowTargeting === 'function') {
+                    window.game.beginThrowTargeting(letter);
                 }
                 return true;
             }
@@ -306,7 +472,7 @@
     SubWindow.prototype.showBuryMenu = function () {
         if (!window.game || !window.game.getBuryOptions) return;
         var options = window.game.getBuryOptions();
-        this.title.textContent = 'Bury (Shift+B) – choose target';
+        this.title.textContent = 'Bury (Shift+G) – choose target';
         this.content.innerHTML = '';
         this.input.style.display = 'flex';
         this.textInput.placeholder = 'Enter key (1-9 or a-z) or Escape to cancel';
@@ -421,7 +587,7 @@
     SubWindow.prototype.showQuantitySelectionMenu = function (item, itemIndex, action) {
         action = action || 'drop';
         this.textInput.value = '';
-        this.title.textContent = (action.charAt(0).toUpperCase() + action.slice(1)) + ' how many ' + item.name + '? (1-' + item.quantity + ', * for all)';
+        this.title.textContent = (action.charAt(0).toUpperCase() + action.slice(1)) + ' how many ' + (item.getDisplayName ? item.getDisplayName() : item.name) + '? (1-' + item.quantity + ', * for all)';
         this.content.innerHTML = '';
         this.input.style.display = 'flex';
         this.textInput.placeholder = 'Enter quantity (1-' + item.quantity + ') or * for all';
@@ -470,4 +636,72 @@
         }, 100);
     };
 
+    /**
+     * Level-up summary: per-level gains and the resulting stats.
+     * levelUps: array of { level, hpGain, mpGain, toHitGain } from Player.levelUp()
+     */
+    SubWindow.prototype.showLevelUp = function (player, levelUps) {
+        var rows = levelUps.map(function (gain) {
+            var parts = ['+' + gain.hpGain + ' HP'];
+            if (gain.mpGain > 0) parts.push('+' + gain.mpGain + ' MP');
+            if (gain.toHitGain !== 0) parts.push((gain.toHitGain > 0 ? '+' : '') + gain.toHitGain + ' to hit');
+            return '<div>Level ' + gain.level + ': ' + parts.join(', ') + '</div>';
+        }).join('');
+
+        var stats = player.getStats();
+        var toHitText = stats.toHit >= 0 ? '+' + stats.toHit : '' + stats.toHit;
+        var summary =
+            '<div>HP: ' + stats.hp + '/' + stats.maxHp + '  MP: ' + player.mp + '/' + player.maxMp + '</div>' +
+            '<div>To hit: ' + toHitText + '  AC: ' + stats.armorClass + '</div>' +
+            '<div>EXP: ' + player.exp + ' (next level at ' + player.expToNext + ')</div>' +
+            '<div>STR ' + player.strength + '  DEX ' + player.dexterity + '  CON ' + player.constitution +
+            '  INT ' + player.intelligence + '  WIS ' + player.wisdom + '  CHA ' + player.charisma + '</div>';
+
+        this.showDialog(
+            'Level Up!',
+            '<div style="padding: 10px;">' +
+                '<p style="font-size: 16px; color: #ffff00; margin-bottom: 10px;">You are now experience level ' + player.level + '.</p>' +
+                '<div style="color: #80ff80; margin-bottom: 15px;">' + rows + '</div>' +
+                '<div style="color: #cccccc; line-height: 1.4;">' + summary + '</div>' +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press Enter, Space or ESC to continue</p>' +
+            '</div>',
+            null,
+            function (e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                }
+            }.bind(this)
+        );
+    };
+
+    /**
+     * High-score table shown at the end of a run; highlightIndex marks the new entry (-1 for none)
+     */
+    SubWindow.prototype.showHighScores = function (scores, highlightIndex) {
+        var rows = scores.length > 0 ? scores.map(function (entry, index) {
+            var style = index === highlightIndex ? 'color: #ffff00;' : (entry.won ? 'color: #80ff80;' : 'color: #cccccc;');
+            var date = entry.date ? new Date(entry.date).toLocaleDateString() : '';
+            return '<div style="' + style + ' margin-bottom: 4px;">' +
+                (index + 1) + '. ' + entry.score + ' pts - Lv ' + entry.level + ', ' + entry.cause +
+                ' on level ' + entry.depth + ' (max depth ' + entry.maxDepth + ', ' + entry.kills + ' kills, ' +
+                entry.turns + ' turns) <span style="color: #888;">' + date + '</span></div>';
+        }).join('') : '<div style="color: #808080; font-style: italic;">No scores yet.</div>';
+
+        this.showDialog(
+            'High Scores',
+            '<div style="padding: 10px;">' + rows +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press Space or ESC to close</p>' +
+            '</div>',
+            null,
+            function (e) {
+                if (e.key === ' ') {
+                    e.preventDefault();
+                    this.close();
+                }
+            }.bind(this)
+        );
+    };
+
 })(window.SubWindow);
@@ -0,0 +1,237 @@
+/**
+ * Sub-window: save slot menus (save, load, export, import).
+ * Storage and serialization live in game-save.js.
+ */
+
+(function (SubWindow) {
+    'use strict';
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatTimestamp(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : 'unknown date';
+    }
+
+    /**
+     * One line per slot: "[1] Name - Depth 3, Lv 4, turn 812 (date) seed XYZ"
+     */
+    function slotLine(label, slot, selected) {
+        var details = 'Depth ' + slot.depth + ', Lv ' + slot.level + ', turn ' + slot.turn;
+        var seed = slot.seed ? ' seed ' + escapeHtml(slot.seed) : '';
+        var style = selected ? 'background: #333; color: #ffff00;' : '';
+        return '<div class="item-line" style="padding: 2px 4px; ' + style + '">' +
+            '[' + label + '] ' + escapeHtml(slot.name) + ' - ' + details +
+            ' <span style="color: #888;">(' + formatTimestamp(slot.timestamp) + ')' + seed + '</span></div>';
+    }
+
+    /**
+     * Slot labels: 0 for the autosave, 1-9 for named slots in list order
+     */
+    function labelSlots(slots) {
+        var next = 1;
+        return slots.map(function (slot) {
+            return { slot: slot, label: slot.id === 'autosave' ? '0' : String(next++) };
+        });
+    }
+
+    function findByLabel(entries, key) {
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].label === key) return entries[i];
+        }
+        return null;
+    }
+
+    /**
+     * Simple y/n confirmation; ESC counts as no
+     */
+    SubWindow.prototype.showSaveConfirm = function (title, message, onYes, onNo) {
+        this.showDialog(
+            title,
+            '<div style="text-align: center; padding: 20px;">' +
+                '<p style="margin-bottom: 20px;">' + message + '</p>' +
+                '<p style="font-size: 14px; color: #888;">Press Y for Yes, N for No</p>' +
+            '</div>',
+            null,
+            function (e) {
+                var key = e.key.toLowerCase();
+                if (key === 'y' || key === 'n') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                    if (key === 'y') onYes(); else if (onNo) onNo();
+                }
+            }.bind(this),
+            onNo || null
+        );
+    };
+
+    /**
+     * Save menu (Shift+S): overwrite a slot, create a new named slot, or export the current game
+     */
+    SubWindow.prototype.showSaveMenu = function (game) {
+        var entries = labelSlots(game.getNamedSaveSlots());
+        var full = entries.length >= Game.MAX_SAVE_SLOTS;
+        var rows = entries.length > 0
+            ? entries.map(function (entry) { return slotLine(entry.label, entry.slot, false); }).join('')
+            : '<div style="color: #808080; font-style: italic;">No save slots yet.</div>';
+
+        this.showDialog(
+            'Save Game',
+            '<div style="padding: 10px;">' +
+                '<div style="margin-bottom: 15px;">' + rows + '</div>' +
+                '<div style="color: #cccccc; line-height: 1.5;">' +
+                    (entries.length > 0 ? '<div>1-' + entries.length + ': overwrite slot</div>' : '') +
+                    (full ? '<div style="color: #808080;">n: new slot (all ' + Game.MAX_SAVE_SLOTS + ' slots in use)</div>'
+                          : '<div>n: save to a new slot</div>') +
+                    '<div>x: export current game to a .json file</div>' +
+                '</div>' +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press ESC to cancel</p>' +
+            '</div>',
+            null,
+            function (e) {
+                var key = e.key.toLowerCase();
+                var entry = findByLabel(entries, e.key);
+                if (entry) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.showSaveConfirm(
+                        'Overwrite Save?',
+                        'Overwrite "' + escapeHtml(entry.slot.name) + '"?',
+                        function () {
+                            if (game.saveGame(entry.slot.id)) {
+                                game.renderer.addLogMessage('Game saved to "' + entry.slot.name + '".');
+                            }
+                        },
+                        this.showSaveMenu.bind(this, game)
+                    );
+                } else if (key === 'n' && !full) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.showSaveNamePrompt(game);
+                } else if (key === 'x') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                    game.exportSave(null);
+                }
+            }.bind(this)
+        );
+    };
+
+    /**
+     * Text prompt for a new slot name (empty name uses depth and turn)
+     */
+    SubWindow.prototype.showSaveNamePrompt = function (game) {
+        this.keyHandler = null;
+        this.cancelHandler = null;
+        this.title.textContent = 'Name this save';
+        this.content.innerHTML = '<div style="color: #cccccc;">Enter a name for the new save slot, or leave empty for a default name.</div>';
+        this.input.style.display = 'flex';
+        this.textInput.placeholder = 'Save name';
+        this.textInput.value = '';
+
+        this.callback = function (name) {
+            var slotId = game.createSaveSlot(name);
+            if (slotId) {
+                game.renderer.addLogMessage('Game saved to a new slot.');
+            }
+            return true;
+        };
+
+        this.show();
+        this.textInput.focus();
+    };
+
+    /**
+     * Load menu (Shift+R, or L at the startup prompt).
+     * @param {Game} game
+     * @param {Function} onCancel - Called when the menu is closed without loading
+     * @param {string} selectedId - Slot to highlight
+     */
+    SubWindow.prototype.showLoadMenu = function (game, onCancel, selectedId) {
+        var entries = labelSlots(game.getSaveSlots());
+        var selected = null;
+        entries.forEach(function (entry) {
+            if (entry.slot.id === selectedId) selected = entry;
+        });
+        if (!selected && entries.length > 0) selected = entries[0];
+
+        var rows = entries.length > 0
+            ? entries.map(function (entry) { return slotLine(entry.label, entry.slot, entry === selected); }).join('')
+            : '<div style="color: #808080; font-style: italic;">No saved games.</div>';
+
+        var reopen = function (id) {
+            this.showLoadMenu(game, onCancel, id);
+        }.bind(this);
+
+        this.showDialog(
+            'Load Game',
+            '<div style="padding: 10px;">' +
+                '<div style="margin-bottom: 15px;">' + rows + '</div>' +
+                '<div style="color: #cccccc; line-height: 1.5;">' +
+                    (entries.length > 0
+                        ? '<div>0-9 or j/k: select slot</div>' +
+                          '<div>Enter or l: load, e: export, d: delete</div>'
+                        : '') +
+                    '<div>i: import a .json save file</div>' +
+                '</div>' +
+                '<p style="font-size: 14px; color: #888; margin-top: 15px; text-align: center;">Press ESC to cancel</p>' +
+            '</div>',
+            null,
+            function (e) {
+                var key = e.key;
+                var entry = findByLabel(entries, key);
+                var position = entries.indexOf(selected);
+                if (entry) {
+                    e.preventDefault();
+                    reopen(entry.slot.id);
+                } else if ((key === 'j' || key === 'ArrowDown') && selected) {
+                    e.preventDefault();
+                    reopen(entries[Math.min(entries.length - 1, position + 1)].slot.id);
+                } else if ((key === 'k' || key === 'ArrowUp') && selected) {
+                    e.preventDefault();
+                    reopen(entries[Math.max(0, position - 1)].slot.id);
+                } else if ((key === 'Enter' || key === 'l') && selected) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                    if (game.loadSaveSlot(selected.slot.id)) {
+                        game.renderer.addLogMessage('Loaded "' + selected.slot.name + '".');
+                    } else {
+                        game.renderer.addLogMessage('Failed to load "' + selected.slot.name + '".', 'warning');
+                        reopen(selected.slot.id);
+                    }
+                } else if (key === 'e' && selected) {
+                    e.preventDefault();
+                    game.exportSave(selected.slot.id);
+                } else if (key === 'd' && selected) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.showSaveConfirm(
+                        'Delete Save?',
+                        'Delete "' + escapeHtml(selected.slot.name) + '"? This cannot be undone.',
+                        function () {
+                            game.deleteSaveSlot(selected.slot.id);
+                            game.renderer.addLogMessage('Deleted "' + selected.slot.name + '".');
+                            reopen(null);
+                        },
+                        function () { reopen(selected.slot.id); }
+                    );
+                } else if (key === 'i') {
+                    e.preventDefault();
+                    game.importSave(function (slotId) {
+                        reopen(slotId || (selected && selected.slot.id));
+                    });
+                }
+            }.bind(this),
+            onCancel || null
+        );
+    };
+
+})(window.SubWindow);
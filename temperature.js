@@ -109,3 +109,7 @@ const Temperature = (function() {
         clamp
     };
 })();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Temperature };
+}